@@ -0,0 +1,397 @@
+// Live editing backend for DnD Notes Vault (node server.js --sync)
+//
+// Devices that sync the same vault connect a WebSocket to
+// /api/vaults/<name>/live. The server tells everyone in the vault who is
+// looking at which note, and keeps a shared copy of each note that is open
+// somewhere: its markdown text, changed by operations (see js/core/ot.js), and
+// its title, icon, tags and fields, each set whole by the last writer. Text
+// operations must start from the latest revision; one that doesn't is refused
+// and the client sends it again on top of the operations it missed. A note's
+// shared copy is dropped when its last editor leaves, since every device
+// saves what it edited to its own vault.
+
+const crypto = require('crypto');
+
+const VAULT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE = 16 * 1024 * 1024;
+const HEARTBEAT_INTERVAL = 30000;
+
+const OPCODES = { continuation: 0, text: 1, binary: 2, close: 8, ping: 9, pong: 10 };
+
+// Apply a text operation: retain (n > 0), delete (n < 0) and insert (string) parts
+// that together cover the whole text
+function applyOperation(text, operation) {
+  if (!Array.isArray(operation)) {
+    throw new Error('An operation is a list of parts');
+  }
+
+  let index = 0;
+  let result = '';
+  for (const part of operation) {
+    if (typeof part === 'string') {
+      result += part;
+    } else if (Number.isInteger(part) && part > 0) {
+      result += text.slice(index, index + part);
+      index += part;
+    } else if (Number.isInteger(part) && part < 0) {
+      index -= part;
+    } else {
+      throw new Error('Operation parts are counts or strings');
+    }
+    if (index > text.length) {
+      throw new Error('The operation is longer than the text');
+    }
+  }
+  if (index !== text.length) {
+    throw new Error('The operation is shorter than the text');
+  }
+  return result;
+}
+
+// One connected browser, speaking just enough of RFC 6455 for JSON messages
+class Connection {
+  constructor(socket, onMessage, onClose) {
+    this.socket = socket;
+    this.onMessage = onMessage;
+    this.onClose = onClose;
+    this.buffer = Buffer.alloc(0);
+    this.fragments = [];
+    this.alive = true;
+    this.closed = false;
+
+    socket.on('data', (data) => {
+      this.buffer = Buffer.concat([this.buffer, data]);
+      try {
+        this.readFrames();
+      } catch (error) {
+        this.close(1002, error.message);
+      }
+    });
+    // HTTP server sockets stay half open when the other side hangs up
+    socket.on('end', () => {
+      socket.end();
+      this.finish();
+    });
+    socket.on('close', () => this.finish());
+    socket.on('error', () => this.finish());
+  }
+
+  readFrames() {
+    while (this.buffer.length >= 2) {
+      const fin = (this.buffer[0] & 0x80) !== 0;
+      const opcode = this.buffer[0] & 0x0f;
+      const masked = (this.buffer[1] & 0x80) !== 0;
+      let length = this.buffer[1] & 0x7f;
+      let offset = 2;
+
+      if (length === 126) {
+        if (this.buffer.length < 4) return;
+        length = this.buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (this.buffer.length < 10) return;
+        length = Number(this.buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+
+      if (!masked) throw new Error('Client frames must be masked');
+      if (length > MAX_MESSAGE) throw new Error('Message too large');
+      if (this.buffer.length < offset + 4 + length) return;
+
+      const mask = this.buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+      this.buffer = this.buffer.subarray(offset + 4 + length);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload) {
+    switch (opcode) {
+      case OPCODES.text:
+      case OPCODES.binary:
+      case OPCODES.continuation: {
+        this.fragments.push(payload);
+        const size = this.fragments.reduce((sum, fragment) => sum + fragment.length, 0);
+        if (size > MAX_MESSAGE) throw new Error('Message too large');
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          let message;
+          try {
+            message = JSON.parse(text);
+          } catch (error) {
+            this.send({ type: 'error', error: 'Messages are JSON' });
+            return;
+          }
+          this.onMessage(message);
+        }
+        break;
+      }
+      case OPCODES.ping:
+        this.writeFrame(OPCODES.pong, payload);
+        break;
+      case OPCODES.pong:
+        this.alive = true;
+        break;
+      case OPCODES.close:
+        this.close(1000);
+        break;
+      default:
+        throw new Error(`Unknown opcode ${opcode}`);
+    }
+  }
+
+  writeFrame(opcode, payload) {
+    if (this.closed) return;
+
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[0] = 0x80 | opcode;
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[0] = 0x80 | opcode;
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  send(message) {
+    this.writeFrame(OPCODES.text, Buffer.from(JSON.stringify(message)));
+  }
+
+  // Unanswered since the last heartbeat: the device is gone without saying so
+  heartbeat() {
+    if (!this.alive) {
+      this.socket.destroy();
+      return;
+    }
+    this.alive = false;
+    this.writeFrame(OPCODES.ping, Buffer.alloc(0));
+  }
+
+  close(code, reason = '') {
+    if (this.closed) return;
+
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+    payload.writeUInt16BE(code, 0);
+    payload.write(reason, 2);
+    this.writeFrame(OPCODES.close, payload);
+    this.socket.end();
+    this.finish();
+  }
+
+  finish() {
+    if (this.closed) return;
+    this.closed = true;
+    this.onClose();
+  }
+}
+
+function createCollabServer({ token = '' }) {
+  const vaults = new Map(); // Vault name -> { peers: Map(clientId -> peer), notes: Map(noteId -> note) }
+  const connections = new Set();
+
+  setInterval(() => {
+    for (const connection of connections) {
+      connection.heartbeat();
+    }
+  }, HEARTBEAT_INTERVAL).unref();
+
+  function getVault(name) {
+    if (!vaults.has(name)) {
+      vaults.set(name, { peers: new Map(), notes: new Map() });
+    }
+    return vaults.get(name);
+  }
+
+  function describe(peer) {
+    return { clientId: peer.clientId, name: peer.name, noteId: peer.noteId };
+  }
+
+  function broadcast(vault, message, except) {
+    for (const peer of vault.peers.values()) {
+      if (peer !== except) {
+        peer.connection.send(message);
+      }
+    }
+  }
+
+  function broadcastNote(vault, noteId, message, except) {
+    for (const peer of vault.peers.values()) {
+      if (peer !== except && peer.noteId === noteId) {
+        peer.connection.send(message);
+      }
+    }
+  }
+
+  function leave(vault, peer) {
+    const note = vault.notes.get(peer.noteId);
+    peer.noteId = null;
+    if (note && ![...vault.peers.values()].some(other => other.noteId === note.id)) {
+      vault.notes.delete(note.id);
+    }
+  }
+
+  // The first editor's copy of a note becomes the shared one
+  function join(vault, peer, { noteId, text, props }) {
+    if (typeof noteId !== 'string' || typeof text !== 'string' || !props || typeof props !== 'object') {
+      throw new Error('Joining a note needs its id, text and props');
+    }
+    if (peer.noteId) {
+      leave(vault, peer);
+    }
+
+    let created = false;
+    if (!vault.notes.has(noteId)) {
+      vault.notes.set(noteId, { id: noteId, revision: 0, text, props });
+      created = true;
+    }
+    peer.noteId = noteId;
+
+    const note = vault.notes.get(noteId);
+    peer.connection.send({ type: 'note', noteId, revision: note.revision, text: note.text, props: note.props, created });
+  }
+
+  function getJoinedNote(vault, peer, noteId) {
+    const note = vault.notes.get(noteId);
+    if (!note || peer.noteId !== noteId) {
+      throw new Error('Join the note before changing it');
+    }
+    return note;
+  }
+
+  function handle(vault, peer, message) {
+    switch (message.type) {
+      case 'hello':
+        peer.name = String(message.name || '').slice(0, 60) || 'Someone';
+        broadcast(vault, { type: 'presence', peer: describe(peer) }, peer);
+        break;
+
+      case 'join':
+        join(vault, peer, message);
+        broadcast(vault, { type: 'presence', peer: describe(peer) }, peer);
+        break;
+
+      case 'leave':
+        if (peer.noteId === message.noteId) {
+          leave(vault, peer);
+          broadcast(vault, { type: 'presence', peer: describe(peer) }, peer);
+        }
+        break;
+
+      case 'op': {
+        const note = getJoinedNote(vault, peer, message.noteId);
+        if (message.revision !== note.revision) {
+          peer.connection.send({ type: 'retry', noteId: note.id });
+          break;
+        }
+        note.text = applyOperation(note.text, message.op);
+        note.revision++;
+        peer.connection.send({ type: 'ack', noteId: note.id, revision: note.revision });
+        broadcastNote(vault, note.id, { type: 'op', noteId: note.id, revision: note.revision, op: message.op, clientId: peer.clientId }, peer);
+        break;
+      }
+
+      case 'set': {
+        const note = getJoinedNote(vault, peer, message.noteId);
+        if (typeof message.key !== 'string') {
+          throw new Error('A change names its key');
+        }
+        if (message.value === null || message.value === undefined) {
+          delete note.props[message.key];
+        } else {
+          note.props[message.key] = message.value;
+        }
+        // To the sender too, which learns where its change fell among the others
+        broadcastNote(vault, note.id, { type: 'set', noteId: note.id, key: message.key, value: message.value ?? null, clientId: peer.clientId });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown message type ${message.type}`);
+    }
+  }
+
+  function refuse(socket, status, message) {
+    socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  }
+
+  // Take over an HTTP upgrade request, or return false if it isn't ours
+  return function handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^\/api\/vaults\/([^/]+)\/live$/);
+    if (!match) return false;
+
+    // Browsers can't set headers on a WebSocket, so the token comes in the URL
+    if (token && url.searchParams.get('token') !== token) {
+      refuse(socket, 401, 'Unauthorized');
+      return true;
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(match[1]);
+    } catch (error) {
+      name = '';
+    }
+    const key = req.headers['sec-websocket-key'];
+    if (!VAULT_NAME.test(name) || !key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+      refuse(socket, 400, 'Bad Request');
+      return true;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '', ''
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+    if (head?.length) {
+      socket.unshift(head);
+    }
+
+    const vault = getVault(name);
+    const peer = { clientId: crypto.randomUUID(), name: 'Someone', noteId: null, connection: null };
+
+    peer.connection = new Connection(socket, (message) => {
+      try {
+        handle(vault, peer, message);
+      } catch (error) {
+        // Out of step with the shared copy: start over from it
+        peer.connection.send({ type: 'error', error: error.message });
+        const note = vault.notes.get(peer.noteId);
+        if (note) {
+          peer.connection.send({ type: 'note', noteId: note.id, revision: note.revision, text: note.text, props: note.props, created: false });
+        }
+      }
+    }, () => {
+      connections.delete(peer.connection);
+      leave(vault, peer);
+      vault.peers.delete(peer.clientId);
+      broadcast(vault, { type: 'gone', clientId: peer.clientId });
+      if (vault.peers.size === 0) {
+        vaults.delete(name);
+      }
+    });
+
+    connections.add(peer.connection);
+    vault.peers.set(peer.clientId, peer);
+    peer.connection.send({ type: 'welcome', clientId: peer.clientId, peers: [...vault.peers.values()].filter(other => other !== peer).map(describe) });
+    return true;
+  };
+}
+
+module.exports = { createCollabServer, applyOperation };
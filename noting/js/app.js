@@ -3,34 +3,61 @@
  */
 
 import { db } from './core/db.js';
+import { getFieldDef, isEmptyValue } from './core/fields.js';
 import { store } from './core/store.js';
+import { vaults, DEFAULT_VAULT_ID } from './core/vaults.js';
+import { sync } from './core/sync.js';
+import { markdown } from './core/markdown.js';
+import { createZip, readZip } from './core/zip.js';
+import { exportMarkdownFiles, parseMarkdownFiles, isMarkdownFile } from './core/markdown-files.js';
 import { TreeRenderer } from './components/tree.js';
 import { Editor } from './components/editor.js';
 import { Search } from './components/search.js';
+import { HistoryPanel } from './components/history.js';
+import { TrashView } from './components/trash.js';
+import { Toast } from './components/toast.js';
+import { ImportPreview } from './components/import-preview.js';
+import { TemplateEditor } from './components/template-editor.js';
+import { QueryView } from './components/query-view.js';
+import { GraphView } from './components/graph-view.js';
+import { TagBrowser } from './components/tag-browser.js';
+import { DiceRoller } from './components/dice-roller.js';
+import { CombatTracker } from './components/combat-tracker.js';
+import { Journal } from './components/journal.js';
+import { VaultSwitcher } from './components/vault-switcher.js';
+import { UpdateBanner } from './components/update-banner.js';
+import { SyncPanel } from './components/sync-panel.js';
 
 // Initialize the application
 class App {
   constructor() {
-    this.treeRenderer = new TreeRenderer();
-    this.editor = new Editor();
-    this.search = new Search();
+    this.toast = new Toast();
+    this.treeRenderer = new TreeRenderer(this.toast, (parentId) => this.showTemplateModal(parentId));
+    this.editor = new Editor(this.toast);
+    this.search = new Search((expression) => this.diceRoller.roll(expression));
+    this.history = new HistoryPanel(this.editor);
+    this.trashView = new TrashView();
+    this.importPreview = new ImportPreview(this.toast);
+    this.templateEditor = new TemplateEditor(this.toast);
+    this.queryView = new QueryView(this.toast, (queryId) => this.showQueryView(queryId));
+    this.tagBrowser = new TagBrowser(this.toast, (tag) => this.showTagNotes(tag));
+    this.diceRoller = new DiceRoller(this.toast);
+    this.combatTracker = new CombatTracker(this.toast);
+    this.journal = new Journal(this.toast, () => this.showTimeline());
+    this.graphView = new GraphView(this.toast, (nodeId) => this.editor.openLinkedNote(nodeId));
+    this.vaultSwitcher = new VaultSwitcher(this.toast, (vaultId) => this.switchVault(vaultId));
+    this.updateBanner = new UpdateBanner(this.toast, () => this.editor.forceSave());
+    this.syncPanel = new SyncPanel(this.toast, () => this.editor.forceSave());
     this.quickViewNoteIds = new Set(); // Track which notes have quick views open
     this.setupEventListeners();
   }
 
   async init() {
     try {
-      await store.init();
-
-      // Check if we have any data, if not seed with example data
-      const nodes = Array.from(store.nodes.values());
-      if (nodes.length === 0) {
-        await this.seedExampleData();
-      }
-
-      this.treeRenderer.render();
+      const vaultId = vaults.getLastId();
+      await store.init(vaults.databaseName(vaultId));
+      await this.showVault(vaultId);
       this.setupKeyboardShortcuts();
-      this.renderDashboard();
 
       // Handle window resize for mobile/desktop switching
       window.addEventListener('resize', () => {
@@ -41,6 +68,8 @@ class App {
         }
       });
 
+      this.updateBanner.register();
+
       console.log('DnD Notes Vault initialized');
     } catch (error) {
       console.error('Failed to initialize app:', error);
@@ -48,6 +77,45 @@ class App {
     }
   }
 
+  // Render everything for the vault just opened
+  async showVault(vaultId) {
+    vaults.setCurrent(vaultId);
+    this.vaultSwitcher.render();
+    await store.purgeExpiredTrash(this.trashView.retentionDays);
+    this.trashView.render();
+    this.queryView.renderList();
+    this.tagBrowser.render();
+    this.journal.renderStatus();
+
+    // Check if we have any data, if not seed with example data (new vaults start empty)
+    if (store.nodes.size === 0 && vaultId === DEFAULT_VAULT_ID) {
+      await this.seedExampleData();
+      store.undoStack.clear();
+    }
+
+    this.treeRenderer.render();
+    this.renderDashboard();
+    this.syncPanel.onVaultOpened();
+  }
+
+  // Save the open note, then load another vault in place of this one
+  // Another tab upgraded or deleted the open vault, which closed it here: stop
+  // saving and ask for a reload rather than let edits fail one by one
+  showVaultClosed() {
+    clearTimeout(this.editor.debounceTimer);
+    document.querySelectorAll('.modal:not(.hidden)').forEach(modal => modal.classList.add('hidden'));
+    document.getElementById('vault-closed-modal').classList.remove('hidden');
+  }
+
+  async switchVault(vaultId) {
+    await this.editor.forceSave();
+    await sync.idle();
+    this.editor.nodeId = null;
+    this.quickViewNoteIds.clear();
+    await store.openVault(vaults.databaseName(vaultId));
+    await this.showVault(vaultId);
+  }
+
   setupEventListeners() {
     // Sidebar toggle
     document.getElementById('sidebar-toggle').addEventListener('click', () => {
@@ -97,6 +165,28 @@ class App {
       this.search.open();
     });
 
+    document.getElementById('dashboard-combat').addEventListener('click', () => {
+      this.diceRoller.close();
+      this.combatTracker.open();
+    });
+
+    // The dice and combat panels share the right edge, so one closes the other
+    document.getElementById('dice-btn').addEventListener('click', () => {
+      this.combatTracker.close();
+    });
+    document.getElementById('combat-btn').addEventListener('click', () => {
+      this.diceRoller.close();
+    });
+
+    // Relationship graph, of the whole vault or around the open note
+    document.getElementById('graph-btn').addEventListener('click', () => {
+      this.showGraph();
+    });
+
+    document.getElementById('graph-note-btn').addEventListener('click', () => {
+      this.showGraph(store.selectedNodeId);
+    });
+
     // Mobile navigation
     this.setupMobileNav();
 
@@ -107,17 +197,38 @@ class App {
 
     // Export/Import
     document.getElementById('export-btn').addEventListener('click', () => {
-      this.exportVault();
+      this.showExportModal();
     });
 
     document.getElementById('import-btn').addEventListener('click', () => {
-      document.getElementById('import-file').click();
+      this.showImportModal();
     });
 
     document.getElementById('import-file').addEventListener('change', (e) => {
       this.importVault(e.target.files[0]);
     });
 
+    ['import-markdown-file', 'import-markdown-folder'].forEach(id => {
+      document.getElementById(id).addEventListener('change', async (e) => {
+        await this.importMarkdown(Array.from(e.target.files));
+        e.target.value = '';
+      });
+    });
+
+    document.getElementById('import-error-close').addEventListener('click', () => {
+      document.getElementById('import-error-modal').classList.add('hidden');
+    });
+
+    // Templates
+    document.getElementById('manage-templates').addEventListener('click', () => {
+      this.templateEditor.open(document.getElementById('template-select').value);
+    });
+
+    document.getElementById('template-manage').addEventListener('click', () => {
+      document.getElementById('template-modal').classList.add('hidden');
+      this.templateEditor.open();
+    });
+
     // Help modal
     document.getElementById('help-btn').addEventListener('click', () => {
       document.getElementById('help-modal').classList.remove('hidden');
@@ -128,7 +239,7 @@ class App {
     });
 
     // Close modals on overlay click
-    document.querySelectorAll('.modal-overlay').forEach(overlay => {
+    document.querySelectorAll('.modal:not(.modal-blocking) .modal-overlay').forEach(overlay => {
       overlay.addEventListener('click', (e) => {
         e.target.closest('.modal').classList.add('hidden');
       });
@@ -143,6 +254,12 @@ class App {
       this.treeRenderer.render();
     });
 
+    store.on('vaultClosed', () => this.showVaultClosed());
+
+    document.getElementById('vault-closed-reload').addEventListener('click', () => {
+      location.reload();
+    });
+
     store.on('activeChanged', (nodeId) => {
       // Update editor button if this is the current note
       if (nodeId === store.selectedNodeId && this.editor) {
@@ -205,6 +322,24 @@ class App {
         this.editor.forceSave();
       }
 
+      // Ctrl+E - Toggle markdown preview
+      if (isCtrl && e.key === 'e') {
+        e.preventDefault();
+        if (this.editor.nodeId) {
+          this.editor.toggleViewMode();
+        }
+      }
+
+      // Ctrl+Z - Undo, Ctrl+Shift+Z - Redo (text fields keep their own undo)
+      if (isCtrl && e.key.toLowerCase() === 'z' && !this.isTextInput(e.target)) {
+        e.preventDefault();
+        if (e.shiftKey) {
+          this.redo();
+        } else {
+          this.undo();
+        }
+      }
+
       // Ctrl+B - Toggle Active
       if (isCtrl && e.key === 'b') {
         e.preventDefault();
@@ -216,11 +351,15 @@ class App {
         }
       }
 
-      // Escape - Close modals
+      // Escape - Close modals, or clear the tree's multi-selection
       if (e.key === 'Escape') {
-        document.querySelectorAll('.modal').forEach(modal => {
+        const modals = document.querySelectorAll('.modal:not(.hidden):not(.modal-blocking)');
+        modals.forEach(modal => {
           modal.classList.add('hidden');
         });
+        if (modals.length === 0 && this.treeRenderer.hasSelection()) {
+          this.treeRenderer.clearSelection();
+        }
       }
 
       // F2 - Rename selected node
@@ -229,14 +368,58 @@ class App {
         this.treeRenderer.startRenaming(store.selectedNodeId);
       }
 
-      // Delete - Delete selected node
-      if (e.key === 'Delete' && store.selectedNodeId) {
+      // Delete - Delete the multi-selection, or else the selected node
+      if (e.key === 'Delete' && this.treeRenderer.hasSelection() && !this.isTextInput(e.target)) {
+        e.preventDefault();
+        this.treeRenderer.showDeleteConfirmation(this.treeRenderer.getSelection());
+      } else if (e.key === 'Delete' && store.selectedNodeId) {
         e.preventDefault();
         this.showDeleteConfirmation(store.selectedNodeId);
       }
     });
   }
 
+  isTextInput(element) {
+    return element.matches('textarea, select, [contenteditable="true"], input:not([type="checkbox"]):not([type="radio"])');
+  }
+
+  async undo() {
+    // Flush pending edits so they become the step being undone
+    await this.editor.forceSave();
+
+    try {
+      const command = await store.undo();
+      if (!command) {
+        this.toast.show('Nothing to undo');
+        return;
+      }
+      this.toast.show(`Undone: ${command.label}`, {
+        action: { label: 'Redo', onClick: () => this.redo() }
+      });
+    } catch (error) {
+      console.error('Undo failed:', error);
+      this.toast.show(`Couldn't undo: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  async redo() {
+    await this.editor.forceSave();
+
+    try {
+      const command = await store.redo();
+      if (!command) {
+        this.toast.show('Nothing to redo');
+        return;
+      }
+      this.toast.show(`Redone: ${command.label}`, {
+        action: { label: 'Undo', onClick: () => this.undo() }
+      });
+    } catch (error) {
+      console.error('Redo failed:', error);
+      this.toast.show(`Couldn't redo: ${error.message}`, { type: 'error' });
+    }
+  }
+
   closeMobileSidebar() {
     const sidebar = document.getElementById('sidebar');
     const overlay = document.getElementById('sidebar-overlay');
@@ -315,6 +498,9 @@ class App {
 
     // Close mobile sidebar when selecting something
     this.closeMobileSidebar();
+    this.queryView.hide();
+    this.journal.hideTimeline();
+    this.graphView.hide();
 
     // Update mobile nav active state
     if (mobileHome) {
@@ -359,6 +545,59 @@ class App {
     }
   }
 
+  // Replace the dashboard or editor with a saved query, or a new one for null
+  // (optionally starting from queryText)
+  async showQueryView(queryId, queryText = '') {
+    if (store.selectedNodeId) {
+      await store.selectNode(null);
+    }
+
+    this.closeMobileSidebar();
+    document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('editor').classList.add('hidden');
+    document.getElementById('breadcrumbs').innerHTML = '';
+    this.journal.hideTimeline();
+    this.graphView.hide();
+    this.queryView.open(queryId, queryText);
+  }
+
+  // Replace the dashboard or editor with the campaign timeline
+  async showTimeline() {
+    if (store.selectedNodeId) {
+      await store.selectNode(null);
+    }
+
+    this.closeMobileSidebar();
+    document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('editor').classList.add('hidden');
+    document.getElementById('breadcrumbs').innerHTML = '';
+    this.queryView.hide();
+    this.graphView.hide();
+    this.journal.openTimeline();
+  }
+
+  // Replace the dashboard or editor with the relationship graph, focused on a
+  // note if focusId is given
+  async showGraph(focusId = null) {
+    if (store.selectedNodeId) {
+      await this.editor.forceSave();
+      await store.selectNode(null);
+    }
+
+    this.closeMobileSidebar();
+    document.getElementById('dashboard').classList.add('hidden');
+    document.getElementById('editor').classList.add('hidden');
+    document.getElementById('breadcrumbs').innerHTML = '';
+    this.queryView.hide();
+    this.journal.hideTimeline();
+    await this.graphView.open(focusId);
+  }
+
+  // List the notes with a tag, or one nested under it, as a query
+  showTagNotes(tag) {
+    this.showQueryView(null, `tag:"${tag.replace(/["\\]/g, '\\$&')}"`);
+  }
+
   renderDashboard() {
     // Update stats
     const nodes = Array.from(store.nodes.values());
@@ -473,6 +712,26 @@ class App {
     return div.innerHTML;
   }
 
+  // Field values for the cards: fractional CRs as 1/8, 1/4 and 1/2, big numbers grouped
+  formatQuickViewField(content, key) {
+    const def = getFieldDef(content, key);
+    const value = content.fields[key];
+
+    if (def.type === 'number' && typeof value === 'number') {
+      if (key.toLowerCase() === 'cr' && value > 0 && value < 1) {
+        return `1/${Math.round(1 / value)}`;
+      }
+      return value.toLocaleString();
+    }
+    if (def.type === 'checkbox') {
+      return value ? '✓' : '✗';
+    }
+    if (def.type === 'date' && value) {
+      return new Date(`${value}T00:00`).toLocaleDateString();
+    }
+    return store.formatField(content, key);
+  }
+
   toggleQuickView(noteId) {
     if (this.quickViewNoteIds.has(noteId)) {
       this.quickViewNoteIds.delete(noteId);
@@ -508,7 +767,7 @@ class App {
       const fields = content.fields || {};
       
       const sortedEntries = Object.entries(fields)
-        .filter(([_, value]) => value)
+        .filter(([_, value]) => !isEmptyValue(value))
         .sort((a, b) => {
           const aIndex = priorityFields.indexOf(a[0]);
           const bIndex = priorityFields.indexOf(b[0]);
@@ -522,7 +781,7 @@ class App {
       const card = document.createElement('div');
       card.className = 'quickview-card';
       
-      const fieldsHtml = sortedEntries.map(([key, value]) => {
+      const fieldsHtml = sortedEntries.map(([key]) => {
         let valueClass = 'quickview-card-field-value';
         if (key.toLowerCase() === 'hp') valueClass += ' hp-value';
         if (key.toLowerCase() === 'ac') valueClass += ' ac-value';
@@ -530,7 +789,7 @@ class App {
         return `
           <div class="quickview-card-field">
             <span class="quickview-card-field-key">${this.escapeHtml(key)}:</span>
-            <span class="${valueClass}">${this.escapeHtml(value)}</span>
+            <span class="${valueClass}">${markdown.renderDiceText(this.formatQuickViewField(content, key), `${note.name} · ${key}`)}</span>
           </div>
         `;
       }).join('');
@@ -606,13 +865,14 @@ class App {
     const modal = document.getElementById('template-modal');
     modal.classList.remove('hidden');
 
-    const handleSelect = async (template) => {
+    const handleSelect = async (choice) => {
       modal.classList.add('hidden');
       const node = await store.createNode({
-        name: 'New Note',
+        name: choice.map ? 'New Map' : 'New Note',
         type: 'leaf',
         parentId,
-        template: template || null
+        template: choice.id || null,
+        map: Boolean(choice.map)
       });
 
       // Auto-expand parent
@@ -629,10 +889,20 @@ class App {
       }, 50);
     };
 
-    // Handle template selection
-    modal.querySelectorAll('.template-option').forEach(btn => {
-      btn.onclick = () => handleSelect(btn.dataset.template);
-    });
+    // One choice per template in the registry, after a blank note and a map
+    const choices = document.getElementById('template-choices');
+    choices.innerHTML = '';
+    const blank = [{ id: '', name: 'Blank Note', icon: '📄' }, { id: '', name: 'Map', icon: '🗺️', map: true }];
+    for (const template of [...blank, ...store.getTemplates()]) {
+      const btn = document.createElement('button');
+      btn.className = 'template-option';
+      btn.innerHTML = `
+        <span class="template-icon">${this.escapeHtml(template.icon)}</span>
+        <span class="template-name">${this.escapeHtml(template.name)}</span>
+      `;
+      btn.onclick = () => handleSelect(template);
+      choices.appendChild(btn);
+    }
 
     document.getElementById('template-cancel').onclick = () => {
       modal.classList.add('hidden');
@@ -648,7 +918,7 @@ class App {
     const message = document.getElementById('confirm-message');
 
     title.textContent = 'Delete Node';
-    message.textContent = `Are you sure you want to delete "${node.name}"? This action cannot be undone.`;
+    message.textContent = `Move "${node.name}" to the trash? You can restore it from the Trash in the sidebar.`;
 
     modal.classList.remove('hidden');
 
@@ -662,6 +932,119 @@ class App {
     };
   }
 
+  showExportModal() {
+    const modal = document.getElementById('export-modal');
+    modal.classList.remove('hidden');
+
+    modal.querySelectorAll('.template-option').forEach(btn => {
+      btn.onclick = () => {
+        modal.classList.add('hidden');
+        if (btn.dataset.format === 'markdown') {
+          this.exportMarkdown();
+        } else {
+          this.exportVault();
+        }
+      };
+    });
+
+    document.getElementById('export-cancel').onclick = () => {
+      modal.classList.add('hidden');
+    };
+  }
+
+  showImportModal() {
+    const modal = document.getElementById('import-modal');
+    modal.classList.remove('hidden');
+
+    const inputs = {
+      'markdown-file': 'import-markdown-file',
+      'markdown-folder': 'import-markdown-folder',
+      json: 'import-file'
+    };
+
+    modal.querySelectorAll('.template-option').forEach(btn => {
+      btn.onclick = () => {
+        modal.classList.add('hidden');
+        document.getElementById(inputs[btn.dataset.source]).click();
+      };
+    });
+
+    document.getElementById('import-cancel').onclick = () => {
+      modal.classList.add('hidden');
+    };
+  }
+
+  async exportMarkdown() {
+    try {
+      const blob = await createZip(await exportMarkdownFiles());
+      const url = URL.createObjectURL(blob);
+
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `dnd-vault-${new Date().toISOString().split('T')[0]}.zip`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Markdown export failed:', error);
+      this.toast.show(`Export failed: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  // Add a .zip of notes, loose .md files or a picked folder under the selected folder
+  async importMarkdown(files) {
+    if (files.length === 0) return;
+
+    try {
+      const sources = [];
+      let wrapperName = null;
+
+      for (const file of files) {
+        if (/\.zip$/i.test(file.name)) {
+          wrapperName = file.name.replace(/\.zip$/i, '');
+          sources.push(...await readZip(file));
+        } else {
+          // Folder picks include every file; notes are read, other files kept for attachments
+          const path = file.webkitRelativePath || file.name;
+          sources.push(isMarkdownFile(path)
+            ? { path, text: await file.text(), modifiedAt: file.lastModified }
+            : { path, blob: file, modifiedAt: file.lastModified });
+        }
+      }
+
+      const parentId = this.getCreationParentId();
+      const { nodes, contents, attachments, skipped } = parseMarkdownFiles(sources, { parentId, wrapperName });
+
+      if (contents.length === 0) {
+        this.toast.show('No Markdown notes found to import', { type: 'error' });
+        return;
+      }
+
+      const label = wrapperName ||
+        (files[0].webkitRelativePath ? files[0].webkitRelativePath.split('/')[0] : null) ||
+        (files.length > 1 ? `${files.length} files` : files[0].name);
+      const roots = await store.importNodes(`Import "${label}"`, nodes, contents, attachments);
+
+      // Reveal what was added
+      for (const ancestor of store.getNodePath(roots[0].id).slice(0, -1)) {
+        store.expandedNodes.add(ancestor.id);
+      }
+      store.emit('nodesChanged');
+
+      const count = contents.length;
+      const attachmentCount = attachments.length;
+      this.toast.show(
+        `Imported ${count} note${count > 1 ? 's' : ''}` +
+        (attachmentCount > 0 ? ` and ${attachmentCount} attachment${attachmentCount > 1 ? 's' : ''}` : '') +
+        (skipped > 0 ? ` (skipped ${skipped} other file${skipped > 1 ? 's' : ''})` : '')
+      );
+    } catch (error) {
+      console.error('Markdown import failed:', error);
+      this.toast.show(`Import failed: ${error.message}`, { type: 'error' });
+    }
+  }
+
   async exportVault() {
     try {
       const data = await store.exportVault();
@@ -681,26 +1064,48 @@ class App {
     }
   }
 
+  // Preview a backup or subtree export; merging and replacing are offered from there
   async importVault(file) {
     if (!file) return;
 
     try {
       const text = await file.text();
-      const data = JSON.parse(text);
-
-      if (confirm('This will replace all current data. Are you sure?')) {
-        await store.importVault(data);
-        alert('Import successful!');
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch (error) {
+        throw new Error(`The file is not valid JSON (${error.message})`);
       }
+      await this.importPreview.open(data, file.name, this.getCreationParentId());
     } catch (error) {
       console.error('Import failed:', error);
-      alert('Import failed. Please check that the file is a valid vault export.');
+      this.showImportError(file.name, error);
     }
 
     // Reset file input
     document.getElementById('import-file').value = '';
   }
 
+  // List every problem a schema check found, rather than a generic failure
+  showImportError(fileName, error) {
+    const problems = error.problems || [];
+    document.getElementById('import-error-title').textContent = `Couldn't import ${fileName}`;
+    document.getElementById('import-error-message').textContent = problems.length > 1
+      ? `Nothing was changed. ${problems.length} problems were found:`
+      : `Nothing was changed. ${error.message}`;
+
+    const list = document.getElementById('import-error-list');
+    list.innerHTML = '';
+    list.classList.toggle('hidden', problems.length < 2);
+    for (const problem of problems) {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      list.appendChild(item);
+    }
+
+    document.getElementById('import-error-modal').classList.remove('hidden');
+  }
+
   isInputFocused() {
     const activeElement = document.activeElement;
     return activeElement && (
@@ -727,7 +1132,7 @@ class App {
       active: true
     });
 
-    await db.saveContent({
+    await store.saveContent({
       nodeId: grahda.id,
       icon: '🧌',
       markdown: `# Grahda\n\nAn ancient emerald troll who dwells in the deepest parts of the Midnight Marsh. Unlike most trolls, Grahda possesses surprising intelligence and cunning.\n\n## Personality\n- Slow to anger but terrifying when roused\n- Speaks in riddles\n- Has a strange fondness for collecting shiny objects\n\n## Role in Campaign\nGrahda guards the entrance to the Old Ruins and can provide crucial information about the Oil of Midnight if the party approaches with respect and offerings.`,
@@ -741,6 +1146,7 @@ class App {
         'Motivations': 'Protecting ancient secrets, acquiring shiny treasures',
         'Secrets': 'Knows the true location of the Sunless Crown'
       },
+      fieldTypes: store.getTemplateFieldTypes('npc'),
       tags: ['troll', 'marsh', 'quest-giver', 'green-marsh'],
       links: [],
       updatedAt: Date.now()
@@ -758,7 +1164,7 @@ class App {
       icon: '🌲'
     });
 
-    await db.saveContent({
+    await store.saveContent({
       nodeId: emeraldMire.id,
       icon: '🌲',
       markdown: `# The Emerald Mire\n\nA vast swamp known for its phosphorescent plant life that gives the waters an eerie green glow.\n\n## Hazards\n- Quicksand patches\n- Disease-carrying insects\n- Will-o'-wisps that lead travelers astray\n\n## Notable Locations\n- Grahda\'s Mound\n- The Sunken Cathedral\n- Oil Springs`,
@@ -787,7 +1193,7 @@ class App {
       active: true
     });
 
-    await db.saveContent({
+    await store.saveContent({
       nodeId: oilQuest.id,
       icon: '📜',
       markdown: `# Oil in the Midnight Marsh\n\nThe village of Millbrook needs magical oil from the Emerald Mire to fuel their protective lanterns during the Long Night.\n\n## Objectives\n1. Travel to the Emerald Mire\n2. Locate the natural oil springs\n3. Collect 3 vials of pure midnight oil\n4. Return to Millbrook before the new moon\n\n## Complications\n- The oil springs are near Grahda\'s territory\n- A rival adventuring party is also seeking the oil\n- The oil is toxic without proper preparation`,
@@ -796,9 +1202,14 @@ class App {
         'Level': '3-5',
         'Giver': 'Mayor Elara of Millbrook',
         'Reward': '500gp + Blessing of the Hearth',
-        'Location': 'Emerald Mire',
+        'Location': emeraldMire.id,
         'Objective': 'Collect midnight oil for village lanterns'
       },
+      fieldTypes: {
+        'Status': store.getTemplateFieldTypes('quest').Status,
+        'Location': { type: 'link' },
+        'Objective': { type: 'longtext' }
+      },
       tags: ['active', 'millbrook', 'emerald-mire', 'side-quest'],
       links: [emeraldMire.id, grahda.id],
       updatedAt: Date.now()
@@ -813,7 +1224,7 @@ class App {
       icon: '👤'
     });
 
-    await db.saveContent({
+    await store.saveContent({
       nodeId: elara.id,
       icon: '👤',
       markdown: `# Mayor Elara\n\nThe capable but stressed mayor of Millbrook. She's been trying to keep the village safe as the Long Night approaches.`,
@@ -827,6 +1238,7 @@ class App {
         'Motivations': 'Protecting her village',
         'Secrets': 'The village funds are nearly depleted'
       },
+      fieldTypes: store.getTemplateFieldTypes('npc'),
       tags: ['millbrook', 'quest-giver', 'human'],
       links: [oilQuest.id],
       updatedAt: Date.now()
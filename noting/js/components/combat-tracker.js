@@ -0,0 +1,363 @@
+/**
+ * Combat Tracker Component
+ * Initiative order, hit points, conditions and concentration for an encounter,
+ * with turns and rounds. The encounter is saved as it changes.
+ */
+
+import { store } from '../core/store.js';
+import { rollDice } from '../core/dice.js';
+import {
+  CONDITIONS, initiativeExpression, isDefeated,
+  applyDamage, applyHealing, grantTempHp, concentrationDC, stepTurn
+} from '../core/combat.js';
+
+const KIND_ICONS = { player: 'fa-user-shield', npc: 'fa-user', monster: 'fa-dragon' };
+
+export class CombatTracker {
+  constructor(toast) {
+    this.toast = toast;
+    this.panel = document.getElementById('combat-panel');
+    this.list = document.getElementById('combat-list');
+    this.roundEl = document.getElementById('combat-round');
+    this.nextBtn = document.getElementById('combat-next');
+    this.prevBtn = document.getElementById('combat-prev');
+    this.addForm = document.getElementById('combat-add-form');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('combat-btn').addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    document.getElementById('combat-close').addEventListener('click', () => {
+      this.close();
+    });
+
+    document.getElementById('combat-add-active').addEventListener('click', () => {
+      this.addActiveNotes();
+    });
+
+    document.getElementById('combat-roll').addEventListener('click', () => {
+      this.rollInitiative();
+    });
+
+    this.addForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.addCombatant();
+    });
+
+    this.nextBtn.addEventListener('click', () => this.nextTurn());
+    this.prevBtn.addEventListener('click', () => this.previousTurn());
+    document.getElementById('combat-end').addEventListener('click', () => this.endEncounter());
+
+    store.on('encounterChanged', () => {
+      if (this.isOpen()) {
+        this.render();
+      }
+    });
+
+    // Names of deleted notes stop linking to them
+    store.on('nodesChanged', () => {
+      if (this.isOpen()) {
+        this.render();
+      }
+    });
+  }
+
+  isOpen() {
+    return !this.panel.classList.contains('hidden');
+  }
+
+  open() {
+    this.panel.classList.remove('hidden');
+    this.render();
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  async addActiveNotes() {
+    const count = await store.addActiveNotesToEncounter();
+    this.toast.show(count > 0
+      ? `Added ${count} combatant${count === 1 ? '' : 's'} from active notes`
+      : 'No active monster, NPC or player notes to add. Mark notes as active first.');
+  }
+
+  async addCombatant() {
+    const name = document.getElementById('combat-add-name').value.trim();
+    if (!name) {
+      document.getElementById('combat-add-name').focus();
+      return;
+    }
+
+    const number = (id) => {
+      const value = document.getElementById(id).value;
+      return value === '' ? null : Number(value);
+    };
+    await store.addCombatants([store.createCombatant({
+      name,
+      kind: document.getElementById('combat-add-kind').value,
+      hp: number('combat-add-hp'),
+      ac: number('combat-add-ac'),
+      initiativeBonus: number('combat-add-init') || 0
+    })]);
+
+    this.addForm.reset();
+    document.getElementById('combat-add-name').focus();
+  }
+
+  // Roll for everyone without an initiative yet. Returns the number rolled.
+  async rollInitiative() {
+    const rolled = [];
+    await store.updateEncounter(encounter => {
+      for (const combatant of encounter.combatants) {
+        if (combatant.initiative !== null) continue;
+        combatant.initiative = rollDice(initiativeExpression(combatant.initiativeBonus)).total;
+        rolled.push(`${combatant.name} ${combatant.initiative}`);
+      }
+    });
+
+    if (rolled.length > 0) {
+      this.toast.show(`🎲 Initiative: ${rolled.join(', ')}`);
+    }
+    return rolled.length;
+  }
+
+  async nextTurn() {
+    if (store.encounter.combatants.length === 0) {
+      this.toast.show('Add combatants first');
+      return;
+    }
+
+    if (store.encounter.round === 0) {
+      // Starting combat: anyone who hasn't rolled does so now
+      await this.rollInitiative();
+      await store.updateEncounter(encounter => {
+        const turn = stepTurn({ ...encounter, round: 1, turnId: null }, 1);
+        encounter.round = 1;
+        encounter.turnId = turn ? turn.turnId : null;
+      });
+      return;
+    }
+
+    const turn = stepTurn(store.encounter, 1);
+    if (!turn) {
+      this.toast.show('Everyone is down');
+      return;
+    }
+    await store.updateEncounter(encounter => Object.assign(encounter, turn));
+  }
+
+  async previousTurn() {
+    const turn = stepTurn(store.encounter, -1);
+    if (turn) {
+      await store.updateEncounter(encounter => Object.assign(encounter, turn));
+    }
+  }
+
+  // Monsters and NPCs leave; players stay, with their hit points, for the next fight
+  async endEncounter() {
+    if (store.encounter.combatants.length === 0) return;
+    if (!confirm('End the encounter? Monsters and NPCs are removed; players stay for the next one.')) return;
+
+    await store.updateEncounter(encounter => {
+      encounter.round = 0;
+      encounter.turnId = null;
+      encounter.combatants = encounter.combatants
+        .filter(combatant => combatant.kind === 'player')
+        .map(combatant => ({ ...combatant, initiative: null, tempHp: 0, conditions: [], concentrating: false }));
+    });
+  }
+
+  async updateCombatant(id, change) {
+    await store.updateEncounter(encounter => {
+      const combatant = encounter.combatants.find(c => c.id === id);
+      if (combatant) {
+        change(combatant);
+      }
+    });
+  }
+
+  async changeHp(combatant, action, amount) {
+    if (!Number.isFinite(amount) || amount <= 0) return;
+
+    await this.updateCombatant(combatant.id, (target) => {
+      if (action === 'damage') applyDamage(target, amount);
+      if (action === 'heal') applyHealing(target, amount);
+      if (action === 'temp') grantTempHp(target, amount);
+    });
+
+    if (action === 'damage' && combatant.concentrating) {
+      this.toast.show(`${combatant.name} is concentrating: DC ${concentrationDC(amount)} Constitution save to keep it`, { duration: 8000 });
+    }
+  }
+
+  async removeCombatant(id) {
+    await store.updateEncounter(encounter => {
+      // Pass the turn on before leaving
+      if (encounter.turnId === id) {
+        const turn = stepTurn(encounter, 1);
+        Object.assign(encounter, turn && turn.turnId !== id ? turn : { turnId: null });
+      }
+      encounter.combatants = encounter.combatants.filter(combatant => combatant.id !== id);
+    });
+  }
+
+  // Another of the same creature, e.g. a second goblin with full hit points
+  async copyCombatant(combatant) {
+    const note = combatant.noteId ? store.getNode(combatant.noteId) : null;
+    await store.addCombatants([store.createCombatant({
+      name: note ? note.name : combatant.name,
+      kind: combatant.kind,
+      noteId: combatant.noteId,
+      hp: combatant.maxHp,
+      ac: combatant.ac,
+      initiativeBonus: combatant.initiativeBonus
+    })]);
+  }
+
+  render() {
+    const { round, turnId } = store.encounter;
+    const combatants = store.getCombatants();
+
+    this.roundEl.textContent = round > 0 ? `Round ${round}` : '';
+    this.nextBtn.innerHTML = round > 0
+      ? '<i class="fas fa-forward-step"></i> Next Turn'
+      : '<i class="fas fa-play"></i> Start Combat';
+    this.prevBtn.disabled = round === 0;
+
+    // Keep focus in the same input across the re-render
+    const active = this.list.contains(document.activeElement) ? document.activeElement : null;
+    const focused = active?.closest('.combatant')
+      ? { id: active.closest('.combatant').dataset.id, className: active.className }
+      : null;
+
+    this.list.innerHTML = '';
+
+    if (combatants.length === 0) {
+      this.list.innerHTML = `
+        <div class="combat-empty">
+          <i class="fas fa-shield-halved"></i>
+          <p>No combatants yet</p>
+          <span>Add active monster and NPC notes, or add players and creatures by name</span>
+        </div>
+      `;
+      return;
+    }
+
+    for (const combatant of combatants) {
+      this.list.appendChild(this.renderCombatant(combatant, combatant.id === turnId));
+    }
+
+    if (focused) {
+      const row = [...this.list.querySelectorAll('.combatant')].find(el => el.dataset.id === focused.id);
+      const input = row?.getElementsByClassName(focused.className)[0];
+      input?.focus();
+    }
+  }
+
+  renderCombatant(combatant, current) {
+    const linked = combatant.noteId && store.getNode(combatant.noteId);
+    const el = document.createElement('div');
+    el.className = `combatant kind-${combatant.kind}`;
+    el.classList.toggle('current', current);
+    el.classList.toggle('defeated', isDefeated(combatant));
+    el.dataset.id = combatant.id;
+
+    const hasHp = combatant.maxHp !== null;
+    const percent = hasHp && combatant.maxHp > 0 ? Math.round((combatant.hp / combatant.maxHp) * 100) : 0;
+    const hpText = hasHp ? `${combatant.hp}/${combatant.maxHp}` : '—';
+
+    el.innerHTML = `
+      <input type="number" class="combatant-initiative" title="Initiative (${initiativeExpression(combatant.initiativeBonus)})" placeholder="—">
+      <div class="combatant-main">
+        <div class="combatant-top">
+          <i class="fas ${KIND_ICONS[combatant.kind]} combatant-kind" title="${combatant.kind}"></i>
+          <span class="combatant-name ${linked ? 'linked' : ''}">${this.escapeHtml(combatant.name)}</span>
+          ${combatant.ac !== null ? `<span class="combatant-ac" title="Armor Class"><i class="fas fa-shield-halved"></i> ${combatant.ac}</span>` : ''}
+          <button class="btn-icon combatant-concentration ${combatant.concentrating ? 'active' : ''}" data-action="concentrate" title="Concentrating on a spell"><i class="fas fa-brain"></i></button>
+          <button class="btn-icon" data-action="copy" title="Add another"><i class="fas fa-clone"></i></button>
+          <button class="btn-icon danger" data-action="remove" title="Remove from encounter"><i class="fas fa-times"></i></button>
+        </div>
+        <div class="combatant-hp">
+          <div class="combatant-hp-bar ${percent <= 25 ? 'low' : percent <= 50 ? 'hurt' : ''}"><div style="width: ${percent}%"></div></div>
+          <span class="combatant-hp-text" title="Hit points">${hpText}${combatant.tempHp > 0 ? ` <span class="combatant-temp-hp" title="Temporary hit points">+${combatant.tempHp}</span>` : ''}</span>
+          <input type="number" min="1" class="combatant-hp-amount" placeholder="HP">
+          <button class="btn-icon" data-action="damage" title="Damage"><i class="fas fa-heart-crack"></i></button>
+          <button class="btn-icon" data-action="heal" title="Heal"><i class="fas fa-heart"></i></button>
+          <button class="btn-icon" data-action="temp" title="Temporary hit points"><i class="fas fa-shield-heart"></i></button>
+        </div>
+        <div class="combatant-conditions">
+          ${combatant.conditions.map(condition => `
+            <span class="condition-chip">${condition}<button data-condition="${condition}" title="Remove ${condition}">&times;</button></span>
+          `).join('')}
+          <select class="combatant-condition-add" title="Add a condition">
+            <option value="">+ Condition</option>
+            ${CONDITIONS.filter(condition => !combatant.conditions.includes(condition)).map(condition => `<option>${condition}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+    `;
+
+    const initiativeInput = el.querySelector('.combatant-initiative');
+    initiativeInput.value = combatant.initiative ?? '';
+    initiativeInput.addEventListener('change', () => {
+      const value = initiativeInput.value === '' ? null : Number(initiativeInput.value);
+      this.updateCombatant(combatant.id, (target) => { target.initiative = value; });
+    });
+
+    const amountInput = el.querySelector('.combatant-hp-amount');
+    amountInput.addEventListener('keydown', (e) => {
+      // Enter deals damage, the most common change mid-fight
+      if (e.key === 'Enter') {
+        this.changeHp(combatant, 'damage', Number(amountInput.value));
+      }
+    });
+
+    el.querySelector('.combatant-condition-add').addEventListener('change', (e) => {
+      const condition = e.target.value;
+      if (condition) {
+        this.updateCombatant(combatant.id, (target) => { target.conditions.push(condition); });
+      }
+    });
+
+    el.addEventListener('click', (e) => {
+      const conditionBtn = e.target.closest('[data-condition]');
+      if (conditionBtn) {
+        const condition = conditionBtn.dataset.condition;
+        this.updateCombatant(combatant.id, (target) => {
+          target.conditions = target.conditions.filter(c => c !== condition);
+        });
+        return;
+      }
+
+      const action = e.target.closest('[data-action]')?.dataset.action;
+      if (action === 'concentrate') {
+        this.updateCombatant(combatant.id, (target) => { target.concentrating = !target.concentrating; });
+      } else if (action === 'copy') {
+        this.copyCombatant(combatant);
+      } else if (action === 'remove') {
+        this.removeCombatant(combatant.id);
+      } else if (['damage', 'heal', 'temp'].includes(action)) {
+        this.changeHp(combatant, action, Number(amountInput.value));
+      } else if (e.target.closest('.combatant-name.linked')) {
+        store.selectNode(combatant.noteId);
+      }
+    });
+
+    return el;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,157 @@
+/**
+ * Dice Roller Component
+ * Rolls dice from the roll panel, the command palette and any clickable dice
+ * expression, keeping a log of the session's rolls
+ */
+
+import { rollDice, describeRoll } from '../core/dice.js';
+
+const LOG_KEY = 'diceRollLog';
+const MAX_LOG = 200;
+
+export class DiceRoller {
+  constructor(toast) {
+    this.toast = toast;
+    this.panel = document.getElementById('dice-panel');
+    this.input = document.getElementById('dice-input');
+    this.logEl = document.getElementById('dice-log');
+    this.log = this.loadLog();
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('dice-btn').addEventListener('click', () => {
+      if (this.panel.classList.contains('hidden')) {
+        this.open();
+      } else {
+        this.close();
+      }
+    });
+
+    document.getElementById('dice-close').addEventListener('click', () => {
+      this.close();
+    });
+
+    document.getElementById('dice-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.input.value.trim() && this.roll(this.input.value)) {
+        this.input.select();
+      }
+    });
+
+    document.getElementById('dice-clear').addEventListener('click', () => {
+      this.log = [];
+      this.saveLog();
+      this.renderLog();
+    });
+
+    // Dice expressions in notes, fields and the panel's presets. Caught on the way
+    // down, so a roll inside a card or link doesn't also open it.
+    document.addEventListener('click', (e) => {
+      const dice = e.target.closest('.dice-roll');
+      if (!dice) return;
+      e.preventDefault();
+      e.stopPropagation();
+      this.roll(dice.dataset.dice, dice.dataset.label || '');
+    }, true);
+  }
+
+  open() {
+    this.panel.classList.remove('hidden');
+    this.renderLog();
+    this.input.focus();
+  }
+
+  close() {
+    this.panel.classList.add('hidden');
+  }
+
+  // Roll and log an expression. Returns the result, or null (after saying why)
+  // when the expression can't be rolled.
+  roll(expression, label = '') {
+    let result;
+    try {
+      result = rollDice(expression);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+      return null;
+    }
+
+    const entry = { ...result, label, time: Date.now() };
+    this.log.unshift(entry);
+    this.log.length = Math.min(this.log.length, MAX_LOG);
+    this.saveLog();
+
+    if (!this.panel.classList.contains('hidden')) {
+      this.renderLog();
+    }
+    this.toast.show(`🎲 ${label ? `${label}: ` : ''}${result.expression} = ${result.total}  ·  ${describeRoll(result)}`);
+    return entry;
+  }
+
+  loadLog() {
+    try {
+      const log = JSON.parse(localStorage.getItem(LOG_KEY) || '[]');
+      return Array.isArray(log) ? log : [];
+    } catch {
+      return [];
+    }
+  }
+
+  saveLog() {
+    localStorage.setItem(LOG_KEY, JSON.stringify(this.log));
+  }
+
+  renderLog() {
+    this.logEl.innerHTML = '';
+
+    if (this.log.length === 0) {
+      this.logEl.innerHTML = '<div class="dice-log-empty">No rolls yet</div>';
+      return;
+    }
+
+    for (const entry of this.log) {
+      const el = document.createElement('div');
+      el.className = 'dice-log-item';
+      el.innerHTML = `
+        <div class="dice-log-main">
+          <span class="dice-log-total">${entry.total}</span>
+          <span class="dice-log-expression">${this.escapeHtml(entry.label ? `${entry.label} · ` : '')}${this.escapeHtml(entry.expression)}</span>
+          <span class="dice-log-time">${new Date(entry.time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</span>
+        </div>
+        <div class="dice-log-breakdown">${this.renderBreakdown(entry)}</div>
+      `;
+
+      // Click to roll the same thing again
+      el.querySelector('.dice-log-expression').addEventListener('click', () => {
+        this.roll(entry.expression, entry.label);
+      });
+
+      this.logEl.appendChild(el);
+    }
+  }
+
+  // Each die on its own, dropped dice struck out and natural 20s and 1s marked
+  renderBreakdown(entry) {
+    return entry.terms.map((term, index) => {
+      const sign = term.sign < 0 ? '−' : index > 0 ? '+' : '';
+      if (!term.rolls) return `${sign} <span class="dice-flat">${term.value}</span>`;
+
+      const dice = term.rolls.map(roll => {
+        const classes = ['dice-die'];
+        if (!roll.kept) classes.push('dropped');
+        if (roll.kept && term.sides === 20 && roll.value === 20) classes.push('crit');
+        if (roll.kept && term.sides === 20 && roll.value === 1) classes.push('fumble');
+        return `<span class="${classes.join(' ')}">${roll.value}</span>`;
+      }).join('');
+      return `${sign} <span class="dice-term" title="${this.escapeHtml(term.label)}">${dice}</span>`;
+    }).join(' ');
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -4,12 +4,35 @@
 
 import { store } from '../core/store.js';
 import { db } from '../core/db.js';
+import { markdown } from '../core/markdown.js';
+import { FIELD_TYPES, OPTION_TYPES, getFieldDef, emptyValue, parseFieldValue, formatFieldValue } from '../core/fields.js';
+import { normalizeTag } from '../core/tags.js';
+import { INLINE_DICE, isDiceExpression } from '../core/dice.js';
+import { collab } from '../core/collab.js';
+import { apply as applyOperation, transformPosition } from '../core/ot.js';
+import { formatSize, isImage, isViewable } from '../core/attachments.js';
+import { MapView } from './map-view.js';
+
+const VIEW_MODES = ['edit', 'split', 'preview'];
 
 export class Editor {
-  constructor() {
+  constructor(toast) {
+    this.toast = toast;
     this.nodeId = null;
     this.debounceTimer = null;
+    this.previewFrame = null;
+    this.viewMode = VIEW_MODES.includes(localStorage.getItem('markdownViewMode'))
+      ? localStorage.getItem('markdownViewMode')
+      : 'edit';
+    this.lastEditMode = this.viewMode === 'preview' ? 'edit' : this.viewMode;
+    this.suggestions = [];
+    this.suggestionIndex = 0;
+    markdown.resolveWikiLink = (target) => store.resolveLink(target);
+    markdown.resolveEmbed = (target) => store.findAttachment(target);
+    markdown.attachmentUrl = (id) => store.getAttachmentUrl(id);
+    this.mapView = new MapView(toast, (nodeId) => this.openLinkedNote(nodeId));
     this.setupEventListeners();
+    this.applyViewMode();
   }
 
   setupEventListeners() {
@@ -38,14 +61,129 @@ export class Editor {
       this.applyTemplate();
     });
 
+    store.on('templatesChanged', () => {
+      this.renderTemplateOptions();
+    });
+
     // Add field
     document.getElementById('add-field').addEventListener('click', () => {
-      this.addField('', '');
+      this.addField();
     });
 
     // Markdown
-    document.getElementById('markdown-editor').addEventListener('input', () => {
+    const markdownEditor = document.getElementById('markdown-editor');
+
+    markdownEditor.addEventListener('input', () => {
       this.scheduleSave();
+      this.schedulePreview();
+      this.updateLinkSuggestions();
+    });
+
+    // [[wiki link]] autocomplete navigation
+    markdownEditor.addEventListener('keydown', (e) => {
+      if (this.suggestions.length === 0) return;
+
+      switch (e.key) {
+        case 'ArrowDown':
+          e.preventDefault();
+          this.moveSuggestion(1);
+          break;
+        case 'ArrowUp':
+          e.preventDefault();
+          this.moveSuggestion(-1);
+          break;
+        case 'Enter':
+        case 'Tab':
+          e.preventDefault();
+          this.acceptSuggestion(this.suggestions[this.suggestionIndex]);
+          break;
+        case 'Escape':
+          e.stopPropagation();
+          this.hideLinkSuggestions();
+          break;
+      }
+    });
+
+    // Pasted or dropped files are attached to the note and embedded at the caret
+    markdownEditor.addEventListener('paste', (e) => {
+      const files = Array.from(e.clipboardData?.files || []);
+      if (files.length === 0) return;
+
+      e.preventDefault();
+      this.attachFiles(files, true);
+    });
+
+    markdownEditor.addEventListener('dragover', (e) => {
+      if (e.dataTransfer?.types.includes('Files')) {
+        e.preventDefault();
+      }
+    });
+
+    markdownEditor.addEventListener('drop', (e) => {
+      const files = Array.from(e.dataTransfer?.files || []);
+      if (files.length === 0) return;
+
+      e.preventDefault();
+      this.attachFiles(files, true);
+    });
+
+    markdownEditor.addEventListener('blur', () => this.hideLinkSuggestions());
+    markdownEditor.addEventListener('click', () => this.updateLinkSuggestions());
+
+    // Markdown view mode (edit / split / preview)
+    document.querySelectorAll('#markdown-mode button').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.setViewMode(btn.dataset.mode);
+      });
+    });
+
+    const preview = document.getElementById('markdown-preview');
+
+    // Wiki links in the preview open the linked note, or create it if missing;
+    // embedded files open in a tab of their own
+    preview.addEventListener('click', (e) => {
+      const embed = e.target.closest('.embed-image, .embed-file');
+      if (embed) {
+        e.preventDefault();
+        this.openAttachment(embed.dataset.attachmentId);
+        return;
+      }
+
+      const link = e.target.closest('.wikilink');
+      if (!link) return;
+
+      e.preventDefault();
+      if (link.dataset.nodeId) {
+        this.openLinkedNote(link.dataset.nodeId);
+      } else {
+        this.createLinkedNote(link.dataset.target);
+      }
+    });
+
+    // Task checkboxes in the preview write back to the markdown source
+    preview.addEventListener('change', (e) => {
+      if (e.target.matches('.task-checkbox')) {
+        this.toggleTask(parseInt(e.target.dataset.line, 10), e.target.checked);
+      }
+    });
+
+    // Double-click the preview to jump back into editing
+    preview.addEventListener('dblclick', () => {
+      if (this.viewMode === 'preview') {
+        this.setViewMode(this.lastEditMode);
+        document.getElementById('markdown-editor').focus();
+      }
+    });
+
+    // Keep the preview roughly aligned with the textarea in split mode
+    document.getElementById('markdown-editor').addEventListener('scroll', (e) => {
+      if (this.viewMode !== 'split') return;
+      const source = e.target;
+      const maxSource = source.scrollHeight - source.clientHeight;
+      const maxPreview = preview.scrollHeight - preview.clientHeight;
+      if (maxSource > 0) {
+        preview.scrollTop = (source.scrollTop / maxSource) * maxPreview;
+      }
     });
 
     // Tags
@@ -89,11 +227,75 @@ export class Editor {
       }
     });
 
+    // Attachments
+    const attachmentInput = document.getElementById('attachment-input');
+    document.getElementById('add-attachment').addEventListener('click', () => {
+      attachmentInput.click();
+    });
+
+    attachmentInput.addEventListener('change', async () => {
+      await this.attachFiles(Array.from(attachmentInput.files), false);
+      attachmentInput.value = '';
+    });
+
+    const attachmentsPanel = document.getElementById('attachments-panel');
+    attachmentsPanel.addEventListener('dragover', (e) => {
+      if (e.dataTransfer?.types.includes('Files')) {
+        e.preventDefault();
+        attachmentsPanel.classList.add('drag-over');
+      }
+    });
+
+    attachmentsPanel.addEventListener('dragleave', () => {
+      attachmentsPanel.classList.remove('drag-over');
+    });
+
+    attachmentsPanel.addEventListener('drop', (e) => {
+      attachmentsPanel.classList.remove('drag-over');
+      const files = Array.from(e.dataTransfer?.files || []);
+      if (files.length === 0) return;
+
+      e.preventDefault();
+      this.attachFiles(files, false);
+    });
+
+    // Added, deleted or renamed on import; embeds may point at them
+    store.on('attachmentsChanged', () => {
+      if (!this.nodeId) return;
+      this.renderAttachments();
+      this.renderPreview();
+    });
+
     // Links
     document.getElementById('add-link').addEventListener('click', () => {
       this.showLinkModal();
     });
 
+    // Another note's rename rewrote this note's [[links]]
+    store.on('contentReplaced', (nodeId) => {
+      if (nodeId === this.nodeId) {
+        this.load(nodeId);
+      }
+    });
+
+    // Renamed elsewhere (tree, undo) - keep the title from saving the old name back
+    store.on('nodeUpdated', (node) => {
+      const titleInput = document.getElementById('editor-title');
+      if (node.id === this.nodeId && document.activeElement !== titleInput) {
+        titleInput.value = node.name;
+        collab.propsChanged();
+      }
+    });
+
+    // Stop sharing the note once another one, or none, is selected
+    store.on('selectionChanged', (nodeId) => {
+      if (collab.note && collab.note.id !== nodeId) {
+        collab.close();
+      }
+    });
+
+    store.on('presenceChanged', () => this.renderPresence());
+
     // Save when leaving page (important for mobile)
     document.addEventListener('visibilitychange', () => {
       if (document.hidden && this.nodeId) {
@@ -123,25 +325,170 @@ export class Editor {
     document.getElementById('editor-title').value = node.name;
 
     // Load template selection
-    document.getElementById('template-select').value = this.detectTemplate(content.fields) || '';
+    document.getElementById('template-select').value = store.detectTemplate(content.fields);
 
     // Load fields
-    this.renderFields(content.fields || {});
+    this.renderFields(content.fields || {}, content.fieldTypes || {});
+
+    // Load the map of map notes
+    this.mapView.load(nodeId, content.map || null);
 
     // Load markdown
     document.getElementById('markdown-editor').value = content.markdown || '';
+    this.renderPreview();
 
     // Load tags
     this.renderTags(content.tags || []);
+    this.renderTagSuggestions();
 
     // Load links
     this.renderLinks(content.links || []);
+    this.renderBacklinks();
+    this.hideLinkSuggestions();
+
+    // Load attachments
+    this.renderAttachments();
 
     // Update active button state
     this.updateActiveButton(node.active);
 
     // Clear save indicator
     this.showSaveIndicator(false);
+
+    // Share it live, or pass on a change made here outside the editor (undo, a rename's link rewrite)
+    if (collab.note?.id === nodeId) {
+      collab.textChanged();
+      collab.propsChanged();
+    } else {
+      collab.open(nodeId, this);
+    }
+    this.renderPresence();
+  }
+
+  // Others with this note open
+  renderPresence() {
+    const container = document.getElementById('editor-presence');
+    const peers = this.nodeId ? collab.peersOn(this.nodeId) : [];
+    container.innerHTML = '';
+    container.classList.toggle('hidden', peers.length === 0);
+    container.title = peers.length > 0 ? `Editing live with ${peers.map(peer => peer.name).join(', ')}` : '';
+
+    for (const peer of peers) {
+      const avatar = document.createElement('span');
+      avatar.className = 'presence-avatar';
+      avatar.textContent = peer.name.trim().charAt(0).toUpperCase() || '?';
+      avatar.title = peer.name;
+      avatar.style.background = collab.colorFor(peer.clientId);
+      container.appendChild(avatar);
+    }
+  }
+
+  // The note as collab.js shares it: the markdown text...
+  getText() {
+    return document.getElementById('markdown-editor').value;
+  }
+
+  // ...and the values set whole, the last change winning
+  getProps() {
+    const node = store.getNode(this.nodeId);
+    const { fields, fieldTypes } = this.collectFields();
+    const props = {
+      name: document.getElementById('editor-title').value.trim() || node?.name || '',
+      icon: document.getElementById('node-icon').textContent,
+      tags: store.currentContent?.tags || []
+    };
+    if (store.currentContent?.map) {
+      props.map = store.currentContent.map;
+    }
+    for (const [key, value] of Object.entries(fields)) {
+      props[`field:${key}`] = { value, def: fieldTypes[key] || null };
+    }
+    return props;
+  }
+
+  // Someone else's text change, keeping the selection on the same text
+  applyText(operation) {
+    const textarea = document.getElementById('markdown-editor');
+    const text = applyOperation(textarea.value, operation);
+    if (text === textarea.value) return;
+
+    const { selectionStart, selectionEnd, scrollTop } = textarea;
+    const focused = document.activeElement === textarea;
+    textarea.value = text;
+    if (focused) {
+      textarea.setSelectionRange(transformPosition(operation, selectionStart), transformPosition(operation, selectionEnd));
+    }
+    textarea.scrollTop = scrollTop;
+
+    this.schedulePreview();
+    this.scheduleSave();
+  }
+
+  // Someone else's changes to the given keys of the shared values
+  applyProps(props, keys) {
+    const titleInput = document.getElementById('editor-title');
+    if (keys.includes('name') && props.name && props.name !== titleInput.value.trim()) {
+      const { selectionStart, selectionEnd } = titleInput;
+      titleInput.value = props.name;
+      if (document.activeElement === titleInput) {
+        titleInput.setSelectionRange(selectionStart, selectionEnd);
+      }
+    }
+
+    if (keys.includes('icon') && props.icon) {
+      document.getElementById('node-icon').textContent = props.icon;
+    }
+
+    const tags = props.tags || [];
+    if (keys.includes('tags') && store.currentContent && tags.join() !== (store.currentContent.tags || []).join()) {
+      store.updateContent({ tags });
+      this.renderTags(tags);
+    }
+
+    const map = props.map || null;
+    if (keys.includes('map') && store.currentContent && JSON.stringify(map) !== JSON.stringify(store.currentContent.map || null)) {
+      store.updateContent({ map });
+      this.mapView.load(this.nodeId, map);
+    }
+
+    if (keys.some(key => key.startsWith('field:'))) {
+      this.renderSharedFields(props);
+    }
+
+    this.scheduleSave();
+  }
+
+  // Rebuild the fields from the shared values without losing the caret
+  renderSharedFields(props) {
+    const fields = {};
+    const fieldTypes = {};
+    for (const [key, prop] of Object.entries(props)) {
+      if (!key.startsWith('field:')) continue;
+      fields[key.slice(6)] = prop.value;
+      if (prop.def) {
+        fieldTypes[key.slice(6)] = prop.def;
+      }
+    }
+
+    const items = () => Array.from(document.querySelectorAll('.field-item'));
+    const active = document.activeElement;
+    const item = active?.closest?.('.field-item');
+    const focus = item && {
+      index: items().indexOf(item),
+      className: ['field-key', 'field-value', 'field-options'].find(name => active.classList.contains(name)),
+      start: active.selectionStart,
+      end: active.selectionEnd
+    };
+
+    this.renderFields(fields, fieldTypes);
+
+    const input = focus?.className && items()[focus.index]?.querySelector(`.${focus.className}`);
+    if (input) {
+      input.focus();
+      if (typeof focus.start === 'number') {
+        input.setSelectionRange(focus.start, focus.end);
+      }
+    }
   }
 
   toggleActive() {
@@ -167,37 +514,138 @@ export class Editor {
     }
   }
 
-  renderFields(fields) {
+  setViewMode(mode) {
+    if (!VIEW_MODES.includes(mode)) return;
+
+    this.viewMode = mode;
+    if (mode !== 'preview') {
+      this.lastEditMode = mode;
+    }
+    localStorage.setItem('markdownViewMode', mode);
+    this.applyViewMode();
+    this.renderPreview();
+  }
+
+  // Ctrl+E: flip between preview and whichever editing mode was last used
+  toggleViewMode() {
+    this.setViewMode(this.viewMode === 'preview' ? this.lastEditMode : 'preview');
+  }
+
+  applyViewMode() {
+    const container = document.getElementById('markdown-container');
+    VIEW_MODES.forEach(mode => container.classList.toggle(`mode-${mode}`, mode === this.viewMode));
+
+    document.querySelectorAll('#markdown-mode button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === this.viewMode);
+    });
+  }
+
+  schedulePreview() {
+    if (this.viewMode === 'edit' || this.previewFrame) return;
+
+    this.previewFrame = requestAnimationFrame(() => {
+      this.previewFrame = null;
+      this.renderPreview();
+    });
+  }
+
+  renderPreview() {
+    if (this.viewMode === 'edit') return;
+
+    const preview = document.getElementById('markdown-preview');
+    const source = document.getElementById('markdown-editor').value;
+
+    if (!source.trim()) {
+      preview.innerHTML = `
+        <div class="markdown-empty">
+          Nothing written yet. Double-click or press <kbd>Ctrl+E</kbd> to start editing.
+        </div>
+      `;
+      return;
+    }
+
+    preview.innerHTML = markdown.render(source);
+    markdown.loadEmbeds(preview);
+  }
+
+  toggleTask(lineIndex, checked) {
+    const textarea = document.getElementById('markdown-editor');
+    const lines = textarea.value.split('\n');
+    const line = lines[lineIndex];
+    if (line === undefined) return;
+
+    lines[lineIndex] = line.replace(/^(\s*(?:[-*+]|\d+[.)])\s+)\[[ xX]\]/, `$1[${checked ? 'x' : ' '}]`);
+    textarea.value = lines.join('\n');
+    this.scheduleSave();
+    this.renderPreview();
+  }
+
+  renderFields(fields, fieldTypes = {}) {
     const container = document.getElementById('fields-list');
     container.innerHTML = '';
+    this.renderLinkOptions();
 
     for (const [key, value] of Object.entries(fields)) {
-      this.addField(key, value, false);
+      this.addField(key, value, getFieldDef({ fieldTypes }, key), false);
     }
   }
 
-  addField(key = '', value = '', focus = true) {
+  addField(key = '', value = '', def = { type: 'text' }, focus = true) {
     const container = document.getElementById('fields-list');
 
     const fieldEl = document.createElement('div');
     fieldEl.className = 'field-item';
     fieldEl.innerHTML = `
       <label>
-        <input type="text" class="field-key" value="${this.escapeHtml(key)}" placeholder="Field name">
+        <input type="text" class="field-key" placeholder="Field name">
+        <select class="field-type" title="Field type">
+          ${Object.entries(FIELD_TYPES).map(([type, label]) => `<option value="${type}">${label}</option>`).join('')}
+        </select>
         <button type="button" class="remove-field" title="Remove field"><i class="fas fa-times"></i></button>
       </label>
-      <textarea class="field-value" placeholder="Value">${this.escapeHtml(value)}</textarea>
+      <input type="text" class="field-options hidden" placeholder="Options, separated by commas">
+      <div class="field-input"></div>
+      <div class="field-dice hidden"></div>
+      <div class="field-error hidden"></div>
     `;
+    fieldEl.querySelector('.field-key').value = key;
+    fieldEl.querySelector('.field-type').value = def.type;
+    fieldEl.querySelector('.field-options').value = (def.options || []).join(', ');
 
     container.appendChild(fieldEl);
+    this.renderFieldInput(fieldEl, value);
 
     // Event listeners
     const keyInput = fieldEl.querySelector('.field-key');
-    const valueInput = fieldEl.querySelector('.field-value');
+    const typeSelect = fieldEl.querySelector('.field-type');
+    const optionsInput = fieldEl.querySelector('.field-options');
     const removeBtn = fieldEl.querySelector('.remove-field');
 
-    keyInput.addEventListener('input', () => this.scheduleSave());
-    valueInput.addEventListener('input', () => this.scheduleSave());
+    keyInput.addEventListener('input', () => {
+      this.renderFieldDice(fieldEl);
+      this.scheduleSave();
+    });
+    fieldEl.querySelector('.field-input').addEventListener('input', () => {
+      this.renderFieldDice(fieldEl);
+      this.scheduleSave();
+    });
+    fieldEl.querySelector('.field-input').addEventListener('change', () => this.scheduleSave());
+
+    // Changing the type or the options keeps the value if it still fits
+    let previousDef = this.getFieldInputDef(fieldEl);
+    const retype = () => {
+      const text = formatFieldValue(previousDef, this.readFieldInput(fieldEl, previousDef), {
+        getNodeName: (id) => store.getNode(id)?.name
+      });
+      const def = this.getFieldInputDef(fieldEl);
+      const parsed = parseFieldValue(def, text, { resolveLink: (target) => store.resolveLink(target) });
+      this.renderFieldInput(fieldEl, parsed.error ? emptyValue(def.type) : parsed.value);
+      previousDef = def;
+      this.scheduleSave();
+    };
+    typeSelect.addEventListener('change', retype);
+    optionsInput.addEventListener('change', retype);
+
     removeBtn.addEventListener('click', () => {
       fieldEl.remove();
       this.scheduleSave();
@@ -208,6 +656,156 @@ export class Editor {
     }
   }
 
+  getFieldInputDef(fieldEl) {
+    const type = fieldEl.querySelector('.field-type').value;
+    if (!OPTION_TYPES.includes(type)) return { type };
+
+    const options = fieldEl.querySelector('.field-options').value.split(',').map(option => option.trim()).filter(Boolean);
+    return { type, options: [...new Set(options)] };
+  }
+
+  // Replace a field's input with the widget for its type, showing the given value
+  renderFieldInput(fieldEl, value) {
+    const def = this.getFieldInputDef(fieldEl);
+    const wrapper = fieldEl.querySelector('.field-input');
+    fieldEl.querySelector('.field-options').classList.toggle('hidden', !OPTION_TYPES.includes(def.type));
+    fieldEl.dataset.type = def.type;
+    this.showFieldError(fieldEl, null);
+    wrapper.innerHTML = '';
+
+    let input;
+    switch (def.type) {
+      case 'number':
+        // Text, so fractions like a CR of 1/4 can be typed
+        input = document.createElement('input');
+        input.type = 'text';
+        input.inputMode = 'decimal';
+        input.value = value ?? '';
+        break;
+      case 'dice':
+        input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'e.g. 2d6+3';
+        input.value = value || '';
+        break;
+      case 'select': {
+        input = document.createElement('select');
+        input.add(new Option('—', ''));
+        // A value that isn't an option (anymore) is kept rather than silently dropped
+        const options = value && !def.options.includes(value) ? [...def.options, value] : def.options;
+        options.forEach(option => input.add(new Option(option, option)));
+        input.value = value || '';
+        break;
+      }
+      case 'multiselect': {
+        input = document.createElement('div');
+        input.className = 'field-choices';
+        const selected = Array.isArray(value) ? value : [];
+        const options = [...def.options, ...selected.filter(item => !def.options.includes(item))];
+        for (const option of options) {
+          const label = document.createElement('label');
+          label.className = 'field-choice';
+          label.innerHTML = '<input type="checkbox"><span></span>';
+          label.querySelector('input').value = option;
+          label.querySelector('input').checked = selected.includes(option);
+          label.querySelector('span').textContent = option;
+          input.appendChild(label);
+        }
+        if (options.length === 0) {
+          input.innerHTML = '<span class="field-hint">Add options above</span>';
+        }
+        break;
+      }
+      case 'link':
+        input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Note name';
+        input.setAttribute('list', 'field-link-notes');
+        input.value = value ? store.getNode(value)?.name || '' : '';
+        break;
+      case 'checkbox':
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = Boolean(value);
+        break;
+      case 'date':
+        input = document.createElement('input');
+        input.type = 'date';
+        input.value = value || '';
+        break;
+      default:
+        input = document.createElement('textarea');
+        input.placeholder = 'Value';
+        input.rows = def.type === 'longtext' ? 4 : 2;
+        input.value = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+    }
+
+    input.classList.add('field-value');
+    wrapper.appendChild(input);
+    this.renderFieldDice(fieldEl);
+  }
+
+  // Roll buttons for the dice in a field, e.g. a monster's "Bite: 2d10 + 6"
+  renderFieldDice(fieldEl) {
+    const container = fieldEl.querySelector('.field-dice');
+    const type = fieldEl.dataset.type;
+    const text = ['dice', 'text', 'longtext'].includes(type) ? fieldEl.querySelector('.field-value').value : '';
+    const expressions = type === 'dice'
+      ? (isDiceExpression(text) ? [text.trim()] : [])
+      : [...new Set(text.match(INLINE_DICE) || [])].filter(isDiceExpression);
+
+    const key = fieldEl.querySelector('.field-key').value.trim();
+    const name = document.getElementById('editor-title').value.trim();
+    container.innerHTML = '';
+    for (const expression of expressions) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'dice-roll';
+      button.dataset.dice = expression;
+      button.dataset.label = [name, key].filter(Boolean).join(' · ');
+      button.title = `Roll ${expression}`;
+      button.innerHTML = '<i class="fas fa-dice-d20"></i> ';
+      button.append(expression);
+      container.appendChild(button);
+    }
+    container.classList.toggle('hidden', expressions.length === 0);
+  }
+
+  // The raw value of a field's widget: a string, a boolean or a list of choices
+  readFieldInput(fieldEl, def) {
+    const input = fieldEl.querySelector('.field-value');
+    if (def.type === 'checkbox') return input.checked;
+    if (def.type === 'multiselect') {
+      return Array.from(input.querySelectorAll('input:checked')).map(box => box.value);
+    }
+    return input.value;
+  }
+
+  showFieldError(fieldEl, message) {
+    const errorEl = fieldEl.querySelector('.field-error');
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+    fieldEl.classList.toggle('invalid', Boolean(message));
+  }
+
+  // Note names offered by link fields
+  renderLinkOptions() {
+    let datalist = document.getElementById('field-link-notes');
+    if (!datalist) {
+      datalist = document.createElement('datalist');
+      datalist.id = 'field-link-notes';
+      document.body.appendChild(datalist);
+    }
+
+    datalist.innerHTML = '';
+    for (const node of store.nodes.values()) {
+      if (node.type !== 'leaf') continue;
+      const option = document.createElement('option');
+      option.value = node.name;
+      datalist.appendChild(option);
+    }
+  }
+
   renderTags(tags) {
     const container = document.getElementById('tags-list');
     container.innerHTML = '';
@@ -228,7 +826,19 @@ export class Editor {
     }
   }
 
-  addTag(tag) {
+  // Existing tags offered while typing a new one
+  renderTagSuggestions() {
+    const datalist = document.getElementById('tag-suggestions');
+    datalist.innerHTML = '';
+    for (const tag of [...store.getTagCounts().keys()].sort()) {
+      const option = document.createElement('option');
+      option.value = tag;
+      datalist.appendChild(option);
+    }
+  }
+
+  addTag(text) {
+    const tag = normalizeTag(text);
     if (!tag) return;
 
     const content = store.currentContent;
@@ -239,6 +849,7 @@ export class Editor {
       tags.push(tag);
       store.updateContent({ tags });
       this.renderTags(tags);
+      collab.propsChanged();
     }
   }
 
@@ -249,6 +860,7 @@ export class Editor {
     const tags = (content.tags || []).filter(t => t !== tag);
     store.updateContent({ tags });
     this.renderTags(tags);
+    collab.propsChanged();
   }
 
   renderLinks(links) {
@@ -269,7 +881,7 @@ export class Editor {
 
       linkEl.addEventListener('click', (e) => {
         if (!e.target.closest('button')) {
-          store.selectNode(linkedId);
+          this.openLinkedNote(linkedId);
         }
       });
 
@@ -281,6 +893,293 @@ export class Editor {
     }
   }
 
+  renderAttachments() {
+    const container = document.getElementById('attachments-list');
+    const attachments = store.getAttachments(this.nodeId);
+    container.innerHTML = '';
+
+    if (attachments.length === 0) {
+      container.innerHTML = '<span class="links-empty">Paste or drop images, maps and PDFs into the notes to attach them</span>';
+      return;
+    }
+
+    for (const attachment of attachments) {
+      const item = document.createElement('div');
+      item.className = 'attachment-item';
+      item.title = `Open ${attachment.name}`;
+      item.innerHTML = `
+        <div class="attachment-preview"></div>
+        <div class="attachment-info">
+          <span class="attachment-name">${this.escapeHtml(attachment.name)}</span>
+          <span class="attachment-size">${formatSize(attachment.size)}</span>
+        </div>
+        <button type="button" class="attachment-insert"><i class="fas fa-level-down-alt"></i></button>
+        <button type="button" class="attachment-delete" title="Delete attachment"><i class="fas fa-trash"></i></button>
+      `;
+
+      item.querySelector('.attachment-insert').title = `Insert ![[${attachment.name}]] into the notes`;
+
+      const preview = item.querySelector('.attachment-preview');
+      if (isImage(attachment.type)) {
+        const img = document.createElement('img');
+        img.src = store.getAttachmentUrl(attachment.id, true);
+        img.alt = '';
+        preview.appendChild(img);
+      } else {
+        preview.innerHTML = `<i class="fas ${attachment.type === 'application/pdf' ? 'fa-file-pdf' : 'fa-file'}"></i>`;
+      }
+
+      item.addEventListener('click', (e) => {
+        if (!e.target.closest('button')) {
+          this.openAttachment(attachment.id);
+        }
+      });
+
+      item.querySelector('.attachment-insert').addEventListener('click', () => {
+        this.insertText(`![[${attachment.name}]]`);
+      });
+
+      item.querySelector('.attachment-delete').addEventListener('click', () => {
+        this.deleteAttachment(attachment.id);
+      });
+
+      container.appendChild(item);
+    }
+  }
+
+  // Attach files to the open note; with embed, ![[embeds]] of them go in at the caret
+  async attachFiles(files, embed) {
+    const nodeId = this.nodeId;
+    if (!nodeId) return;
+
+    const embeds = [];
+    for (const file of files) {
+      try {
+        const attachment = await store.addAttachment(nodeId, file);
+        embeds.push(`![[${attachment.name}]]`);
+      } catch (error) {
+        console.error('Attaching failed:', error);
+        this.toast.show(`Could not attach "${file.name}": ${error.message}`, { type: 'error' });
+      }
+    }
+
+    if (embed && embeds.length > 0 && this.nodeId === nodeId) {
+      this.insertText(embeds.join('\n'));
+    }
+  }
+
+  // Type text in at the caret, replacing any selection
+  insertText(text) {
+    const textarea = document.getElementById('markdown-editor');
+    const { selectionStart, selectionEnd, value } = textarea;
+
+    textarea.value = value.slice(0, selectionStart) + text + value.slice(selectionEnd);
+    textarea.selectionStart = textarea.selectionEnd = selectionStart + text.length;
+    textarea.focus();
+
+    this.scheduleSave();
+    this.schedulePreview();
+  }
+
+  // Images, PDFs and other types that can't run scripts open in a new tab; the rest download
+  openAttachment(id) {
+    const attachment = store.getAttachment(id);
+    if (!attachment) return;
+
+    const a = document.createElement('a');
+    a.href = store.getAttachmentUrl(id);
+    if (isViewable(attachment.type)) {
+      a.target = '_blank';
+      a.rel = 'noopener';
+    } else {
+      a.download = attachment.name;
+    }
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+  }
+
+  async deleteAttachment(id) {
+    const attachment = store.getAttachment(id);
+    if (!attachment) return;
+    if (!confirm(`Delete "${attachment.name}"? Notes that embed it will show it as missing. This can't be undone.`)) return;
+
+    await store.deleteAttachment(id);
+  }
+
+  renderBacklinks() {
+    const container = document.getElementById('backlinks-list');
+    const backlinks = store.getBacklinks(this.nodeId);
+
+    document.getElementById('backlinks-count').textContent = backlinks.length;
+    container.innerHTML = '';
+
+    if (backlinks.length === 0) {
+      container.innerHTML = '<span class="links-empty">No notes link here yet</span>';
+      return;
+    }
+
+    for (const sourceNode of backlinks) {
+      const pathStr = store.getNodePath(sourceNode.id).slice(0, -1).map(n => n.name).join(' > ') || 'Root';
+
+      const linkEl = document.createElement('div');
+      linkEl.className = 'link-item';
+      linkEl.title = pathStr;
+      linkEl.innerHTML = `
+        <span>📄</span>
+        <span>${this.escapeHtml(sourceNode.name)}</span>
+      `;
+
+      linkEl.addEventListener('click', () => {
+        this.openLinkedNote(sourceNode.id);
+      });
+
+      container.appendChild(linkEl);
+    }
+  }
+
+  async openLinkedNote(nodeId) {
+    if (!store.getNode(nodeId)) return;
+
+    await this.forceSave();
+
+    // Reveal the note in the tree
+    for (const ancestor of store.getNodePath(nodeId).slice(0, -1)) {
+      store.expandedNodes.add(ancestor.id);
+    }
+
+    await store.selectNode(nodeId);
+    store.emit('nodesChanged');
+  }
+
+  // Clicking an unresolved [[link]] creates the note next to the current one
+  async createLinkedNote(target) {
+    const current = store.getNode(this.nodeId);
+    const name = (target || '').split('/').pop().trim();
+    if (!current || !name) return;
+
+    await this.forceSave();
+    const node = await store.createNode({ name, type: 'leaf', parentId: current.parentId });
+
+    // Re-sync so the new note joins this note's links
+    await store.updateContent({ markdown: document.getElementById('markdown-editor').value });
+    await this.openLinkedNote(node.id);
+  }
+
+  // Show note suggestions while the caret sits inside an unfinished [[...
+  updateLinkSuggestions() {
+    const textarea = document.getElementById('markdown-editor');
+    const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+    const open = /\[\[([^[\]|\n]*)$/.exec(beforeCaret);
+
+    if (!open || textarea.selectionStart !== textarea.selectionEnd) {
+      this.hideLinkSuggestions();
+      return;
+    }
+
+    const query = open[1];
+    const nodes = query.trim()
+      ? store.search(query, 8).map(result => result.node)
+      : Array.from(store.nodes.values())
+        .filter(n => n.type === 'leaf')
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, 8);
+
+    this.suggestions = nodes.filter(n => n.id !== this.nodeId);
+    this.suggestionIndex = 0;
+
+    if (this.suggestions.length === 0) {
+      this.hideLinkSuggestions();
+      return;
+    }
+
+    const dropdown = document.getElementById('wikilink-suggest');
+    dropdown.innerHTML = '';
+
+    this.suggestions.forEach((node, index) => {
+      const pathStr = store.getNodePath(node.id).slice(0, -1).map(n => n.name).join(' > ') || 'Root';
+      const item = document.createElement('div');
+      item.className = `wikilink-suggest-item ${index === 0 ? 'selected' : ''}`;
+      item.innerHTML = `
+        <span class="suggest-name">${node.type === 'folder' ? '📁' : '📄'} ${this.escapeHtml(node.name)}</span>
+        <span class="suggest-path">${this.escapeHtml(pathStr)}</span>
+      `;
+      // mousedown so the textarea doesn't blur (and close the list) first
+      item.addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        this.acceptSuggestion(node);
+      });
+      dropdown.appendChild(item);
+    });
+
+    const caret = this.getCaretCoordinates(textarea, open.index);
+    dropdown.style.left = `${Math.min(caret.left, textarea.clientWidth - 220)}px`;
+    dropdown.style.top = `${caret.top + caret.height}px`;
+    dropdown.classList.remove('hidden');
+  }
+
+  moveSuggestion(step) {
+    const count = this.suggestions.length;
+    this.suggestionIndex = (this.suggestionIndex + step + count) % count;
+
+    document.querySelectorAll('.wikilink-suggest-item').forEach((item, index) => {
+      item.classList.toggle('selected', index === this.suggestionIndex);
+      if (index === this.suggestionIndex) item.scrollIntoView({ block: 'nearest' });
+    });
+  }
+
+  acceptSuggestion(node) {
+    const textarea = document.getElementById('markdown-editor');
+    const caret = textarea.selectionStart;
+    const before = textarea.value.slice(0, caret).replace(/\[\[([^[\]|\n]*)$/, '');
+    const after = textarea.value.slice(caret).replace(/^[^[\]|\n]*\]\]/, '');
+    const link = `[[${node.name}]]`;
+
+    textarea.value = before + link + after;
+    textarea.selectionStart = textarea.selectionEnd = before.length + link.length;
+
+    this.hideLinkSuggestions();
+    this.scheduleSave();
+    this.schedulePreview();
+  }
+
+  hideLinkSuggestions() {
+    this.suggestions = [];
+    document.getElementById('wikilink-suggest').classList.add('hidden');
+  }
+
+  // Pixel position of a character in the textarea, measured with an offscreen mirror
+  getCaretCoordinates(textarea, position) {
+    const style = getComputedStyle(textarea);
+    const mirror = document.createElement('div');
+
+    for (const prop of ['fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing',
+      'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft', 'borderTopWidth',
+      'borderLeftWidth', 'boxSizing', 'tabSize']) {
+      mirror.style[prop] = style[prop];
+    }
+    mirror.style.position = 'absolute';
+    mirror.style.visibility = 'hidden';
+    mirror.style.whiteSpace = 'pre-wrap';
+    mirror.style.wordWrap = 'break-word';
+    mirror.style.width = `${textarea.clientWidth}px`;
+
+    mirror.textContent = textarea.value.slice(0, position);
+    const marker = document.createElement('span');
+    marker.textContent = '\u200b';
+    mirror.appendChild(marker);
+    document.body.appendChild(mirror);
+
+    const coordinates = {
+      top: marker.offsetTop - textarea.scrollTop + textarea.offsetTop,
+      left: marker.offsetLeft - textarea.scrollLeft + textarea.offsetLeft,
+      height: parseInt(style.lineHeight, 10) || 20
+    };
+
+    document.body.removeChild(mirror);
+    return coordinates;
+  }
+
   showLinkModal() {
     const modal = document.getElementById('link-modal');
     const input = document.getElementById('link-search-input');
@@ -363,55 +1262,81 @@ export class Editor {
     this.renderLinks(links);
   }
 
-  applyTemplate() {
-    const template = document.getElementById('template-select').value;
-    const fields = store.getTemplateFields(template);
+  renderTemplateOptions() {
+    const select = document.getElementById('template-select');
+    const selected = select.value;
 
-    // Merge with existing fields
-    const currentFields = this.collectFields();
-    const mergedFields = { ...fields, ...currentFields };
+    select.innerHTML = '';
+    select.add(new Option('None (Blank)', ''));
+    for (const template of store.getTemplates()) {
+      select.add(new Option(`${template.icon} ${template.name}`, template.id));
+    }
 
-    this.renderFields(mergedFields);
-    this.scheduleSave();
+    select.value = store.getTemplate(selected) ? selected : '';
   }
 
-  detectTemplate(fields) {
-    if (!fields || Object.keys(fields).length === 0) return '';
-
-    const fieldKeys = Object.keys(fields);
+  applyTemplate() {
+    const template = document.getElementById('template-select').value;
+    const fields = store.getTemplateFields(template);
+    const fieldTypes = store.getTemplateFieldTypes(template);
+    const current = this.collectFields();
+
+    // Existing values win. Text values take on the template's type when they fit it.
+    const mergedFields = { ...fields, ...current.fields };
+    const mergedTypes = { ...current.fieldTypes };
+    for (const [key, def] of Object.entries(fieldTypes)) {
+      if (!(key in current.fields)) {
+        mergedTypes[key] = def;
+      } else if (!current.fieldTypes[key]) {
+        const parsed = parseFieldValue(def, current.fields[key], { resolveLink: (target) => store.resolveLink(target) });
+        if (!parsed.error) {
+          mergedFields[key] = parsed.value;
+          mergedTypes[key] = def;
+        }
+      }
+    }
 
-    // Check which template matches best
-    const templates = {
-      npc: ['Role', 'Species', 'Alignment'],
-      location: ['Type', 'Region', 'Climate'],
-      item: ['Type', 'Rarity', 'Attunement'],
-      quest: ['Status', 'Level', 'Giver'],
-      monster: ['CR', 'AC', 'HP'],
-      faction: ['Type', 'Alignment', 'Leader']
-    };
+    this.renderFields(mergedFields, mergedTypes);
+    this.scheduleSave();
 
-    for (const [template, templateFields] of Object.entries(templates)) {
-      const matches = templateFields.filter(f => fieldKeys.includes(f)).length;
-      if (matches >= 2) return template;
+    // Add the template's default tags
+    const currentTags = store.currentContent?.tags || [];
+    const tags = [...new Set([...currentTags, ...(store.getTemplate(template)?.tags || [])])];
+    if (tags.length > currentTags.length) {
+      store.updateContent({ tags });
+      this.renderTags(tags);
+      collab.propsChanged();
     }
-
-    return '';
   }
 
+  // Field values and declared types from the form. A value that doesn't fit its type
+  // is flagged and keeps its last saved value.
   collectFields() {
     const fields = {};
+    const fieldTypes = {};
+    const saved = store.currentContent?.fields || {};
+
     document.querySelectorAll('.field-item').forEach(item => {
       const key = item.querySelector('.field-key').value.trim();
-      const value = item.querySelector('.field-value').value.trim();
-      if (key) {
-        fields[key] = value;
+      const def = this.getFieldInputDef(item);
+      const parsed = parseFieldValue(def, this.readFieldInput(item, def), {
+        resolveLink: (target) => store.resolveLink(target)
+      });
+      this.showFieldError(item, parsed.error);
+      if (!key) return;
+
+      fields[key] = parsed.error ? (saved[key] ?? emptyValue(def.type)) : parsed.value;
+      if (def.type !== 'text') {
+        fieldTypes[key] = def;
       }
     });
-    return fields;
+
+    return { fields, fieldTypes };
   }
 
   scheduleSave() {
     this.showSaveIndicator(false);
+    collab.textChanged();
 
     if (this.debounceTimer) {
       clearTimeout(this.debounceTimer);
@@ -430,7 +1355,8 @@ export class Editor {
   }
 
   async save() {
-    if (!this.nodeId) return;
+    // Nothing can be written once another tab has taken the vault (see App.showVaultClosed)
+    if (!this.nodeId || store.closed) return;
 
     const node = store.getNode(this.nodeId);
     if (!node) return;
@@ -438,7 +1364,7 @@ export class Editor {
     const title = document.getElementById('editor-title').value.trim() || node.name;
     const icon = document.getElementById('node-icon').textContent;
     const markdown = document.getElementById('markdown-editor').value;
-    const fields = this.collectFields();
+    const { fields, fieldTypes } = this.collectFields();
 
     // Update node name if changed
     if (title !== node.name) {
@@ -446,12 +1372,21 @@ export class Editor {
     }
 
     // Update content
+    const previousLinks = (store.currentContent?.links || []).join();
     await store.updateContent({
       icon,
       markdown,
-      fields
+      fields,
+      fieldTypes
     });
 
+    // [[wiki links]] in the text may have added or removed links
+    if (store.currentContent && store.currentContent.links.join() !== previousLinks) {
+      this.renderLinks(store.currentContent.links);
+    }
+
+    collab.propsChanged();
+
     this.showSaveIndicator(true);
   }
 
@@ -486,7 +1421,7 @@ export class Editor {
     const message = document.getElementById('confirm-message');
 
     title.textContent = 'Delete Note';
-    message.textContent = 'Are you sure you want to delete this note? This action cannot be undone.';
+    message.textContent = 'Move this note to the trash? You can restore it from the Trash in the sidebar.';
 
     modal.classList.remove('hidden');
 
@@ -0,0 +1,579 @@
+/**
+ * Graph View Component
+ * Draws the vault as a force-directed graph of notes and the links between them,
+ * optionally with folder containment, filtered by template, tag or folder, or
+ * focused on the notes a few links away from one. Clicking a note opens it.
+ */
+
+import { store } from '../core/store.js';
+import { buildGraph } from '../core/graph.js';
+import { createLayoutLoop } from '../core/graph-layout.js';
+
+const MIN_ZOOM = 0.02;
+const MAX_ZOOM = 6;
+const ZOOM_STEP = 1.25;
+
+// Pointer travel (px) below which a press counts as a click
+const CLICK_DISTANCE = 4;
+
+// Graphs this small always show their labels; bigger ones once zoomed in
+const LABEL_NODES = 80;
+const LABEL_ZOOM = 1.2;
+
+// Rebuilding waits for a pause in edits
+const REBUILD_DELAY = 500;
+
+// Node colours by template, in template order; notes without one are grey
+const TEMPLATE_COLORS = ['#e94560', '#4ecdc4', '#ffe66d', '#a78bfa', '#f97316', '#60a5fa', '#34d399', '#f472b6'];
+const NOTE_COLOR = '#a0a0a0';
+const FOLDER_COLOR = '#5a6a8a';
+
+export class GraphView {
+  constructor(toast, openNote) {
+    this.toast = toast;
+    this.openNote = openNote;
+    this.view = document.getElementById('graph-view');
+    this.canvas = document.getElementById('graph-canvas');
+    this.context = this.canvas.getContext('2d');
+    this.countEl = document.getElementById('graph-count');
+    this.emptyEl = document.getElementById('graph-empty');
+    this.templateSelect = document.getElementById('graph-template');
+    this.tagSelect = document.getElementById('graph-tag');
+    this.folderSelect = document.getElementById('graph-folder');
+    this.foldersCheckbox = document.getElementById('graph-folders');
+    this.focusInput = document.getElementById('graph-focus');
+    this.hopsSelect = document.getElementById('graph-hops');
+
+    this.filters = { template: '', tag: '', folderId: null, folders: false, focusId: null, hops: 1 };
+    this.nodes = [];
+    this.edges = [];
+    this.degree = new Uint32Array(0);
+    this.positions = new Float32Array(0); // [x, y, ...] from the layout
+    this.zoom = 1;
+    this.panX = 0;
+    this.panY = 0;
+    this.autoFit = true; // Follow the layout until the graph is panned or zoomed
+    this.hoverIndex = -1;
+    this.drag = null; // The press in progress, see onPointerDown()
+    this.layout = null; // The layout worker, or a stand-in running on the page
+    this.frame = null;
+    this.rebuildTimer = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('graph-close').addEventListener('click', () => {
+      store.selectNode(null);
+    });
+
+    this.templateSelect.addEventListener('change', () => {
+      this.setFilters({ template: this.templateSelect.value });
+    });
+
+    this.tagSelect.addEventListener('change', () => {
+      this.setFilters({ tag: this.tagSelect.value });
+    });
+
+    this.folderSelect.addEventListener('change', () => {
+      this.setFilters({ folderId: this.folderSelect.value || null });
+    });
+
+    this.foldersCheckbox.addEventListener('change', () => {
+      this.setFilters({ folders: this.foldersCheckbox.checked });
+    });
+
+    this.focusInput.addEventListener('change', () => {
+      const target = this.focusInput.value.trim();
+      const node = target ? store.resolveLink(target) : null;
+      if (target && !node) {
+        this.toast.show(`No note called "${target}"`, { type: 'error' });
+        return;
+      }
+      this.setFilters({ focusId: node ? node.id : null });
+    });
+
+    this.hopsSelect.addEventListener('change', () => {
+      this.setFilters({ hops: parseInt(this.hopsSelect.value, 10) });
+    });
+
+    document.getElementById('graph-focus-clear').addEventListener('click', () => {
+      this.setFilters({ focusId: null });
+    });
+
+    // Zoom
+    document.getElementById('graph-zoom-in').addEventListener('click', () => this.zoomBy(ZOOM_STEP));
+    document.getElementById('graph-zoom-out').addEventListener('click', () => this.zoomBy(1 / ZOOM_STEP));
+    document.getElementById('graph-zoom-fit').addEventListener('click', () => {
+      this.autoFit = true;
+      this.fit();
+    });
+
+    this.canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const rect = this.canvas.getBoundingClientRect();
+      this.zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    // Pan, drag nodes and open them
+    this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.canvas.addEventListener('pointercancel', () => this.endDrag());
+    this.canvas.addEventListener('pointerleave', () => {
+      if (!this.drag && this.hoverIndex !== -1) {
+        this.hoverIndex = -1;
+        this.requestDraw();
+      }
+    });
+
+    window.addEventListener('resize', () => {
+      if (this.isOpen()) {
+        this.requestDraw();
+      }
+    });
+
+    // Keep the graph current while it's on screen
+    ['nodesChanged', 'contentChanged', 'contentReplaced', 'templatesChanged', 'tagsChanged'].forEach(event => {
+      store.on(event, () => {
+        if (this.isOpen()) {
+          this.scheduleRebuild();
+        }
+      });
+    });
+  }
+
+  isOpen() {
+    return !this.view.classList.contains('hidden');
+  }
+
+  // Show the graph, focused on a note if focusId is given
+  async open(focusId = null) {
+    this.filters.focusId = focusId && store.getNode(focusId) ? focusId : null;
+    this.view.classList.remove('hidden');
+    this.autoFit = true;
+    this.renderFilters();
+    await this.rebuild();
+  }
+
+  hide() {
+    if (!this.isOpen()) return;
+
+    this.view.classList.add('hidden');
+    clearTimeout(this.rebuildTimer);
+    this.drag = null;
+    this.hoverIndex = -1;
+    if (this.layout) {
+      this.layout.terminate();
+      this.layout = null;
+    }
+  }
+
+  async setFilters(changes) {
+    this.filters = { ...this.filters, ...changes };
+    this.autoFit = true;
+    this.renderFilters();
+    await this.rebuild();
+  }
+
+  renderFilters() {
+    const { template, tag, folderId, folders, focusId, hops } = this.filters;
+
+    this.templateSelect.innerHTML = '<option value="">All templates</option>';
+    for (const t of store.getTemplates()) {
+      this.templateSelect.appendChild(this.createOption(t.id, `${t.icon} ${t.name}`));
+    }
+    this.templateSelect.value = store.getTemplate(template) ? template : '';
+
+    this.tagSelect.innerHTML = '<option value="">All tags</option>';
+    for (const name of [...store.getTagCounts().keys()].sort()) {
+      this.tagSelect.appendChild(this.createOption(name, `#${name}`));
+    }
+    this.tagSelect.value = tag;
+
+    this.folderSelect.innerHTML = '<option value="">Whole vault</option>';
+    const paths = [];
+    for (const node of store.nodes.values()) {
+      if (node.type === 'folder') {
+        paths.push([node.id, store.getNodePath(node.id).map(n => n.name).join(' / ')]);
+      }
+    }
+    paths.sort((a, b) => a[1].localeCompare(b[1]));
+    for (const [id, path] of paths) {
+      this.folderSelect.appendChild(this.createOption(id, path));
+    }
+    this.folderSelect.value = folderId && store.getNode(folderId) ? folderId : '';
+
+    this.foldersCheckbox.checked = folders;
+    this.hopsSelect.value = String(hops);
+    this.hopsSelect.disabled = !focusId;
+    this.focusInput.value = focusId ? store.getNode(focusId)?.name || '' : '';
+
+    const datalist = document.getElementById('graph-notes');
+    datalist.innerHTML = '';
+    for (const node of store.nodes.values()) {
+      if (node.type === 'leaf') {
+        datalist.appendChild(this.createOption(node.name, ''));
+      }
+    }
+  }
+
+  createOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+  }
+
+  scheduleRebuild() {
+    clearTimeout(this.rebuildTimer);
+    this.rebuildTimer = setTimeout(() => {
+      this.renderFilters();
+      this.rebuild();
+    }, REBUILD_DELAY);
+  }
+
+  // Rebuild the nodes and edges from the vault and restart the layout, keeping the
+  // nodes already placed where they are
+  async rebuild() {
+    const items = await store.getGraphItems();
+    if (!this.isOpen()) return;
+
+    const filters = { ...this.filters };
+    if (filters.focusId && !store.getNode(filters.focusId)) {
+      filters.focusId = null;
+      this.filters.focusId = null;
+    }
+    const { nodes, edges } = buildGraph(items, filters);
+
+    const placed = new Map();
+    this.nodes.forEach((node, i) => {
+      placed.set(node.id, [this.positions[i * 2], this.positions[i * 2 + 1]]);
+    });
+
+    this.nodes = nodes;
+    this.edges = edges;
+    this.degree = new Uint32Array(nodes.length);
+    for (const [a, b] of edges) {
+      this.degree[a]++;
+      this.degree[b]++;
+    }
+
+    // New nodes start next to a placed neighbour if they have one
+    const positions = new Float64Array(nodes.length * 2).fill(NaN);
+    let known = 0;
+    nodes.forEach((node, i) => {
+      const position = placed.get(node.id);
+      if (position && Number.isFinite(position[0])) {
+        positions[i * 2] = position[0];
+        positions[i * 2 + 1] = position[1];
+        known++;
+      }
+    });
+    if (known > 0) {
+      for (const [a, b] of edges) {
+        for (const [from, to] of [[a, b], [b, a]]) {
+          if (Number.isNaN(positions[to * 2]) && !Number.isNaN(positions[from * 2])) {
+            positions[to * 2] = positions[from * 2] + (Math.random() - 0.5) * 20;
+            positions[to * 2 + 1] = positions[from * 2 + 1] + (Math.random() - 0.5) * 20;
+          }
+        }
+      }
+    }
+
+    this.positions = new Float32Array(positions);
+    this.hoverIndex = -1;
+    this.drag = null;
+    this.renderCount();
+
+    const pairs = new Uint32Array(edges.length * 2);
+    edges.forEach(([a, b], e) => {
+      pairs[e * 2] = a;
+      pairs[e * 2 + 1] = b;
+    });
+
+    // A graph that's mostly in place only needs a nudge
+    const alpha = known === 0 ? 1 : known === nodes.length ? 0.1 : 0.5;
+    this.startLayout({ type: 'start', count: nodes.length, edges: pairs, positions, alpha });
+  }
+
+  renderCount() {
+    const notes = this.nodes.filter(node => node.type === 'leaf').length;
+    const links = this.edges.filter(([, , kind]) => kind === 'link').length;
+    this.countEl.textContent = `${notes} note${notes === 1 ? '' : 's'}, ${links} link${links === 1 ? '' : 's'}`;
+    this.emptyEl.classList.toggle('hidden', this.nodes.length > 0);
+  }
+
+  // Layout runs in a worker so big vaults don't freeze the page; without workers
+  // the same loop runs here instead
+  startLayout(message) {
+    if (!this.layout) {
+      if (typeof Worker !== 'undefined') {
+        this.layout = new Worker(new URL('../core/graph-worker.js', import.meta.url), { type: 'module' });
+        this.layout.onmessage = (e) => this.onPositions(e.data.positions);
+      } else {
+        const loop = createLayoutLoop((positions) => this.onPositions(positions));
+        this.layout = {
+          postMessage: (data) => loop.handle(data),
+          terminate: () => loop.handle({ type: 'stop' })
+        };
+      }
+    }
+    this.layout.postMessage(message, [message.edges.buffer, message.positions.buffer]);
+  }
+
+  onPositions(positions) {
+    // Positions from before the last rebuild
+    if (positions.length !== this.nodes.length * 2) return;
+
+    this.positions = positions;
+    if (this.drag?.index !== undefined && this.drag.moved) {
+      this.positions[this.drag.index * 2] = this.drag.x;
+      this.positions[this.drag.index * 2 + 1] = this.drag.y;
+    }
+    if (this.autoFit) {
+      this.fit();
+    } else {
+      this.requestDraw();
+    }
+  }
+
+  // Canvas pixels <-> layout coordinates
+  toGraph(clientX, clientY) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left - this.panX) / this.zoom,
+      y: (clientY - rect.top - this.panY) / this.zoom
+    };
+  }
+
+  radius(index) {
+    return Math.min(14, 4 + Math.sqrt(this.degree[index]) * 1.5);
+  }
+
+  nodeAt(clientX, clientY) {
+    const point = this.toGraph(clientX, clientY);
+    const slack = 3 / this.zoom;
+    let found = -1;
+    let best = Infinity;
+    for (let i = 0; i < this.nodes.length; i++) {
+      const distance = Math.hypot(this.positions[i * 2] - point.x, this.positions[i * 2 + 1] - point.y);
+      if (distance <= this.radius(i) + slack && distance < best) {
+        found = i;
+        best = distance;
+      }
+    }
+    return found;
+  }
+
+  fit() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    if (this.nodes.length === 0 || !width || !height) {
+      this.requestDraw();
+      return;
+    }
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < this.nodes.length; i++) {
+      minX = Math.min(minX, this.positions[i * 2]);
+      minY = Math.min(minY, this.positions[i * 2 + 1]);
+      maxX = Math.max(maxX, this.positions[i * 2]);
+      maxY = Math.max(maxY, this.positions[i * 2 + 1]);
+    }
+    if (!Number.isFinite(minX)) return;
+
+    const margin = 40;
+    const zoom = Math.min((width - margin * 2) / (maxX - minX || 1), (height - margin * 2) / (maxY - minY || 1));
+    this.zoom = Math.min(2, Math.max(MIN_ZOOM, zoom));
+    this.panX = width / 2 - (minX + maxX) / 2 * this.zoom;
+    this.panY = height / 2 - (minY + maxY) / 2 * this.zoom;
+    this.requestDraw();
+  }
+
+  // Zoom about a point of the canvas, its middle by default
+  zoomBy(factor, originX = this.canvas.clientWidth / 2, originY = this.canvas.clientHeight / 2) {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.zoom * factor));
+    this.panX = originX - (originX - this.panX) * (zoom / this.zoom);
+    this.panY = originY - (originY - this.panY) * (zoom / this.zoom);
+    this.zoom = zoom;
+    this.autoFit = false;
+    this.requestDraw();
+  }
+
+  // A press on a node drags it (the layout moves around it), elsewhere it pans.
+  // Without moving, a press on a node opens it.
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+
+    const index = this.nodeAt(e.clientX, e.clientY);
+    this.drag = {
+      index: index === -1 ? undefined : index,
+      startX: e.clientX,
+      startY: e.clientY,
+      panX: this.panX,
+      panY: this.panY,
+      moved: false
+    };
+    this.canvas.setPointerCapture?.(e.pointerId);
+  }
+
+  onPointerMove(e) {
+    const drag = this.drag;
+    if (!drag) {
+      const index = this.nodeAt(e.clientX, e.clientY);
+      if (index !== this.hoverIndex) {
+        this.hoverIndex = index;
+        this.canvas.style.cursor = index === -1 ? '' : 'pointer';
+        this.requestDraw();
+      }
+      return;
+    }
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.moved && Math.hypot(dx, dy) < CLICK_DISTANCE) return;
+    drag.moved = true;
+    this.autoFit = false;
+
+    if (drag.index !== undefined) {
+      const point = this.toGraph(e.clientX, e.clientY);
+      drag.x = point.x;
+      drag.y = point.y;
+      this.positions[drag.index * 2] = point.x;
+      this.positions[drag.index * 2 + 1] = point.y;
+      this.layout?.postMessage({ type: 'fix', index: drag.index, x: point.x, y: point.y });
+    } else {
+      this.panX = drag.panX + dx;
+      this.panY = drag.panY + dy;
+    }
+    this.requestDraw();
+  }
+
+  onPointerUp() {
+    const drag = this.drag;
+    this.endDrag();
+    if (!drag || drag.moved || drag.index === undefined) return;
+
+    const node = this.nodes[drag.index];
+    if (node && store.getNode(node.id)) {
+      this.openNote(node.id);
+    }
+  }
+
+  endDrag() {
+    if (this.drag?.index !== undefined && this.drag.moved) {
+      this.layout?.postMessage({ type: 'release', index: this.drag.index });
+    }
+    this.drag = null;
+  }
+
+  requestDraw() {
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const ctx = this.context;
+    if (!ctx || !this.isOpen()) return;
+
+    // Match the canvas to its size on screen, sharp on high-density displays
+    const ratio = window.devicePixelRatio || 1;
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+      this.canvas.width = Math.round(width * ratio);
+      this.canvas.height = Math.round(height * ratio);
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const { positions, zoom, panX, panY } = this;
+    const sx = (i) => panX + positions[i * 2] * zoom;
+    const sy = (i) => panY + positions[i * 2 + 1] * zoom;
+
+    // The hovered node, or failing that the focused one, lights up its neighbours
+    const focusIndex = this.nodes.findIndex(node => node.id === this.filters.focusId);
+    const highlight = this.hoverIndex !== -1 ? this.hoverIndex : focusIndex;
+    const neighbours = new Set();
+
+    // Edges, folder containment dashed
+    for (const kind of ['folder', 'link']) {
+      ctx.beginPath();
+      for (const [a, b, edgeKind] of this.edges) {
+        if (edgeKind !== kind) continue;
+        if (a === highlight || b === highlight) {
+          neighbours.add(a === highlight ? b : a);
+        }
+        ctx.moveTo(sx(a), sy(a));
+        ctx.lineTo(sx(b), sy(b));
+      }
+      ctx.setLineDash(kind === 'folder' ? [4, 4] : []);
+      ctx.strokeStyle = kind === 'folder' ? 'rgba(90, 106, 138, 0.6)' : 'rgba(160, 160, 160, 0.35)';
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+
+    if (highlight !== -1 && neighbours.size > 0) {
+      ctx.beginPath();
+      for (const [a, b] of this.edges) {
+        if (a === highlight || b === highlight) {
+          ctx.moveTo(sx(a), sy(a));
+          ctx.lineTo(sx(b), sy(b));
+        }
+      }
+      ctx.strokeStyle = 'rgba(233, 69, 96, 0.8)';
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+    }
+
+    // Nodes
+    const templateColors = new Map(store.getTemplates().map((t, i) => [t.id, TEMPLATE_COLORS[i % TEMPLATE_COLORS.length]]));
+    for (let i = 0; i < this.nodes.length; i++) {
+      const node = this.nodes[i];
+      const x = sx(i);
+      const y = sy(i);
+      const r = Math.max(2, this.radius(i) * zoom);
+      if (x < -r || y < -r || x > width + r || y > height + r) continue;
+
+      ctx.beginPath();
+      if (node.type === 'folder') {
+        ctx.rect(x - r, y - r, r * 2, r * 2);
+        ctx.fillStyle = FOLDER_COLOR;
+      } else {
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fillStyle = templateColors.get(node.template) || NOTE_COLOR;
+      }
+      ctx.globalAlpha = highlight === -1 || i === highlight || neighbours.has(i) ? 1 : 0.45;
+      ctx.fill();
+      ctx.globalAlpha = 1;
+
+      if (i === focusIndex || i === this.hoverIndex) {
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#eaeaea';
+        ctx.stroke();
+      }
+    }
+
+    // Labels
+    const allLabels = this.nodes.length <= LABEL_NODES || zoom >= LABEL_ZOOM;
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    for (let i = 0; i < this.nodes.length; i++) {
+      if (!allLabels && i !== highlight && !neighbours.has(i)) continue;
+      const x = sx(i);
+      const y = sy(i) + Math.max(2, this.radius(i) * zoom) + 3;
+      if (x < -100 || y < -20 || x > width + 100 || y > height + 20) continue;
+      ctx.fillStyle = i === highlight ? '#eaeaea' : '#a0a0a0';
+      ctx.fillText(this.nodes[i].name, x, y);
+    }
+  }
+}
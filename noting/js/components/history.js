@@ -0,0 +1,224 @@
+/**
+ * Version History Drawer Component
+ */
+
+import { store } from '../core/store.js';
+import { diffLines } from '../core/diff.js';
+
+// Unchanged lines shown around each change before the rest are folded away
+const DIFF_CONTEXT = 3;
+
+export class HistoryPanel {
+  constructor(editor) {
+    this.editor = editor;
+    this.drawer = document.getElementById('history-drawer');
+    this.list = document.getElementById('history-list');
+    this.diff = document.getElementById('history-diff');
+    this.restoreBtn = document.getElementById('history-restore');
+    this.revisions = [];
+    this.selectedRevision = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('history-btn').addEventListener('click', () => {
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    document.getElementById('history-close').addEventListener('click', () => {
+      this.close();
+    });
+
+    this.restoreBtn.addEventListener('click', () => {
+      this.restoreSelected();
+    });
+
+    store.on('selectionChanged', () => {
+      this.close();
+    });
+  }
+
+  isOpen() {
+    return !this.drawer.classList.contains('hidden');
+  }
+
+  async open() {
+    if (!store.selectedNodeId) return;
+
+    // Flush pending edits so the diff compares against what's on screen
+    await this.editor.forceSave();
+    this.drawer.classList.remove('hidden');
+    await this.refresh();
+  }
+
+  close() {
+    this.drawer.classList.add('hidden');
+    this.selectedRevision = null;
+  }
+
+  async refresh() {
+    this.revisions = await store.getRevisions(store.selectedNodeId);
+    this.renderList();
+    this.select(this.revisions[0] || null);
+  }
+
+  renderList() {
+    this.list.innerHTML = '';
+
+    if (this.revisions.length === 0) {
+      this.list.innerHTML = `
+        <div class="history-empty">
+          No earlier versions yet. Snapshots are taken as you edit, at most every few minutes.
+        </div>
+      `;
+      return;
+    }
+
+    const current = store.currentContent?.markdown || '';
+
+    for (const revision of this.revisions) {
+      const changes = diffLines(revision.content.markdown, current);
+      const added = changes.filter(c => c.type === 'added').length;
+      const removed = changes.filter(c => c.type === 'removed').length;
+
+      const el = document.createElement('div');
+      el.className = 'history-item';
+      el.dataset.id = revision.id;
+      el.innerHTML = `
+        <div class="history-item-time">${this.escapeHtml(this.formatDate(revision.savedAt))}</div>
+        <div class="history-item-meta">
+          <span>${this.escapeHtml(this.formatRelative(revision.savedAt))}</span>
+          <span class="diff-stat added">+${added}</span>
+          <span class="diff-stat removed">−${removed}</span>
+        </div>
+      `;
+
+      el.addEventListener('click', () => this.select(revision));
+      this.list.appendChild(el);
+    }
+  }
+
+  select(revision) {
+    this.selectedRevision = revision;
+    this.restoreBtn.disabled = !revision;
+
+    this.list.querySelectorAll('.history-item').forEach(item => {
+      item.classList.toggle('selected', revision !== null && item.dataset.id === revision.id);
+    });
+
+    this.renderDiff();
+  }
+
+  renderDiff() {
+    const revision = this.selectedRevision;
+    const current = store.currentContent;
+
+    if (!revision || !current) {
+      this.diff.innerHTML = '';
+      return;
+    }
+
+    const textDiff = diffLines(revision.content.markdown, current.markdown || '');
+    const detailDiff = diffLines(
+      this.describeDetails(revision.content),
+      this.describeDetails(current)
+    );
+    const detailsChanged = detailDiff.some(change => change.type !== 'same');
+
+    this.diff.innerHTML = `
+      <div class="history-diff-legend">
+        <span class="removed">− only in this version</span>
+        <span class="added">+ only in current note</span>
+      </div>
+      <div class="diff-block">${this.renderChanges(textDiff)}</div>
+      ${detailsChanged ? `
+        <h4>Fields &amp; tags</h4>
+        <div class="diff-block">${this.renderChanges(detailDiff)}</div>
+      ` : ''}
+    `;
+  }
+
+  // Render diff lines, folding long unchanged stretches
+  renderChanges(changes) {
+    if (!changes.some(change => change.type !== 'same')) {
+      return '<div class="diff-line same">No differences from the current note</div>';
+    }
+
+    const nearChange = changes.map((_, index) => {
+      for (let i = Math.max(0, index - DIFF_CONTEXT); i <= Math.min(changes.length - 1, index + DIFF_CONTEXT); i++) {
+        if (changes[i].type !== 'same') return true;
+      }
+      return false;
+    });
+
+    const html = [];
+    let folded = 0;
+
+    changes.forEach((change, index) => {
+      if (!nearChange[index]) {
+        folded++;
+        return;
+      }
+      if (folded > 0) {
+        html.push(`<div class="diff-fold">⋯ ${folded} unchanged line${folded > 1 ? 's' : ''}</div>`);
+        folded = 0;
+      }
+      const marker = change.type === 'added' ? '+' : change.type === 'removed' ? '−' : ' ';
+      html.push(`<div class="diff-line ${change.type}"><span class="diff-marker">${marker}</span>${this.escapeHtml(change.text) || '&nbsp;'}</div>`);
+    });
+
+    if (folded > 0) {
+      html.push(`<div class="diff-fold">⋯ ${folded} unchanged line${folded > 1 ? 's' : ''}</div>`);
+    }
+
+    return html.join('');
+  }
+
+  // Flatten icon, fields and tags into lines so they can be diffed like text
+  describeDetails(content) {
+    const lines = [`Icon: ${content.icon || '📄'}`];
+    for (const key of Object.keys(content.fields || {})) {
+      lines.push(`${key}: ${store.formatField(content, key)}`);
+    }
+    lines.push(`Tags: ${(content.tags || []).join(', ')}`);
+    return lines.join('\n');
+  }
+
+  async restoreSelected() {
+    if (!this.selectedRevision) return;
+
+    // Don't let a pending autosave overwrite the restored text
+    await this.editor.forceSave();
+    await store.restoreRevision(this.selectedRevision);
+    await this.refresh();
+  }
+
+  formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  formatRelative(timestamp) {
+    const diff = Date.now() - timestamp;
+
+    if (diff < 60000) return 'just now';
+    if (diff < 3600000) return `${Math.floor(diff / 60000)} min ago`;
+    if (diff < 86400000) return `${Math.floor(diff / 3600000)} h ago`;
+    return `${Math.floor(diff / 86400000)} d ago`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
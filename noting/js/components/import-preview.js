@@ -0,0 +1,187 @@
+/**
+ * Import Preview Component
+ * Shows what a JSON import will add, update or skip before merging it into a folder
+ */
+
+import { store } from '../core/store.js';
+import { readJsonExport, planMerge, buildMerge, CONFLICT_POLICIES } from '../core/merge.js';
+
+// Rows shown per group; the rest are summarized
+const MAX_PREVIEW_ROWS = 200;
+
+const GROUPS = [
+  { action: 'add', title: 'Added' },
+  { action: 'update', title: 'Updated' },
+  { action: 'skip', title: 'Skipped' }
+];
+
+export class ImportPreview {
+  constructor(toast) {
+    this.toast = toast;
+    this.modal = document.getElementById('merge-modal');
+    this.parentSelect = document.getElementById('merge-parent');
+    this.conflictSelect = document.getElementById('merge-conflict');
+    this.preview = document.getElementById('merge-preview');
+    this.summary = document.getElementById('merge-summary');
+    this.confirmBtn = document.getElementById('merge-confirm');
+    this.replaceBtn = document.getElementById('merge-replace');
+    this.data = null;
+    this.imported = null;
+    this.fileName = '';
+    this.items = [];
+    this.planRequest = 0;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    for (const [value, label] of Object.entries(CONFLICT_POLICIES)) {
+      this.conflictSelect.add(new Option(label, value));
+    }
+
+    this.parentSelect.addEventListener('change', () => this.refresh());
+    this.conflictSelect.addEventListener('change', () => this.refresh());
+
+    document.getElementById('merge-cancel').addEventListener('click', () => {
+      this.close();
+    });
+
+    this.confirmBtn.addEventListener('click', () => {
+      this.apply();
+    });
+
+    this.replaceBtn.addEventListener('click', () => {
+      this.replaceVault();
+    });
+  }
+
+  // Throws if the data isn't a vault backup or subtree export
+  async open(data, fileName, parentId = null) {
+    this.imported = readJsonExport(data);
+    this.data = data;
+    this.fileName = fileName;
+
+    document.getElementById('merge-title').textContent = `Import ${fileName}`;
+    this.replaceBtn.classList.toggle('hidden', this.imported.kind !== 'vault');
+    this.renderFolderOptions(parentId);
+
+    this.modal.classList.remove('hidden');
+    await this.refresh();
+  }
+
+  close() {
+    this.modal.classList.add('hidden');
+    this.data = null;
+    this.imported = null;
+    this.items = [];
+  }
+
+  renderFolderOptions(selectedId) {
+    this.parentSelect.innerHTML = '';
+    this.parentSelect.add(new Option('(Root)', ''));
+
+    const addFolders = (parentId, depth) => {
+      for (const node of store.getChildren(parentId)) {
+        if (node.type !== 'folder') continue;
+        this.parentSelect.add(new Option(`${'\u00a0\u00a0'.repeat(depth)}📁 ${node.name}`, node.id));
+        addFolders(node.id, depth + 1);
+      }
+    };
+    addFolders(null, 1);
+
+    this.parentSelect.value = selectedId || '';
+  }
+
+  async refresh() {
+    if (!this.imported) return;
+
+    // Planning reads note content, so a newer request may finish first
+    const request = ++this.planRequest;
+    const items = await planMerge(this.imported, {
+      parentId: this.parentSelect.value || null,
+      conflict: this.conflictSelect.value
+    });
+    if (request !== this.planRequest) return;
+
+    this.items = items;
+    this.render();
+  }
+
+  render() {
+    const counts = { add: 0, update: 0, skip: 0 };
+    this.items.forEach(item => counts[item.action]++);
+
+    this.summary.textContent = this.items.length === 0
+      ? 'This file has nothing to import.'
+      : `${counts.add} to add · ${counts.update} to update · ${counts.skip} to skip`;
+    this.confirmBtn.disabled = counts.add + counts.update === 0;
+
+    this.preview.innerHTML = '';
+    for (const group of GROUPS) {
+      const items = this.items.filter(item => item.action === group.action);
+      if (items.length === 0) continue;
+
+      const el = document.createElement('div');
+      el.className = `merge-group ${group.action}`;
+      el.innerHTML = `
+        <h4>${group.title} (${items.length})</h4>
+        ${items.slice(0, MAX_PREVIEW_ROWS).map(item => `
+          <div class="merge-item">
+            <span class="merge-item-path">${item.node.type === 'folder' ? '📁' : '📄'} ${this.escapeHtml(item.path)}</span>
+            <span class="merge-item-reason">${this.escapeHtml(item.reason || '')}</span>
+          </div>
+        `).join('')}
+        ${items.length > MAX_PREVIEW_ROWS ? `<div class="merge-item">…and ${items.length - MAX_PREVIEW_ROWS} more</div>` : ''}
+      `;
+      this.preview.appendChild(el);
+    }
+  }
+
+  async apply() {
+    if (!this.imported) return;
+
+    const merge = buildMerge(this.items, this.imported.attachments);
+    const parentId = this.parentSelect.value || null;
+    const fileName = this.fileName;
+    this.close();
+
+    try {
+      await store.mergeNodes(`Import "${fileName}"`, merge);
+
+      if (parentId) {
+        for (const ancestor of store.getNodePath(parentId)) {
+          store.expandedNodes.add(ancestor.id);
+        }
+        store.emit('nodesChanged');
+      }
+
+      const files = merge.attachments.length;
+      this.toast.show(`Imported ${fileName}: ${merge.nodes.length} added, ${merge.updates.length} updated` +
+        (files > 0 ? `, ${files} attachment${files > 1 ? 's' : ''}` : ''));
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.toast.show(`Import failed: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  async replaceVault() {
+    if (!confirm('This will replace all current data. Are you sure?')) return;
+
+    const data = this.data;
+    this.close();
+
+    try {
+      await store.importVault(data);
+      this.toast.show('Vault replaced from backup');
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.toast.show(`Import failed: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
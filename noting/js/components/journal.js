@@ -0,0 +1,237 @@
+/**
+ * Session Journal Component
+ * Starts and ends session notes, records the notes opened or made active while a
+ * session runs, and shows the campaign timeline in real or in-world time
+ */
+
+import { store } from '../core/store.js';
+import { db } from '../core/db.js';
+import { markdown } from '../core/markdown.js';
+import { compareValues, findFieldKey } from '../core/query.js';
+
+const EVENT_LABELS = { opened: 'Opened', activated: 'Made active' };
+
+export class Journal {
+  constructor(toast, showTimeline) {
+    this.toast = toast;
+    this.showTimeline = showTimeline;
+    this.status = document.getElementById('journal-status');
+    this.view = document.getElementById('timeline-view');
+    this.list = document.getElementById('timeline-list');
+    this.order = 'real'; // 'real' or 'game'
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('journal-new-session').addEventListener('click', () => {
+      this.startSession();
+    });
+
+    document.getElementById('journal-timeline').addEventListener('click', () => {
+      this.showTimeline();
+    });
+
+    this.view.querySelectorAll('[data-order]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.order = button.dataset.order;
+        this.renderTimeline();
+      });
+    });
+
+    // What happens during a session
+    store.on('selectionChanged', (nodeId) => {
+      if (nodeId) {
+        store.recordSessionEvent(nodeId, 'opened');
+      }
+    });
+
+    store.on('activeChanged', (nodeId) => {
+      if (store.getNode(nodeId)?.active) {
+        store.recordSessionEvent(nodeId, 'activated');
+      }
+    });
+
+    ['sessionsChanged', 'nodesChanged'].forEach(event => {
+      store.on(event, () => {
+        this.renderStatus();
+        if (this.isOpen()) {
+          this.renderTimeline();
+        }
+      });
+    });
+  }
+
+  async startSession() {
+    const node = await store.startSession();
+    await store.selectNode(node.id);
+    this.toast.show(`${node.name} started. Notes you open or make active are added to its journal.`);
+  }
+
+  async endSession() {
+    const session = store.getCurrentSession();
+    if (!session) return;
+
+    await store.endSession();
+    this.toast.show(`${store.getNode(session.noteId).name} ended`);
+  }
+
+  renderStatus() {
+    const session = store.getCurrentSession();
+    this.status.innerHTML = '';
+
+    if (!session) {
+      this.status.innerHTML = '<div class="journal-idle">No session running</div>';
+      return;
+    }
+
+    const notes = new Set(session.events.map(event => event.nodeId)).size;
+    const el = document.createElement('div');
+    el.className = 'journal-running';
+    el.innerHTML = `
+      <span class="journal-recording" title="Recording"></span>
+      <span class="journal-session-name">${this.escapeHtml(store.getNode(session.noteId).name)}</span>
+      <span class="journal-session-count">${notes} note${notes === 1 ? '' : 's'}</span>
+      <button class="btn-small" title="Stop recording this session">End</button>
+    `;
+    el.querySelector('.journal-session-name').addEventListener('click', () => {
+      store.selectNode(session.noteId);
+    });
+    el.querySelector('button').addEventListener('click', () => this.endSession());
+    this.status.appendChild(el);
+  }
+
+  isOpen() {
+    return !this.view.classList.contains('hidden');
+  }
+
+  openTimeline() {
+    this.view.classList.remove('hidden');
+    this.renderTimeline();
+  }
+
+  hideTimeline() {
+    this.view.classList.add('hidden');
+  }
+
+  // Sessions with what the timeline shows of them. Real time is the order they
+  // were played in; game time sorts by in-world date, written biggest unit first
+  // (like "1492-04-15" or "Year 3, Day 12"), with undated sessions at the end.
+  async getEntries() {
+    const entries = [];
+    for (const session of store.getSessions()) {
+      const node = store.getNode(session.noteId);
+      const content = node.id === store.selectedNodeId && store.currentContent
+        ? store.currentContent
+        : await db.getContent(node.id) || db.getDefaultContent(node.id);
+      const dateKey = findFieldKey(content.fields || {}, 'In-World Date');
+      entries.push({ session, node, content, gameDate: dateKey ? String(content.fields[dateKey] ?? '').trim() : '' });
+    }
+
+    if (this.order === 'game') {
+      entries.sort((a, b) => {
+        if (!a.gameDate || !b.gameDate) return (!a.gameDate) - (!b.gameDate);
+        return compareValues(a.gameDate, b.gameDate) || a.session.startedAt - b.session.startedAt;
+      });
+    }
+    return entries;
+  }
+
+  async renderTimeline() {
+    const entries = await this.getEntries();
+    this.view.querySelectorAll('[data-order]').forEach(button => {
+      button.classList.toggle('active', button.dataset.order === this.order);
+    });
+    this.list.innerHTML = '';
+
+    if (entries.length === 0) {
+      this.list.innerHTML = `
+        <div class="timeline-empty">
+          <i class="fas fa-book-open"></i>
+          <p>No sessions yet</p>
+          <span>Start one with the + in the sidebar's Journal section</span>
+        </div>
+      `;
+      return;
+    }
+
+    for (const entry of entries) {
+      this.list.appendChild(this.renderEntry(entry));
+    }
+  }
+
+  renderEntry({ session, node, content, gameDate }) {
+    const el = document.createElement('div');
+    el.className = 'timeline-entry';
+    el.classList.toggle('running', session.endedAt === null);
+
+    const started = new Date(session.startedAt);
+    const realDate = started.toLocaleDateString([], { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+    const primary = this.order === 'game' ? (gameDate || 'No in-world date') : realDate;
+    const secondary = this.order === 'game' ? realDate : gameDate;
+    const recap = this.getRecap(content.markdown);
+
+    el.innerHTML = `
+      <div class="timeline-marker"></div>
+      <div class="timeline-card">
+        <div class="timeline-when">
+          <span class="timeline-primary">${this.escapeHtml(primary)}</span>
+          ${secondary ? `<span class="timeline-secondary">${this.escapeHtml(secondary)}</span>` : ''}
+          <span class="timeline-duration">${session.endedAt === null ? 'In progress' : this.formatDuration(session.endedAt - session.startedAt)}</span>
+        </div>
+        <div class="timeline-title">
+          <span class="timeline-icon">${content.icon || '📅'}</span>
+          <span class="timeline-name">${this.escapeHtml(node.name)}</span>
+        </div>
+        ${recap ? `<p class="timeline-recap">${this.escapeHtml(recap)}</p>` : ''}
+      </div>
+    `;
+
+    el.querySelector('.timeline-title').addEventListener('click', () => {
+      store.selectNode(node.id);
+    });
+
+    const card = el.querySelector('.timeline-card');
+    for (const [action, label] of Object.entries(EVENT_LABELS)) {
+      const notes = session.events
+        .filter(event => event.action === action)
+        .map(event => store.getNode(event.nodeId))
+        .filter(Boolean);
+      if (notes.length === 0) continue;
+
+      const row = document.createElement('div');
+      row.className = 'timeline-notes';
+      row.innerHTML = `<span class="timeline-label">${label}</span>`;
+      for (const note of notes) {
+        const chip = document.createElement('button');
+        chip.className = 'timeline-note';
+        chip.textContent = note.name;
+        chip.addEventListener('click', () => store.selectNode(note.id));
+        row.appendChild(chip);
+      }
+      card.appendChild(row);
+    }
+
+    return el;
+  }
+
+  // The start of the note's text without formatting, leaving out headings
+  getRecap(text = '') {
+    const div = document.createElement('div');
+    div.innerHTML = markdown.render(text.split('\n').filter(line => !line.startsWith('#')).join('\n'));
+    const recap = div.textContent.replace(/\s+/g, ' ').trim();
+    return recap.length > 240 ? `${recap.slice(0, 240)}…` : recap;
+  }
+
+  formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes} min`;
+    return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,674 @@
+/**
+ * Map View Component
+ * The map panel of map notes: an uploaded image to pan and zoom, pins that open
+ * the notes they link to, layers of pins to show or hide, and a fog of war with
+ * regions revealed to players
+ */
+
+import { store } from '../core/store.js';
+import { collab } from '../core/collab.js';
+import { DEFAULT_LAYER_ID, clampFraction, isRevealed } from '../core/maps.js';
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 8;
+const ZOOM_STEP = 1.25;
+
+// Pointer travel (px) below which a press counts as a click
+const CLICK_DISTANCE = 4;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+export class MapView {
+  constructor(toast, openNote) {
+    this.toast = toast;
+    this.openNote = openNote;
+    this.nodeId = null;
+    this.map = null;
+    this.mode = 'pan'; // pan, pin or reveal
+    this.playerView = false;
+    this.zoom = 1;
+    this.panX = 0;
+    this.panY = 0;
+    this.imageSize = null; // { width, height } of the image shown, once known
+    this.drag = null; // The press in progress, see onPointerDown()
+    this.editingPinId = null;
+
+    this.panel = document.getElementById('map-panel');
+    this.viewport = document.getElementById('map-viewport');
+    this.stage = document.getElementById('map-stage');
+    this.image = document.getElementById('map-image');
+    this.fog = document.getElementById('map-fog-layer');
+    this.pins = document.getElementById('map-pins');
+    this.pinEditor = document.getElementById('map-pin-editor');
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.querySelectorAll('#map-modes button').forEach(btn => {
+      btn.addEventListener('click', () => this.setMode(btn.dataset.mode));
+    });
+
+    document.getElementById('map-fog').addEventListener('click', () => {
+      this.save({ ...this.map, fog: !this.map.fog });
+    });
+
+    document.getElementById('map-player-view').addEventListener('click', () => {
+      this.playerView = !this.playerView;
+      this.closePinEditor();
+      this.render();
+    });
+
+    document.getElementById('map-layers-btn').addEventListener('click', () => {
+      document.getElementById('map-layers').classList.toggle('hidden');
+    });
+
+    document.getElementById('map-layer-add').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('map-layer-name');
+      this.addLayer(input.value);
+      input.value = '';
+    });
+
+    // Map image
+    const imageInput = document.getElementById('map-image-input');
+    document.querySelectorAll('#map-image-btn, #map-empty-upload').forEach(btn => {
+      btn.addEventListener('click', () => imageInput.click());
+    });
+
+    imageInput.addEventListener('change', async () => {
+      if (imageInput.files[0]) {
+        await this.setImage(imageInput.files[0]);
+      }
+      imageInput.value = '';
+    });
+
+    this.viewport.addEventListener('dragover', (e) => {
+      if (e.dataTransfer?.types.includes('Files')) {
+        e.preventDefault();
+      }
+    });
+
+    this.viewport.addEventListener('drop', (e) => {
+      const file = Array.from(e.dataTransfer?.files || []).find(item => item.type.startsWith('image/'));
+      if (!file) return;
+
+      e.preventDefault();
+      this.setImage(file);
+    });
+
+    this.image.addEventListener('load', () => {
+      const size = { width: this.image.naturalWidth, height: this.image.naturalHeight };
+      const changed = !this.imageSize || this.imageSize.width !== size.width || this.imageSize.height !== size.height;
+      if (size.width > 0 && changed) {
+        this.imageSize = size;
+        this.fit();
+      }
+    });
+
+    document.getElementById('map-remove').addEventListener('click', () => {
+      if (!confirm('Turn this map back into a plain note? Its pins and revealed regions are removed (Undo brings them back).')) return;
+      this.save(null);
+    });
+
+    // Zoom
+    document.getElementById('map-zoom-in').addEventListener('click', () => this.zoomBy(ZOOM_STEP));
+    document.getElementById('map-zoom-out').addEventListener('click', () => this.zoomBy(1 / ZOOM_STEP));
+    document.getElementById('map-zoom-fit').addEventListener('click', () => this.fit());
+
+    this.viewport.addEventListener('wheel', (e) => {
+      if (!this.imageSize) return;
+      e.preventDefault();
+      const rect = this.viewport.getBoundingClientRect();
+      this.zoomBy(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, e.clientX - rect.left, e.clientY - rect.top);
+    }, { passive: false });
+
+    // Pan, drop and drag pins, draw revealed regions
+    this.viewport.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    this.viewport.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    this.viewport.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    this.viewport.addEventListener('pointercancel', () => {
+      this.drag = null;
+      this.render();
+    });
+
+    // Pin editor
+    const label = document.getElementById('map-pin-label');
+    const note = document.getElementById('map-pin-note');
+    const layer = document.getElementById('map-pin-layer');
+
+    this.pinEditor.addEventListener('pointerdown', (e) => e.stopPropagation());
+
+    label.addEventListener('change', () => this.updatePin({ label: label.value.trim() }));
+    layer.addEventListener('change', () => this.updatePin({ layerId: layer.value }));
+    note.addEventListener('change', () => {
+      const linked = note.value.trim() ? store.resolveLink(note.value.trim()) : null;
+      if (note.value.trim() && linked?.type !== 'leaf') {
+        this.toast.show(`No note named "${note.value.trim()}"`, { type: 'error' });
+        return;
+      }
+      this.updatePin({ nodeId: linked ? linked.id : null });
+    });
+
+    [label, note].forEach(input => input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        input.dispatchEvent(new Event('change'));
+        this.closePinEditor();
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.closePinEditor();
+      }
+    }));
+
+    document.getElementById('map-pin-open').addEventListener('click', () => {
+      const pin = this.getPin(this.editingPinId);
+      if (pin?.nodeId) {
+        this.openNote(pin.nodeId);
+      }
+    });
+
+    document.getElementById('map-pin-delete').addEventListener('click', () => {
+      const id = this.editingPinId;
+      this.closePinEditor();
+      this.save({ ...this.map, pins: this.map.pins.filter(pin => pin.id !== id) });
+    });
+
+    document.getElementById('map-pin-done').addEventListener('click', () => this.closePinEditor());
+
+    // Pins show the names of the notes they link to
+    ['nodesChanged', 'nodeUpdated'].forEach(event => {
+      store.on(event, () => {
+        if (this.map) {
+          this.renderPins();
+        }
+      });
+    });
+
+    // The image may have been added, renamed on import or deleted
+    store.on('attachmentsChanged', () => {
+      if (this.map) {
+        this.render();
+      }
+    });
+  }
+
+  // Show the map of a note, or hide the panel for null. The view is kept while
+  // the same note's map changes (an edit, undo, someone else's change).
+  load(nodeId, map) {
+    if (nodeId !== this.nodeId) {
+      this.nodeId = nodeId;
+      this.imageSize = null;
+      this.playerView = false;
+      this.closePinEditor();
+    }
+    this.map = map ? structuredClone(map) : null;
+    if (this.editingPinId && !this.getPin(this.editingPinId)) {
+      this.closePinEditor();
+    }
+    this.render();
+  }
+
+  async save(map) {
+    const nodeId = this.nodeId;
+    this.map = map;
+    this.render();
+
+    if (store.selectedNodeId !== nodeId) return;
+    await store.updateContent({ map });
+    collab.propsChanged();
+  }
+
+  getPin(id) {
+    return this.map?.pins.find(pin => pin.id === id) || null;
+  }
+
+  getImageAttachment() {
+    return this.map?.image ? store.findAttachment(this.map.image) : null;
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+    this.closePinEditor();
+    this.render();
+  }
+
+  async setImage(file) {
+    const nodeId = this.nodeId;
+    if (!file.type.startsWith('image/')) {
+      this.toast.show(`"${file.name}" isn't an image`, { type: 'error' });
+      return;
+    }
+
+    try {
+      const attachment = await store.addAttachment(nodeId, file);
+      if (this.nodeId !== nodeId || !this.map) return;
+
+      this.imageSize = attachment.width ? { width: attachment.width, height: attachment.height } : null;
+      await this.save({ ...this.map, image: attachment.name });
+      this.fit();
+    } catch (error) {
+      console.error('Map image upload failed:', error);
+      this.toast.show(`Could not use "${file.name}": ${error.message}`, { type: 'error' });
+    }
+  }
+
+  addLayer(name) {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    const layer = { id: store.generateId(), name: trimmed, visible: true };
+    this.save({ ...this.map, layers: [...this.map.layers, layer] });
+  }
+
+  toggleLayer(id) {
+    this.save({
+      ...this.map,
+      layers: this.map.layers.map(layer => (layer.id === id ? { ...layer, visible: !layer.visible } : layer))
+    });
+  }
+
+  deleteLayer(id) {
+    const layer = this.map.layers.find(item => item.id === id);
+    const count = this.map.pins.filter(pin => pin.layerId === id).length;
+    if (!layer || this.map.layers.length === 1) return;
+    if (count > 0 && !confirm(`Delete the "${layer.name}" layer and its ${count} pin${count === 1 ? '' : 's'}?`)) return;
+
+    this.save({
+      ...this.map,
+      layers: this.map.layers.filter(item => item.id !== id),
+      pins: this.map.pins.filter(pin => pin.layerId !== id)
+    });
+  }
+
+  updatePin(changes) {
+    const id = this.editingPinId;
+    if (!this.getPin(id)) return;
+
+    this.save({
+      ...this.map,
+      pins: this.map.pins.map(pin => (pin.id === id ? { ...pin, ...changes } : pin))
+    });
+  }
+
+  // Viewport pixels <-> fractions of the image
+  toMap(clientX, clientY) {
+    const rect = this.viewport.getBoundingClientRect();
+    return {
+      x: (clientX - rect.left - this.panX) / (this.zoom * this.imageSize.width),
+      y: (clientY - rect.top - this.panY) / (this.zoom * this.imageSize.height)
+    };
+  }
+
+  toViewport(x, y) {
+    return {
+      left: this.panX + x * this.imageSize.width * this.zoom,
+      top: this.panY + y * this.imageSize.height * this.zoom
+    };
+  }
+
+  fit() {
+    if (!this.imageSize) return;
+
+    const width = this.viewport.clientWidth || this.imageSize.width;
+    const height = this.viewport.clientHeight || this.imageSize.height;
+    this.zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, Math.min(width / this.imageSize.width, height / this.imageSize.height)));
+    this.panX = (width - this.imageSize.width * this.zoom) / 2;
+    this.panY = (height - this.imageSize.height * this.zoom) / 2;
+    this.applyTransform();
+  }
+
+  // Zoom about a point of the viewport, its middle by default
+  zoomBy(factor, originX = this.viewport.clientWidth / 2, originY = this.viewport.clientHeight / 2) {
+    const zoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, this.zoom * factor));
+    this.panX = originX - (originX - this.panX) * (zoom / this.zoom);
+    this.panY = originY - (originY - this.panY) * (zoom / this.zoom);
+    this.zoom = zoom;
+    this.applyTransform();
+  }
+
+  applyTransform() {
+    this.stage.style.transform = `translate(${this.panX}px, ${this.panY}px) scale(${this.zoom})`;
+    this.stage.style.setProperty('--map-zoom', this.zoom);
+    if (this.imageSize) {
+      this.stage.style.width = `${this.imageSize.width}px`;
+      this.stage.style.height = `${this.imageSize.height}px`;
+    }
+    this.positionPinEditor();
+  }
+
+  // A press pans the map, unless it starts on a pin in pin mode (drag the pin) or
+  // anywhere in reveal mode (draw a region). Without moving it is a click.
+  onPointerDown(e) {
+    if (e.button !== 0 || !this.imageSize || e.target.closest('.map-zoom, .map-empty')) return;
+
+    const pinEl = e.target.closest('.map-pin');
+    const mode = this.playerView ? 'pan' : this.mode;
+    this.drag = {
+      mode,
+      pinId: pinEl ? pinEl.dataset.pinId : null,
+      startX: e.clientX,
+      startY: e.clientY,
+      panX: this.panX,
+      panY: this.panY,
+      start: this.toMap(e.clientX, e.clientY),
+      moved: false
+    };
+    this.viewport.setPointerCapture?.(e.pointerId);
+  }
+
+  onPointerMove(e) {
+    const drag = this.drag;
+    if (!drag) return;
+
+    const dx = e.clientX - drag.startX;
+    const dy = e.clientY - drag.startY;
+    if (!drag.moved && Math.hypot(dx, dy) < CLICK_DISTANCE) return;
+    drag.moved = true;
+
+    const point = this.toMap(e.clientX, e.clientY);
+    if (drag.mode === 'pin' && drag.pinId) {
+      drag.point = { x: clampFraction(point.x), y: clampFraction(point.y) };
+      this.renderPins();
+    } else if (drag.mode === 'reveal') {
+      drag.region = this.regionBetween(drag.start, point);
+      this.renderFog();
+    } else {
+      this.panX = drag.panX + dx;
+      this.panY = drag.panY + dy;
+      this.applyTransform();
+    }
+  }
+
+  onPointerUp(e) {
+    const drag = this.drag;
+    this.drag = null;
+    if (!drag) return;
+
+    const point = this.toMap(e.clientX, e.clientY);
+    const inside = point.x >= 0 && point.x <= 1 && point.y >= 0 && point.y <= 1;
+
+    if (drag.mode === 'pan') {
+      const pin = !drag.moved && this.getPin(drag.pinId);
+      if (pin?.nodeId && store.getNode(pin.nodeId)) {
+        this.openNote(pin.nodeId);
+      } else if (pin) {
+        this.toast.show(`"${pin.label || 'This pin'}" isn't linked to a note yet`);
+      }
+    } else if (drag.mode === 'pin') {
+      if (drag.pinId && drag.moved && drag.point) {
+        const { x, y } = drag.point;
+        this.save({ ...this.map, pins: this.map.pins.map(pin => (pin.id === drag.pinId ? { ...pin, x: round(x), y: round(y) } : pin)) });
+      } else if (drag.pinId) {
+        this.openPinEditor(drag.pinId);
+      } else if (!drag.moved && this.editingPinId) {
+        this.closePinEditor();
+      } else if (!drag.moved && inside) {
+        this.addPin(point);
+      }
+    } else if (drag.mode === 'reveal') {
+      if (drag.moved && drag.region && drag.region.width > 0 && drag.region.height > 0) {
+        this.save({ ...this.map, reveals: [...this.map.reveals, { id: store.generateId(), ...drag.region }] });
+      } else if (!drag.moved) {
+        this.hideRegionAt(point);
+      }
+    }
+  }
+
+  regionBetween(a, b) {
+    const x1 = clampFraction(Math.min(a.x, b.x));
+    const y1 = clampFraction(Math.min(a.y, b.y));
+    const x2 = clampFraction(Math.max(a.x, b.x));
+    const y2 = clampFraction(Math.max(a.y, b.y));
+    return { x: round(x1), y: round(y1), width: round(x2 - x1), height: round(y2 - y1) };
+  }
+
+  // New pins go on the first shown layer, showing the first one if none is
+  addPin(point) {
+    const target = this.map.layers.find(layer => layer.visible) || this.map.layers[0];
+    const pin = {
+      id: store.generateId(),
+      x: round(point.x),
+      y: round(point.y),
+      label: '',
+      nodeId: null,
+      layerId: target.id
+    };
+    this.save({
+      ...this.map,
+      layers: this.map.layers.map(layer => (layer.id === target.id ? { ...layer, visible: true } : layer)),
+      pins: [...this.map.pins, pin]
+    });
+    this.openPinEditor(pin.id);
+  }
+
+  // Clicking a revealed region in reveal mode covers it again (the last drawn first)
+  hideRegionAt(point) {
+    const region = [...this.map.reveals].reverse().find(item =>
+      point.x >= item.x && point.x <= item.x + item.width && point.y >= item.y && point.y <= item.y + item.height);
+    if (region) {
+      this.save({ ...this.map, reveals: this.map.reveals.filter(item => item.id !== region.id) });
+    }
+  }
+
+  openPinEditor(id) {
+    const pin = this.getPin(id);
+    if (!pin) return;
+
+    this.editingPinId = id;
+    this.renderNoteOptions();
+
+    document.getElementById('map-pin-label').value = pin.label;
+    document.getElementById('map-pin-note').value = store.getNode(pin.nodeId)?.name || '';
+    document.getElementById('map-pin-open').disabled = !pin.nodeId;
+
+    const layerSelect = document.getElementById('map-pin-layer');
+    layerSelect.innerHTML = '';
+    for (const layer of this.map.layers) {
+      const option = document.createElement('option');
+      option.value = layer.id;
+      option.textContent = layer.name;
+      layerSelect.appendChild(option);
+    }
+    layerSelect.value = pin.layerId;
+
+    this.pinEditor.classList.remove('hidden');
+    this.positionPinEditor();
+    this.renderPins();
+    document.getElementById('map-pin-label').focus();
+  }
+
+  closePinEditor() {
+    if (!this.editingPinId) return;
+    this.editingPinId = null;
+    this.pinEditor.classList.add('hidden');
+    this.renderPins();
+  }
+
+  positionPinEditor() {
+    const pin = this.getPin(this.editingPinId);
+    if (!pin || !this.imageSize) return;
+
+    const { left, top } = this.toViewport(pin.x, pin.y);
+    this.pinEditor.style.left = `${Math.round(left)}px`;
+    this.pinEditor.style.top = `${Math.round(top)}px`;
+  }
+
+  renderNoteOptions() {
+    let datalist = document.getElementById('map-pin-notes');
+    if (!datalist) {
+      datalist = document.createElement('datalist');
+      datalist.id = 'map-pin-notes';
+      document.body.appendChild(datalist);
+    }
+
+    datalist.innerHTML = '';
+    for (const node of store.nodes.values()) {
+      if (node.type !== 'leaf' || node.id === this.nodeId) continue;
+      const option = document.createElement('option');
+      option.value = node.name;
+      datalist.appendChild(option);
+    }
+  }
+
+  render() {
+    this.panel.classList.toggle('hidden', !this.map);
+    if (!this.map) return;
+
+    const attachment = this.getImageAttachment();
+    const empty = document.getElementById('map-empty');
+    empty.classList.toggle('hidden', Boolean(attachment));
+    document.getElementById('map-empty-text').textContent = this.map.image && !attachment
+      ? `The map image "${this.map.image}" is missing. Upload it again, or another image.`
+      : 'Upload an image of the map, or drop one here.';
+    this.stage.classList.toggle('hidden', !attachment);
+
+    if (attachment) {
+      // Until the image loads, its size is known from when it was attached (or from
+      // the last time it was shown)
+      const url = store.getAttachmentUrl(attachment.id);
+      const shown = this.image.getAttribute('src') === url;
+      if (!shown) {
+        this.image.src = url;
+      }
+      const width = (shown && this.image.naturalWidth) || attachment.width;
+      const height = (shown && this.image.naturalHeight) || attachment.height;
+      if (!this.imageSize && width && height) {
+        this.imageSize = { width, height };
+        this.fit();
+      }
+    } else {
+      this.image.removeAttribute('src');
+    }
+
+    // Toolbar
+    const mode = this.playerView ? 'pan' : this.mode;
+    document.querySelectorAll('#map-modes button').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mode === mode);
+      btn.disabled = this.playerView;
+    });
+    document.getElementById('map-fog').classList.toggle('active', this.map.fog);
+    document.getElementById('map-player-view').classList.toggle('active', this.playerView);
+    this.viewport.dataset.mode = mode;
+
+    this.renderLayers();
+    this.applyTransform();
+    this.renderFog();
+    this.renderPins();
+  }
+
+  renderLayers() {
+    const list = document.getElementById('map-layers-list');
+    list.innerHTML = '';
+
+    for (const layer of this.map.layers) {
+      const count = this.map.pins.filter(pin => pin.layerId === layer.id).length;
+      const item = document.createElement('label');
+      item.className = 'map-layer';
+      item.innerHTML = `
+        <input type="checkbox">
+        <span class="map-layer-name">${this.escapeHtml(layer.name)}</span>
+        <span class="map-layer-count">${count}</span>
+        <button type="button" class="btn-icon" title="Delete layer"><i class="fas fa-trash"></i></button>
+      `;
+
+      const checkbox = item.querySelector('input');
+      checkbox.checked = layer.visible;
+      checkbox.addEventListener('change', () => this.toggleLayer(layer.id));
+
+      const deleteBtn = item.querySelector('button');
+      deleteBtn.classList.toggle('hidden', layer.id === DEFAULT_LAYER_ID || this.map.layers.length === 1);
+      deleteBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.deleteLayer(layer.id);
+      });
+
+      list.appendChild(item);
+    }
+  }
+
+  // Unrevealed parts are dimmed for the game master and covered in player view;
+  // the regions are outlined while revealing
+  renderFog() {
+    this.fog.innerHTML = '';
+    const drawing = this.drag?.mode === 'reveal' ? this.drag.region : null;
+    if (!this.map.fog && this.mode !== 'reveal' && !drawing) return;
+
+    const rect = (region, attributes = {}) => {
+      const el = document.createElementNS(SVG_NS, 'rect');
+      el.setAttribute('x', region.x);
+      el.setAttribute('y', region.y);
+      el.setAttribute('width', region.width);
+      el.setAttribute('height', region.height);
+      for (const [name, value] of Object.entries(attributes)) {
+        el.setAttribute(name, value);
+      }
+      return el;
+    };
+    const whole = { x: 0, y: 0, width: 1, height: 1 };
+
+    if (this.map.fog) {
+      const mask = document.createElementNS(SVG_NS, 'mask');
+      mask.id = 'map-fog-mask';
+      mask.appendChild(rect(whole, { fill: 'white' }));
+      for (const region of this.map.reveals) {
+        mask.appendChild(rect(region, { fill: 'black' }));
+      }
+      this.fog.appendChild(mask);
+      this.fog.appendChild(rect(whole, {
+        class: this.playerView ? 'map-fog-cover player' : 'map-fog-cover',
+        mask: 'url(#map-fog-mask)'
+      }));
+    }
+
+    if (!this.playerView && this.mode === 'reveal') {
+      for (const region of this.map.reveals) {
+        this.fog.appendChild(rect(region, { class: 'map-reveal', 'data-reveal-id': region.id }));
+      }
+    }
+    if (drawing) {
+      this.fog.appendChild(rect(drawing, { class: 'map-reveal drawing' }));
+    }
+  }
+
+  renderPins() {
+    this.pins.innerHTML = '';
+    const visibleLayers = new Set(this.map.layers.filter(layer => layer.visible).map(layer => layer.id));
+
+    for (const pin of this.map.pins) {
+      // Players only see pins in revealed parts of a fogged map
+      const hidden = !visibleLayers.has(pin.layerId) ||
+        (this.playerView && this.map.fog && !isRevealed(this.map, pin.x, pin.y));
+      if (hidden && pin.id !== this.editingPinId) continue;
+
+      const linked = pin.nodeId ? store.getNode(pin.nodeId) : null;
+      const dragged = this.drag?.pinId === pin.id && this.drag.point;
+      const { x, y } = dragged || pin;
+
+      const pinEl = document.createElement('div');
+      pinEl.className = 'map-pin';
+      pinEl.classList.toggle('unlinked', !linked);
+      pinEl.classList.toggle('editing', pin.id === this.editingPinId);
+      pinEl.dataset.pinId = pin.id;
+      pinEl.style.left = `${x * 100}%`;
+      pinEl.style.top = `${y * 100}%`;
+      pinEl.title = linked ? `${pin.label || linked.name} - open "${linked.name}"` : pin.label || 'Pin without a note';
+      pinEl.innerHTML = `
+        <span class="map-pin-marker"><i class="fas fa-map-marker-alt"></i></span>
+        <span class="map-pin-label">${this.escapeHtml(pin.label || linked?.name || '')}</span>
+      `;
+      this.pins.appendChild(pinEl);
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Positions are kept to 4 decimals, a tenth of a pixel on a 1000px map
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
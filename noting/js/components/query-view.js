@@ -0,0 +1,304 @@
+/**
+ * Query View Component
+ * Lists the notes matching a field and tag query as a sortable table, and keeps
+ * saved queries in the sidebar like folders
+ */
+
+import { store } from '../core/store.js';
+import { getFieldDef } from '../core/fields.js';
+import { QueryError, compareValues, findFieldKey } from '../core/query.js';
+
+export class QueryView {
+  constructor(toast, openQuery) {
+    this.toast = toast;
+    this.openQuery = openQuery;
+    this.view = document.getElementById('query-view');
+    this.list = document.getElementById('queries-list');
+    this.nameInput = document.getElementById('query-name');
+    this.input = document.getElementById('query-input');
+    this.errorEl = document.getElementById('query-error');
+    this.countEl = document.getElementById('query-count');
+    this.table = document.getElementById('query-results');
+    this.deleteBtn = document.getElementById('query-delete');
+    this.queryId = null; // null while the query isn't saved
+    this.sortBy = 'name'; // 'name', 'tags' or 'fields.<name>'
+    this.sortDescending = false;
+    this.results = [];
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('new-query').addEventListener('click', () => {
+      this.openQuery(null);
+    });
+
+    document.getElementById('query-run').addEventListener('click', () => {
+      this.run();
+    });
+
+    this.input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        this.run();
+      }
+    });
+
+    document.getElementById('query-save').addEventListener('click', () => {
+      this.save();
+    });
+
+    this.deleteBtn.addEventListener('click', () => {
+      this.delete();
+    });
+
+    document.getElementById('query-close').addEventListener('click', () => {
+      store.selectNode(null);
+    });
+
+    this.table.addEventListener('click', (e) => {
+      const header = e.target.closest('th[data-sort]');
+      if (header) {
+        this.sort(header.dataset.sort);
+        return;
+      }
+
+      const row = e.target.closest('tr[data-id]');
+      if (row) {
+        store.selectNode(row.dataset.id);
+      }
+    });
+
+    store.on('queriesChanged', () => {
+      this.renderList();
+    });
+
+    // Keep the table current while it's on screen
+    ['nodesChanged', 'contentReplaced', 'templatesChanged', 'tagsChanged'].forEach(event => {
+      store.on(event, () => {
+        if (this.isOpen()) {
+          this.run();
+        }
+      });
+    });
+  }
+
+  isOpen() {
+    return !this.view.classList.contains('hidden');
+  }
+
+  open(queryId = null, text = '') {
+    const query = store.getQuery(queryId);
+    this.queryId = query ? query.id : null;
+    this.nameInput.value = query ? query.name : '';
+    this.input.value = query ? query.query : text;
+    this.sortBy = query?.sortBy || 'name';
+    this.sortDescending = Boolean(query?.sortDescending);
+    this.deleteBtn.classList.toggle('hidden', !query);
+
+    this.view.classList.remove('hidden');
+    this.renderList();
+    this.run();
+    if (!query) {
+      this.input.focus();
+    }
+  }
+
+  hide() {
+    this.view.classList.add('hidden');
+    this.queryId = null;
+    this.renderList();
+  }
+
+  renderList() {
+    const queries = store.getQueries();
+    this.list.innerHTML = '';
+
+    if (queries.length === 0) {
+      this.list.innerHTML = '<div class="queries-empty">No saved queries</div>';
+      return;
+    }
+
+    for (const query of queries) {
+      const el = document.createElement('div');
+      el.className = 'query-item';
+      el.classList.toggle('selected', this.isOpen() && query.id === this.queryId);
+      el.title = query.query;
+      el.innerHTML = `
+        <span class="query-item-icon"><i class="fas fa-filter"></i></span>
+        <span class="query-item-name">${this.escapeHtml(query.name)}</span>
+      `;
+      el.addEventListener('click', () => {
+        this.openQuery(query.id);
+      });
+      this.list.appendChild(el);
+    }
+  }
+
+  async run() {
+    try {
+      this.results = await store.runQuery(this.input.value);
+      this.errorEl.classList.add('hidden');
+    } catch (error) {
+      if (!(error instanceof QueryError)) throw error;
+      this.results = [];
+      this.errorEl.textContent = `${error.message} (at character ${error.position + 1})`;
+      this.errorEl.classList.remove('hidden');
+    }
+    this.renderResults();
+  }
+
+  // Field columns in order of how many results have them. Names that differ only
+  // in case share a column.
+  getColumns() {
+    const columns = new Map();
+    for (const { content } of this.results) {
+      for (const key of Object.keys(content.fields || {})) {
+        const id = key.toLowerCase();
+        const column = columns.get(id) || { name: key, count: 0 };
+        column.count++;
+        columns.set(id, column);
+      }
+    }
+    return [...columns.values()]
+      .sort((a, b) => b.count - a.count)
+      .map(column => column.name);
+  }
+
+  // The value a note is sorted by in a column; numbers stay numbers
+  getSortValue(note, column) {
+    if (column === 'name') return note.node.name;
+    if (column === 'tags') return (note.content.tags || []).join(', ');
+
+    const key = findFieldKey(note.content.fields, column.slice('fields.'.length));
+    if (key === null) return '';
+    const value = note.content.fields[key];
+    return getFieldDef(note.content, key).type === 'number' && value !== null
+      ? value
+      : store.formatField(note.content, key);
+  }
+
+  sortResults() {
+    const direction = this.sortDescending ? -1 : 1;
+    const values = new Map(this.results.map(note => [note, this.getSortValue(note, this.sortBy)]));
+
+    // Blank values stay at the bottom whichever way the column is sorted
+    this.results.sort((a, b) => {
+      const valueA = values.get(a);
+      const valueB = values.get(b);
+      if (valueA === '' || valueB === '') return (valueA === '') - (valueB === '');
+      return direction * compareValues(valueA, valueB);
+    });
+  }
+
+  async sort(column) {
+    if (column.toLowerCase() === this.sortBy.toLowerCase()) {
+      this.sortDescending = !this.sortDescending;
+    } else {
+      this.sortBy = column;
+      this.sortDescending = false;
+    }
+    this.renderResults();
+
+    // Saved queries remember how they were sorted
+    const query = store.getQuery(this.queryId);
+    if (query) {
+      await store.saveQuery({ ...query, sortBy: this.sortBy, sortDescending: this.sortDescending });
+    }
+  }
+
+  renderResults() {
+    const columns = this.getColumns();
+    const count = this.results.length;
+    this.countEl.textContent = `${count} note${count === 1 ? '' : 's'}`;
+
+    if (count === 0) {
+      this.table.innerHTML = '<tbody><tr><td class="query-empty">No notes match this query</td></tr></tbody>';
+      return;
+    }
+    this.sortResults();
+
+    // Built with DOM calls so quotes in names and values can't break attributes
+    const head = document.createElement('tr');
+    const addHeader = (column, label) => {
+      const th = document.createElement('th');
+      const sorted = column.toLowerCase() === this.sortBy.toLowerCase();
+      th.dataset.sort = column;
+      th.classList.toggle('sorted', sorted);
+      th.textContent = `${label} `;
+      if (sorted) {
+        th.insertAdjacentHTML('beforeend', `<i class="fas fa-sort-${this.sortDescending ? 'down' : 'up'}"></i>`);
+      }
+      head.appendChild(th);
+    };
+    addHeader('name', 'Name');
+    columns.forEach(name => addHeader(`fields.${name}`, name));
+    addHeader('tags', 'Tags');
+
+    const body = document.createElement('tbody');
+    for (const note of this.results) {
+      const { node, content } = note;
+      const row = document.createElement('tr');
+      row.dataset.id = node.id;
+
+      const path = note.path.map(folder => folder.name).join(' > ');
+      row.innerHTML = `
+        <td class="query-note">
+          <span class="query-note-name">${this.escapeHtml(content.icon || '📄')} ${this.escapeHtml(node.name)}</span>
+          ${path ? `<span class="query-note-path">${this.escapeHtml(path)}</span>` : ''}
+        </td>
+      `;
+
+      for (const name of columns) {
+        const key = findFieldKey(content.fields, name);
+        const cell = document.createElement('td');
+        cell.textContent = key === null ? '' : store.formatField(content, key);
+        cell.title = cell.textContent;
+        row.appendChild(cell);
+      }
+
+      const tagsCell = document.createElement('td');
+      tagsCell.innerHTML = (content.tags || []).map(tag => `<span class="tag">${this.escapeHtml(tag)}</span>`).join(' ');
+      row.appendChild(tagsCell);
+      body.appendChild(row);
+    }
+
+    const thead = document.createElement('thead');
+    thead.appendChild(head);
+    this.table.replaceChildren(thead, body);
+  }
+
+  async save() {
+    try {
+      const query = await store.saveQuery({
+        id: this.queryId,
+        name: this.nameInput.value,
+        query: this.input.value,
+        sortBy: this.sortBy,
+        sortDescending: this.sortDescending
+      });
+      this.queryId = query.id;
+      this.deleteBtn.classList.remove('hidden');
+      this.renderList();
+      this.toast.show(`Saved query "${query.name}"`);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+    }
+  }
+
+  async delete() {
+    const query = store.getQuery(this.queryId);
+    if (!query) return;
+    if (!confirm(`Delete the saved query "${query.name}"? No notes are changed.`)) return;
+
+    await store.deleteQuery(query.id);
+    this.toast.show(`Deleted query "${query.name}"`);
+    store.selectNode(null);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -3,9 +3,14 @@
  */
 
 import { store } from '../core/store.js';
+import { parseDice, describeRoll } from '../core/dice.js';
+
+// "/roll 3d8" or "/r 3d8" rolls dice instead of searching
+const ROLL_COMMAND = /^\/r(?:oll)?(?:\s+(.*))?$/i;
 
 export class Search {
-  constructor() {
+  constructor(roll) {
+    this.roll = roll;
     this.modal = document.getElementById('command-palette');
     this.input = document.getElementById('search-input');
     this.results = document.getElementById('search-results');
@@ -77,6 +82,12 @@ export class Search {
       return;
     }
 
+    const command = query.match(ROLL_COMMAND);
+    if (command) {
+      this.showRollCommand((command[1] || '').trim());
+      return;
+    }
+
     // Search in store
     const searchResults = store.search(query, 15);
 
@@ -98,6 +109,48 @@ export class Search {
     }
   }
 
+  showRollCommand(expression) {
+    if (!expression) {
+      this.results.innerHTML = `
+        <div class="no-results">
+          Type dice to roll, like <code>/roll 2d6+3</code>, <code>4d6kh3</code>, <code>1d20 adv</code> or <code>d%</code>
+        </div>
+      `;
+      return;
+    }
+
+    try {
+      parseDice(expression);
+    } catch (error) {
+      this.results.innerHTML = `<div class="no-results">${this.escapeHtml(error.message)}</div>`;
+      return;
+    }
+
+    const el = document.createElement('div');
+    el.className = 'search-result-item';
+    el.innerHTML = `
+      <div class="result-title">
+        <span>🎲</span>
+        <span>Roll ${this.escapeHtml(expression)}</span>
+      </div>
+      <div class="result-match roll-result">Press Enter to roll, again to reroll</div>
+    `;
+
+    // Stays open with the result, so the same roll can be repeated
+    el.addEventListener('click', () => {
+      const result = this.roll(expression);
+      if (result) {
+        el.querySelector('.roll-result').innerHTML =
+          `<strong>${result.total}</strong> = ${this.escapeHtml(describeRoll(result))}`;
+      }
+      this.input.focus();
+    });
+
+    this.results.appendChild(el);
+    this.selectedIndex = 0;
+    this.updateSelection([el]);
+  }
+
   showRecentNodes() {
     // Show recently updated leaf nodes
     const recentNodes = Array.from(store.nodes.values())
@@ -123,7 +176,7 @@ export class Search {
   }
 
   addResultItem(result) {
-    const { node, path } = result;
+    const { node, path, terms = [], snippet } = result;
     const el = document.createElement('div');
     el.className = 'search-result-item';
     el.dataset.id = node.id;
@@ -131,12 +184,21 @@ export class Search {
     const pathStr = path.map(p => p.name).join(' > ');
     const icon = node.type === 'folder' ? '📁' : (store.currentContent?.icon || '📄');
 
+    const snippetLabels = { fields: 'Fields', tags: 'Tags' };
+    const snippetHtml = snippet ? `
+      <div class="result-match">
+        ${snippetLabels[snippet.source] ? `<span class="result-source">${snippetLabels[snippet.source]}</span>` : ''}
+        ${this.highlight(snippet.text, terms)}
+      </div>
+    ` : '';
+
     el.innerHTML = `
       <div class="result-title">
         <span>${icon}</span>
-        <span>${this.escapeHtml(node.name)}</span>
+        <span>${this.highlight(node.name, terms)}</span>
       </div>
       <div class="result-path">${this.escapeHtml(pathStr)}</div>
+      ${snippetHtml}
     `;
 
     el.addEventListener('click', () => {
@@ -252,6 +314,25 @@ export class Search {
     store.emit('nodesChanged');
   }
 
+  // Escape text and wrap words starting with any of the query terms in <mark>
+  highlight(text, terms) {
+    if (terms.length === 0) return this.escapeHtml(text);
+
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])((?:${escaped.join('|')})[\\p{L}\\p{N}]*)`, 'giu');
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index + match[1].length;
+      html += this.escapeHtml(text.slice(lastIndex, start));
+      html += `<mark>${this.escapeHtml(match[2])}</mark>`;
+      lastIndex = start + match[2].length;
+    }
+
+    return html + this.escapeHtml(text.slice(lastIndex));
+  }
+
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
@@ -0,0 +1,339 @@
+/**
+ * Sync Panel Component
+ * Header button and dialog for syncing the open vault with a sync server:
+ * connection settings, automatic syncing, live editing and settling conflicts
+ * note by note
+ */
+
+import { store } from '../core/store.js';
+import { sync } from '../core/sync.js';
+import { collab } from '../core/collab.js';
+import { vaults } from '../core/vaults.js';
+import { diffLines } from '../core/diff.js';
+
+const AUTO_INTERVAL = 60 * 1000;
+const VAULT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+// Changed lines shown per conflict
+const MAX_DIFF_LINES = 12;
+
+export class SyncPanel {
+  constructor(toast, beforeSync) {
+    this.toast = toast;
+    this.beforeSync = beforeSync;
+    this.button = document.getElementById('sync-btn');
+    this.modal = document.getElementById('sync-modal');
+    this.status = document.getElementById('sync-status');
+    this.conflictList = document.getElementById('sync-conflicts');
+    this.timer = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.button.addEventListener('click', () => this.open());
+
+    document.getElementById('sync-cancel').addEventListener('click', () => this.close());
+
+    document.getElementById('sync-form').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveAndSync();
+    });
+
+    document.getElementById('sync-disconnect').addEventListener('click', () => {
+      this.disconnect();
+    });
+
+    store.on('syncChanged', () => {
+      this.renderButton();
+      if (this.isOpen()) {
+        this.renderStatus();
+        this.renderConflicts();
+      }
+    });
+
+    store.on('presenceChanged', () => {
+      if (this.isOpen()) {
+        this.renderStatus();
+      }
+    });
+
+    // Catch up when the connection or the app comes back, and push before a
+    // phone puts the app to sleep
+    window.addEventListener('online', () => this.autoSync());
+    document.addEventListener('visibilitychange', () => this.autoSync());
+  }
+
+  // Called once a vault has been opened: its own settings and state apply
+  onVaultOpened() {
+    sync.conflicts = [];
+    sync.lastSync = null;
+    sync.lastError = null;
+    this.renderButton();
+    this.connectLive();
+
+    clearInterval(this.timer);
+    this.timer = setInterval(() => this.autoSync(), AUTO_INTERVAL);
+    this.autoSync();
+  }
+
+  isOpen() {
+    return !this.modal.classList.contains('hidden');
+  }
+
+  open() {
+    const settings = sync.getSettings();
+    const vault = vaults.get(vaults.currentId);
+    document.getElementById('sync-server').value = settings?.serverUrl || (location.protocol.startsWith('http') ? location.origin : '');
+    document.getElementById('sync-vault').value = settings?.vault || this.slug(vault?.name || 'vault');
+    document.getElementById('sync-token').value = settings?.token || '';
+    document.getElementById('sync-auto').checked = settings ? settings.auto : true;
+    document.getElementById('sync-live').checked = settings ? settings.live !== false : true;
+    document.getElementById('sync-name').value = collab.getName();
+
+    this.renderStatus();
+    this.renderConflicts();
+    this.modal.classList.remove('hidden');
+    document.getElementById('sync-server').focus();
+  }
+
+  close() {
+    this.modal.classList.add('hidden');
+  }
+
+  slug(name) {
+    return name.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64) || 'vault';
+  }
+
+  async saveAndSync() {
+    const settings = {
+      serverUrl: document.getElementById('sync-server').value.trim(),
+      vault: document.getElementById('sync-vault').value.trim(),
+      token: document.getElementById('sync-token').value.trim(),
+      auto: document.getElementById('sync-auto').checked,
+      live: document.getElementById('sync-live').checked
+    };
+
+    try {
+      if (!/^https?:\/\/\S+$/.test(settings.serverUrl)) {
+        throw new Error('Enter the server address, like http://192.168.1.20:8080');
+      }
+      if (!VAULT_NAME.test(settings.vault)) {
+        throw new Error('Vault names on the server use letters, numbers, - and _');
+      }
+      await sync.test(settings);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+      return;
+    }
+
+    await sync.saveSettings(settings);
+    collab.setName(document.getElementById('sync-name').value);
+    this.connectLive();
+    await this.syncNow();
+  }
+
+  // Live editing follows the sync settings of the open vault
+  connectLive() {
+    const settings = sync.getSettings();
+    collab.connect(settings && settings.live !== false ? settings : null);
+  }
+
+  async disconnect() {
+    if (!confirm('Stop syncing this vault? Its notes stay on this device and on the server.')) return;
+
+    await sync.idle();
+    await sync.saveSettings(null);
+    this.connectLive();
+    this.renderButton();
+    this.renderStatus();
+    this.renderConflicts();
+    this.toast.show('This vault no longer syncs');
+  }
+
+  async syncNow() {
+    await this.beforeSync();
+    try {
+      const result = await sync.sync();
+      this.report(result, true, 0);
+    } catch (error) {
+      console.error('Sync failed:', error);
+      this.toast.show(`Sync failed: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  // Quiet background sync; failures only show on the button
+  async autoSync() {
+    const settings = sync.getSettings();
+    if (!settings?.auto || !navigator.onLine || sync.running) return;
+
+    const known = sync.conflicts.length;
+    await this.beforeSync();
+    try {
+      const result = await sync.sync();
+      this.report(result, false, known);
+    } catch (error) {
+      console.warn('Background sync failed:', error);
+    }
+  }
+
+  // Conflicts already reported by an earlier sync (known) don't toast again
+  report({ pulled, pushed, conflicts }, always, known) {
+    if (conflicts > known) {
+      this.toast.show(`${conflicts} note${conflicts === 1 ? ' was' : 's were'} changed both here and on another device`, {
+        type: 'error',
+        action: this.isOpen() ? null : { label: 'Resolve', onClick: () => this.open() }
+      });
+    } else if (conflicts === 0 && (always || pulled > 0)) {
+      const parts = [];
+      if (pulled > 0) parts.push(`${pulled} received`);
+      if (pushed > 0) parts.push(`${pushed} sent`);
+      this.toast.show(parts.length > 0 ? `Synced: ${parts.join(', ')}` : 'Everything is in sync');
+    }
+  }
+
+  renderButton() {
+    const settings = sync.getSettings();
+    this.button.classList.toggle('sync-on', Boolean(settings));
+    this.button.classList.toggle('sync-error', Boolean(settings && sync.lastError));
+    this.button.classList.toggle('sync-conflict', sync.conflicts.length > 0);
+
+    if (!settings) {
+      this.button.title = 'Sync';
+    } else if (sync.conflicts.length > 0) {
+      this.button.title = `Sync: ${sync.conflicts.length} conflict${sync.conflicts.length === 1 ? '' : 's'} to resolve`;
+    } else if (sync.lastError) {
+      this.button.title = `Sync: ${sync.lastError}`;
+    } else {
+      this.button.title = sync.lastSync ? `Synced ${this.formatTime(sync.lastSync)}` : 'Sync';
+    }
+  }
+
+  renderStatus() {
+    const settings = sync.getSettings();
+    document.getElementById('sync-disconnect').classList.toggle('hidden', !settings);
+    document.getElementById('sync-submit').textContent = settings ? 'Save & Sync Now' : 'Start Syncing';
+
+    if (!settings) {
+      this.status.textContent = 'This vault is only on this device.';
+    } else if (sync.lastError) {
+      this.status.textContent = `Last sync failed: ${sync.lastError}`;
+    } else if (sync.lastSync) {
+      this.status.textContent = `Last synced ${this.formatTime(sync.lastSync)}.`;
+    } else {
+      this.status.textContent = 'Not synced since the app was opened.';
+    }
+    this.status.classList.toggle('error', Boolean(settings && sync.lastError));
+
+    if (collab.status === 'live') {
+      const others = collab.peers.size;
+      this.status.textContent += ` Live editing is on${others > 0 ? `, with ${others} other${others === 1 ? '' : 's'} connected` : ''}.`;
+    } else if (collab.status === 'connecting') {
+      this.status.textContent += ' Live editing is connecting…';
+    }
+  }
+
+  renderConflicts() {
+    this.conflictList.innerHTML = '';
+    this.conflictList.classList.toggle('hidden', sync.conflicts.length === 0);
+    if (sync.conflicts.length === 0) return;
+
+    const heading = document.createElement('h4');
+    heading.textContent = 'Changed on both sides';
+    this.conflictList.appendChild(heading);
+
+    for (const conflict of sync.conflicts) {
+      this.conflictList.appendChild(this.renderConflict(conflict));
+    }
+  }
+
+  renderConflict(conflict) {
+    const { local, remote } = conflict;
+    const shown = local.node || remote.node;
+    const el = document.createElement('div');
+    el.className = 'sync-conflict';
+    el.innerHTML = `
+      <div class="sync-conflict-title">
+        <span>${(local.content || remote.content)?.icon || (shown.type === 'folder' ? '📁' : '📄')}</span>
+        <span class="sync-conflict-name">${this.escapeHtml(shown.name)}</span>
+      </div>
+      <div class="sync-conflict-sides">
+        <span><strong>This device:</strong> ${this.describe(local)}</span>
+        <span><strong>Server:</strong> ${this.describe(remote)}</span>
+      </div>
+      ${this.renderDifferences(local, remote)}
+      <div class="sync-conflict-actions">
+        <button class="btn-small" data-keep="local">Keep This Device's</button>
+        <button class="btn-small" data-keep="remote">Use the Server's</button>
+      </div>
+    `;
+
+    el.querySelectorAll('[data-keep]').forEach(button => {
+      button.addEventListener('click', () => this.resolve(conflict, button.dataset.keep));
+    });
+    return el;
+  }
+
+  describe(entry) {
+    if (entry.deleted) return 'deleted permanently';
+    if (entry.node.deletedAt) return `moved to the trash ${this.formatTime(entry.node.deletedAt)}`;
+    return `changed ${this.formatTime(Math.max(entry.node.updatedAt, entry.content?.updatedAt || 0))}`;
+  }
+
+  // The lines that differ, server's side as added; nothing when a side is deleted
+  renderDifferences(local, remote) {
+    if (local.deleted || remote.deleted) return '';
+
+    const describe = (entry) => [
+      `Name: ${entry.node.name}`,
+      `Folder: ${store.getNode(entry.node.parentId)?.name || '(top level)'}`,
+      ...Object.keys(entry.content?.fields || {}).map(key => `${key}: ${store.formatField(entry.content, key)}`),
+      `Tags: ${(entry.content?.tags || []).join(', ')}`,
+      '',
+      entry.content?.markdown || ''
+    ].join('\n');
+
+    const changed = diffLines(describe(local), describe(remote)).filter(change => change.type !== 'same');
+    if (changed.length === 0) {
+      return '<div class="sync-conflict-same">Same text on both sides</div>';
+    }
+
+    const lines = changed.slice(0, MAX_DIFF_LINES).map(change => `
+      <div class="diff-line ${change.type}"><span class="diff-marker">${change.type === 'added' ? '+' : '−'}</span>${this.escapeHtml(change.text) || '&nbsp;'}</div>
+    `);
+    if (changed.length > MAX_DIFF_LINES) {
+      lines.push(`<div class="diff-fold">⋯ ${changed.length - MAX_DIFF_LINES} more changed lines</div>`);
+    }
+    return `
+      <div class="history-diff-legend">
+        <span class="removed">− this device</span>
+        <span class="added">+ server</span>
+      </div>
+      <div class="diff-block">${lines.join('')}</div>
+    `;
+  }
+
+  async resolve(conflict, keep) {
+    try {
+      await sync.resolve(conflict, keep);
+      if (sync.conflicts.length === 0) {
+        await this.syncNow();
+      }
+    } catch (error) {
+      console.error('Resolving conflict failed:', error);
+      this.toast.show(`Couldn't resolve: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  formatTime(timestamp) {
+    const diff = Date.now() - timestamp;
+    if (diff < 60000) return 'just now';
+    if (diff < 3600000) return `${Math.floor(diff / 60000)} min ago`;
+    return new Date(timestamp).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,186 @@
+/**
+ * Tag Browser Component
+ * Sidebar section listing every tag in the vault as a tree with note counts,
+ * with rename, merge and delete across all notes
+ */
+
+import { store } from '../core/store.js';
+import { normalizeTag, tagAncestors } from '../core/tags.js';
+
+export class TagBrowser {
+  constructor(toast, openTag) {
+    this.toast = toast;
+    this.openTag = openTag;
+    this.section = document.getElementById('tags-section');
+    this.list = document.getElementById('tags-browser');
+    this.countEl = document.getElementById('tags-count');
+    this.expanded = false;
+    this.openTags = new Set(); // Tags whose nested tags are shown
+    this.renaming = null; // Tag being renamed in place
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('tags-toggle').addEventListener('click', () => {
+      this.expanded = !this.expanded;
+      this.render();
+    });
+
+    ['tagsChanged', 'contentChanged', 'contentReplaced', 'nodesChanged', 'trashChanged'].forEach(event => {
+      store.on(event, () => {
+        if (!this.renaming) {
+          this.render();
+        }
+      });
+    });
+  }
+
+  // Tags as a tree, adding levels that are only used by nested tags
+  buildTree(counts) {
+    const tags = new Set(counts.keys());
+    for (const tag of counts.keys()) {
+      tagAncestors(tag).forEach(ancestor => tags.add(ancestor));
+    }
+
+    const children = new Map();
+    for (const tag of [...tags].sort((a, b) => a.localeCompare(b))) {
+      const parent = tagAncestors(tag).pop() || null;
+      if (!children.has(parent)) {
+        children.set(parent, []);
+      }
+      children.get(parent).push(tag);
+    }
+    return children;
+  }
+
+  render() {
+    const counts = store.getTagCounts();
+
+    this.countEl.textContent = counts.size;
+    this.section.classList.toggle('expanded', this.expanded);
+
+    if (!this.expanded) return;
+
+    this.list.innerHTML = '';
+
+    if (counts.size === 0) {
+      this.list.innerHTML = '<div class="tags-empty">No tags yet</div>';
+      return;
+    }
+
+    const children = this.buildTree(counts);
+    const addRows = (parent, depth) => {
+      for (const tag of children.get(parent) || []) {
+        const hasChildren = children.has(tag);
+        this.list.appendChild(this.renderTag(tag, depth, hasChildren));
+        if (hasChildren && this.openTags.has(tag)) {
+          addRows(tag, depth + 1);
+        }
+      }
+    };
+    addRows(null, 0);
+  }
+
+  renderTag(tag, depth, hasChildren) {
+    const total = store.getTaggedNotes(tag).length;
+    const el = document.createElement('div');
+    el.className = 'tag-browser-item';
+    el.style.paddingLeft = `${depth * 16 + 4}px`;
+    el.title = tag;
+    el.innerHTML = `
+      <span class="tag-browser-toggle">${hasChildren ? `<i class="fas fa-chevron-${this.openTags.has(tag) ? 'down' : 'right'}"></i>` : ''}</span>
+      <span class="tag-browser-name">#${this.escapeHtml(tag.split('/').pop())}</span>
+      <span class="tag-browser-count">${total}</span>
+      <button class="btn-icon" data-action="rename" title="Rename or merge tag"><i class="fas fa-pen"></i></button>
+      <button class="btn-icon danger" data-action="delete" title="Remove tag from all notes"><i class="fas fa-times"></i></button>
+    `;
+
+    el.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button?.dataset.action === 'rename') {
+        this.startRenaming(el, tag);
+      } else if (button?.dataset.action === 'delete') {
+        this.delete(tag, total);
+      } else if (e.target.closest('.tag-browser-toggle') && hasChildren) {
+        if (this.openTags.has(tag)) {
+          this.openTags.delete(tag);
+        } else {
+          this.openTags.add(tag);
+        }
+        this.render();
+      } else if (!this.renaming) {
+        this.openTag(tag);
+      }
+    });
+
+    return el;
+  }
+
+  startRenaming(el, tag) {
+    const nameEl = el.querySelector('.tag-browser-name');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tag-browser-input';
+    input.value = tag;
+    nameEl.replaceWith(input);
+    this.renaming = tag;
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async (commit) => {
+      if (done) return;
+      done = true;
+      this.renaming = null;
+      if (commit) {
+        await this.rename(tag, input.value);
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  async rename(tag, text) {
+    const target = normalizeTag(text);
+    if (!target || target === tag) return;
+
+    if (store.getTaggedNotes(target).length > 0 &&
+        !confirm(`#${target} already exists. Merge #${tag} into it?`)) {
+      return;
+    }
+
+    try {
+      const count = await store.renameTag(tag, target);
+      this.openTags.delete(tag);
+      tagAncestors(target).forEach(ancestor => this.openTags.add(ancestor));
+      this.toast.show(`Renamed #${tag} to #${target} on ${count} note${count === 1 ? '' : 's'}`);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+    }
+  }
+
+  async delete(tag, total) {
+    if (!confirm(`Remove #${tag} and the tags under it from ${total} note${total === 1 ? '' : 's'}? The notes themselves are kept.`)) return;
+
+    const count = await store.deleteTag(tag);
+    this.toast.show(`Removed #${tag} from ${count} note${count === 1 ? '' : 's'}`);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,216 @@
+/**
+ * Template Editor Component
+ * Create, edit, reorder and delete the note templates in the registry
+ */
+
+import { store } from '../core/store.js';
+import { FIELD_TYPES, OPTION_TYPES, formatFieldValue } from '../core/fields.js';
+
+export class TemplateEditor {
+  constructor(toast) {
+    this.toast = toast;
+    this.modal = document.getElementById('templates-modal');
+    this.list = document.getElementById('templates-list');
+    this.iconInput = document.getElementById('template-form-icon');
+    this.nameInput = document.getElementById('template-form-name');
+    this.fieldsContainer = document.getElementById('template-form-fields');
+    this.tagsInput = document.getElementById('template-form-tags');
+    this.deleteBtn = document.getElementById('template-delete');
+    this.selectedId = null; // null while editing a new template
+    this.dirty = false;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('template-new').addEventListener('click', () => {
+      if (this.confirmDiscard()) {
+        this.select(null);
+        this.nameInput.focus();
+      }
+    });
+
+    document.getElementById('template-form-add-field').addEventListener('click', () => {
+      this.addField({ name: '', type: 'text', value: '' });
+      this.dirty = true;
+    });
+
+    document.getElementById('template-save').addEventListener('click', () => {
+      this.save();
+    });
+
+    this.deleteBtn.addEventListener('click', () => {
+      this.delete();
+    });
+
+    document.getElementById('templates-close').addEventListener('click', () => {
+      if (this.confirmDiscard()) {
+        this.close();
+      }
+    });
+
+    [this.iconInput, this.nameInput, this.tagsInput].forEach(input => {
+      input.addEventListener('input', () => { this.dirty = true; });
+    });
+
+    store.on('templatesChanged', () => {
+      if (!this.modal.classList.contains('hidden')) {
+        this.renderList();
+      }
+    });
+  }
+
+  open(templateId = null) {
+    const template = store.getTemplate(templateId) || store.getTemplates()[0] || null;
+    this.modal.classList.remove('hidden');
+    this.select(template ? template.id : null);
+  }
+
+  close() {
+    this.modal.classList.add('hidden');
+    this.dirty = false;
+  }
+
+  confirmDiscard() {
+    return !this.dirty || confirm('Discard your changes to this template?');
+  }
+
+  renderList() {
+    const templates = store.getTemplates();
+    this.list.innerHTML = '';
+
+    if (templates.length === 0) {
+      this.list.innerHTML = '<div class="templates-empty">No templates yet</div>';
+    }
+
+    templates.forEach((template, index) => {
+      const el = document.createElement('div');
+      el.className = 'templates-item';
+      el.classList.toggle('selected', template.id === this.selectedId);
+      el.innerHTML = `
+        <span class="templates-item-name">${this.escapeHtml(template.icon)} ${this.escapeHtml(template.name)}</span>
+        <button class="btn-icon" data-move="-1" title="Move up" ${index === 0 ? 'disabled' : ''}><i class="fas fa-chevron-up"></i></button>
+        <button class="btn-icon" data-move="1" title="Move down" ${index === templates.length - 1 ? 'disabled' : ''}><i class="fas fa-chevron-down"></i></button>
+      `;
+
+      el.addEventListener('click', (e) => {
+        const moveBtn = e.target.closest('[data-move]');
+        if (moveBtn) {
+          store.reorderTemplate(template.id, index + parseInt(moveBtn.dataset.move, 10));
+        } else if (template.id !== this.selectedId && this.confirmDiscard()) {
+          this.select(template.id);
+        }
+      });
+
+      this.list.appendChild(el);
+    });
+  }
+
+  select(templateId) {
+    const template = store.getTemplate(templateId);
+    this.selectedId = template ? template.id : null;
+
+    this.iconInput.value = template ? template.icon : '📄';
+    this.nameInput.value = template ? template.name : '';
+    this.tagsInput.value = template ? template.tags.join(', ') : '';
+    this.fieldsContainer.innerHTML = '';
+    for (const field of template ? template.fields : []) {
+      this.addField(field);
+    }
+
+    this.deleteBtn.classList.toggle('hidden', !template);
+    this.dirty = false;
+    this.renderList();
+  }
+
+  // Defaults are edited as text and checked against the field's type on save
+  addField(field) {
+    const type = FIELD_TYPES[field.type] ? field.type : 'text';
+    const row = document.createElement('div');
+    row.className = 'template-field';
+    row.innerHTML = `
+      <input type="text" class="template-field-name" placeholder="Field name">
+      <select class="template-field-type" title="Field type">
+        ${Object.entries(FIELD_TYPES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+      </select>
+      <input type="text" class="template-field-value" placeholder="Default value">
+      <input type="text" class="template-field-options" placeholder="Options, separated by commas">
+      <button class="btn-icon" data-action="up" title="Move up"><i class="fas fa-chevron-up"></i></button>
+      <button class="btn-icon" data-action="down" title="Move down"><i class="fas fa-chevron-down"></i></button>
+      <button class="btn-icon danger" data-action="remove" title="Remove field"><i class="fas fa-times"></i></button>
+    `;
+    row.querySelector('.template-field-name').value = field.name;
+    row.querySelector('.template-field-type').value = type;
+    row.querySelector('.template-field-value').value = formatFieldValue({ type }, field.value, {
+      getNodeName: (id) => store.getNode(id)?.name
+    });
+    row.querySelector('.template-field-options').value = (field.options || []).join(', ');
+
+    const typeSelect = row.querySelector('.template-field-type');
+    const showOptions = () => {
+      row.classList.toggle('has-options', OPTION_TYPES.includes(typeSelect.value));
+    };
+    showOptions();
+    typeSelect.addEventListener('change', showOptions);
+
+    row.addEventListener('input', () => { this.dirty = true; });
+    row.addEventListener('change', () => { this.dirty = true; });
+    row.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      if (button.dataset.action === 'up' && row.previousElementSibling) {
+        row.parentNode.insertBefore(row, row.previousElementSibling);
+      } else if (button.dataset.action === 'down' && row.nextElementSibling) {
+        row.parentNode.insertBefore(row.nextElementSibling, row);
+      } else if (button.dataset.action === 'remove') {
+        row.remove();
+      }
+      this.dirty = true;
+    });
+
+    this.fieldsContainer.appendChild(row);
+    if (!field.name) {
+      row.querySelector('.template-field-name').focus();
+    }
+  }
+
+  async save() {
+    const fields = Array.from(this.fieldsContainer.querySelectorAll('.template-field')).map(row => ({
+      name: row.querySelector('.template-field-name').value,
+      type: row.querySelector('.template-field-type').value,
+      value: row.querySelector('.template-field-value').value,
+      options: row.querySelector('.template-field-options').value.split(',')
+    }));
+
+    try {
+      const template = await store.saveTemplate({
+        id: this.selectedId,
+        name: this.nameInput.value,
+        icon: this.iconInput.value.trim(),
+        fields,
+        tags: this.tagsInput.value.split(',')
+      });
+      this.select(template.id);
+      this.toast.show(`Saved template "${template.name}"`);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+    }
+  }
+
+  async delete() {
+    const template = store.getTemplate(this.selectedId);
+    if (!template) return;
+    if (!confirm(`Delete the "${template.name}" template? Notes made from it keep their fields.`)) return;
+
+    await store.deleteTemplate(template.id);
+    this.select(store.getTemplates()[0]?.id || null);
+    this.toast.show(`Deleted template "${template.name}"`);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Toast Notifications
+ * Short messages shown at the bottom of the screen, optionally with an action button
+ */
+
+const TOAST_DURATION = 4000;
+const MAX_TOASTS = 3;
+
+export class Toast {
+  constructor() {
+    this.container = document.getElementById('toast-container');
+  }
+
+  // options: { type: 'info' | 'error', action: { label, onClick }, duration }
+  show(message, { type = 'info', action = null, duration = TOAST_DURATION } = {}) {
+    const el = document.createElement('div');
+    el.className = `toast ${type}`;
+    el.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    el.innerHTML = `<span class="toast-message">${this.escapeHtml(message)}</span>`;
+
+    if (action) {
+      const button = document.createElement('button');
+      button.className = 'toast-action';
+      button.textContent = action.label;
+      button.addEventListener('click', () => {
+        this.dismiss(el);
+        action.onClick();
+      });
+      el.appendChild(button);
+    }
+
+    // Drop the oldest so rapid repeats (e.g. holding Ctrl+Z) don't pile up
+    while (this.container.children.length >= MAX_TOASTS) {
+      this.container.firstElementChild.remove();
+    }
+
+    this.container.appendChild(el);
+    setTimeout(() => this.dismiss(el), duration);
+    return el;
+  }
+
+  dismiss(el) {
+    if (!el.isConnected) return;
+    el.classList.add('leaving');
+    setTimeout(() => el.remove(), 200);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * Trash Bin Component
+ * Sidebar section listing soft-deleted nodes with restore and purge
+ */
+
+import { store } from '../core/store.js';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+export class TrashView {
+  constructor() {
+    this.section = document.getElementById('trash-section');
+    this.list = document.getElementById('trash-list');
+    this.countEl = document.getElementById('trash-count');
+    this.retentionSelect = document.getElementById('trash-retention');
+    this.expanded = false;
+
+    const savedRetention = localStorage.getItem('trashRetentionDays');
+    this.retentionDays = savedRetention === null ? DEFAULT_RETENTION_DAYS : parseInt(savedRetention, 10);
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('trash-toggle').addEventListener('click', () => {
+      this.expanded = !this.expanded;
+      this.render();
+    });
+
+    this.retentionSelect.value = String(this.retentionDays);
+    this.retentionSelect.addEventListener('change', async () => {
+      this.retentionDays = parseInt(this.retentionSelect.value, 10);
+      localStorage.setItem('trashRetentionDays', String(this.retentionDays));
+      await store.purgeExpiredTrash(this.retentionDays);
+    });
+
+    document.getElementById('trash-empty').addEventListener('click', () => {
+      const count = store.getTrashedRoots().length;
+      if (count === 0) return;
+
+      this.confirm(
+        'Empty Trash',
+        `Permanently delete ${count} item${count > 1 ? 's' : ''} in the trash? This action cannot be undone.`,
+        () => store.emptyTrash()
+      );
+    });
+
+    store.on('trashChanged', () => {
+      this.render();
+    });
+  }
+
+  render() {
+    const roots = store.getTrashedRoots();
+
+    this.countEl.textContent = roots.length;
+    this.section.classList.toggle('expanded', this.expanded);
+
+    if (!this.expanded) return;
+
+    this.list.innerHTML = '';
+
+    if (roots.length === 0) {
+      this.list.innerHTML = '<div class="trash-empty-state">Trash is empty</div>';
+      return;
+    }
+
+    for (const node of roots) {
+      const childCount = store.getTrashedSubtree(node.id).length - 1;
+      const parent = store.getNode(node.parentId);
+      const origin = node.parentId
+        ? (parent ? store.getNodePath(parent.id).map(n => n.name).join(' > ') : 'a deleted folder')
+        : 'Root';
+
+      const el = document.createElement('div');
+      el.className = 'trash-item';
+      el.innerHTML = `
+        <span class="trash-item-icon">${node.type === 'folder' ? '📁' : '📄'}</span>
+        <div class="trash-item-info">
+          <div class="trash-item-name">${this.escapeHtml(node.name)}</div>
+          <div class="trash-item-meta">
+            ${this.escapeHtml(origin)}${childCount > 0 ? ` · ${childCount} item${childCount > 1 ? 's' : ''}` : ''}
+            · ${this.formatAge(node.deletedAt)}
+          </div>
+        </div>
+        <button class="btn-icon trash-restore" title="Restore"><i class="fas fa-undo"></i></button>
+        <button class="btn-icon danger trash-purge" title="Delete Permanently"><i class="fas fa-times"></i></button>
+      `;
+
+      el.querySelector('.trash-restore').addEventListener('click', async () => {
+        const restored = await store.restoreNode(node.id);
+        if (restored) {
+          // Reveal where it went back to
+          for (const ancestor of store.getNodePath(restored.id).slice(0, -1)) {
+            store.expandedNodes.add(ancestor.id);
+          }
+          store.emit('nodesChanged');
+        }
+      });
+
+      el.querySelector('.trash-purge').addEventListener('click', () => {
+        this.confirm(
+          'Delete Permanently',
+          `Permanently delete "${node.name}"${childCount > 0 ? ` and ${childCount} item${childCount > 1 ? 's' : ''} inside it` : ''}? This action cannot be undone.`,
+          () => store.purgeNode(node.id)
+        );
+      });
+
+      this.list.appendChild(el);
+    }
+  }
+
+  confirm(titleText, messageText, onConfirm) {
+    const modal = document.getElementById('confirm-modal');
+    document.getElementById('confirm-title').textContent = titleText;
+    document.getElementById('confirm-message').textContent = messageText;
+
+    modal.classList.remove('hidden');
+
+    document.getElementById('confirm-ok').onclick = async () => {
+      modal.classList.add('hidden');
+      await onConfirm();
+    };
+
+    document.getElementById('confirm-cancel').onclick = () => {
+      modal.classList.add('hidden');
+    };
+  }
+
+  formatAge(timestamp) {
+    const days = Math.floor((Date.now() - timestamp) / 86400000);
+    if (days === 0) return 'today';
+    if (days === 1) return 'yesterday';
+    return `${days} days ago`;
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
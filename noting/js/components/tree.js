@@ -1,109 +1,298 @@
 /**
  * Tree Navigation Component
+ * The folder and note tree, with a multi-selection (Ctrl/Shift-click) that can be
+ * moved, tagged, copied, exported or deleted in one go. Only the rows in view are
+ * rendered, so large vaults scroll and update smoothly.
  */
 
 import { store } from '../core/store.js';
-import { db } from '../core/db.js';
+import { db, DB_VERSION } from '../core/db.js';
+import { createZip } from '../core/zip.js';
+import { exportMarkdownFiles } from '../core/markdown-files.js';
+import { collab } from '../core/collab.js';
+import { toExport } from '../core/attachments.js';
+import { normalizeTag } from '../core/tags.js';
+
+// Value of the "Move to" option for the top level, which has no folder id
+const TOP_LEVEL = '.';
+
+// Only the rows in view are in the DOM. They're all one height, measured once shown.
+const ROW_HEIGHT = 32; // Until a row has been measured
+const OVERSCAN = 10; // Rows rendered past each edge of the view
+const FALLBACK_ROWS = 40; // Rows rendered while the tree has no height yet
+const NEW_ROW = ':new'; // Row id of the inline "new folder/note" input
 
 export class TreeRenderer {
-  constructor() {
+  // showTemplateModal(parentId) opens the app's template chooser for "New Note"
+  constructor(toast, showTemplateModal) {
+    this.toast = toast;
+    this.showTemplateModal = showTemplateModal;
     this.container = document.getElementById('tree-container');
     this.contextMenu = document.getElementById('context-menu');
+    this.selectionBar = document.getElementById('tree-selection-bar');
     this.contextNodeId = null;
-    this.draggedNodeId = null;
+    this.draggedNodeIds = null;
+    this.selectedIds = new Set(); // The multi-selection, apart from the open note
+    this.anchorId = null; // Where Shift-click ranges start
+
+    this.rows = []; // Visible rows, top to bottom: { id, node, depth }
+    this.rowIndex = new Map(); // Row id -> index in rows
+    this.rowEls = new Map(); // Row id -> { el, key } for the rows in the DOM
+    this.rowHeight = ROW_HEIGHT;
+    this.measured = false;
+    this.creating = null; // { parentId, type } while a new node is being named
+    this.renamingId = null;
+
+    // Rows sit absolutely positioned in a spacer as tall as the whole tree
+    this.rowsEl = document.createElement('div');
+    this.rowsEl.className = 'tree-rows';
+    this.emptyEl = document.createElement('div');
+    this.emptyEl.className = 'empty-tree hidden';
+    this.emptyEl.innerHTML = `
+      <p style="color: var(--text-muted); text-align: center; padding: 40px 20px; font-size: 0.9rem;">
+        No notes yet.<br>Click "New Folder" or "New Note" to get started.
+      </p>
+    `;
+    this.container.replaceChildren(this.rowsEl, this.emptyEl);
 
     this.setupContextMenu();
+    this.setupSelectionBar();
+    this.container.addEventListener('scroll', () => this.renderWindow());
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(() => {
+        this.measured = false;
+        this.renderWindow();
+      }).observe(this.container);
+    }
+    store.on('presenceChanged', () => this.renderPresence());
+    store.on('nodeUpdated', () => this.render());
+    store.on('selectionChanged', () => this.renderWindow());
   }
 
+  // Lists the visible rows again and patches the ones on screen. The container is
+  // never cleared, so the scroll position and expanded folders carry over.
   render() {
-    this.container.innerHTML = '';
+    for (const id of this.selectedIds) {
+      if (!store.getNode(id)) this.selectedIds.delete(id);
+    }
+
+    this.rows = [];
+    const addRows = (parentId, depth) => {
+      // The name input for a new node goes at the top of the tree, or the end of its folder
+      const creating = this.creating?.parentId === parentId;
+      if (creating && !parentId) {
+        this.rows.push({ id: NEW_ROW, node: null, depth });
+      }
+      for (const node of store.getChildren(parentId)) {
+        this.rows.push({ id: node.id, node, depth });
+        if (store.isExpanded(node.id)) {
+          addRows(node.id, depth + 1);
+        }
+      }
+      if (creating && parentId) {
+        this.rows.push({ id: NEW_ROW, node: null, depth });
+      }
+    };
+    addRows(null, 0);
+    this.rowIndex = new Map(this.rows.map((row, index) => [row.id, index]));
+
+    this.emptyEl.classList.toggle('hidden', this.rows.length > 0);
+    this.renderWindow();
+    this.renderSelectionBar();
+  }
+
+  // Renders the rows in view (and a few either side), reusing the elements of rows
+  // already there and only rewriting those whose contents changed
+  renderWindow() {
+    const height = this.rowHeight;
+    const viewport = this.container.clientHeight || FALLBACK_ROWS * height;
+    const first = Math.max(0, Math.floor(this.container.scrollTop / height) - OVERSCAN);
+    const last = Math.min(this.rows.length, Math.ceil((this.container.scrollTop + viewport) / height) + OVERSCAN);
+    this.rowsEl.style.height = `${this.rows.length * height}px`;
+
+    // Rows being edited stay too, so their input survives scrolling away
+    const indexes = [];
+    for (let index = first; index < last; index++) {
+      indexes.push(index);
+    }
+    for (const id of [this.renamingId, NEW_ROW]) {
+      const index = this.rowIndex.get(id);
+      if (index !== undefined && (index < first || index >= last)) {
+        indexes.push(index);
+      }
+    }
+    indexes.sort((a, b) => a - b);
+
+    const shownIds = new Set(indexes.map(index => this.rows[index].id));
+    for (const [id, entry] of this.rowEls) {
+      if (!shownIds.has(id)) {
+        entry.el.remove();
+        this.rowEls.delete(id);
+      }
+    }
 
-    // Render root nodes
-    for (const nodeId of store.rootNodes) {
-      const node = store.getNode(nodeId);
-      if (node) {
-        this.renderNode(node, this.container);
+    // Keep the DOM in row order, for screen readers and Tab
+    let next = this.rowsEl.firstElementChild;
+    for (const index of indexes) {
+      const row = this.rows[index];
+      let entry = this.rowEls.get(row.id);
+      if (!entry) {
+        entry = { el: row.node ? this.createRow(row.node) : this.createInputRow(), key: null };
+        this.rowEls.set(row.id, entry);
+      }
+
+      // A row being renamed keeps its input until the rename is done
+      const key = row.node ? this.rowKey(row) : row.depth;
+      const renaming = row.id === this.renamingId && entry.key !== null;
+      if (entry.key !== key && !renaming) {
+        if (row.node) this.updateRow(entry.el, row);
+        entry.el.style.setProperty('--depth', row.depth);
+        entry.key = key;
+      }
+      entry.el.style.top = `${index * height}px`;
+
+      if (entry.el === next) {
+        next = next.nextElementSibling;
+      } else {
+        this.rowsEl.insertBefore(entry.el, next);
       }
     }
 
-    if (store.rootNodes.length === 0) {
-      this.container.innerHTML = `
-        <div class="empty-tree">
-          <p style="color: var(--text-muted); text-align: center; padding: 40px 20px; font-size: 0.9rem;">
-            No notes yet.<br>Click "New Folder" or "New Note" to get started.
-          </p>
-        </div>
-      `;
+    // Place the rows again once their real height is known
+    if (!this.measured && this.measureRows()) {
+      this.renderWindow();
+      return;
     }
+
+    this.renderPresence();
   }
 
-  renderNode(node, container) {
-    const nodeEl = document.createElement('div');
-    nodeEl.className = 'tree-node';
-    nodeEl.dataset.id = node.id;
+  // Rows are all one height (set in CSS, taller on touch screens). Returns whether
+  // it changed.
+  measureRows() {
+    const rowEl = this.rowsEl.firstElementChild;
+    if (!rowEl || !rowEl.offsetHeight) return false;
+    this.measured = true;
+    if (rowEl.offsetHeight === this.rowHeight) return false;
+    this.rowHeight = rowEl.offsetHeight;
+    return true;
+  }
 
-    const isExpanded = store.isExpanded(node.id);
-    const children = store.getChildren(node.id);
-    const hasChildren = children.length > 0;
-    const isSelected = store.selectedNodeId === node.id;
-    const isFolder = node.type === 'folder';
+  // Everything a row shows, to tell whether it needs redrawing
+  rowKey({ node, depth }) {
+    return [
+      node.name,
+      node.type === 'folder' ? '📁' : this.getNodeIcon(node.id),
+      depth,
+      store.isExpanded(node.id),
+      store.getChildren(node.id).length > 0,
+      store.selectedNodeId === node.id,
+      this.selectedIds.has(node.id)
+    ].join('\n');
+  }
 
-    nodeEl.innerHTML = `
-      <div class="tree-node-content ${isSelected ? 'active' : ''}" draggable="true">
-        <span class="tree-toggle ${hasChildren ? '' : 'hidden'}">
-          <i class="fas fa-chevron-${isExpanded ? 'down' : 'right'}"></i>
-        </span>
-        <span class="tree-icon">${isFolder ? '📁' : this.getNodeIcon(node.id)}</span>
-        <span class="tree-label">${this.escapeHtml(node.name)}</span>
-      </div>
-      <div class="tree-children ${isExpanded ? '' : 'collapsed'}"></div>
-    `;
+  // Brings a row into view, if it's listed but scrolled away
+  scrollToRow(id) {
+    const index = this.rowIndex.get(id);
+    if (index === undefined) return;
 
-    const contentEl = nodeEl.querySelector('.tree-node-content');
-    const toggleEl = nodeEl.querySelector('.tree-toggle');
-    const childrenEl = nodeEl.querySelector('.tree-children');
+    const top = index * this.rowHeight;
+    const { scrollTop, clientHeight } = this.container;
+    if (top < scrollTop || top + this.rowHeight > scrollTop + clientHeight) {
+      this.container.scrollTop = Math.max(0, top - clientHeight / 2);
+    }
+    this.renderWindow();
+  }
 
-    // Toggle expansion
-    if (hasChildren) {
-      toggleEl.addEventListener('click', (e) => {
+  // A dot for each person with a note open, live, on the note or the
+  // collapsed folder it is in
+  renderPresence() {
+    for (const { el } of this.rowEls.values()) {
+      el.querySelector('.tree-presence')?.remove();
+    }
+
+    for (const peer of collab.peers.values()) {
+      let node = store.getNode(peer.noteId);
+      while (node && !this.rowIndex.has(node.id)) {
+        node = store.getNode(node.parentId);
+      }
+      if (!node || !this.rowEls.has(node.id)) continue;
+
+      const contentEl = this.rowEls.get(node.id).el.firstElementChild;
+      let presenceEl = contentEl.querySelector('.tree-presence');
+      if (!presenceEl) {
+        presenceEl = document.createElement('span');
+        presenceEl.className = 'tree-presence';
+        contentEl.appendChild(presenceEl);
+      }
+      const dot = document.createElement('span');
+      dot.className = 'presence-dot';
+      dot.title = `${peer.name} has ${node.id === peer.noteId ? 'this' : `"${store.getNode(peer.noteId).name}"`} open`;
+      dot.style.background = collab.colorFor(peer.clientId);
+      presenceEl.appendChild(dot);
+    }
+  }
+
+  // A row's element and listeners, made when it first scrolls into view. Its
+  // contents are filled in (and redrawn) by updateRow.
+  createRow(node) {
+    const nodeId = node.id;
+    const isFolder = node.type === 'folder';
+    const nodeEl = document.createElement('div');
+    nodeEl.className = 'tree-node';
+    nodeEl.dataset.id = nodeId;
+    nodeEl.innerHTML = '<div class="tree-node-content" draggable="true"></div>';
+    const contentEl = nodeEl.firstElementChild;
+
+    contentEl.addEventListener('click', (e) => {
+      // Toggle expansion
+      if (e.target.closest('.tree-toggle') && store.getChildren(nodeId).length > 0) {
         e.stopPropagation();
-        store.toggleExpanded(node.id);
+        store.toggleExpanded(nodeId);
         this.render();
-      });
-    }
+        return;
+      }
 
-    // Select node
-    contentEl.addEventListener('click', () => {
-      store.selectNode(node.id);
+      // Select node, or add it to the multi-selection
+      this.onNodeClick(e, nodeId);
     });
 
     // Double-click to expand/collapse folders or rename
     contentEl.addEventListener('dblclick', () => {
       if (isFolder) {
-        store.toggleExpanded(node.id);
+        store.toggleExpanded(nodeId);
         this.render();
       } else {
-        this.startRenaming(node.id);
+        this.startRenaming(nodeId);
       }
     });
 
     // Context menu
     contentEl.addEventListener('contextmenu', (e) => {
       e.preventDefault();
-      this.showContextMenu(e, node.id);
+      this.showContextMenu(e, nodeId);
     });
 
     // Drag and drop
-    this.setupDragAndDrop(contentEl, node.id);
+    this.setupDragAndDrop(contentEl, nodeId);
 
-    // Render children
-    if (hasChildren && isExpanded) {
-      for (const child of children) {
-        this.renderNode(child, childrenEl);
-      }
-    }
+    return nodeEl;
+  }
 
-    container.appendChild(nodeEl);
+  updateRow(nodeEl, { node }) {
+    const isExpanded = store.isExpanded(node.id);
+    const hasChildren = store.getChildren(node.id).length > 0;
+    const contentEl = nodeEl.firstElementChild;
+
+    contentEl.classList.toggle('active', store.selectedNodeId === node.id);
+    contentEl.classList.toggle('multi-selected', this.selectedIds.has(node.id));
+    contentEl.innerHTML = `
+      <span class="tree-toggle ${hasChildren ? '' : 'hidden'}">
+        <i class="fas fa-chevron-${isExpanded ? 'down' : 'right'}"></i>
+      </span>
+      <span class="tree-icon">${node.type === 'folder' ? '📁' : this.getNodeIcon(node.id)}</span>
+      <span class="tree-label">${this.escapeHtml(node.name)}</span>
+    `;
   }
 
   setupDragAndDrop(element, nodeId) {
@@ -118,14 +307,14 @@ export class TreeRenderer {
 
     // Desktop drag and drop
     element.addEventListener('dragstart', (e) => {
-      this.draggedNodeId = nodeId;
+      this.draggedNodeIds = this.getDragged(nodeId);
       element.style.opacity = '0.5';
       e.dataTransfer.effectAllowed = 'move';
     });
 
     element.addEventListener('dragend', () => {
       element.style.opacity = '';
-      this.draggedNodeId = null;
+      this.draggedNodeIds = null;
       document.querySelectorAll('.drag-over').forEach(el => {
         el.classList.remove('drag-over');
       });
@@ -133,7 +322,7 @@ export class TreeRenderer {
 
     element.addEventListener('dragover', (e) => {
       e.preventDefault();
-      if (this.draggedNodeId && this.draggedNodeId !== nodeId) {
+      if (this.draggedNodeIds && !this.draggedNodeIds.includes(nodeId)) {
         element.classList.add('drag-over');
       }
     });
@@ -163,7 +352,7 @@ export class TreeRenderer {
       // Start long press timer for drag initiation
       longPressTimer = setTimeout(() => {
         isDragging = true;
-        this.draggedNodeId = nodeId;
+        this.draggedNodeIds = this.getDragged(nodeId);
         element.style.opacity = '0.5';
         element.classList.add('touch-dragging');
         
@@ -231,7 +420,7 @@ export class TreeRenderer {
       
       if (targetNodeEl) {
         const targetId = targetNodeEl.dataset.id;
-        if (targetId && targetId !== this.draggedNodeId) {
+        if (targetId && !this.draggedNodeIds.includes(targetId)) {
           await this.handleDrop(targetId);
         }
       }
@@ -241,7 +430,7 @@ export class TreeRenderer {
         el.classList.remove('drag-over');
       });
       
-      this.draggedNodeId = null;
+      this.draggedNodeIds = null;
     });
 
     element.addEventListener('touchcancel', () => {
@@ -252,25 +441,229 @@ export class TreeRenderer {
       document.querySelectorAll('.drag-over').forEach(el => {
         el.classList.remove('drag-over');
       });
-      this.draggedNodeId = null;
+      this.draggedNodeIds = null;
     });
   }
 
+  // A selected node drags the whole selection along
+  getDragged(nodeId) {
+    return this.selectedIds.has(nodeId) ? this.getSelection() : [nodeId];
+  }
+
   async handleDrop(targetNodeId) {
-    if (!this.draggedNodeId || this.draggedNodeId === targetNodeId) return;
-    
-    const draggedNode = store.getNode(this.draggedNodeId);
+    const nodeIds = this.draggedNodeIds;
+    if (!nodeIds || nodeIds.includes(targetNodeId)) return;
+
     const targetNode = store.getNode(targetNodeId);
-    if (!draggedNode || !targetNode) return;
+    if (!targetNode) return;
+
+    // Into a folder, or next to a note (same parent)
+    await this.moveNodes(nodeIds, targetNode.type === 'folder' ? targetNodeId : targetNode.parentId);
+  }
+
+  async moveNodes(nodeIds, parentId) {
+    if (parentId) {
+      store.expandedNodes.add(parentId);
+    }
+    try {
+      return await store.moveNodes(nodeIds, parentId);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+      return 0;
+    }
+  }
 
-    if (targetNode.type === 'folder') {
-      // Move into folder
-      await store.moveNode(this.draggedNodeId, targetNodeId);
-      store.expandedNodes.add(targetNodeId);
+  // Multi-selection
+  // Plain clicks open a node. Ctrl/Cmd-click adds a node to the selection or takes
+  // it out; Shift-click selects the rows between the last one clicked and this one.
+  onNodeClick(e, nodeId) {
+    const toggle = e.ctrlKey || e.metaKey;
+    if (!toggle && !e.shiftKey) {
+      this.anchorId = nodeId;
+      if (this.selectedIds.size > 0) {
+        this.clearSelection();
+      }
+      store.selectNode(nodeId);
+      return;
+    }
+
+    // The open note is where a selection starts
+    if (this.selectedIds.size === 0 && store.getNode(store.selectedNodeId)) {
+      this.selectedIds.add(store.selectedNodeId);
+      this.anchorId = store.selectedNodeId;
+    }
+
+    if (e.shiftKey) {
+      const range = this.getRange(this.anchorId || nodeId, nodeId);
+      if (!toggle) {
+        this.selectedIds.clear();
+      }
+      range.forEach(id => this.selectedIds.add(id));
     } else {
-      // Move as sibling (same parent)
-      await store.moveNode(this.draggedNodeId, targetNode.parentId);
+      if (this.selectedIds.has(nodeId)) {
+        this.selectedIds.delete(nodeId);
+      } else {
+        this.selectedIds.add(nodeId);
+      }
+      this.anchorId = nodeId;
     }
+    this.renderSelection();
+  }
+
+  // The visible rows from one node to another, inclusive
+  getRange(fromId, toId) {
+    const rows = this.rows.filter(row => row.node).map(row => row.id);
+    const from = rows.indexOf(fromId);
+    const to = rows.indexOf(toId);
+    if (from === -1 || to === -1) return [toId];
+    return rows.slice(Math.min(from, to), Math.max(from, to) + 1);
+  }
+
+  getSelection() {
+    return [...this.selectedIds];
+  }
+
+  hasSelection() {
+    return this.selectedIds.size > 0;
+  }
+
+  clearSelection() {
+    this.selectedIds.clear();
+    this.renderSelection();
+  }
+
+  renderSelection() {
+    this.renderWindow();
+    this.renderSelectionBar();
+  }
+
+  setupSelectionBar() {
+    this.moveSelect = document.getElementById('tree-selection-move');
+    this.tagForm = document.getElementById('tree-selection-tags');
+    this.tagInput = document.getElementById('tree-selection-tag-input');
+
+    this.moveSelect.addEventListener('change', async () => {
+      const value = this.moveSelect.value;
+      this.moveSelect.value = '';
+      if (value) {
+        await this.moveSelection(value === TOP_LEVEL ? null : value);
+      }
+    });
+
+    document.getElementById('tree-selection-tag').addEventListener('click', () => {
+      this.tagForm.classList.toggle('hidden');
+      if (!this.tagForm.classList.contains('hidden')) {
+        const datalist = document.getElementById('tree-selection-tag-list');
+        datalist.innerHTML = '';
+        for (const tag of [...store.getTagCounts().keys()].sort()) {
+          const option = document.createElement('option');
+          option.value = tag;
+          datalist.appendChild(option);
+        }
+        this.tagInput.focus();
+      }
+    });
+
+    this.tagForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.tagSelection(true);
+    });
+
+    document.getElementById('tree-selection-untag').addEventListener('click', () => {
+      this.tagSelection(false);
+    });
+
+    document.getElementById('tree-selection-active').addEventListener('click', () => {
+      this.toggleSelectionActive();
+    });
+
+    document.getElementById('tree-selection-duplicate').addEventListener('click', () => {
+      this.duplicateSelection();
+    });
+
+    document.getElementById('tree-selection-export').addEventListener('click', () => {
+      this.exportSubtree(this.getSelection());
+    });
+
+    document.getElementById('tree-selection-delete').addEventListener('click', () => {
+      this.showDeleteConfirmation(this.getSelection());
+    });
+
+    document.getElementById('tree-selection-clear').addEventListener('click', () => {
+      this.clearSelection();
+    });
+  }
+
+  renderSelectionBar() {
+    const count = this.selectedIds.size;
+    this.selectionBar.classList.toggle('hidden', count === 0);
+    if (count === 0) {
+      this.tagForm.classList.add('hidden');
+      return;
+    }
+
+    document.getElementById('tree-selection-count').textContent = `${count} selected`;
+
+    // Folders the selection can go into, which rules out those inside it
+    const folders = [];
+    for (const node of store.nodes.values()) {
+      if (node.type === 'folder' && !this.getSelection().some(id => store.isDescendant(node.id, id))) {
+        folders.push([node.id, store.getNodePath(node.id).map(n => n.name).join(' / ')]);
+      }
+    }
+    folders.sort((a, b) => a[1].localeCompare(b[1]));
+
+    this.moveSelect.innerHTML = '<option value="">Move to...</option>';
+    for (const [value, label] of [[TOP_LEVEL, 'Top level'], ...folders]) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.moveSelect.appendChild(option);
+    }
+  }
+
+  async moveSelection(parentId) {
+    const count = await this.moveNodes(this.getSelection(), parentId);
+    if (count > 0) {
+      const where = parentId ? `"${store.getNode(parentId).name}"` : 'the top level';
+      this.toast.show(`Moved ${count} item${count === 1 ? '' : 's'} to ${where}`);
+    }
+  }
+
+  async tagSelection(add) {
+    const tag = normalizeTag(this.tagInput.value);
+    if (!tag) {
+      this.toast.show('Type a tag first', { type: 'error' });
+      return;
+    }
+
+    const nodeIds = this.getSelection();
+    const count = add ? await store.addTagToNodes(nodeIds, tag) : await store.removeTagFromNodes(nodeIds, tag);
+    this.toast.show(add
+      ? `Tagged ${count} note${count === 1 ? '' : 's'} #${tag}`
+      : `Removed #${tag} from ${count} note${count === 1 ? '' : 's'}`);
+    this.tagInput.value = '';
+    this.tagForm.classList.add('hidden');
+  }
+
+  // Makes every selected note active, or inactive if they all are already
+  async toggleSelectionActive() {
+    const notes = store.getNotes(this.getSelection());
+    if (notes.length === 0) {
+      this.toast.show('Only notes can be active', { type: 'error' });
+      return;
+    }
+
+    const active = !notes.every(note => note.active);
+    const count = await store.setActive(notes.map(note => note.id), active);
+    this.toast.show(`${active ? 'Marked' : 'Unmarked'} ${count} note${count === 1 ? '' : 's'} as active`);
+  }
+
+  // The copies become the selection
+  async duplicateSelection() {
+    const copies = await store.duplicateNodes(this.getSelection());
+    this.selectedIds = new Set(copies.map(copy => copy.id));
+    this.renderSelection();
   }
 
   getNodeIcon(nodeId) {
@@ -310,6 +703,9 @@ export class TreeRenderer {
     const node = store.getNode(nodeId);
     if (!node) return;
 
+    // On a selected node, copying, exporting, moving and deleting take in the whole selection
+    const nodeIds = this.getDragged(nodeId);
+
     switch (action) {
       case 'new-folder':
         await this.startCreatingNode(nodeId, 'folder');
@@ -321,47 +717,44 @@ export class TreeRenderer {
         this.startRenaming(nodeId);
         break;
       case 'duplicate':
-        await store.duplicateNode(nodeId);
+        await store.duplicateNodes(nodeIds);
         break;
       case 'export-subtree':
-        await this.exportSubtree(nodeId);
+        await this.exportSubtree(nodeIds);
+        break;
+      case 'export-markdown':
+        await this.exportSubtreeMarkdown(nodeIds);
         break;
       case 'move-to-root':
-        if (node.parentId) {
-          await store.moveNode(nodeId, null);
-        }
+        await this.moveNodes(nodeIds, null);
         break;
       case 'delete':
-        await this.showDeleteConfirmation(nodeId);
+        await this.showDeleteConfirmation(nodeIds);
         break;
     }
   }
 
+  // Adds a row with a name input, at the top of the tree or the end of a folder
   async startCreatingNode(parentId, type) {
-    // Create a temporary node for inline editing
-    const container = parentId
-      ? document.querySelector(`.tree-node[data-id="${parentId}"] .tree-children`)
-      : this.container;
-
-    if (!container) return;
-
-    // Expand parent if creating inside a folder
     if (parentId) {
+      if (!store.getNode(parentId)) return;
       store.expandedNodes.add(parentId);
-      this.render();
-
-      // Get the updated container after render
-      const parentNode = document.querySelector(`.tree-node[data-id="${parentId}"]`);
-      const childrenContainer = parentNode?.querySelector('.tree-children');
-      if (childrenContainer) {
-        this.showInlineInput(childrenContainer, parentId, type, true);
-      }
-    } else {
-      this.showInlineInput(this.container, parentId, type, false);
     }
+
+    // Starting over drops a name input that's still open
+    this.rowEls.get(NEW_ROW)?.el.remove();
+    this.rowEls.delete(NEW_ROW);
+    this.inputRowEl = null;
+    this.creating = { parentId, type };
+    this.render();
+    this.scrollToRow(NEW_ROW);
+    this.inputRowEl?.querySelector('input').focus();
   }
 
-  showInlineInput(container, parentId, type, appendToEnd) {
+  createInputRow() {
+    if (this.inputRowEl) return this.inputRowEl;
+
+    const { parentId, type } = this.creating;
     const inputWrapper = document.createElement('div');
     inputWrapper.className = 'tree-node creating';
     inputWrapper.innerHTML = `
@@ -371,24 +764,24 @@ export class TreeRenderer {
         <input type="text" placeholder="${type === 'folder' ? 'Folder name' : 'Note name'}" />
       </div>
     `;
+    this.inputRowEl = inputWrapper;
 
     const input = inputWrapper.querySelector('input');
-
-    if (appendToEnd) {
-      container.appendChild(inputWrapper);
-    } else {
-      container.insertBefore(inputWrapper, container.firstChild);
-    }
-
-    input.focus();
-
     let saved = false;
 
+    const close = () => {
+      if (this.inputRowEl !== inputWrapper) return;
+      this.inputRowEl = null;
+      this.creating = null;
+      this.render();
+    };
+
     const save = async () => {
       if (saved) return;
       saved = true;
-      
+
       const name = input.value.trim();
+      close();
       if (name) {
         const node = await store.createNode({
           name,
@@ -400,7 +793,6 @@ export class TreeRenderer {
           store.selectNode(node.id);
         }
       }
-      inputWrapper.remove();
     };
 
     input.addEventListener('keydown', (e) => {
@@ -409,32 +801,46 @@ export class TreeRenderer {
         save();
       } else if (e.key === 'Escape') {
         saved = true; // Prevent save on blur
-        inputWrapper.remove();
+        close();
       }
     });
 
     input.addEventListener('blur', () => {
       setTimeout(() => save(), 100);
     });
+
+    return inputWrapper;
   }
 
   startRenaming(nodeId) {
-    const nodeEl = document.querySelector(`.tree-node[data-id="${nodeId}"] .tree-node-content`);
+    const node = store.getNode(nodeId);
+    if (!node || !this.rowIndex.has(nodeId)) return;
+
+    this.scrollToRow(nodeId);
+    const nodeEl = this.rowEls.get(nodeId)?.el.firstElementChild;
     if (!nodeEl) return;
 
-    const node = store.getNode(nodeId);
     const labelEl = nodeEl.querySelector('.tree-label');
 
     const input = document.createElement('input');
     input.type = 'text';
     input.value = node.name;
 
+    this.renamingId = nodeId;
     labelEl.replaceWith(input);
     input.focus();
     input.select();
 
-    const save = async () => {
-      const name = input.value.trim();
+    let done = false;
+    const finish = async (name) => {
+      if (done) return;
+      done = true;
+      this.renamingId = null;
+      const entry = this.rowEls.get(nodeId);
+      if (entry) {
+        entry.key = null; // Put the label back
+      }
+
       if (name && name !== node.name) {
         await store.updateNode(nodeId, { name });
       } else {
@@ -444,18 +850,18 @@ export class TreeRenderer {
 
     input.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
-        save();
+        finish(input.value.trim());
       } else if (e.key === 'Escape') {
-        this.render();
+        finish(null);
       }
     });
 
-    input.addEventListener('blur', save);
+    input.addEventListener('blur', () => finish(input.value.trim()));
   }
 
-  async showDeleteConfirmation(nodeId) {
-    const node = store.getNode(nodeId);
-    if (!node) return;
+  async showDeleteConfirmation(nodeIds) {
+    const nodes = store.getTopLevel(nodeIds);
+    if (nodes.length === 0) return;
 
     const modal = document.getElementById('confirm-modal');
     const title = document.getElementById('confirm-title');
@@ -471,17 +877,17 @@ export class TreeRenderer {
       return count;
     };
 
-    const childCount = countChildren(nodeId);
+    const childCount = nodes.reduce((count, node) => count + countChildren(node.id), 0);
     const childText = childCount > 0 ? ` (and ${childCount} child item${childCount > 1 ? 's' : ''})` : '';
 
-    title.textContent = 'Delete Node';
-    message.textContent = `Are you sure you want to delete "${node.name}"${childText}? This action cannot be undone.`;
+    title.textContent = nodes.length === 1 ? 'Delete Node' : 'Delete Selection';
+    message.textContent = `Move ${store.describeNodes(nodes)}${childText} to the trash? You can restore ${nodes.length === 1 ? 'it' : 'them'} from the Trash in the sidebar.`;
 
     modal.classList.remove('hidden');
 
     document.getElementById('confirm-ok').onclick = async () => {
       modal.classList.add('hidden');
-      await store.deleteNode(nodeId);
+      await store.deleteNodes(nodes.map(node => node.id));
     };
 
     document.getElementById('confirm-cancel').onclick = () => {
@@ -489,7 +895,11 @@ export class TreeRenderer {
     };
   }
 
-  async exportSubtree(nodeId) {
+  // Several nodes are exported as a list of subtrees, one as a subtree of its own
+  async exportSubtree(nodeIds) {
+    const roots = store.getTopLevel(nodeIds);
+    if (roots.length === 0) return;
+
     const collectSubtree = async (id) => {
       const node = store.getNode(id);
       const content = node.type === 'leaf' ? await db.getContent(id) : null;
@@ -508,14 +918,45 @@ export class TreeRenderer {
       return subtree;
     };
 
-    const subtree = await collectSubtree(nodeId);
+    const noteIds = new Set(roots.flatMap(root => store.getSubtree(root.id)).map(node => node.id));
+    const attachments = Array.from(store.attachments.values()).filter(attachment => noteIds.has(attachment.noteId));
+
+    const subtrees = [];
+    for (const root of roots) {
+      subtrees.push(await collectSubtree(root.id));
+    }
+
+    const subtree = {
+      version: DB_VERSION,
+      exportDate: new Date().toISOString(),
+      ...(subtrees.length === 1 ? subtrees[0] : { subtrees }),
+      attachments: await Promise.all(attachments.map(toExport))
+    };
     const blob = new Blob([JSON.stringify(subtree, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
-    const node = store.getNode(nodeId);
+    const name = roots.length === 1 ? roots[0].name : `${roots.length} items`;
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-subtree.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+
+  // Same subtrees as a ZIP of .md files mirroring the folders
+  async exportSubtreeMarkdown(nodeIds) {
+    const roots = store.getTopLevel(nodeIds);
+    if (roots.length === 0) return;
+
+    const blob = await createZip(await exportMarkdownFiles(roots.map(root => root.id)));
+    const url = URL.createObjectURL(blob);
+
+    const name = roots.length === 1 ? roots[0].name : `${roots.length} items`;
     const a = document.createElement('a');
     a.href = url;
-    a.download = `${node.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}-subtree.json`;
+    a.download = `${name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}.zip`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -0,0 +1,88 @@
+/**
+ * Update Banner Component
+ * Registers the service worker that lets the app start offline, and offers to
+ * reload when a new version has been downloaded
+ */
+
+export class UpdateBanner {
+  constructor(toast, beforeReload) {
+    this.toast = toast;
+    this.beforeReload = beforeReload;
+    this.banner = document.getElementById('update-banner');
+    this.waiting = null; // The installed worker waiting to take over
+    this.reloading = false;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    document.getElementById('update-reload').addEventListener('click', () => {
+      this.applyUpdate();
+    });
+
+    document.getElementById('update-dismiss').addEventListener('click', () => {
+      this.hide();
+    });
+  }
+
+  async register() {
+    if (!('serviceWorker' in navigator)) return;
+
+    let registration;
+    try {
+      registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+      console.warn('Offline support unavailable:', error);
+      return;
+    }
+
+    // An update downloaded on an earlier visit and still waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.show(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state !== 'installed') return;
+        if (navigator.serviceWorker.controller) {
+          this.show(worker);
+        } else {
+          this.toast.show('Ready to work offline');
+        }
+      });
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.reloading) {
+        location.reload();
+      }
+    });
+
+    // An installed app can stay open for days, so look for updates whenever it
+    // comes back to the foreground
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && navigator.onLine) {
+        registration.update().catch(() => {});
+      }
+    });
+  }
+
+  show(worker) {
+    this.waiting = worker;
+    this.banner.classList.remove('hidden');
+  }
+
+  hide() {
+    this.banner.classList.add('hidden');
+  }
+
+  // Save the open note, then let the new worker take over; the page reloads
+  // once it controls it
+  async applyUpdate() {
+    if (!this.waiting) return;
+    await this.beforeReload();
+    this.reloading = true;
+    this.waiting.postMessage({ type: 'SKIP_WAITING' });
+  }
+}
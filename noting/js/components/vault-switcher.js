@@ -0,0 +1,214 @@
+/**
+ * Vault Switcher Component
+ * Header menu listing the vaults in this browser, to switch between them and
+ * to create, rename, duplicate and delete them
+ */
+
+import { vaults } from '../core/vaults.js';
+import { sync } from '../core/sync.js';
+
+export class VaultSwitcher {
+  constructor(toast, switchVault) {
+    this.toast = toast;
+    this.switchVault = switchVault;
+    this.button = document.getElementById('vault-switcher-btn');
+    this.menu = document.getElementById('vault-menu');
+    this.list = document.getElementById('vault-list');
+    this.renaming = null; // Vault being renamed in place
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    });
+
+    document.getElementById('vault-create').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const input = document.getElementById('vault-create-input');
+      this.create(input.value);
+    });
+
+    document.addEventListener('click', (e) => {
+      if (this.isOpen() && !this.menu.contains(e.target)) {
+        this.close();
+      }
+    });
+
+    this.menu.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && !this.renaming) {
+        e.stopPropagation();
+        this.close();
+        this.button.focus();
+      }
+    });
+  }
+
+  isOpen() {
+    return !this.menu.classList.contains('hidden');
+  }
+
+  open() {
+    this.render();
+    this.menu.classList.remove('hidden');
+    this.button.classList.add('active');
+  }
+
+  close() {
+    this.menu.classList.add('hidden');
+    this.button.classList.remove('active');
+    document.getElementById('vault-create-input').value = '';
+  }
+
+  render() {
+    const current = vaults.get(vaults.currentId);
+    document.getElementById('vault-name').textContent = current?.name || '';
+    document.title = current ? `${current.name} - DnD Notes Vault` : 'DnD Notes Vault';
+
+    this.list.innerHTML = '';
+    for (const vault of vaults.list()) {
+      this.list.appendChild(this.renderVault(vault));
+    }
+  }
+
+  renderVault(vault) {
+    const isCurrent = vault.id === vaults.currentId;
+    const el = document.createElement('div');
+    el.className = 'vault-item';
+    el.classList.toggle('current', isCurrent);
+    el.innerHTML = `
+      <span class="vault-item-check">${isCurrent ? '<i class="fas fa-check"></i>' : ''}</span>
+      <span class="vault-item-name">${this.escapeHtml(vault.name)}</span>
+      <button class="btn-icon" data-action="rename" title="Rename vault"><i class="fas fa-pen"></i></button>
+      <button class="btn-icon" data-action="duplicate" title="Duplicate vault"><i class="fas fa-copy"></i></button>
+      <button class="btn-icon danger" data-action="delete" title="${isCurrent ? 'Switch to another vault to delete this one' : 'Delete vault'}"><i class="fas fa-trash"></i></button>
+    `;
+    el.querySelector('[data-action="delete"]').disabled = isCurrent;
+
+    el.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button?.dataset.action === 'rename') {
+        this.startRenaming(el, vault);
+      } else if (button?.dataset.action === 'duplicate') {
+        this.duplicate(vault);
+      } else if (button?.dataset.action === 'delete') {
+        this.delete(vault);
+      } else if (!button && !this.renaming && !isCurrent) {
+        this.select(vault);
+      }
+    });
+
+    return el;
+  }
+
+  async select(vault) {
+    this.close();
+    try {
+      await this.switchVault(vault.id);
+      this.toast.show(`Opened ${vault.name}`);
+    } catch (error) {
+      console.error('Switching vault failed:', error);
+      this.toast.show(`Couldn't open ${vault.name}: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  async create(name) {
+    let vault;
+    try {
+      vault = vaults.create(name);
+    } catch (error) {
+      this.toast.show(error.message, { type: 'error' });
+      return;
+    }
+    await this.select(vault);
+  }
+
+  startRenaming(el, vault) {
+    const nameEl = el.querySelector('.vault-item-name');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'vault-item-input';
+    input.value = vault.name;
+    nameEl.replaceWith(input);
+    this.renaming = vault.id;
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      this.renaming = null;
+      if (commit && input.value.trim() !== vault.name) {
+        try {
+          vaults.rename(vault.id, input.value);
+        } catch (error) {
+          this.toast.show(error.message, { type: 'error' });
+        }
+      }
+      this.render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+  }
+
+  // "Name copy", then "Name copy 2" and so on until the name is free
+  copyName(name) {
+    const taken = new Set(vaults.list().map(vault => vault.name.toLowerCase()));
+    let copy = `${name} copy`;
+    for (let n = 2; taken.has(copy.toLowerCase()); n++) {
+      copy = `${name} copy ${n}`;
+    }
+    return copy;
+  }
+
+  async duplicate(vault) {
+    try {
+      const copy = await vaults.duplicate(vault.id, this.copyName(vault.name));
+      this.render();
+      this.toast.show(`Duplicated ${vault.name} as ${copy.name}`, {
+        action: { label: 'Open', onClick: () => this.select(copy) }
+      });
+    } catch (error) {
+      console.error('Duplicating vault failed:', error);
+      this.toast.show(`Couldn't duplicate ${vault.name}: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  async delete(vault) {
+    if (!confirm(`Delete the vault "${vault.name}" and every note in it? This cannot be undone.`)) return;
+
+    try {
+      await vaults.remove(vault.id, () => {
+        this.toast.show(`Waiting for other tabs to close ${vault.name}…`);
+      });
+      sync.forget(vaults.databaseName(vault.id));
+      this.render();
+      this.toast.show(`Deleted ${vault.name}`);
+    } catch (error) {
+      this.toast.show(`Couldn't delete ${vault.name}: ${error.message}`, { type: 'error' });
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
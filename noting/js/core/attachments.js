@@ -0,0 +1,152 @@
+/**
+ * Attachments
+ * Helpers for images, maps, PDFs and other files kept with notes: names, types,
+ * thumbnails, and the base64 form they take in JSON exports
+ */
+
+// Largest file accepted, to keep backups loadable in one piece
+export const MAX_ATTACHMENT_SIZE = 50 * 1024 * 1024;
+
+// Longest side of a thumbnail, in pixels
+const THUMBNAIL_SIZE = 256;
+
+// Characters that break ![[embeds]] or aren't allowed in file names somewhere
+const UNSAFE_NAME = /[\\/:*?"<>|#^[\]\u0000-\u001f]/g;
+
+const TYPES_BY_EXTENSION = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  bmp: 'image/bmp',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  json: 'application/json',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm'
+};
+
+// Safe to show in a tab of its own: these can't run scripts there. Anything else
+// (HTML, SVG...) is downloaded instead of opened.
+const VIEWABLE_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/avif', 'image/bmp',
+  'application/pdf', 'text/plain', 'audio/mpeg', 'audio/ogg', 'audio/wav', 'video/mp4', 'video/webm'
+];
+
+export function guessType(name) {
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return TYPES_BY_EXTENSION[extension] || 'application/octet-stream';
+}
+
+export function isImage(type) {
+  return typeof type === 'string' && type.startsWith('image/');
+}
+
+export function isViewable(type) {
+  return VIEWABLE_TYPES.includes(type);
+}
+
+// A name that can be written as ![[name]]
+export function cleanName(name, type) {
+  const clean = String(name || '').replace(UNSAFE_NAME, '-').replace(/\s+/g, ' ').replace(/[. ]+$/, '').trim();
+  if (clean) return clean;
+
+  const stamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+  const extension = Object.keys(TYPES_BY_EXTENSION).find(key => TYPES_BY_EXTENSION[key] === type) || 'bin';
+  return `Pasted ${isImage(type) ? 'image' : 'file'} ${stamp}.${extension === 'jpeg' ? 'jpg' : extension}`;
+}
+
+// Pasted screenshots all arrive as "image.png", so they are named after the time instead
+export function nameForFile(file, type) {
+  return cleanName(/^image\.\w+$/i.test(file.name || '') ? '' : file.name, type);
+}
+
+// "map.png" becomes "map 2.png", "map 3.png"... until it is free (case-insensitively)
+export function uniqueName(name, taken) {
+  const dot = name.lastIndexOf('.');
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const extension = dot > 0 ? name.slice(dot) : '';
+
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${stem} ${n}${extension}`;
+  }
+  return candidate;
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// { thumbnail, width, height } for an image the browser can decode, or null
+export async function createThumbnail(blob) {
+  if (!isImage(blob.type) || typeof createImageBitmap !== 'function') return null;
+
+  try {
+    const bitmap = await createImageBitmap(blob);
+    const { width, height } = bitmap;
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+
+    // Browsers without WebP encoding fall back to PNG
+    const thumbnail = await new Promise(resolve => canvas.toBlob(resolve, 'image/webp', 0.8));
+    return { thumbnail, width, height };
+  } catch (error) {
+    // SVGs and formats the browser can't decode are shown without one
+    console.warn('Could not create a thumbnail:', error);
+    return null;
+  }
+}
+
+export async function blobToBase64(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // In slices, as spreading megabytes of arguments overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function base64ToBlob(base64, type) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type });
+}
+
+// Stored record -> export record, with the files as base64 strings
+export async function toExport({ blob, thumbnail, ...attachment }) {
+  return {
+    ...attachment,
+    data: await blobToBase64(blob),
+    thumbnail: thumbnail ? await blobToBase64(thumbnail) : null,
+    thumbnailType: thumbnail ? thumbnail.type : null
+  };
+}
+
+// Export record (checked by core/schema.js) -> stored record
+export function fromExport({ data, thumbnail, thumbnailType, ...attachment }) {
+  const blob = base64ToBlob(data, attachment.type);
+  return {
+    ...attachment,
+    size: blob.size,
+    blob,
+    thumbnail: thumbnail ? base64ToBlob(thumbnail, thumbnailType || 'image/png') : null
+  };
+}
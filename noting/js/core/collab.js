@@ -0,0 +1,315 @@
+/**
+ * Live Editing
+ * Connects to the sync server's live endpoint (collab-server.js) to show who
+ * is looking at which note and to edit the open note together. Text changes
+ * travel as operations (ot.js); the title, icon, tags, map and each field are set
+ * whole, the last change winning. The note on screen is the "view" that the
+ * editor hands to open().
+ */
+
+import { store } from './store.js';
+import { apply, fromChange, transform } from './ot.js';
+
+const NAME_KEY = 'collabName';
+const RECONNECT_MIN = 2000;
+const RECONNECT_MAX = 30000;
+const PEER_COLORS = ['#e94560', '#4ecca3', '#f0a500', '#5d9cec', '#ac92ec', '#ff8a65', '#48cfad', '#ec87c0'];
+
+class CollabClient {
+  constructor() {
+    this.settings = null; // Sync settings of the open vault, while live editing is on
+    this.socket = null;
+    this.status = 'off'; // off, connecting or live
+    this.clientId = null;
+    this.peers = new Map(); // clientId -> { clientId, name, noteId }
+    this.note = null; // The note open in the editor, see open()
+    this.reconnectTimer = null;
+    this.reconnectDelay = RECONNECT_MIN;
+  }
+
+  getName() {
+    return localStorage.getItem(NAME_KEY) || '';
+  }
+
+  setName(name) {
+    localStorage.setItem(NAME_KEY, name.trim().slice(0, 60));
+    this.send({ type: 'hello', name: this.getName() || 'Someone' });
+  }
+
+  // Go live with the vault's sync settings, or stop for null
+  connect(settings) {
+    const key = (s) => s && `${s.serverUrl}|${s.vault}|${s.token}`;
+    if (key(settings) === key(this.settings) && this.status !== 'off') return;
+
+    this.disconnect();
+    this.settings = settings;
+    if (settings) {
+      this.openSocket();
+    }
+  }
+
+  disconnect() {
+    this.settings = null;
+    clearTimeout(this.reconnectTimer);
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+    this.setStatus('off');
+  }
+
+  openSocket() {
+    const { serverUrl, vault, token } = this.settings;
+    const url = `${serverUrl.replace(/\/+$/, '').replace(/^http/, 'ws')}/api/vaults/${encodeURIComponent(vault)}/live`
+      + (token ? `?token=${encodeURIComponent(token)}` : '');
+
+    this.setStatus('connecting');
+    try {
+      this.socket = new WebSocket(url);
+    } catch (error) {
+      console.warn('Live editing unavailable:', error);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket.onopen = () => {
+      this.reconnectDelay = RECONNECT_MIN;
+      this.send({ type: 'hello', name: this.getName() || 'Someone' });
+      if (this.note) {
+        this.join();
+      }
+    };
+    this.socket.onmessage = (event) => {
+      try {
+        this.handle(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Live editing message failed:', error);
+      }
+    };
+    this.socket.onclose = () => {
+      this.socket = null;
+      this.scheduleReconnect();
+    };
+  }
+
+  scheduleReconnect() {
+    if (this.note) {
+      this.note.ready = false;
+    }
+    this.setStatus('connecting');
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => this.openSocket(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    if (status !== 'live') {
+      this.clientId = null;
+      this.peers.clear();
+    }
+    store.emit('presenceChanged');
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === this.socket.OPEN) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Share the note on screen. The view is { getText(), getProps(), applyText(op), applyProps(props, keys) }.
+  open(noteId, view) {
+    this.close();
+    this.note = { id: noteId, view, ready: false, revision: 0, confirmed: null, sent: null, pending: null, props: {}, settingKeys: new Map() };
+    this.join();
+  }
+
+  close() {
+    if (!this.note) return;
+    this.send({ type: 'leave', noteId: this.note.id });
+    this.note = null;
+  }
+
+  join() {
+    const { view } = this.note;
+    // After a dropped connection, changes since the last shared text are kept
+    this.note.base = this.note.sent ?? view.getText();
+    this.send({ type: 'join', noteId: this.note.id, text: view.getText(), props: view.getProps() });
+  }
+
+  // The note is open here and shared with the server
+  isLive(noteId) {
+    return Boolean(this.note?.ready && this.note.id === noteId);
+  }
+
+  // ...and someone else has it open too
+  isShared(noteId) {
+    return this.isLive(noteId) && this.peersOn(noteId).length > 0;
+  }
+
+  peersOn(noteId) {
+    return [...this.peers.values()].filter(peer => peer.noteId === noteId);
+  }
+
+  colorFor(clientId) {
+    let hash = 0;
+    for (const char of clientId) {
+      hash = (hash * 31 + char.charCodeAt(0)) | 0;
+    }
+    return PEER_COLORS[Math.abs(hash) % PEER_COLORS.length];
+  }
+
+  handle(message) {
+    const note = message.noteId && this.note?.id === message.noteId ? this.note : null;
+
+    switch (message.type) {
+      case 'welcome':
+        this.clientId = message.clientId;
+        this.setStatus('live');
+        for (const peer of message.peers) {
+          this.peers.set(peer.clientId, peer);
+        }
+        store.emit('presenceChanged');
+        break;
+      case 'presence':
+        this.peers.set(message.peer.clientId, message.peer);
+        store.emit('presenceChanged');
+        break;
+      case 'gone':
+        this.peers.delete(message.clientId);
+        store.emit('presenceChanged');
+        break;
+      case 'note':
+        if (note) this.receiveNote(note, message);
+        break;
+      case 'op':
+        if (note?.ready) this.receiveOperation(note, message);
+        break;
+      case 'ack':
+        if (note?.ready) this.receiveAck(note, message);
+        break;
+      case 'retry':
+        // Our operation was behind; it has been moved past the ones we missed since
+        if (note?.pending) {
+          this.send({ type: 'op', noteId: note.id, revision: note.revision, op: note.pending });
+        }
+        break;
+      case 'set':
+        if (note?.ready) this.receiveSet(note, message);
+        break;
+      case 'error':
+        console.warn('Live editing:', message.error);
+        break;
+    }
+  }
+
+  // The shared copy wins; text typed here since joining goes on top of it. A
+  // note already live is being put back in step after an error, which the
+  // operation in flight didn't make it past.
+  receiveNote(note, { revision, text, props, created }) {
+    const { view } = note;
+    if (!created) {
+      const base = note.ready ? note.confirmed : note.base;
+      const local = view.getText();
+      const [, theirs] = transform(fromChange(base, local), fromChange(base, text));
+      view.applyText(theirs);
+      view.applyProps(props, Object.keys({ ...view.getProps(), ...props }));
+    }
+
+    note.revision = revision;
+    note.confirmed = text;
+    note.sent = text;
+    note.pending = null;
+    note.props = { ...props };
+    note.settingKeys.clear();
+    note.ready = true;
+    store.emit('presenceChanged');
+
+    this.textChanged();
+    this.propsChanged();
+  }
+
+  receiveOperation(note, { revision, op }) {
+    const local = fromChange(note.sent, note.view.getText());
+    let remote = op;
+    if (note.pending) {
+      [note.pending, remote] = transform(note.pending, remote);
+    }
+
+    note.confirmed = apply(note.confirmed, op);
+    note.sent = apply(note.sent, remote);
+    note.revision = revision;
+
+    const [, onScreen] = transform(local, remote);
+    note.view.applyText(onScreen);
+  }
+
+  receiveAck(note, { revision }) {
+    note.confirmed = note.sent;
+    note.pending = null;
+    note.revision = revision;
+    this.textChanged();
+  }
+
+  // The server echoes every change in the order it took them; ours come back too
+  receiveSet(note, { key, value, clientId }) {
+    if (clientId === this.clientId) {
+      const count = note.settingKeys.get(key) - 1;
+      if (count > 0) {
+        note.settingKeys.set(key, count);
+      } else {
+        note.settingKeys.delete(key);
+      }
+      return;
+    }
+
+    // Send what changed here first, so an edit in progress isn't overwritten
+    this.propsChanged();
+    if (note.settingKeys.has(key)) return; // Ours came later and wins
+
+    if (value === null) {
+      delete note.props[key];
+    } else {
+      note.props[key] = value;
+    }
+    note.view.applyProps(note.props, [key]);
+  }
+
+  // Call after the text on screen changed here. One operation is in flight at a
+  // time; later typing goes out when it is acknowledged.
+  textChanged() {
+    const note = this.note;
+    if (!note?.ready || note.pending || this.status !== 'live') return;
+
+    const text = note.view.getText();
+    if (text === note.confirmed) return;
+
+    note.pending = fromChange(note.confirmed, text);
+    note.sent = text;
+    this.send({ type: 'op', noteId: note.id, revision: note.revision, op: note.pending });
+  }
+
+  // Call after the title, icon, tags, map or fields changed here
+  propsChanged() {
+    const note = this.note;
+    if (!note?.ready || this.status !== 'live') return;
+
+    const props = note.view.getProps();
+    for (const key of new Set([...Object.keys(note.props), ...Object.keys(props)])) {
+      const value = props[key] ?? null;
+      if (JSON.stringify(value) === JSON.stringify(note.props[key] ?? null)) continue;
+
+      if (value === null) {
+        delete note.props[key];
+      } else {
+        note.props[key] = value;
+      }
+      note.settingKeys.set(key, (note.settingKeys.get(key) || 0) + 1);
+      this.send({ type: 'set', noteId: note.id, key, value });
+    }
+  }
+}
+
+// Export singleton
+export const collab = new CollabClient();
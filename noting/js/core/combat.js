@@ -0,0 +1,109 @@
+/**
+ * Combat
+ * Rules for the combat tracker: reading combat stats from notes, initiative
+ * order, hit points and moving through turns and rounds
+ */
+
+import { findFieldKey } from './query.js';
+
+export const CONDITIONS = [
+  'Blinded', 'Charmed', 'Deafened', 'Exhaustion', 'Frightened', 'Grappled', 'Incapacitated',
+  'Invisible', 'Paralyzed', 'Petrified', 'Poisoned', 'Prone', 'Restrained', 'Stunned', 'Unconscious'
+];
+
+// The first whole number in a value: 45, "45 (6d10 + 12)" and "+2" all work
+function readNumber(value) {
+  const match = String(value ?? '').match(/[+-]?\d+/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+function readField(fields, ...names) {
+  for (const name of names) {
+    const key = findFieldKey(fields, name);
+    if (key) {
+      const value = readNumber(fields[key]);
+      if (value !== null) return value;
+    }
+  }
+  return null;
+}
+
+// HP, AC and initiative bonus from a note's fields. The bonus comes from an
+// Initiative field, or else from a Dexterity score.
+export function readCombatStats(fields = {}) {
+  const dexterity = readField(fields, 'DEX', 'Dexterity');
+  const bonus = readField(fields, 'Initiative', 'Init');
+  return {
+    hp: readField(fields, 'HP', 'Hit Points'),
+    ac: readField(fields, 'AC', 'Armor Class'),
+    initiativeBonus: bonus ?? (dexterity === null ? 0 : Math.floor((dexterity - 10) / 2))
+  };
+}
+
+export function initiativeExpression(bonus) {
+  if (!bonus) return '1d20';
+  return bonus > 0 ? `1d20+${bonus}` : `1d20-${-bonus}`;
+}
+
+// Highest initiative first; ties go to the higher bonus, then by name.
+// Combatants yet to roll go last.
+export function sortCombatants(combatants) {
+  return [...combatants].sort((a, b) => {
+    if (a.initiative !== b.initiative) {
+      if (a.initiative === null) return 1;
+      if (b.initiative === null) return -1;
+      return b.initiative - a.initiative;
+    }
+    return (b.initiativeBonus - a.initiativeBonus) || a.name.localeCompare(b.name);
+  });
+}
+
+// Monsters and NPCs at 0 HP are out of the fight; players at 0 still get
+// turns for their death saves
+export function isDefeated(combatant) {
+  return combatant.kind !== 'player' && combatant.maxHp !== null && combatant.hp <= 0;
+}
+
+// Temporary hit points soak up damage first
+export function applyDamage(combatant, amount) {
+  const soaked = Math.min(combatant.tempHp, amount);
+  combatant.tempHp -= soaked;
+  if (combatant.maxHp !== null) {
+    combatant.hp = Math.max(0, combatant.hp - (amount - soaked));
+  }
+}
+
+export function applyHealing(combatant, amount) {
+  if (combatant.maxHp !== null) {
+    combatant.hp = Math.min(combatant.maxHp, combatant.hp + amount);
+  }
+}
+
+// Temporary hit points don't stack: the larger amount wins
+export function grantTempHp(combatant, amount) {
+  combatant.tempHp = Math.max(combatant.tempHp, amount);
+}
+
+// The Constitution save to keep concentrating after taking damage
+export function concentrationDC(damage) {
+  return Math.max(10, Math.floor(damage / 2));
+}
+
+// The turn after (step 1) or before (step -1) the current one as { turnId, round },
+// skipping defeated combatants and counting rounds as the order wraps around
+export function stepTurn(encounter, step) {
+  const order = sortCombatants(encounter.combatants);
+  const current = order.findIndex(combatant => combatant.id === encounter.turnId);
+  let round = encounter.round;
+
+  for (let offset = 1; offset <= order.length; offset++) {
+    const raw = current + offset * step;
+    const index = ((raw % order.length) + order.length) % order.length;
+    if (step > 0 && raw >= order.length && raw - step < order.length) round++;
+    if (step < 0 && raw < 0 && raw - step >= 0) round--;
+    if (!isDefeated(order[index])) {
+      return round < 1 ? null : { turnId: order[index].id, round };
+    }
+  }
+  return null;
+}
@@ -3,21 +3,41 @@
  * Handles all database operations for the DnD Notes Vault
  */
 
-const DB_NAME = 'DnDNotesVault';
-const DB_VERSION = 2;
+import { migrateExport, validateExport } from './schema.js';
+import { DEFAULT_TEMPLATES } from './templates.js';
+import { toExport, fromExport } from './attachments.js';
 
-class Database {
+// Each vault is its own database; this is the first vault's (see core/vaults.js)
+export const DB_NAME = 'DnDNotesVault';
+export const DB_VERSION = 10;
+
+// Never a node id: those are alphanumeric
+const SYNC_CURSOR_ID = '@cursor';
+
+export class Database {
   constructor() {
     this.db = null;
+    this.name = null;
+    this.onClosed = null; // Called when another tab takes the database away (see init)
   }
 
-  async init() {
+  async init(name = DB_NAME) {
+    this.name = name;
     return new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      const request = indexedDB.open(name, DB_VERSION);
 
       request.onerror = () => reject(request.error);
+      // Another tab still has an older version open: it closes once it sees the
+      // upgrade (below), and then this request goes through
+      request.onblocked = () => console.warn(`Waiting for other tabs to close ${name}`);
       request.onsuccess = () => {
         this.db = request.result;
+        // Let another tab upgrade or delete this database rather than hold it up.
+        // This tab has to be reloaded to open it again.
+        this.db.onversionchange = () => {
+          this.close();
+          this.onClosed?.();
+        };
         resolve(this.db);
       };
 
@@ -43,14 +63,82 @@ class Database {
           db.createObjectStore('content', { keyPath: 'nodeId' });
         }
 
-        // Store for search index (optional optimization)
+        // Store for the full-text search index: one record of terms per note,
+        // with a multiEntry index so each term maps back to the notes containing it
         if (!db.objectStoreNames.contains('searchIndex')) {
-          db.createObjectStore('searchIndex', { keyPath: 'nodeId' });
+          const indexStore = db.createObjectStore('searchIndex', { keyPath: 'nodeId' });
+          indexStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+        } else if (oldVersion < 3) {
+          // Upgrade to v3: add term index
+          const indexStore = request.transaction.objectStore('searchIndex');
+          if (!indexStore.indexNames.contains('terms')) {
+            indexStore.createIndex('terms', 'terms', { unique: false, multiEntry: true });
+          }
+        }
+
+        // Store for note version history (added in v4)
+        if (!db.objectStoreNames.contains('revisions')) {
+          const revisionStore = db.createObjectStore('revisions', { keyPath: 'id' });
+          revisionStore.createIndex('nodeId', 'nodeId', { unique: false });
+        }
+
+        // Store for note templates (added in v5), starting with the built-in ones
+        if (!db.objectStoreNames.contains('templates')) {
+          const templateStore = db.createObjectStore('templates', { keyPath: 'id' });
+          const now = Date.now();
+          DEFAULT_TEMPLATES.forEach((template, orderIndex) => {
+            templateStore.put({ ...template, orderIndex, createdAt: now, updatedAt: now });
+          });
+        }
+
+        // Store for saved queries (added in v6)
+        if (!db.objectStoreNames.contains('queries')) {
+          db.createObjectStore('queries', { keyPath: 'id' });
+        }
+
+        // Store for the combat tracker's encounter (added in v7)
+        if (!db.objectStoreNames.contains('encounters')) {
+          db.createObjectStore('encounters', { keyPath: 'id' });
+        }
+
+        // Store for session journals (added in v8). Vaults from before it get the
+        // Session template alongside their own.
+        if (!db.objectStoreNames.contains('sessions')) {
+          db.createObjectStore('sessions', { keyPath: 'id' });
+          if (oldVersion >= 5) {
+            const templateStore = request.transaction.objectStore('templates');
+            const countRequest = templateStore.count();
+            countRequest.onsuccess = () => {
+              const now = Date.now();
+              const session = DEFAULT_TEMPLATES.find(template => template.id === 'session');
+              templateStore.put({ ...session, orderIndex: countRequest.result, createdAt: now, updatedAt: now });
+            };
+          }
+        }
+
+        // Store for sync bookkeeping (added in v9): the version of each note last
+        // exchanged with the sync server, and how far this device has pulled
+        if (!db.objectStoreNames.contains('syncState')) {
+          db.createObjectStore('syncState', { keyPath: 'id' });
+        }
+
+        // Store for attachments (added in v10): each file as a Blob, with a
+        // thumbnail for images, filed under the note it was added to
+        if (!db.objectStoreNames.contains('attachments')) {
+          const attachmentStore = db.createObjectStore('attachments', { keyPath: 'id' });
+          attachmentStore.createIndex('noteId', 'noteId', { unique: false });
         }
       };
     });
   }
 
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
   // Node Operations
   async getAllNodes() {
     return new Promise((resolve, reject) => {
@@ -85,15 +173,37 @@ class Database {
     });
   }
 
+  async saveNodes(nodes) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['nodes'], 'readwrite');
+      const store = transaction.objectStore('nodes');
+
+      for (const node of nodes) {
+        store.put(node);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
   async deleteNode(id) {
     return new Promise((resolve, reject) => {
-      const transaction = this.db.transaction(['nodes', 'content'], 'readwrite');
+      const transaction = this.db.transaction(['nodes', 'content', 'searchIndex', 'revisions'], 'readwrite');
       const nodeStore = transaction.objectStore('nodes');
       const contentStore = transaction.objectStore('content');
 
-      // Delete node and its content
+      // Delete node, its content, search entry and history
       nodeStore.delete(id);
       contentStore.delete(id);
+      transaction.objectStore('searchIndex').delete(id);
+
+      const revisionKeys = transaction.objectStore('revisions').index('nodeId').getAllKeys(id);
+      revisionKeys.onsuccess = () => {
+        for (const key of revisionKeys.result) {
+          transaction.objectStore('revisions').delete(key);
+        }
+      };
 
       transaction.oncomplete = () => resolve();
       transaction.onerror = () => reject(transaction.error);
@@ -140,46 +250,401 @@ class Database {
     });
   }
 
-  // Bulk Operations
-  async exportAll() {
-    const nodes = await this.getAllNodes();
-    const contents = await new Promise((resolve, reject) => {
+  // Search Index Operations
+  async getAllSearchEntries() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['searchIndex'], 'readonly');
+      const store = transaction.objectStore('searchIndex');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveSearchEntry(entry) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['searchIndex'], 'readwrite');
+      const store = transaction.objectStore('searchIndex');
+      const request = store.put(entry);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async getAllContent() {
+    return new Promise((resolve, reject) => {
       const transaction = this.db.transaction(['content'], 'readonly');
       const store = transaction.objectStore('content');
       const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Revision Operations
+  async getRevisions(nodeId) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['revisions'], 'readonly');
+      const store = transaction.objectStore('revisions');
+      const index = store.index('nodeId');
+      const request = index.getAll(nodeId);
+
+      request.onsuccess = () => {
+        const revisions = request.result;
+        // Newest first
+        revisions.sort((a, b) => b.createdAt - a.createdAt);
+        resolve(revisions);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveRevision(revision) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
+      const request = store.put(revision);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteRevisions(ids) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['revisions'], 'readwrite');
+      const store = transaction.objectStore('revisions');
+
+      for (const id of ids) {
+        store.delete(id);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Template Operations
+  async getAllTemplates() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['templates'], 'readonly');
+      const store = transaction.objectStore('templates');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveTemplate(template) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['templates'], 'readwrite');
+      const store = transaction.objectStore('templates');
+      const request = store.put(template);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveTemplates(templates) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['templates'], 'readwrite');
+      const store = transaction.objectStore('templates');
+
+      for (const template of templates) {
+        store.put(template);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async deleteTemplate(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['templates'], 'readwrite');
+      const store = transaction.objectStore('templates');
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Saved Query Operations
+  async getAllQueries() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queries'], 'readonly');
+      const store = transaction.objectStore('queries');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveQuery(query) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queries'], 'readwrite');
+      const store = transaction.objectStore('queries');
+      const request = store.put(query);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async deleteQuery(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['queries'], 'readwrite');
+      const store = transaction.objectStore('queries');
+      const request = store.delete(id);
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Encounter Operations
+  async getEncounter(id) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['encounters'], 'readonly');
+      const store = transaction.objectStore('encounters');
+      const request = store.get(id);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveEncounter(encounter) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['encounters'], 'readwrite');
+      const store = transaction.objectStore('encounters');
+      const request = store.put(encounter);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Session Journal Operations
+  async getAllSessions() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readonly');
+      const store = transaction.objectStore('sessions');
+      const request = store.getAll();
+
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
+  }
+
+  async saveSession(session) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['sessions'], 'readwrite');
+      const store = transaction.objectStore('sessions');
+      const request = store.put(session);
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Sync Operations (see core/sync.js). The cursor is kept under SYNC_CURSOR_ID
+  // next to the per-note { id, version } records.
+  async getSyncState() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['syncState'], 'readonly');
+      const store = transaction.objectStore('syncState');
+      const request = store.getAll();
+
+      request.onsuccess = () => {
+        const versions = new Map();
+        let cursor = 0;
+        for (const record of request.result) {
+          if (record.id === SYNC_CURSOR_ID) {
+            cursor = record.seq;
+          } else {
+            versions.set(record.id, record.version);
+          }
+        }
+        resolve({ cursor, versions });
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveSyncState({ cursor, versions }) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['syncState'], 'readwrite');
+      const store = transaction.objectStore('syncState');
+
+      store.clear();
+      store.put({ id: SYNC_CURSOR_ID, seq: cursor });
+      for (const [id, version] of versions) {
+        store.put({ id, version });
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async clearSyncState() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['syncState'], 'readwrite');
+      const request = transaction.objectStore('syncState').clear();
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Attachment Operations
+  async getAllAttachments() {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['attachments'], 'readonly');
+      const store = transaction.objectStore('attachments');
+      const request = store.getAll();
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async saveAttachments(attachments) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['attachments'], 'readwrite');
+      const store = transaction.objectStore('attachments');
+
+      for (const attachment of attachments) {
+        store.put(attachment);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  async deleteAttachments(ids) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(['attachments'], 'readwrite');
+      const store = transaction.objectStore('attachments');
+
+      for (const id of ids) {
+        store.delete(id);
+      }
+
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  // Bulk Operations
+  async exportAll() {
+    const nodes = await this.getAllNodes();
+    const contents = await this.getAllContent();
+    const templates = await this.getAllTemplates();
+    const queries = await this.getAllQueries();
+    const sessions = await this.getAllSessions();
+    const attachments = await Promise.all((await this.getAllAttachments()).map(toExport));
 
     return {
       version: DB_VERSION,
       exportDate: new Date().toISOString(),
       nodes,
-      contents
+      contents,
+      templates,
+      queries,
+      sessions,
+      attachments
     };
   }
 
+  // Upgrade an export to DB_VERSION and check it against the schema. Throws a
+  // SchemaError naming the bad records; returns the migrated data.
+  validateImport(data, options = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('This file is not a vault backup');
+    }
+    const migrated = migrateExport(data, DB_VERSION);
+    validateExport(migrated, options);
+    return migrated;
+  }
+
   async importAll(data) {
+    // Reject broken files before anything is cleared
+    const migrated = this.validateImport(data);
+    // Decoded up front: the transaction below would close while waiting
+    const attachments = (migrated.attachments || []).map(fromExport);
+
     return new Promise((resolve, reject) => {
-      // Clear existing data
-      const transaction = this.db.transaction(['nodes', 'content'], 'readwrite');
+      // Clear existing data (the search index is rebuilt by the store afterwards,
+      // and history, sessions, sync versions and attachments for the replaced notes no longer apply)
+      const stores = ['nodes', 'content', 'searchIndex', 'revisions', 'sessions', 'syncState', 'attachments'];
+      // Backups from before v5 have no templates and ones before v6 no saved
+      // queries; the ones here are kept
+      if (migrated.templates) {
+        stores.push('templates');
+      }
+      if (migrated.queries) {
+        stores.push('queries');
+      }
+
+      const transaction = this.db.transaction(stores, 'readwrite');
       const nodeStore = transaction.objectStore('nodes');
       const contentStore = transaction.objectStore('content');
 
       nodeStore.clear();
       contentStore.clear();
+      transaction.objectStore('searchIndex').clear();
+      transaction.objectStore('revisions').clear();
+      transaction.objectStore('sessions').clear();
+      transaction.objectStore('syncState').clear();
+      transaction.objectStore('attachments').clear();
 
       // Import nodes
-      if (data.nodes) {
-        for (const node of data.nodes) {
-          nodeStore.put(node);
-        }
+      for (const node of migrated.nodes) {
+        nodeStore.put(node);
       }
 
       // Import content
-      if (data.contents) {
-        for (const content of data.contents) {
-          contentStore.put(content);
+      for (const content of migrated.contents || []) {
+        contentStore.put(content);
+      }
+
+      // Import session journals
+      const sessionStore = transaction.objectStore('sessions');
+      for (const session of migrated.sessions || []) {
+        sessionStore.put(session);
+      }
+
+      // Import attachments
+      const attachmentStore = transaction.objectStore('attachments');
+      for (const attachment of attachments) {
+        attachmentStore.put(attachment);
+      }
+
+      // Import templates
+      if (migrated.templates) {
+        const templateStore = transaction.objectStore('templates');
+        templateStore.clear();
+        for (const template of migrated.templates) {
+          templateStore.put(template);
+        }
+      }
+
+      // Import saved queries
+      if (migrated.queries) {
+        const queryStore = transaction.objectStore('queries');
+        queryStore.clear();
+        for (const query of migrated.queries) {
+          queryStore.put(query);
         }
       }
 
@@ -201,5 +666,17 @@ class Database {
   }
 }
 
+// Delete a vault's database. Other tabs with it open hold the deletion up until
+// they close it, which they do when asked (see init); onBlocked() is called while
+// it waits. Settles only once the database is really gone, or can't be deleted.
+export function deleteDatabase(name, onBlocked = () => {}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(name);
+    request.onsuccess = () => resolve();
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => onBlocked();
+  });
+}
+
 // Export singleton
 export const db = new Database();
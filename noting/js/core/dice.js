@@ -0,0 +1,147 @@
+/**
+ * Dice
+ * Parses and rolls dice expressions: sums of dice and modifiers like 2d6+3 or d%,
+ * keep/drop suffixes like 4d6kh3, and advantage or disadvantage on a d20
+ */
+
+const MAX_DICE = 100;
+const MAX_SIDES = 1000;
+
+// A die term (NdS, d%, with an optional kh/kl/dh/dl/k suffix) or a flat number
+const DIE = '\\d*d(?:\\d+|%)(?:(?:k[hl]?|d[hl])\\d+)?';
+const TERM = `(?:${DIE}|\\d+)`;
+const ADVANTAGE = '(?:adv(?:antage)?|dis(?:advantage)?)';
+
+const EXPRESSION = new RegExp(`^(${TERM}(?:\\s*[+-]\\s*${TERM})*)(?:\\s+(${ADVANTAGE}))?$`, 'i');
+const DIE_PARTS = /^(\d*)d(\d+|%)(?:(k[hl]?|d[hl])(\d+))?$/i;
+
+// Dice expressions inside other text, starting with a die: "Bite: 2d10 + 6 piercing"
+export const INLINE_DICE = new RegExp(`(?<![\\w.%])${DIE}(?:\\s*[+-]\\s*${TERM})*(?:\\s+${ADVANTAGE})?(?![\\w%])`, 'gi');
+
+export class DiceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DiceError';
+  }
+}
+
+// Parse an expression into { terms, advantage }. Dice terms are
+// { sign, count, sides, keep: { mode: 'kh'|'kl'|'dh'|'dl', count } | null, label },
+// flat ones { sign, value }. Throws a DiceError saying what's wrong.
+export function parseDice(text) {
+  const source = String(text ?? '').trim();
+  const match = source.match(EXPRESSION);
+  if (!match) {
+    throw new DiceError(`"${source}" is not a dice expression like 2d6+3`);
+  }
+
+  const terms = [];
+  for (const [, sign, body] of match[1].matchAll(/([+-]?)\s*([^+\-\s]+)/g)) {
+    const term = parseTerm(body.toLowerCase());
+    term.sign = sign === '-' ? -1 : 1;
+    terms.push(term);
+  }
+
+  const advantage = match[2] ? (match[2].toLowerCase().startsWith('adv') ? 'adv' : 'dis') : null;
+  if (advantage) {
+    // Roll the d20 twice and keep the better (or worse) one
+    const d20 = terms.find(term => term.sides === 20 && term.count === 1 && !term.keep);
+    if (!d20) {
+      throw new DiceError(`${advantage === 'adv' ? 'Advantage' : 'Disadvantage'} needs a single d20 to roll twice`);
+    }
+    d20.count = 2;
+    d20.keep = { mode: advantage === 'adv' ? 'kh' : 'kl', count: 1 };
+  }
+
+  return { terms, advantage };
+}
+
+function parseTerm(body) {
+  const die = body.match(DIE_PARTS);
+  if (!die) {
+    return { value: parseInt(body, 10) };
+  }
+
+  const count = die[1] ? parseInt(die[1], 10) : 1;
+  const sides = die[2] === '%' ? 100 : parseInt(die[2], 10);
+  if (count < 1 || count > MAX_DICE) {
+    throw new DiceError(`Roll between 1 and ${MAX_DICE} dice at a time (got ${count})`);
+  }
+  if (sides < 2 || sides > MAX_SIDES) {
+    throw new DiceError(`Dice need between 2 and ${MAX_SIDES} sides (got d${die[2]})`);
+  }
+
+  let keep = null;
+  if (die[3]) {
+    keep = { mode: die[3] === 'k' ? 'kh' : die[3], count: parseInt(die[4], 10) };
+    const limit = keep.mode.startsWith('k') ? count : count - 1;
+    if (keep.count < (keep.mode.startsWith('k') ? 1 : 0) || keep.count > limit) {
+      throw new DiceError(`${body}: can't ${keep.mode.startsWith('k') ? 'keep' : 'drop'} ${keep.count} of ${count} dice`);
+    }
+  }
+
+  return { count, sides, keep, label: body };
+}
+
+export function isDiceExpression(text) {
+  try {
+    return parseDice(text).terms.some(term => term.sides);
+  } catch {
+    return false;
+  }
+}
+
+// The expression as written, without spaces around + and -: "2d6 + 3" -> "2d6+3"
+export function normalizeDice(text) {
+  const source = String(text ?? '').trim();
+  const match = source.match(EXPRESSION);
+  if (!match) return source;
+  const sum = match[1].replace(/\s+/g, '').toLowerCase();
+  return match[2] ? `${sum} ${match[2].toLowerCase().slice(0, 3)}` : sum;
+}
+
+// Roll an expression. Returns { expression, total, terms }, where dice terms list
+// each die as { value, kept }. random() is Math.random unless a test supplies one.
+export function rollDice(text, random = Math.random) {
+  const { terms } = parseDice(text);
+  let total = 0;
+
+  const rolled = terms.map(term => {
+    if (!term.sides) {
+      total += term.sign * term.value;
+      return { sign: term.sign, value: term.value };
+    }
+
+    const rolls = Array.from({ length: term.count }, () => ({
+      value: Math.floor(random() * term.sides) + 1,
+      kept: true
+    }));
+
+    if (term.keep) {
+      // Highest first; ties keep their roll order
+      const ranked = [...rolls].sort((a, b) => b.value - a.value);
+      const { mode, count } = term.keep;
+      const dropped = mode === 'kh' ? ranked.slice(count)
+        : mode === 'kl' ? ranked.slice(0, ranked.length - count)
+          : mode === 'dh' ? ranked.slice(0, count)
+            : ranked.slice(ranked.length - count);
+      dropped.forEach(roll => { roll.kept = false; });
+    }
+
+    const subtotal = rolls.filter(roll => roll.kept).reduce((sum, roll) => sum + roll.value, 0);
+    total += term.sign * subtotal;
+    return { sign: term.sign, label: term.label, sides: term.sides, rolls, subtotal };
+  });
+
+  return { expression: normalizeDice(text), total, terms: rolled };
+}
+
+// One line per roll for logs and toasts: "4d6kh3 [6, 5, 3, (1)] + 2"
+export function describeRoll(result) {
+  return result.terms.map((term, index) => {
+    const sign = term.sign < 0 ? '- ' : index > 0 ? '+ ' : '';
+    if (!term.rolls) return `${sign}${term.value}`;
+    const dice = term.rolls.map(roll => (roll.kept ? `${roll.value}` : `(${roll.value})`)).join(', ');
+    return `${sign}${term.label} [${dice}]`;
+  }).join(' ');
+}
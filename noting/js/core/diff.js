@@ -0,0 +1,71 @@
+/**
+ * Line Diff
+ * LCS-based line diff used by the version history view
+ */
+
+// Above this many line comparisons the diff degrades to "everything replaced"
+const MAX_DIFF_CELLS = 4000000;
+
+// Returns [{ type: 'same' | 'added' | 'removed', text }] turning oldText into newText
+export function diffLines(oldText, newText) {
+  const a = (oldText || '').split('\n');
+  const b = (newText || '').split('\n');
+
+  // Common prefix and suffix don't need the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...head,
+      ...midA.map(text => ({ type: 'removed', text })),
+      ...midB.map(text => ({ type: 'added', text })),
+      ...tail
+    ];
+  }
+
+  // lengths[i][j] = LCS length of midA[i..] and midB[j..]
+  const lengths = Array.from({ length: midA.length + 1 }, () => new Uint32Array(midB.length + 1));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i][j] = midA[i] === midB[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      middle.push({ type: 'removed', text: midA[i] });
+      i++;
+    } else {
+      middle.push({ type: 'added', text: midB[j] });
+      j++;
+    }
+  }
+  while (i < midA.length) middle.push({ type: 'removed', text: midA[i++] });
+  while (j < midB.length) middle.push({ type: 'added', text: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+}
@@ -0,0 +1,153 @@
+/**
+ * Typed Fields
+ * The types a note or template field can have, and how values of each type are
+ * parsed from inputs, validated and turned back into text
+ */
+
+import { parseDice, normalizeDice } from './dice.js';
+
+export const FIELD_TYPES = {
+  text: 'Text',
+  longtext: 'Long text',
+  number: 'Number',
+  dice: 'Dice',
+  select: 'Select',
+  multiselect: 'Multi-select',
+  link: 'Note link',
+  checkbox: 'Checkbox',
+  date: 'Date'
+};
+
+// Types whose values are picked from a list of options
+export const OPTION_TYPES = ['select', 'multiselect'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Fractions such as challenge ratings: 1/8, 1/4, 1/2
+const FRACTION_PATTERN = /^(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/;
+
+const TRUE_WORDS = ['true', 'yes', 'y', 'x', '1', '✓', '✔'];
+const FALSE_WORDS = ['false', 'no', 'n', '0', ''];
+
+// A note's declared type for one field; fields without one are text
+export function getFieldDef(content, key) {
+  const def = content?.fieldTypes?.[key];
+  return def && FIELD_TYPES[def.type] ? def : { type: 'text' };
+}
+
+export function emptyValue(type) {
+  if (type === 'number') return null;
+  if (type === 'checkbox') return false;
+  if (type === 'multiselect') return [];
+  return '';
+}
+
+// A number typed as text, including fractions such as 1/4; NaN when it isn't one
+export function parseNumber(text) {
+  const fraction = text.trim().match(FRACTION_PATTERN);
+  return fraction ? Number(fraction[1]) / Number(fraction[2]) : Number(text);
+}
+
+// A YYYY-MM-DD date that is on the calendar (no 2024-13-45)
+function isCalendarDate(text) {
+  if (!DATE_PATTERN.test(text)) return false;
+  const [year, month, day] = text.split('-').map(Number);
+  const date = new Date(0);
+  date.setUTCFullYear(year, month - 1, day); // Unlike Date.UTC, keeps years below 100
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+export function isEmptyValue(value) {
+  return value === null || value === undefined || value === '' || value === false ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Read a value typed into an input, or stored under another type, as def.type.
+// Returns { value } or { error } with a message for the user. Link fields need
+// options.resolveLink(text) to turn a note name into a note.
+export function parseFieldValue(def, input, { resolveLink = () => null } = {}) {
+  const options = def.options || [];
+  const text = Array.isArray(input) ? input.join(', ') : String(input ?? '').trim();
+
+  switch (def.type) {
+    case 'number': {
+      if (typeof input === 'number' && Number.isFinite(input)) return { value: input };
+      if (!text) return { value: null };
+      const number = parseNumber(text);
+      return Number.isFinite(number) ? { value: number } : { error: `"${text}" is not a number` };
+    }
+
+    case 'dice': {
+      if (!text) return { value: '' };
+      try {
+        if (parseDice(text).terms.some(term => term.sides)) return { value: normalizeDice(text) };
+      } catch (error) {
+        return { error: error.message };
+      }
+      return { error: `"${text}" has no dice in it, like 2d6+3` };
+    }
+
+    case 'select':
+      if (!text || options.length === 0 || options.includes(text)) return { value: text };
+      return { error: `"${text}" is not one of the options` };
+
+    case 'multiselect': {
+      const values = (Array.isArray(input) ? input.map(String) : text.split(','))
+        .map(value => value.trim())
+        .filter(Boolean);
+      const unknown = options.length > 0 ? values.find(value => !options.includes(value)) : null;
+      return unknown ? { error: `"${unknown}" is not one of the options` } : { value: [...new Set(values)] };
+    }
+
+    case 'link': {
+      if (!text) return { value: '' };
+      const node = resolveLink(text.replace(/^\[\[|\]\]$/g, ''));
+      return node ? { value: node.id } : { error: `There is no note called "${text}"` };
+    }
+
+    case 'checkbox':
+      if (typeof input === 'boolean') return { value: input };
+      if (TRUE_WORDS.includes(text.toLowerCase())) return { value: true };
+      if (FALSE_WORDS.includes(text.toLowerCase())) return { value: false };
+      return { error: `"${text}" is not yes or no` };
+
+    case 'date': {
+      if (!text || isCalendarDate(text)) return { value: text };
+      const time = DATE_PATTERN.test(text) ? NaN : Date.parse(text);
+      return Number.isNaN(time)
+        ? { error: `"${text}" is not a date` }
+        : { value: new Date(time - new Date(time).getTimezoneOffset() * 60000).toISOString().slice(0, 10) };
+    }
+
+    default:
+      return { value: text };
+  }
+}
+
+// A value as text, for display, search and copying between types. Link fields
+// need options.getNodeName(id).
+export function formatFieldValue(def, value, { getNodeName = () => null } = {}) {
+  if (value === null || value === undefined) return '';
+
+  switch (def.type) {
+    case 'multiselect':
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    case 'checkbox':
+      return value ? 'Yes' : 'No';
+    case 'link':
+      return value ? getNodeName(value) || '(missing note)' : '';
+    default:
+      return Array.isArray(value) ? value.join(', ') : String(value);
+  }
+}
+
+// Declared types for a set of fields, leaving out plain text ones
+export function fieldTypesOf(defs) {
+  const types = {};
+  for (const [key, def] of Object.entries(defs)) {
+    if (!def || !FIELD_TYPES[def.type] || def.type === 'text') continue;
+    types[key] = OPTION_TYPES.includes(def.type)
+      ? { type: def.type, options: [...(def.options || [])] }
+      : { type: def.type };
+  }
+  return types;
+}
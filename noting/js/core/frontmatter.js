@@ -0,0 +1,208 @@
+/**
+ * YAML Front Matter
+ * Reads and writes the "---" property block at the top of Markdown files. Covers the
+ * YAML subset note apps produce: scalars, lists, nested maps and block strings.
+ */
+
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+// Split a Markdown file into its properties and body
+export function parseFrontMatter(text) {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const match = source.match(FRONT_MATTER);
+  if (!match) {
+    return { data: {}, body: source };
+  }
+
+  const parsed = parseYaml(match[1]);
+  return {
+    data: parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {},
+    body: source.slice(match[0].length)
+  };
+}
+
+// Prepend a property block to a Markdown body (nothing if there are no properties)
+export function stringifyFrontMatter(data, body) {
+  const yaml = stringifyYaml(data);
+  return yaml ? `---\n${yaml}\n---\n${body}` : body;
+}
+
+export function stringifyYaml(data, indent = '') {
+  const lines = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    const name = `${indent}${formatKey(key)}:`;
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        lines.push(`${name} []`);
+      } else {
+        lines.push(name);
+        for (const item of value) {
+          // Maps in a list go on the lines after a bare "-"
+          if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+            lines.push(`${indent}  -`, stringifyYaml(item, `${indent}    `));
+          } else {
+            lines.push(`${indent}  - ${formatScalar(item)}`);
+          }
+        }
+      }
+    } else if (value && typeof value === 'object') {
+      if (Object.keys(value).length === 0) {
+        lines.push(`${name} {}`);
+      } else {
+        lines.push(name, stringifyYaml(value, `${indent}  `));
+      }
+    } else {
+      lines.push(`${name} ${formatScalar(value)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function formatKey(key) {
+  return /^[\p{L}\p{N}_][\p{L}\p{N} _.-]*$/u.test(key) && !key.endsWith(' ') ? key : JSON.stringify(key);
+}
+
+// Plain when unambiguous, otherwise a double-quoted (JSON-compatible) string
+function formatScalar(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+
+  const text = String(value);
+  const plain = /^[\p{L}\p{N}][\p{L}\p{N} _.,'()/-]*$/u.test(text) &&
+    !text.endsWith(' ') &&
+    parseScalar(text) === text;
+  return plain ? text : JSON.stringify(text);
+}
+
+export function parseYaml(text) {
+  const lines = text.split(/\r?\n/)
+    .map(line => ({ indent: line.match(/^ */)[0].length, text: line.trim(), raw: line }))
+    .filter(line => line.text && !line.text.startsWith('#'));
+
+  const state = { lines, index: 0 };
+  return lines.length > 0 ? parseBlock(state, lines[0].indent) : {};
+}
+
+function parseBlock(state, indent) {
+  const first = state.lines[state.index];
+  return first.text === '-' || first.text.startsWith('- ')
+    ? parseList(state, indent)
+    : parseMap(state, indent);
+}
+
+function parseList(state, indent) {
+  const items = [];
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent !== indent || !(line.text === '-' || line.text.startsWith('- '))) break;
+
+    state.index++;
+    const value = line.text.slice(1).trim();
+    const next = state.lines[state.index];
+
+    if (!value && next && next.indent > indent) {
+      items.push(parseBlock(state, next.indent));
+    } else {
+      items.push(parseValue(value, state, indent));
+    }
+  }
+
+  return items;
+}
+
+function parseMap(state, indent) {
+  const map = {};
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    if (line.indent < indent) break;
+
+    state.index++;
+    if (line.indent > indent) continue; // Stray deeper line we can't place
+
+    const match = line.text.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:]+?)\s*:(?:\s+(.*)|$)/);
+    if (!match) continue;
+
+    const key = String(parseScalar(match[1]));
+    const value = (match[2] || '').trim();
+    const next = state.lines[state.index];
+
+    if (!value && next && (next.indent > indent || (next.indent === indent && next.text.startsWith('- ')))) {
+      map[key] = parseBlock(state, next.indent);
+    } else {
+      map[key] = parseValue(value, state, indent);
+    }
+  }
+
+  return map;
+}
+
+// A value after "key:" or "- ", including block strings that continue on the next lines
+function parseValue(value, state, indent) {
+  if (/^[|>][+-]?$/.test(value)) {
+    const block = [];
+    while (state.index < state.lines.length && state.lines[state.index].indent > indent) {
+      block.push(state.lines[state.index++].raw);
+    }
+    const baseIndent = Math.min(...block.map(line => line.match(/^ */)[0].length));
+    const text = block.map(line => line.slice(baseIndent));
+    return value.startsWith('|') ? text.join('\n') : text.join(' ');
+  }
+
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return splitFlow(value.slice(1, -1)).map(parseScalar);
+  }
+  if (value === '{}') return {};
+
+  return parseScalar(value);
+}
+
+// Split "a, 'b, c', d" on commas outside quotes
+function splitFlow(text) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  if (current.trim()) items.push(current.trim());
+
+  return items;
+}
+
+function parseScalar(text) {
+  const value = text.trim();
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return value.slice(1, -1);
+    }
+  }
+  if (value.startsWith('\'') && value.endsWith('\'') && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, '\'');
+  }
+
+  const plain = value.replace(/\s+#.*$/, '');
+  if (plain === '' || plain === '~' || plain === 'null') return null;
+  if (plain === 'true') return true;
+  if (plain === 'false') return false;
+  if (/^-?\d+(\.\d+)?$/.test(plain)) return Number(plain);
+  return plain;
+}
@@ -0,0 +1,302 @@
+/**
+ * Graph Layout
+ * Force-directed layout for the relationship graph: linked nodes pull together,
+ * every node pushes the others away (approximated with a Barnes-Hut quadtree, so
+ * thousands of nodes stay fast) and a weak pull keeps separate clusters in view.
+ * Runs in graph-worker.js, or on the page where workers aren't available.
+ */
+
+const LINK_DISTANCE = 40;
+const REPULSION = -60;
+const CENTER_STRENGTH = 0.03;
+const VELOCITY_DECAY = 0.4;
+const THETA_SQUARED = 0.81;
+const ALPHA_MIN = 0.001;
+const ALPHA_DECAY = 1 - Math.pow(ALPHA_MIN, 1 / 300);
+const DRAG_ALPHA = 0.3; // Kept up while a node is dragged
+const MAX_DEPTH = 24;
+
+// Time (ms) spent on ticks before handing positions over
+const SLICE = 12;
+
+export class ForceLayout {
+  // edges: [sourceIndex, targetIndex, ...] pairs; positions: [x, y, ...] or null for a spiral
+  constructor(count, edges, positions = null) {
+    this.count = count;
+    this.edges = edges;
+    this.x = new Float64Array(count);
+    this.y = new Float64Array(count);
+    this.vx = new Float64Array(count);
+    this.vy = new Float64Array(count);
+    this.fixed = new Map(); // index -> [x, y] while dragged
+    this.alpha = 1;
+    this.alphaTarget = 0;
+
+    for (let i = 0; i < count; i++) {
+      if (positions && Number.isFinite(positions[i * 2]) && Number.isFinite(positions[i * 2 + 1])) {
+        this.x[i] = positions[i * 2];
+        this.y[i] = positions[i * 2 + 1];
+      } else {
+        // Phyllotaxis spiral, which spreads nodes evenly without overlaps
+        const radius = 10 * Math.sqrt(0.5 + i);
+        const angle = i * Math.PI * (3 - Math.sqrt(5));
+        this.x[i] = radius * Math.cos(angle);
+        this.y[i] = radius * Math.sin(angle);
+      }
+    }
+
+    // Links pull harder on nodes with few of them, so hubs don't collapse
+    this.degree = new Uint32Array(count);
+    for (let e = 0; e < edges.length; e += 2) {
+      this.degree[edges[e]]++;
+      this.degree[edges[e + 1]]++;
+    }
+  }
+
+  get done() {
+    return this.alpha < ALPHA_MIN && this.fixed.size === 0;
+  }
+
+  reheat(alpha) {
+    this.alpha = Math.max(this.alpha, alpha);
+  }
+
+  fix(index, x, y) {
+    this.fixed.set(index, [x, y]);
+    this.alphaTarget = DRAG_ALPHA;
+    this.reheat(DRAG_ALPHA);
+  }
+
+  release(index) {
+    this.fixed.delete(index);
+    if (this.fixed.size === 0) {
+      this.alphaTarget = 0;
+    }
+  }
+
+  tick() {
+    this.alpha += (this.alphaTarget - this.alpha) * ALPHA_DECAY;
+    this.applyLinks();
+    this.applyRepulsion();
+
+    const { x, y, vx, vy, alpha } = this;
+    for (let i = 0; i < this.count; i++) {
+      vx[i] -= x[i] * CENTER_STRENGTH * alpha;
+      vy[i] -= y[i] * CENTER_STRENGTH * alpha;
+      vx[i] *= 1 - VELOCITY_DECAY;
+      vy[i] *= 1 - VELOCITY_DECAY;
+      x[i] += vx[i];
+      y[i] += vy[i];
+    }
+    for (const [i, [fx, fy]] of this.fixed) {
+      x[i] = fx;
+      y[i] = fy;
+      vx[i] = 0;
+      vy[i] = 0;
+    }
+  }
+
+  applyLinks() {
+    const { x, y, vx, vy, edges, degree, alpha } = this;
+    for (let e = 0; e < edges.length; e += 2) {
+      const source = edges[e];
+      const target = edges[e + 1];
+      let dx = x[target] + vx[target] - x[source] - vx[source] || jiggle();
+      let dy = y[target] + vy[target] - y[source] - vy[source] || jiggle();
+      const length = Math.sqrt(dx * dx + dy * dy);
+      const strength = 1 / Math.min(degree[source], degree[target]);
+      const pull = (length - LINK_DISTANCE) / length * alpha * strength;
+      dx *= pull;
+      dy *= pull;
+
+      const bias = degree[source] / (degree[source] + degree[target]);
+      vx[target] -= dx * bias;
+      vy[target] -= dy * bias;
+      vx[source] += dx * (1 - bias);
+      vy[source] += dy * (1 - bias);
+    }
+  }
+
+  // Every node pushes the others away; distant groups act as one body at their centre
+  applyRepulsion() {
+    const { x, y, vx, vy, alpha } = this;
+    const root = this.buildQuadtree();
+    const stack = [];
+
+    for (let i = 0; i < this.count; i++) {
+      stack.push(root);
+      while (stack.length > 0) {
+        const quad = stack.pop();
+        if (quad.mass === 0) continue;
+
+        let dx = quad.sx / quad.mass - x[i];
+        let dy = quad.sy / quad.mass - y[i];
+        let distance2 = dx * dx + dy * dy;
+
+        if (quad.children) {
+          if (quad.size * quad.size / distance2 < THETA_SQUARED) {
+            if (distance2 < 1) distance2 = Math.sqrt(distance2);
+            const push = REPULSION * alpha * quad.mass / distance2;
+            vx[i] += dx * push;
+            vy[i] += dy * push;
+          } else {
+            for (const child of quad.children) {
+              if (child) stack.push(child);
+            }
+          }
+          continue;
+        }
+
+        for (const other of quad.bodies) {
+          if (other === i) continue;
+          dx = x[other] - x[i] || jiggle();
+          dy = y[other] - y[i] || jiggle();
+          distance2 = dx * dx + dy * dy;
+          if (distance2 < 1) distance2 = Math.sqrt(distance2);
+          const push = REPULSION * alpha / distance2;
+          vx[i] += dx * push;
+          vy[i] += dy * push;
+        }
+      }
+    }
+  }
+
+  buildQuadtree() {
+    const { x, y } = this;
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (let i = 0; i < this.count; i++) {
+      minX = Math.min(minX, x[i]);
+      minY = Math.min(minY, y[i]);
+      maxX = Math.max(maxX, x[i]);
+      maxY = Math.max(maxY, y[i]);
+    }
+
+    const root = quad(minX, minY, Math.max(maxX - minX, maxY - minY) + 1);
+    for (let i = 0; i < this.count; i++) {
+      insert(root, i, x, y);
+    }
+    return root;
+  }
+}
+
+function quad(x, y, size) {
+  return { x, y, size, mass: 0, sx: 0, sy: 0, bodies: null, children: null };
+}
+
+function childFor(parent, px, py) {
+  const half = parent.size / 2;
+  const right = px >= parent.x + half ? 1 : 0;
+  const bottom = py >= parent.y + half ? 1 : 0;
+  const slot = bottom * 2 + right;
+  if (!parent.children[slot]) {
+    parent.children[slot] = quad(parent.x + right * half, parent.y + bottom * half, half);
+  }
+  return parent.children[slot];
+}
+
+function insert(root, i, x, y) {
+  let node = root;
+  for (let depth = 0; ; depth++) {
+    node.mass += 1;
+    node.sx += x[i];
+    node.sy += y[i];
+
+    if (node.children) {
+      node = childFor(node, x[i], y[i]);
+      continue;
+    }
+    if (node.mass === 1) {
+      node.bodies = [i];
+      return;
+    }
+    // Nodes at (nearly) the same spot share a leaf rather than splitting forever
+    if (depth >= MAX_DEPTH) {
+      node.bodies.push(i);
+      return;
+    }
+
+    // Split the leaf, moving the node already in it down a level
+    const [other] = node.bodies;
+    node.bodies = null;
+    node.children = [null, null, null, null];
+    const child = childFor(node, x[other], y[other]);
+    child.mass = 1;
+    child.sx = x[other];
+    child.sy = y[other];
+    child.bodies = [other];
+    node = childFor(node, x[i], y[i]);
+  }
+}
+
+// A tiny random nudge to separate nodes that sit exactly on top of each other
+function jiggle() {
+  return (Math.random() - 0.5) * 1e-6;
+}
+
+// Drive a layout in slices of about a frame. Messages: { type: 'start', count, edges,
+// positions }, { type: 'fix', index, x, y }, { type: 'release', index } and
+// { type: 'stop' }. onPositions(positions, alpha) gets a fresh Float32Array of
+// [x, y, ...] after each slice.
+export function createLayoutLoop(onPositions, schedule = (run) => setTimeout(run, 0)) {
+  let layout = null;
+  let running = false;
+
+  const run = () => {
+    if (!layout) {
+      running = false;
+      return;
+    }
+
+    const start = Date.now();
+    do {
+      layout.tick();
+    } while (!layout.done && Date.now() - start < SLICE);
+
+    const positions = new Float32Array(layout.count * 2);
+    for (let i = 0; i < layout.count; i++) {
+      positions[i * 2] = layout.x[i];
+      positions[i * 2 + 1] = layout.y[i];
+    }
+    onPositions(positions, layout.alpha);
+
+    if (layout.done) {
+      running = false;
+    } else {
+      schedule(run);
+    }
+  };
+
+  const wake = () => {
+    if (!running) {
+      running = true;
+      schedule(run);
+    }
+  };
+
+  return {
+    handle(message) {
+      switch (message.type) {
+        case 'start':
+          layout = new ForceLayout(message.count, message.edges, message.positions);
+          if (message.alpha !== undefined) {
+            layout.alpha = message.alpha;
+          }
+          wake();
+          break;
+        case 'fix':
+          layout?.fix(message.index, message.x, message.y);
+          wake();
+          break;
+        case 'release':
+          layout?.release(message.index);
+          break;
+        case 'stop':
+          layout = null;
+          break;
+      }
+    }
+  };
+}
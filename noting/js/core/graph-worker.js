@@ -0,0 +1,13 @@
+/**
+ * Graph Layout Worker
+ * Runs the relationship graph's force layout (graph-layout.js) off the page, so
+ * dragging and zooming stay smooth while thousands of nodes settle
+ */
+
+import { createLayoutLoop } from './graph-layout.js';
+
+const loop = createLayoutLoop((positions, alpha) => {
+  self.postMessage({ type: 'positions', positions, alpha }, [positions.buffer]);
+});
+
+self.onmessage = (event) => loop.handle(event.data);
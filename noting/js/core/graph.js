@@ -0,0 +1,107 @@
+/**
+ * Relationship Graph
+ * Turns the vault's notes and links into the nodes and edges the graph view draws,
+ * filtered by template, tag or folder and optionally narrowed to the notes within
+ * a few links of one
+ */
+
+import { isTagWithin } from './tags.js';
+
+// items: [{ id, name, type, parentId, icon, template, tags, links }] from store.getGraphItems().
+// Returns { nodes, edges } with edges as [sourceIndex, targetIndex, kind] (kind is
+// 'link' or 'folder'); links are undirected and listed once per pair.
+export function buildGraph(items, { folders = false, template = '', tag = '', folderId = null, focusId = null, hops = 1 } = {}) {
+  const byId = new Map(items.map(item => [item.id, item]));
+
+  const within = (item, ancestorId) => {
+    for (let current = item; current; current = byId.get(current.parentId)) {
+      if (current.parentId === ancestorId) return true;
+    }
+    return false;
+  };
+
+  const included = new Set();
+  for (const item of items) {
+    if (item.type !== 'leaf') continue;
+    if (template && item.template !== template) continue;
+    if (tag && !item.tags.some(itemTag => isTagWithin(itemTag, tag))) continue;
+    if (folderId && !within(item, folderId)) continue;
+    included.add(item.id);
+  }
+
+  // The focused note stays, even if the filters leave it out
+  if (focusId && byId.get(focusId)?.type === 'leaf') {
+    included.add(focusId);
+  }
+
+  // Folders holding the notes shown, up to the filtered folder
+  if (folders) {
+    for (const id of [...included]) {
+      for (let parentId = byId.get(id).parentId; parentId && !included.has(parentId); parentId = byId.get(parentId)?.parentId) {
+        if (!byId.has(parentId)) break;
+        included.add(parentId);
+        if (parentId === folderId) break;
+      }
+    }
+  }
+
+  const pairs = new Map(); // "a|b" -> kind
+  const addEdge = (a, b, kind) => {
+    if (a === b || !included.has(a) || !included.has(b)) return;
+    const key = a < b ? `${a}|${b}` : `${b}|${a}`;
+    if (!pairs.has(key)) {
+      pairs.set(key, kind);
+    }
+  };
+  for (const id of included) {
+    const item = byId.get(id);
+    for (const linkedId of item.links || []) {
+      addEdge(id, linkedId, 'link');
+    }
+    if (folders && item.parentId) {
+      addEdge(id, item.parentId, 'folder');
+    }
+  }
+
+  // Focus: the notes within a number of hops of one, along the edges shown
+  let shown = included;
+  if (focusId && byId.has(focusId)) {
+    const neighbours = new Map();
+    const connect = (a, b) => {
+      if (!neighbours.has(a)) neighbours.set(a, []);
+      neighbours.get(a).push(b);
+    };
+    for (const key of pairs.keys()) {
+      const [a, b] = key.split('|');
+      connect(a, b);
+      connect(b, a);
+    }
+
+    shown = new Set([focusId]);
+    let frontier = [focusId];
+    for (let hop = 0; hop < hops && frontier.length > 0; hop++) {
+      const next = [];
+      for (const id of frontier) {
+        for (const neighbour of neighbours.get(id) || []) {
+          if (!shown.has(neighbour)) {
+            shown.add(neighbour);
+            next.push(neighbour);
+          }
+        }
+      }
+      frontier = next;
+    }
+  }
+
+  const nodes = items.filter(item => shown.has(item.id));
+  const indexes = new Map(nodes.map((node, index) => [node.id, index]));
+  const edges = [];
+  for (const [key, kind] of pairs) {
+    const [a, b] = key.split('|');
+    if (indexes.has(a) && indexes.has(b)) {
+      edges.push([indexes.get(a), indexes.get(b), kind]);
+    }
+  }
+
+  return { nodes, edges };
+}
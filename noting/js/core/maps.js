@@ -0,0 +1,58 @@
+/**
+ * Map Notes
+ * The map a note can hold: an image (one of the note's attachments, by name), pins
+ * that link to other notes, layers to show or hide pins by, and the regions of the
+ * fog of war revealed to players. Positions are fractions of the image's size.
+ */
+
+export const DEFAULT_LAYER_ID = 'pins';
+
+export function createMap() {
+  return {
+    image: null,
+    fog: false,
+    layers: [{ id: DEFAULT_LAYER_ID, name: 'Pins', visible: true }],
+    pins: [],
+    reveals: []
+  };
+}
+
+// Positions and sizes on the image
+function isFraction(value) {
+  return typeof value === 'number' && value >= 0 && value <= 1;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const isId = (value) => typeof value === 'string' && value.length > 0;
+
+export function isMap(value) {
+  return isPlainObject(value) &&
+    (value.image === null || isId(value.image)) &&
+    typeof value.fog === 'boolean' &&
+    Array.isArray(value.layers) && value.layers.length > 0 && value.layers.every(layer => isPlainObject(layer) &&
+      isId(layer.id) && typeof layer.name === 'string' && typeof layer.visible === 'boolean') &&
+    Array.isArray(value.pins) && value.pins.every(pin => isPlainObject(pin) &&
+      isId(pin.id) && isFraction(pin.x) && isFraction(pin.y) && typeof pin.label === 'string' &&
+      (pin.nodeId === null || isId(pin.nodeId)) && value.layers.some(layer => layer.id === pin.layerId)) &&
+    Array.isArray(value.reveals) && value.reveals.every(region => isPlainObject(region) &&
+      isId(region.id) && isFraction(region.x) && isFraction(region.y) &&
+      isFraction(region.width) && isFraction(region.height));
+}
+
+// Notes the pins link to, for backlinks
+export function pinnedNotes(map) {
+  if (!map) return [];
+  return [...new Set(map.pins.map(pin => pin.nodeId).filter(Boolean))];
+}
+
+export function isRevealed(map, x, y) {
+  return map.reveals.some(region =>
+    x >= region.x && x <= region.x + region.width && y >= region.y && y <= region.y + region.height);
+}
+
+export function clampFraction(value) {
+  return Math.min(1, Math.max(0, value));
+}
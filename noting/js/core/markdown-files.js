@@ -0,0 +1,469 @@
+/**
+ * Markdown Files
+ * Converts vault subtrees to a folder tree of .md files with YAML front matter (and
+ * their attachments as files), and folders of Markdown notes (Obsidian vaults, plain
+ * directories) back into nodes
+ */
+
+import { db } from './db.js';
+import { store } from './store.js';
+import { markdown } from './markdown.js';
+import { parseFrontMatter, stringifyFrontMatter } from './frontmatter.js';
+import { FIELD_TYPES, getFieldDef, parseFieldValue, fieldTypesOf } from './fields.js';
+import { normalizeTag } from './tags.js';
+import { guessType } from './attachments.js';
+import { createMap, isMap, clampFraction } from './maps.js';
+
+// Front matter keys that map onto note content; anything else is kept as a field
+const CONTENT_KEYS = ['title', 'icon', 'active', 'tags', 'fields', 'fieldTypes', 'links', 'attachments', 'map'];
+
+// Characters that aren't allowed in file names on at least one common platform
+const UNSAFE_FILENAME = /[\\/:*?"<>|#^[\]\u0000-\u001f]/g;
+
+function safeFilename(name) {
+  const safe = name.replace(UNSAFE_FILENAME, '-').replace(/[. ]+$/, '').trim();
+  return safe || 'Untitled';
+}
+
+// Give every sibling a distinct file name (case-insensitively, for macOS and Windows)
+function uniqueFilename(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${name} (${n})`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+export function isMarkdownFile(path) {
+  return /\.(md|markdown)$/i.test(path);
+}
+
+// Export the given subtrees (or the whole vault) as [{ path, data, modifiedAt }]
+// ready for createZip(). Folder entries end in "/" so empty folders survive. The
+// notes' attachments go in an attachments/ folder, where ![[embeds]] find them by name.
+export async function exportMarkdownFiles(rootIds = store.getChildren(null).map(node => node.id)) {
+  // Assign every node its path first, so links can point at exported files
+  const paths = new Map(); // node id -> path ("A/B/" for folders, "A/Note" for notes)
+  const order = [];
+  const assign = (node, folder, taken) => {
+    const filename = uniqueFilename(safeFilename(node.name), taken);
+    order.push(node);
+
+    if (node.type === 'folder') {
+      paths.set(node.id, `${folder}${filename}/`);
+      const childNames = new Set();
+      store.getChildren(node.id).forEach(child => assign(child, paths.get(node.id), childNames));
+    } else {
+      paths.set(node.id, `${folder}${filename}`);
+    }
+  };
+
+  const rootNames = new Set();
+  rootIds.map(id => store.getNode(id)).filter(Boolean).forEach(node => assign(node, '', rootNames));
+
+  // Link by file name, or by path when several exported notes share that name
+  const basenameCounts = new Map();
+  for (const path of paths.values()) {
+    const basename = path.split('/').pop().toLowerCase();
+    basenameCounts.set(basename, (basenameCounts.get(basename) || 0) + 1);
+  }
+  const linkTarget = (nodeId) => {
+    const path = paths.get(nodeId);
+    if (path === undefined) {
+      return store.getNode(nodeId)?.name || null;
+    }
+    const basename = path.split('/').pop();
+    return basenameCounts.get(basename.toLowerCase()) > 1 ? path : basename;
+  };
+
+  const entries = [];
+  for (const node of order) {
+    const path = paths.get(node.id);
+
+    if (node.type === 'folder') {
+      entries.push({ path, modifiedAt: node.updatedAt });
+      continue;
+    }
+
+    const content = await db.getContent(node.id);
+    const data = {};
+    if (path.split('/').pop() !== node.name) {
+      data.title = node.name;
+    }
+    data.icon = content.icon || '📄';
+    data.active = Boolean(node.active);
+    data.tags = content.tags || [];
+    // Note link fields become [[links]] so other apps can follow them
+    data.fields = {};
+    for (const [key, value] of Object.entries(content.fields || {})) {
+      const isLink = getFieldDef(content, key).type === 'link';
+      data.fields[key] = isLink && value ? `[[${linkTarget(value) || value}]]` : value;
+    }
+    if (Object.keys(content.fieldTypes || {}).length > 0) {
+      data.fieldTypes = content.fieldTypes;
+    }
+
+    // Links added by hand aren't in the text, so they go in a property instead
+    const inText = store.resolveWikiLinks(content.markdown);
+    const links = (content.links || [])
+      .filter(id => !inText.has(id))
+      .map(linkTarget)
+      .filter(Boolean)
+      .map(target => `[[${target}]]`);
+    if (links.length > 0) {
+      data.links = links;
+    }
+
+    // A map keeps its pins' notes as [[links]] and its image as an embed
+    if (content.map) {
+      data.map = {
+        ...content.map,
+        image: content.map.image ? `![[${content.map.image}]]` : null,
+        pins: content.map.pins.map(({ nodeId, layerId, ...pin }) => {
+          const target = nodeId && linkTarget(nodeId);
+          return { ...pin, note: target ? `[[${target}]]` : null, layer: layerId };
+        })
+      };
+    }
+
+    // So are attachments that aren't embedded anywhere in it
+    const embedded = new Set(markdown.extractEmbeds(content.markdown).map(target => target.split('/').pop().toLowerCase()));
+    if (content.map?.image) {
+      embedded.add(content.map.image.toLowerCase());
+    }
+    const attachments = store.getAttachments(node.id)
+      .filter(attachment => !embedded.has(attachment.name.toLowerCase()))
+      .map(attachment => `![[${attachment.name}]]`);
+    if (attachments.length > 0) {
+      data.attachments = attachments;
+    }
+
+    const body = content.markdown || '';
+    entries.push({
+      path: `${path}.md`,
+      data: stringifyFrontMatter(data, body.endsWith('\n') || !body ? body : `${body}\n`),
+      modifiedAt: Math.max(node.updatedAt, content.updatedAt || 0)
+    });
+  }
+
+  const attachments = order.flatMap(node => store.getAttachments(node.id));
+  if (attachments.length > 0) {
+    const folder = `${uniqueFilename('attachments', rootNames)}/`;
+    const fileNames = new Set();
+    entries.push({ path: folder });
+    for (const attachment of attachments) {
+      entries.push({
+        path: `${folder}${uniqueFilename(safeFilename(attachment.name), fileNames)}`,
+        data: new Uint8Array(await attachment.blob.arrayBuffer()),
+        modifiedAt: attachment.createdAt
+      });
+    }
+  }
+
+  return entries;
+}
+
+// Turn Markdown files ([{ path, text, data or blob, modifiedAt }]) into nodes, content and
+// attachments for store.importNodes(). Other files become attachments of the first note
+// that embeds them with ![[name]] or lists them under "attachments"; the rest, and
+// dot-folders such as .obsidian/, are skipped.
+// With a wrapperName, files that don't already share one top folder are put in a new one.
+export function parseMarkdownFiles(files, { parentId = null, wrapperName = null } = {}) {
+  let notes = [];
+  const others = [];
+  let skipped = 0;
+
+  for (const file of files) {
+    const parts = file.path.replace(/\\/g, '/').split('/').filter(part => part && part !== '.');
+    const hidden = parts.some(part => part.startsWith('.') || part === '__MACOSX');
+    if (hidden) {
+      skipped++;
+    } else if (isMarkdownFile(file.path)) {
+      notes.push({ ...file, parts });
+    } else {
+      others.push({ ...file, parts: parts.map(part => part.toLowerCase()) });
+    }
+  }
+
+  const topFolders = new Set(notes.map(note => (note.parts.length > 1 ? note.parts[0] : null)));
+  if (wrapperName && notes.length > 0 && (topFolders.size > 1 || topFolders.has(null))) {
+    notes = notes.map(note => ({ ...note, parts: [wrapperName, ...note.parts] }));
+  }
+
+  const now = Date.now();
+  const nodes = [];
+  const contents = [];
+  const folders = new Map(); // "A/B" -> folder node
+  const imported = []; // { node, content, folders: [lowercase names], filename, data }
+
+  const getFolder = (folderParts) => {
+    if (folderParts.length === 0) return parentId;
+
+    const key = folderParts.join('/');
+    if (!folders.has(key)) {
+      const folder = {
+        id: store.generateId(),
+        parentId: getFolder(folderParts.slice(0, -1)),
+        type: 'folder',
+        name: folderParts[folderParts.length - 1],
+        orderIndex: 0,
+        active: false,
+        createdAt: now,
+        updatedAt: now
+      };
+      folders.set(key, folder);
+      nodes.push(folder);
+    }
+    return folders.get(key).id;
+  };
+
+  for (const file of notes) {
+    const { data, body } = parseFrontMatter(file.text ?? new TextDecoder().decode(file.data));
+    const filename = file.parts[file.parts.length - 1].replace(/\.(md|markdown)$/i, '');
+    const timestamp = file.modifiedAt || now;
+
+    const node = {
+      id: store.generateId(),
+      parentId: getFolder(file.parts.slice(0, -1)),
+      type: 'leaf',
+      name: typeof data.title === 'string' && data.title.trim() ? data.title.trim() : filename,
+      orderIndex: 0,
+      active: data.active === true,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+
+    const content = {
+      ...db.getDefaultContent(node.id),
+      markdown: body.replace(/^\r?\n/, ''),
+      icon: typeof data.icon === 'string' && data.icon.trim() ? data.icon.trim() : '📄',
+      ...readFields(data),
+      tags: readTags(data.tags),
+      updatedAt: timestamp
+    };
+
+    nodes.push(node);
+    contents.push(content);
+    imported.push({
+      node,
+      content,
+      data,
+      filename: filename.toLowerCase(),
+      folders: file.parts.slice(0, -1).map(part => part.toLowerCase())
+    });
+  }
+
+  // Folders first, then alphabetical, like most file browsers
+  const byParent = new Map();
+  for (const node of nodes) {
+    if (!byParent.has(node.parentId)) byParent.set(node.parentId, []);
+    byParent.get(node.parentId).push(node);
+  }
+  for (const siblings of byParent.values()) {
+    siblings
+      .sort((a, b) => (a.type === b.type ? 0 : a.type === 'folder' ? -1 : 1) ||
+        a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }))
+      .forEach((node, index) => { node.orderIndex = index; });
+  }
+
+  // Resolve links against the imported notes first, then the rest of the vault
+  const resolve = (target) => {
+    const wanted = target.replace(/#.*$/, '').replace(/\.(md|markdown)$/i, '').trim().toLowerCase();
+    const path = wanted.split('/').map(part => part.trim()).filter(Boolean);
+    if (path.length === 0) return null;
+
+    const name = path[path.length - 1];
+    const folderParts = path.slice(0, -1);
+    const match = imported.find(note =>
+      (note.filename === name || note.node.name.toLowerCase() === name) &&
+      folderParts.every((part, i) => note.folders[note.folders.length - folderParts.length + i] === part)
+    );
+    return match ? match.node : store.resolveLink(target);
+  };
+
+  for (const { node, content, data } of imported) {
+    const targets = markdown.extractWikiLinks(content.markdown).map(link => link.target);
+    const listed = Array.isArray(data.links) ? data.links : data.links ? [data.links] : [];
+    for (const link of listed) {
+      targets.push(String(link).replace(/^\[\[|\]\]$/g, '').split('|')[0]);
+    }
+
+    for (const target of targets) {
+      const linked = resolve(target);
+      if (linked && linked.id !== node.id && !content.links.includes(linked.id)) {
+        content.links.push(linked.id);
+      }
+    }
+
+    if (data.map) {
+      const map = readMap(data.map, resolve);
+      if (map) {
+        content.map = map;
+      }
+    }
+
+    // Note link fields hold "[[Name]]" until now; ones that don't resolve stay as text
+    for (const [key, def] of Object.entries(content.fieldTypes)) {
+      const value = content.fields[key];
+      if (def.type !== 'link' || !value) continue;
+
+      const linked = resolve(String(value).replace(/^\[\[|\]\]$/g, '').split('|')[0]);
+      if (linked) {
+        content.fields[key] = linked.id;
+      } else {
+        delete content.fieldTypes[key];
+      }
+    }
+  }
+
+  // Embeds name a file, optionally with some of the folders it is in
+  const attachments = [];
+  const claimed = new Set();
+  const findFile = (target) => {
+    const wanted = target.replace(/#.*$/, '').split('/').map(part => part.trim().toLowerCase()).filter(Boolean);
+    return wanted.length === 0 ? null : others.find(file =>
+      wanted.every((part, i) => file.parts[file.parts.length - wanted.length + i] === part));
+  };
+
+  for (const { node, content, data } of imported) {
+    const listed = Array.isArray(data.attachments) ? data.attachments : data.attachments ? [data.attachments] : [];
+    const targets = [
+      ...markdown.extractEmbeds(content.markdown),
+      ...listed.map(item => String(item).replace(/^!?\[\[|\]\]$/g, '').split('|')[0])
+    ];
+
+    // The map shows its image by the name of the file found for it
+    if (content.map?.image) {
+      const file = findFile(content.map.image);
+      content.map.image = file ? file.path.replace(/\\/g, '/').split('/').pop() : null;
+      targets.push(...(file ? [content.map.image] : []));
+    }
+
+    for (const target of targets) {
+      const file = findFile(target);
+      if (!file || claimed.has(file)) continue;
+
+      claimed.add(file);
+      const name = file.path.replace(/\\/g, '/').split('/').pop();
+      const type = guessType(name);
+      attachments.push({
+        id: store.generateId(),
+        noteId: node.id,
+        name,
+        type,
+        blob: new Blob([file.blob ?? file.data ?? file.text ?? ''], { type }),
+        createdAt: file.modifiedAt || now
+      });
+    }
+  }
+  skipped += others.length - claimed.size;
+
+  return { nodes, contents, attachments, skipped };
+}
+
+// A map from front matter; pins link to notes by [[name]]. Null if it can't be read.
+function readMap(value, resolve) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return null;
+
+  const list = (items) => (Array.isArray(items) ? items : []).filter(item => item && typeof item === 'object');
+  const target = (link) => String(link ?? '').replace(/^!?\[\[|\]\]$/g, '').split('|')[0].trim();
+  const fraction = (number) => clampFraction(Number(number) || 0);
+
+  const note = (link) => {
+    const linked = target(link) && resolve(target(link));
+    return linked?.type === 'leaf' ? linked.id : null;
+  };
+
+  const map = createMap();
+  map.image = target(value.image) || null;
+  map.fog = value.fog === true;
+
+  const layers = list(value.layers)
+    .filter(layer => layer.id !== null && layer.id !== undefined && layer.id !== '')
+    .map(layer => ({ id: String(layer.id), name: String(layer.name ?? layer.id), visible: layer.visible !== false }));
+  if (layers.length > 0) {
+    map.layers = layers;
+  }
+
+  const layerIds = new Set(map.layers.map(layer => layer.id));
+  map.pins = list(value.pins).map((pin, index) => ({
+    id: String(pin.id || `pin-${index + 1}`),
+    x: fraction(pin.x),
+    y: fraction(pin.y),
+    label: String(pin.label ?? ''),
+    nodeId: note(pin.note),
+    layerId: layerIds.has(String(pin.layer)) ? String(pin.layer) : map.layers[0].id
+  }));
+
+  map.reveals = list(value.reveals).map((region, index) => ({
+    id: String(region.id || `reveal-${index + 1}`),
+    x: fraction(region.x),
+    y: fraction(region.y),
+    width: fraction(region.width),
+    height: fraction(region.height)
+  }));
+
+  return isMap(map) ? map : null;
+}
+
+function readTags(value) {
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [];
+  const tags = list
+    .map(normalizeTag)
+    .filter(Boolean);
+  return [...new Set(tags)];
+}
+
+// Fields and their types. Declared types (from our own exports) are kept when the
+// value fits; otherwise numbers and yes/no values from other apps keep their type.
+function readFields(data) {
+  const fields = {};
+  const defs = {};
+  const declared = data.fieldTypes && typeof data.fieldTypes === 'object' ? data.fieldTypes : {};
+
+  const add = (key, value) => {
+    const def = declared[key];
+    if (def && FIELD_TYPES[def.type] && def.type !== 'text') {
+      const typed = { type: def.type, options: Array.isArray(def.options) ? def.options.map(String) : [] };
+      // Links are resolved once every imported note exists
+      const parsed = def.type === 'link' ? { value: String(value ?? '') } : parseFieldValue(typed, value ?? '');
+      if (!parsed.error) {
+        fields[key] = parsed.value;
+        defs[key] = typed;
+        return;
+      }
+    }
+
+    if (typeof value === 'number') {
+      fields[key] = value;
+      defs[key] = { type: 'number' };
+    } else if (typeof value === 'boolean') {
+      fields[key] = value;
+      defs[key] = { type: 'checkbox' };
+    } else if (value === null || value === undefined) {
+      fields[key] = '';
+    } else if (Array.isArray(value)) {
+      fields[key] = value.join(', ');
+    } else if (typeof value === 'object') {
+      fields[key] = JSON.stringify(value);
+    } else {
+      fields[key] = String(value);
+    }
+  };
+
+  if (data.fields && typeof data.fields === 'object' && !Array.isArray(data.fields)) {
+    for (const [key, value] of Object.entries(data.fields)) {
+      add(key, value);
+    }
+  }
+
+  // Properties from other apps (aliases, status, created...) become fields
+  for (const [key, value] of Object.entries(data)) {
+    if (!CONTENT_KEYS.includes(key) && !(key in fields)) {
+      add(key, value);
+    }
+  }
+
+  return { fields, fieldTypes: fieldTypesOf(defs) };
+}
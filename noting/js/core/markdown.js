@@ -0,0 +1,461 @@
+/**
+ * Markdown Renderer
+ * Converts note markdown into sanitized HTML for the preview pane
+ */
+
+import { INLINE_DICE, isDiceExpression } from './dice.js';
+
+const ALLOWED_TAGS = new Set([
+  'a', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'input', 'li', 'ol', 'p', 'pre', 's', 'span', 'strong', 'table', 'tbody',
+  'td', 'th', 'thead', 'tr', 'ul'
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  'alt', 'checked', 'class', 'colspan', 'disabled', 'href', 'rel', 'src', 'start', 'style', 'target',
+  'title', 'type', 'width'
+]);
+
+const SAFE_URL = /^(https?:|mailto:|#|\/|\.{1,2}\/|[^:]*$)/i;
+const SAFE_STYLE = /^text-align:\s*(left|center|right);?$/;
+
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TASK_ITEM = /^\[([ xX])\]\s+(.*)$/;
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const FENCE = /^\s*(```|~~~)\s*([\w+-]*)\s*$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+// [[Note Name]] or [[Note Name|shown text]]
+const WIKI_LINK = /(?<!!)\[\[([^[\]|]+)(?:\|([^[\]]*))?\]\]/g;
+
+// ![[map.png]], ![[map.png|Caption]] or ![[map.png|400]] for a width in pixels
+const EMBED = /!\[\[([^[\]|]+)(?:\|([^[\]]*))?\]\]/g;
+
+class MarkdownRenderer {
+  constructor() {
+    // Set by the app: maps a wiki link target to a node (or null when it doesn't exist)
+    this.resolveWikiLink = null;
+    // Set by the app: maps an embed target to an attachment { id, name, type }, or null,
+    // and an attachment id to a URL for its file
+    this.resolveEmbed = null;
+    this.attachmentUrl = null;
+  }
+
+  // Render markdown to HTML that is safe to assign to innerHTML
+  render(markdown) {
+    return this.sanitize(this.toHtml(markdown));
+  }
+
+  // Render markdown to HTML. Raw HTML in the source is escaped, never passed through.
+  toHtml(markdown) {
+    const lines = (markdown || '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+    return this.parseBlocks(lines, 0, false);
+  }
+
+  // Block-level parsing. `offset` is the source line number of lines[0], used to
+  // map task checkboxes back to the textarea.
+  parseBlocks(lines, offset, tight) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (!line.trim()) {
+        i++;
+        continue;
+      }
+
+      // Fenced code block
+      const fence = FENCE.exec(line);
+      if (fence) {
+        const code = [];
+        i++;
+        while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+          code.push(lines[i]);
+          i++;
+        }
+        i++; // Skip closing fence
+        const langClass = fence[2] ? ` class="language-${this.escapeHtml(fence[2])}"` : '';
+        html.push(`<pre><code${langClass}>${this.escapeHtml(code.join('\n'))}</code></pre>`);
+        continue;
+      }
+
+      // Heading
+      const heading = HEADING.exec(line);
+      if (heading) {
+        const level = heading[1].length;
+        html.push(`<h${level}>${this.renderInline(heading[2])}</h${level}>`);
+        i++;
+        continue;
+      }
+
+      // Horizontal rule (checked before lists so "* * *" is not a bullet)
+      if (HR.test(line)) {
+        html.push('<hr>');
+        i++;
+        continue;
+      }
+
+      // Blockquote
+      if (/^\s{0,3}>/.test(line)) {
+        const start = i;
+        const quoted = [];
+        while (i < lines.length && lines[i].trim() && /^\s{0,3}>/.test(lines[i])) {
+          quoted.push(lines[i].replace(/^\s{0,3}> ?/, ''));
+          i++;
+        }
+        html.push(`<blockquote>${this.parseBlocks(quoted, offset + start, false)}</blockquote>`);
+        continue;
+      }
+
+      // Table
+      if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+        i = this.parseTable(lines, i, html);
+        continue;
+      }
+
+      // List
+      if (LIST_ITEM.test(line)) {
+        i = this.parseList(lines, i, offset, html);
+        continue;
+      }
+
+      // Paragraph: runs until a blank line or the start of another block
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && !(paragraph.length && this.startsBlock(lines, i))) {
+        paragraph.push(lines[i].trim());
+        i++;
+      }
+      const text = paragraph.map(l => this.renderInline(l.replace(/(\s{2,}|\\)$/, ''))).join('<br>');
+      html.push(tight ? text : `<p>${text}</p>`);
+    }
+
+    return html.join('\n');
+  }
+
+  startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE.test(line) ||
+      HEADING.test(line) ||
+      HR.test(line) ||
+      /^\s{0,3}>/.test(line) ||
+      LIST_ITEM.test(line) ||
+      (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1]) && lines[i + 1].includes('-'));
+  }
+
+  parseTable(lines, start, html) {
+    const splitRow = (row) => {
+      let trimmed = row.trim();
+      if (trimmed.startsWith('|')) trimmed = trimmed.slice(1);
+      if (trimmed.endsWith('|') && !trimmed.endsWith('\\|')) trimmed = trimmed.slice(0, -1);
+      return trimmed.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    };
+
+    const headers = splitRow(lines[start]);
+    const aligns = splitRow(lines[start + 1]).map(cell => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      if (left && right) return 'center';
+      if (right) return 'right';
+      if (left) return 'left';
+      return null;
+    });
+    const alignAttr = (index) => aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+
+    let i = start + 2;
+    const rows = [];
+    while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+      rows.push(splitRow(lines[i]));
+      i++;
+    }
+
+    const headHtml = headers.map((cell, index) =>
+      `<th${alignAttr(index)}>${this.renderInline(cell)}</th>`
+    ).join('');
+
+    const bodyHtml = rows.map(row => {
+      const cells = headers.map((_, index) =>
+        `<td${alignAttr(index)}>${this.renderInline(row[index] || '')}</td>`
+      ).join('');
+      return `<tr>${cells}</tr>`;
+    }).join('');
+
+    html.push(`<table><thead><tr>${headHtml}</tr></thead><tbody>${bodyHtml}</tbody></table>`);
+    return i;
+  }
+
+  parseList(lines, start, offset, html) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let loose = false;
+    let i = start;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      const match = LIST_ITEM.exec(line);
+      const indent = line.length - line.trimStart().length;
+
+      if (match && match[1].length === baseIndent && /\d/.test(match[2]) === ordered) {
+        items.push({ line: i, lines: [match[3]] });
+        i++;
+        continue;
+      }
+
+      const item = items[items.length - 1];
+
+      if (!line.trim()) {
+        // A blank line continues the list only if more item content follows
+        const next = lines[i + 1];
+        if (next === undefined || !next.trim()) break;
+        const nextMatch = LIST_ITEM.exec(next);
+        const nextIndent = next.length - next.trimStart().length;
+        const nextSibling = nextMatch && nextMatch[1].length === baseIndent && /\d/.test(nextMatch[2]) === ordered;
+        if (nextIndent > baseIndent || nextSibling) {
+          loose = true;
+          item.lines.push('');
+          i++;
+          continue;
+        }
+        break;
+      }
+
+      if (indent > baseIndent) {
+        // Nested content belonging to the current item
+        item.lines.push(line.slice(Math.min(indent, baseIndent + 2)));
+        i++;
+        continue;
+      }
+
+      if (match || this.startsBlock(lines, i)) break;
+
+      // Lazy continuation of the item's first paragraph
+      item.lines.push(line.trim());
+      i++;
+    }
+
+    const tag = ordered ? 'ol' : 'ul';
+    const startNumber = ordered ? parseInt(first[2], 10) : 1;
+    const startAttr = ordered && startNumber !== 1 ? ` start="${startNumber}"` : '';
+    const hasTasks = items.some(item => TASK_ITEM.test(item.lines[0]));
+
+    const itemsHtml = items.map(item => {
+      const task = TASK_ITEM.exec(item.lines[0]);
+      const itemLines = [...item.lines];
+      let prefix = '';
+      let className = '';
+
+      if (task) {
+        itemLines[0] = task[2];
+        const checked = task[1] !== ' ' ? ' checked' : '';
+        prefix = `<input type="checkbox" class="task-checkbox" data-line="${offset + item.line}"${checked}> `;
+        className = ' class="task-item"';
+      }
+
+      const body = this.parseBlocks(itemLines, offset + item.line, !loose);
+      return `<li${className}>${prefix}${body}</li>`;
+    }).join('\n');
+
+    const listClass = hasTasks ? ' class="task-list"' : '';
+    html.push(`<${tag}${startAttr}${listClass}>\n${itemsHtml}\n</${tag}>`);
+    return i;
+  }
+
+  // Inline formatting: code, links, images, emphasis, autolinks
+  renderInline(text) {
+    const stash = [];
+    const hold = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+
+    // Code spans are literal, so they are pulled out before anything else
+    let out = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (_, __, code) =>
+      hold(`<code>${this.escapeHtml(code.trim())}</code>`)
+    );
+
+    // Backslash escapes
+    out = out.replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, (_, char) => hold(this.escapeHtml(char)));
+
+    // Embedded attachments
+    out = out.replace(EMBED, (_, target, alias) => hold(this.renderEmbed(target.trim(), alias)));
+
+    // Wiki links
+    out = out.replace(WIKI_LINK, (_, target, alias) => hold(this.renderWikiLink(target.trim(), alias)));
+
+    // Images
+    out = out.replace(/!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (_, alt, src, title) => {
+      const titleAttr = title ? ` title="${this.escapeHtml(title)}"` : '';
+      return hold(`<img src="${this.escapeHtml(this.safeUrl(src))}" alt="${this.escapeHtml(alt)}"${titleAttr}>`);
+    });
+
+    // Links
+    out = out.replace(/\[([^\]]+)\]\(\s*([^)\s]+)(?:\s+"([^"]*)")?\s*\)/g, (_, label, href, title) => {
+      const titleAttr = title ? ` title="${this.escapeHtml(title)}"` : '';
+      const url = this.safeUrl(href);
+      const external = /^https?:/i.test(url) ? ' target="_blank" rel="noopener noreferrer"' : '';
+      return hold(`<a href="${this.escapeHtml(url)}"${titleAttr}${external}>${this.renderInline(label)}</a>`);
+    });
+
+    // Bare URLs
+    out = out.replace(/\bhttps?:\/\/[^\s<>\u0000]+[^\s<>\u0000.,;:!?)'"]/g, (url) =>
+      hold(`<a href="${this.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${this.escapeHtml(url)}</a>`)
+    );
+
+    // Dice expressions become click-to-roll buttons; ones that can't be rolled
+    // (1000d6, d1) stay text
+    out = out.replace(INLINE_DICE, (expression) =>
+      isDiceExpression(expression) ? hold(this.renderDiceRoll(expression)) : expression
+    );
+
+    out = this.escapeHtml(out);
+
+    // Emphasis
+    out = out
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+      .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+      .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+
+    // Restore stashed fragments (they may themselves contain stash markers)
+    const restore = (html) => html.replace(/\u0000(\d+)\u0000/g, (_, index) => restore(stash[index]));
+    return restore(out);
+  }
+
+  renderWikiLink(target, alias) {
+    const label = this.escapeHtml((alias || '').trim() || target);
+    const node = this.resolveWikiLink ? this.resolveWikiLink(target) : null;
+
+    if (node) {
+      return `<a href="#" class="wikilink" data-node-id="${this.escapeHtml(node.id)}" title="${this.escapeHtml(node.name)}">${label}</a>`;
+    }
+    return `<a href="#" class="wikilink unresolved" data-target="${this.escapeHtml(target)}" title="Create &quot;${this.escapeHtml(target)}&quot;">${label}</a>`;
+  }
+
+  // Images carry the attachment id rather than a src: object URLs wouldn't pass the
+  // sanitizer, so loadEmbeds() fills them in once the HTML is on the page
+  renderEmbed(target, alias) {
+    const attachment = this.resolveEmbed ? this.resolveEmbed(target) : null;
+    const option = (alias || '').trim();
+    const width = /^\d+$/.test(option) ? option : '';
+    const caption = width ? '' : option;
+
+    if (!attachment) {
+      return `<span class="embed-missing" title="No attachment named &quot;${this.escapeHtml(target)}&quot;">${this.escapeHtml(caption || target)}</span>`;
+    }
+
+    const id = this.escapeHtml(attachment.id);
+    if (attachment.type.startsWith('image/')) {
+      const widthAttr = width ? ` width="${width}"` : '';
+      return `<img class="embed-image" data-attachment-id="${id}" alt="${this.escapeHtml(caption || attachment.name)}" title="${this.escapeHtml(attachment.name)}"${widthAttr}>`;
+    }
+    return `<a href="#" class="embed-file" data-attachment-id="${id}" title="Open ${this.escapeHtml(attachment.name)}">${this.escapeHtml(caption || attachment.name)}</a>`;
+  }
+
+  // Point rendered image embeds at their files
+  loadEmbeds(root) {
+    if (!this.attachmentUrl) return;
+
+    for (const img of root.querySelectorAll('img.embed-image[data-attachment-id]')) {
+      const url = this.attachmentUrl(img.dataset.attachmentId);
+      if (url) img.src = url;
+    }
+  }
+
+  // label names the roll in the roll log, e.g. "Young Dragon · Bite"
+  renderDiceRoll(expression, label = '') {
+    const escaped = this.escapeHtml(expression);
+    const labelAttr = label ? ` data-label="${this.escapeHtml(label)}"` : '';
+    return `<span class="dice-roll" data-dice="${escaped}"${labelAttr} title="Roll ${escaped}">${escaped}</span>`;
+  }
+
+  // Escape plain text (such as a field value), making its dice expressions clickable
+  renderDiceText(text, label = '') {
+    let html = '';
+    let lastIndex = 0;
+    for (const match of String(text).matchAll(INLINE_DICE)) {
+      if (!isDiceExpression(match[0])) continue;
+      html += this.escapeHtml(text.slice(lastIndex, match.index)) + this.renderDiceRoll(match[0], label);
+      lastIndex = match.index + match[0].length;
+    }
+    return html + this.escapeHtml(String(text).slice(lastIndex));
+  }
+
+  // List the [[wiki link]] targets in a markdown document, ignoring code
+  extractWikiLinks(text) {
+    const withoutCode = (text || '')
+      .replace(/^\s*(```|~~~)[\s\S]*?^\s*\1\s*$/gm, '')
+      .replace(/`[^`\n]*`/g, '');
+
+    return Array.from(withoutCode.matchAll(WIKI_LINK), match => ({
+      target: match[1].trim(),
+      alias: match[2] ? match[2].trim() : null
+    }));
+  }
+
+  // List the ![[embed]] targets in a markdown document, ignoring code
+  extractEmbeds(text) {
+    const withoutCode = (text || '')
+      .replace(/^\s*(```|~~~)[\s\S]*?^\s*\1\s*$/gm, '')
+      .replace(/`[^`\n]*`/g, '');
+
+    return Array.from(withoutCode.matchAll(EMBED), match => match[1].trim());
+  }
+
+  safeUrl(url) {
+    const trimmed = url.trim();
+    return SAFE_URL.test(trimmed) ? trimmed : '#';
+  }
+
+  // Allowlist sanitizer run over the final HTML, so nothing the renderer emits
+  // (or a future bug in it) can carry scripts or event handlers into the page
+  sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html;
+
+    const walk = (parent) => {
+      for (const el of Array.from(parent.children)) {
+        const tag = el.tagName.toLowerCase();
+
+        if (!ALLOWED_TAGS.has(tag)) {
+          el.remove();
+          continue;
+        }
+
+        for (const attr of Array.from(el.attributes)) {
+          const name = attr.name.toLowerCase();
+          const allowed = ALLOWED_ATTRIBUTES.has(name) || name.startsWith('data-');
+
+          if (!allowed ||
+              ((name === 'href' || name === 'src') && !SAFE_URL.test(attr.value.trim())) ||
+              (name === 'style' && !SAFE_STYLE.test(attr.value.trim())) ||
+              (tag === 'input' && name === 'type' && attr.value !== 'checkbox')) {
+            el.removeAttribute(attr.name);
+          }
+        }
+
+        if (tag === 'input' && el.getAttribute('type') !== 'checkbox') {
+          el.remove();
+          continue;
+        }
+
+        walk(el);
+      }
+    };
+
+    walk(template.content);
+    return template.innerHTML;
+  }
+
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export singleton
+export const markdown = new MarkdownRenderer();
@@ -0,0 +1,221 @@
+/**
+ * Merge Import
+ * Plans how a JSON backup or subtree export merges into the vault under a folder:
+ * which nodes are added (with fresh ids where needed), updated or skipped
+ */
+
+import { db } from './db.js';
+import { store } from './store.js';
+import { fromExport } from './attachments.js';
+
+// How to treat a note that exists on both sides with different content
+export const CONFLICT_POLICIES = {
+  newer: 'Keep the newer version',
+  overwrite: 'Always use the imported version',
+  keep: 'Always keep the version here'
+};
+
+// Accepts db.exportAll() output ({ nodes, contents }) or an exportSubtree() file
+// ({ node, content, children }, or { subtrees: [...] } of those for a selection of
+// several), either with attachments. Both are migrated and validated
+// (throwing a SchemaError that names the bad records) and returned as
+// { kind, nodes, contents, attachments } with flat lists.
+export function readJsonExport(data) {
+  if (data && Array.isArray(data.nodes)) {
+    const migrated = db.validateImport(data);
+    return {
+      kind: 'vault',
+      nodes: migrated.nodes,
+      contents: migrated.contents || [],
+      attachments: (migrated.attachments || []).map(fromExport)
+    };
+  }
+
+  const subtrees = data && data.node && Array.isArray(data.children) ? [data] : data?.subtrees;
+  if (Array.isArray(subtrees) && subtrees.length > 0) {
+    const nodes = [];
+    const contents = [];
+    const flatten = (entry) => {
+      nodes.push(entry?.node);
+      if (entry?.content) contents.push(entry.content);
+      (Array.isArray(entry?.children) ? entry.children : []).forEach(flatten);
+    };
+    subtrees.forEach(flatten);
+
+    // Each subtree's root keeps its old parent id, which is outside the file
+    const migrated = db.validateImport({ version: data.version, nodes, contents, attachments: data.attachments }, { partial: true });
+    return {
+      kind: 'subtree',
+      nodes: migrated.nodes,
+      contents: migrated.contents,
+      attachments: (migrated.attachments || []).map(fromExport)
+    };
+  }
+
+  throw new Error('This file is not a vault backup or subtree export');
+}
+
+function noteTime(node, content) {
+  return Math.max(node.updatedAt || 0, content?.updatedAt || 0);
+}
+
+function sameNote(a, b) {
+  const pick = (content) => JSON.stringify([
+    content.markdown || '', content.fields || {}, content.fieldTypes || {}, content.tags || [], content.icon || '📄'
+  ]);
+  return pick(a) === pick(b);
+}
+
+// Build the preview: [{ node, content, path, action: 'add' | 'update' | 'skip', reason,
+// targetId, targetParentId }], parents before children. Nodes that exist here (same id,
+// or same name and type at the same place) are matched instead of duplicated.
+export async function planMerge(imported, { parentId = null, conflict = 'newer' } = {}) {
+  // Nodes in the backup's trash aren't merged
+  const live = imported.nodes.filter(node => !node.deletedAt);
+  const ids = new Set(live.map(node => node.id));
+  const contents = new Map(imported.contents.map(content => [content.nodeId, content]));
+
+  const children = new Map();
+  for (const node of live) {
+    const key = ids.has(node.parentId) ? node.parentId : null;
+    if (!children.has(key)) children.set(key, []);
+    children.get(key).push(node);
+  }
+  for (const list of children.values()) {
+    list.sort((a, b) => (a.orderIndex || 0) - (b.orderIndex || 0));
+  }
+
+  const items = [];
+  const matched = new Set(); // Existing node ids already claimed by an imported node
+  const usedIds = new Set();
+
+  const visit = async (node, targetParentId, path, parentAdded) => {
+    const content = node.type === 'leaf' ? (contents.get(node.id) || db.getDefaultContent(node.id)) : null;
+    const item = { node, content, path: [...path, node.name].join(' / '), targetParentId };
+
+    let match = null;
+    const sameId = store.getNode(node.id);
+    if (sameId && sameId.type === node.type && !matched.has(sameId.id)) {
+      match = sameId;
+      item.reason = 'Same id';
+    } else if (!parentAdded) {
+      match = store.getChildren(targetParentId).find(existing =>
+        existing.type === node.type &&
+        existing.name.toLowerCase() === node.name.toLowerCase() &&
+        !matched.has(existing.id)
+      ) || null;
+      item.reason = 'Same name and folder';
+    }
+
+    if (!match) {
+      const taken = store.nodes.has(node.id) || store.trash.has(node.id) || usedIds.has(node.id);
+      item.action = 'add';
+      item.targetId = taken ? store.generateId() : node.id;
+      item.reason = taken ? 'New id (the original is in use)' : '';
+    } else {
+      matched.add(match.id);
+      item.targetId = match.id;
+
+      if (node.type === 'folder') {
+        item.action = 'skip';
+        item.reason = 'Folder exists, contents merged';
+      } else {
+        const existingContent = await db.getContent(match.id);
+        if (match.name === node.name && sameNote(existingContent, content)) {
+          item.action = 'skip';
+          item.reason = 'Unchanged';
+        } else if (conflict === 'overwrite' ||
+          (conflict === 'newer' && noteTime(node, content) > noteTime(match, existingContent))) {
+          item.action = 'update';
+          item.reason = `${item.reason}, changed`;
+        } else {
+          item.action = 'skip';
+          item.reason = conflict === 'keep' ? `${item.reason}, kept` : `${item.reason}, newer here`;
+        }
+      }
+    }
+
+    usedIds.add(item.targetId);
+    items.push(item);
+
+    for (const child of children.get(node.id) || []) {
+      await visit(child, item.targetId, [...path, node.name], item.action === 'add');
+    }
+  };
+
+  for (const root of children.get(null) || []) {
+    await visit(root, parentId, [], false);
+  }
+
+  return items;
+}
+
+// Turn a plan into records for store.mergeNodes(): new nodes and their content
+// (ids, links, note link fields and map pins remapped), updates for matched notes, and the
+// attachments of both
+export function buildMerge(items, attachments = []) {
+  const idMap = new Map(items.map(item => [item.node.id, item.targetId]));
+  const remapId = (id) => idMap.get(id) || (store.nodes.has(id) ? id : null);
+  const remapContent = (content, nodeId) => {
+    const fields = { ...(content.fields || {}) };
+    for (const [key, def] of Object.entries(content.fieldTypes || {})) {
+      if (def.type === 'link' && fields[key]) {
+        fields[key] = remapId(fields[key]) || '';
+      }
+    }
+    const remapped = {
+      ...content,
+      nodeId,
+      fields,
+      links: [...new Set((content.links || []).map(remapId).filter(Boolean))]
+    };
+    if (content.map) {
+      remapped.map = {
+        ...content.map,
+        pins: content.map.pins.map(pin => ({ ...pin, nodeId: pin.nodeId && remapId(pin.nodeId) }))
+      };
+    }
+    return remapped;
+  };
+
+  const nodes = [];
+  const contents = [];
+  const updates = [];
+  const siblingCounts = new Map();
+  const now = Date.now();
+
+  for (const item of items) {
+    if (item.action === 'add') {
+      const { deletedAt, trashRootId, ...node } = item.node;
+      const orderIndex = siblingCounts.get(item.targetParentId) || 0;
+      siblingCounts.set(item.targetParentId, orderIndex + 1);
+
+      nodes.push({
+        ...node,
+        id: item.targetId,
+        parentId: item.targetParentId,
+        orderIndex,
+        createdAt: node.createdAt || now,
+        updatedAt: node.updatedAt || now
+      });
+      if (item.content) {
+        contents.push(remapContent(item.content, item.targetId));
+      }
+    } else if (item.action === 'update') {
+      updates.push({
+        id: item.targetId,
+        name: item.node.name,
+        content: remapContent(item.content, item.targetId)
+      });
+    }
+  }
+
+  const merged = new Map(items
+    .filter(item => item.action === 'add' || item.action === 'update')
+    .map(item => [item.node.id, item.targetId]));
+  const mergedAttachments = attachments
+    .filter(attachment => merged.has(attachment.noteId))
+    .map(attachment => ({ ...attachment, noteId: merged.get(attachment.noteId) }));
+
+  return { nodes, contents, updates, attachments: mergedAttachments };
+}
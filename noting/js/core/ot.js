@@ -0,0 +1,127 @@
+/**
+ * Text Operations
+ * Operational transformation for editing a note's text live with others.
+ * An operation is a list of parts covering the whole text it applies to:
+ * a positive number keeps that many characters, a negative number deletes
+ * them and a string inserts it.
+ */
+
+// Append a part, merging it into the last one when they are of the same kind
+function push(operation, part) {
+  if (part === 0 || part === '') return;
+
+  const last = operation[operation.length - 1];
+  if (typeof part === 'string' && typeof last === 'string') {
+    operation[operation.length - 1] = last + part;
+  } else if (typeof part === 'number' && typeof last === 'number' && Math.sign(part) === Math.sign(last)) {
+    operation[operation.length - 1] = last + part;
+  } else {
+    operation.push(part);
+  }
+}
+
+export function apply(text, operation) {
+  let index = 0;
+  let result = '';
+  for (const part of operation) {
+    if (typeof part === 'string') {
+      result += part;
+    } else if (part > 0) {
+      result += text.slice(index, index + part);
+      index += part;
+    } else {
+      index -= part;
+    }
+  }
+  if (index !== text.length) {
+    throw new Error(`The operation covers ${index} characters of a ${text.length} character text`);
+  }
+  return result;
+}
+
+// The operation turning oldText into newText, as one replaced stretch
+export function fromChange(oldText, newText) {
+  let start = 0;
+  const shorter = Math.min(oldText.length, newText.length);
+  while (start < shorter && oldText[start] === newText[start]) {
+    start++;
+  }
+
+  let end = 0;
+  while (end < shorter - start && oldText[oldText.length - 1 - end] === newText[newText.length - 1 - end]) {
+    end++;
+  }
+
+  const operation = [];
+  push(operation, start);
+  push(operation, -(oldText.length - start - end));
+  push(operation, newText.slice(start, newText.length - end));
+  push(operation, end);
+  return operation;
+}
+
+// Given a and b made on the same text, returns [a2, b2] so that a then b2 and
+// b then a2 give the same result. Where both insert at one spot, a's text
+// comes first.
+export function transform(a, b) {
+  const a2 = [];
+  const b2 = [];
+  let i = 0;
+  let j = 0;
+  let partA = a[i++];
+  let partB = b[j++];
+
+  while (partA !== undefined || partB !== undefined) {
+    if (typeof partA === 'string') {
+      push(a2, partA);
+      push(b2, partA.length);
+      partA = a[i++];
+      continue;
+    }
+    if (typeof partB === 'string') {
+      push(a2, partB.length);
+      push(b2, partB);
+      partB = b[j++];
+      continue;
+    }
+    if (partA === undefined || partB === undefined) {
+      throw new Error('The operations are for different texts');
+    }
+
+    // Both keep, delete, or one of each over the shorter stretch
+    const length = Math.min(Math.abs(partA), Math.abs(partB));
+    if (partA > 0 && partB > 0) {
+      push(a2, length);
+      push(b2, length);
+    } else if (partA < 0 && partB > 0) {
+      push(a2, -length);
+    } else if (partA > 0 && partB < 0) {
+      push(b2, -length);
+    }
+
+    partA = Math.sign(partA) * (Math.abs(partA) - length) || a[i++];
+    partB = Math.sign(partB) * (Math.abs(partB) - length) || b[j++];
+  }
+
+  return [a2, b2];
+}
+
+// Where a cursor position ends up once the operation is applied. Text inserted
+// right at the cursor goes after it.
+export function transformPosition(operation, position) {
+  let index = 0;
+  let moved = position;
+  for (const part of operation) {
+    if (index >= position) break;
+
+    if (typeof part === 'string') {
+      moved += part.length;
+    } else if (part > 0) {
+      index += part;
+    } else {
+      moved -= Math.min(-part, position - index);
+      index -= part;
+    }
+  }
+  return moved;
+}
@@ -0,0 +1,335 @@
+/**
+ * Note Queries
+ * Parses filters like `template = npc AND fields.Alignment contains "evil" AND tag:waterdeep`
+ * and checks notes against them
+ */
+
+import { getFieldDef, isEmptyValue, parseFieldValue, formatFieldValue, parseNumber } from './fields.js';
+import { tagAncestors } from './tags.js';
+
+const OPERATORS = ['=', '!=', '<', '<=', '>', '>=', 'contains'];
+const KEYWORDS = ['and', 'or', 'not'];
+
+// Note properties a condition can name besides fields.X
+const PROPERTIES = ['template', 'tag', 'name', 'folder', 'active'];
+
+// Thrown with the character offset of the problem, so the UI can point at it
+export class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QueryError';
+    this.position = position;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const { value, end } = readString(text, i);
+      tokens.push({ type: 'string', value, position: i });
+      i = end;
+    } else if (/[=!<>:]/.test(char)) {
+      const op = text.slice(i, i + 2);
+      if (['!=', '<=', '>='].includes(op)) {
+        tokens.push({ type: 'op', value: op, position: i });
+        i += 2;
+      } else if (char === '!') {
+        throw new QueryError('"!" must be followed by "=" (use NOT to negate)', i);
+      } else {
+        // "tag:x" reads as "tag = x"
+        tokens.push({ type: 'op', value: char === ':' ? '=' : char, position: i });
+        i++;
+      }
+    } else {
+      const match = text.slice(i).match(/^[^\s()"=!<>:]+/);
+      let value = match[0];
+      const position = i;
+      i += value.length;
+
+      // fields."Field With Spaces"
+      if (/^fields\.$/i.test(value) && text[i] === '"') {
+        const string = readString(text, i);
+        value += string.value;
+        i = string.end;
+      }
+      tokens.push({ type: 'word', value, position });
+    }
+  }
+
+  return tokens;
+}
+
+function readString(text, start) {
+  let value = '';
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\' && i + 1 < text.length) {
+      value += text[++i];
+    } else if (text[i] === '"') {
+      return { value, end: i + 1 };
+    } else {
+      value += text[i];
+    }
+  }
+  throw new QueryError('A quoted value is missing its closing "', start);
+}
+
+// Recursive descent over the tokens: OR binds loosest, then AND (also implied
+// between two conditions), then NOT
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.tokens = tokenize(text);
+    this.index = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isKeyword(token, keyword) {
+    return token?.type === 'word' && token.value.toLowerCase() === keyword;
+  }
+
+  parse() {
+    if (this.tokens.length === 0) return { type: 'all' };
+
+    const node = this.parseOr();
+    const extra = this.peek();
+    if (extra) {
+      throw new QueryError(extra.type === ')' ? 'There is a ")" without a matching "("' : `Unexpected "${this.tokenText(extra)}"`, extra.position);
+    }
+    return node;
+  }
+
+  parseOr() {
+    const terms = [this.parseAnd()];
+    while (this.isKeyword(this.peek(), 'or')) {
+      this.next();
+      terms.push(this.parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  }
+
+  parseAnd() {
+    const terms = [this.parseNot()];
+    for (let token = this.peek(); token && token.type !== ')' && !this.isKeyword(token, 'or'); token = this.peek()) {
+      if (this.isKeyword(token, 'and')) {
+        this.next();
+      }
+      terms.push(this.parseNot());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  }
+
+  parseNot() {
+    if (this.isKeyword(this.peek(), 'not')) {
+      this.next();
+      return { type: 'not', term: this.parseNot() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    if (!token) {
+      throw new QueryError('The query ends where a condition was expected', this.text.length);
+    }
+
+    if (token.type === '(') {
+      const node = this.parseOr();
+      const close = this.next();
+      if (close?.type !== ')') {
+        throw new QueryError('There is a "(" without a matching ")"', token.position);
+      }
+      return node;
+    }
+
+    if (token.type !== 'word' || KEYWORDS.includes(token.value.toLowerCase())) {
+      throw new QueryError(`Expected a condition but found "${this.tokenText(token)}"`, token.position);
+    }
+
+    return this.parseCondition(token);
+  }
+
+  parseCondition(token) {
+    const target = this.parseTarget(token);
+    let opToken = this.peek();
+
+    if (opToken?.type === 'word' && opToken.value.toLowerCase() === 'contains') {
+      opToken = { ...opToken, type: 'op', value: 'contains' };
+    }
+
+    // A field on its own matches notes where it is filled in
+    if (opToken?.type !== 'op') {
+      if (target.field) return { type: 'has', field: target.field };
+      throw new QueryError(`"${token.value}" needs a comparison, like ${token.value} = something`, token.position);
+    }
+    this.next();
+
+    const valueToken = this.next();
+    if (!valueToken || (valueToken.type !== 'word' && valueToken.type !== 'string')) {
+      throw new QueryError(`"${opToken.value}" needs a value after it`, opToken.position);
+    }
+
+    return { type: 'compare', ...target, op: opToken.value, value: valueToken.value };
+  }
+
+  // fields.X, a bare field name that isn't a property, or a property
+  parseTarget(token) {
+    const match = token.value.match(/^fields\.(.+)$/i);
+    if (match) return { field: match[1] };
+
+    const property = token.value.toLowerCase();
+    if (PROPERTIES.includes(property)) return { property };
+    if (OPERATORS.includes(property)) {
+      throw new QueryError(`Expected a condition but found "${token.value}"`, token.position);
+    }
+    return { field: token.value };
+  }
+
+  tokenText(token) {
+    return token.type === 'string' ? `"${token.value}"` : token.value || token.type;
+  }
+}
+
+// Parse a query into a tree of conditions. An empty query matches every note.
+export function parseQuery(text) {
+  return new Parser(String(text || '')).parse();
+}
+
+function normalize(text) {
+  return String(text).trim().toLowerCase();
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string' || value.trim() === '') return NaN;
+  return parseNumber(value);
+}
+
+// Numbers compare as numbers, everything else alphabetically without case
+export function compareValues(a, b) {
+  const numberA = toNumber(a);
+  const numberB = toNumber(b);
+  if (!Number.isNaN(numberA) && !Number.isNaN(numberB)) {
+    return numberA - numberB;
+  }
+  return String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '=': return compareValues(actual, expected) === 0;
+    case '!=': return compareValues(actual, expected) !== 0;
+    case '<': return compareValues(actual, expected) < 0;
+    case '<=': return compareValues(actual, expected) <= 0;
+    case '>': return compareValues(actual, expected) > 0;
+    case '>=': return compareValues(actual, expected) >= 0;
+    case 'contains': return normalize(actual).includes(normalize(expected));
+    default: return false;
+  }
+}
+
+// "!=" is the opposite of "=", so notes without a value match it
+function compareAny(values, op, expected) {
+  if (op === '!=') return !values.some(value => compare(value, '=', expected));
+  return values.some(value => compare(value, op, expected));
+}
+
+// Field names match without case, as they're typed by hand
+export function findFieldKey(fields, name) {
+  if (!fields) return null;
+  if (name in fields) return name;
+  return Object.keys(fields).find(key => normalize(key) === normalize(name)) || null;
+}
+
+// The values a field is compared by: each choice of a multi-select, linked notes
+// by name, and the query's value read as the field's type where it can be
+function fieldValues(note, name, expected, getNodeName) {
+  const key = findFieldKey(note.content.fields, name);
+  if (key === null) return { values: [], expected };
+
+  const def = getFieldDef(note.content, key);
+  const raw = note.content.fields[key];
+  if (isEmptyValue(raw) && def.type !== 'checkbox') return { values: [], expected };
+
+  switch (def.type) {
+    case 'multiselect':
+      return { values: Array.isArray(raw) ? raw : [String(raw)], expected };
+    case 'checkbox':
+    case 'date': {
+      const parsed = parseFieldValue(def, expected);
+      return { values: [formatFieldValue(def, raw)], expected: parsed.error ? expected : formatFieldValue(def, parsed.value) };
+    }
+    case 'number':
+      return { values: [raw], expected };
+    default:
+      return { values: [formatFieldValue(def, raw, { getNodeName })], expected };
+  }
+}
+
+// Check one note against a parsed query. note is { node, content, template, path },
+// where template is the detected template and path the note's folders.
+export function matchesQuery(query, note, { getNodeName = () => null } = {}) {
+  switch (query.type) {
+    case 'all':
+      return true;
+    case 'and':
+      return query.terms.every(term => matchesQuery(term, note, { getNodeName }));
+    case 'or':
+      return query.terms.some(term => matchesQuery(term, note, { getNodeName }));
+    case 'not':
+      return !matchesQuery(query.term, note, { getNodeName });
+    case 'has': {
+      const key = findFieldKey(note.content.fields, query.field);
+      return key !== null && !isEmptyValue(note.content.fields[key]);
+    }
+    case 'compare':
+      break;
+    default:
+      return false;
+  }
+
+  if (query.field) {
+    const { values, expected } = fieldValues(note, query.field, query.value, getNodeName);
+    return compareAny(values, query.op, expected);
+  }
+
+  switch (query.property) {
+    case 'template': {
+      const template = note.template;
+      return compareAny(template ? [template.id, template.name] : [], query.op, query.value);
+    }
+    case 'tag': {
+      // tag:faction also finds notes tagged faction/harpers
+      const tags = note.content.tags || [];
+      return compareAny(query.op === 'contains' ? tags : [...tags, ...tags.flatMap(tagAncestors)], query.op, query.value);
+    }
+    case 'name':
+      return compareAny([note.node.name], query.op, query.value);
+    case 'folder':
+      return compareAny(note.path.map(folder => folder.name), query.op, query.value);
+    case 'active': {
+      const parsed = parseFieldValue({ type: 'checkbox' }, query.value);
+      return compareAny([note.node.active ? 'Yes' : 'No'], query.op,
+        parsed.error ? query.value : formatFieldValue({ type: 'checkbox' }, parsed.value));
+    }
+    default:
+      return false;
+  }
+}
@@ -0,0 +1,346 @@
+/**
+ * Export Schema
+ * Validation and version migrations for vault backups and subtree exports
+ */
+
+import { FIELD_TYPES, OPTION_TYPES } from './fields.js';
+import { isMap } from './maps.js';
+
+// Problems reported per file before giving up on listing more
+const MAX_PROBLEMS = 20;
+
+// Each migration upgrades an export from the previous version to its key
+const MIGRATIONS = {
+  // v2 added the "active" flag behind Active Notes
+  2: (data) => ({
+    ...data,
+    nodes: data.nodes.map(node => (
+      node && typeof node === 'object' && node.active === undefined ? { ...node, active: false } : node
+    ))
+  }),
+  // v3 (search index) and v4 (version history) added stores that aren't exported
+  3: (data) => data,
+  4: (data) => data,
+  // v5 added templates; older files have none, so the vault's own are kept
+  5: (data) => data,
+  // v6 added saved queries, kept the same way
+  6: (data) => data,
+  // v7 added the combat tracker's encounter store, which isn't exported
+  7: (data) => data,
+  // v8 added session journals; older files have none
+  8: (data) => data,
+  // v9 added this device's sync bookkeeping, which isn't exported
+  9: (data) => data,
+  // v10 added attachments; older files have none
+  10: (data) => data
+};
+
+const NODE_FIELDS = {
+  id: { type: 'id', required: true },
+  parentId: { type: 'id', nullable: true, required: true },
+  type: { type: 'enum', values: ['folder', 'leaf'], required: true },
+  name: { type: 'string', required: true },
+  orderIndex: { type: 'number', required: true },
+  active: { type: 'boolean' },
+  createdAt: { type: 'number' },
+  updatedAt: { type: 'number' },
+  deletedAt: { type: 'number' },
+  trashRootId: { type: 'id' }
+};
+
+const CONTENT_FIELDS = {
+  nodeId: { type: 'id', required: true },
+  markdown: { type: 'string' },
+  fields: { type: 'fields' },
+  fieldTypes: { type: 'fieldTypes' },
+  tags: { type: 'strings' },
+  links: { type: 'strings' },
+  icon: { type: 'string' },
+  map: { type: 'map', nullable: true },
+  updatedAt: { type: 'number' }
+};
+
+const TEMPLATE_FIELDS = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true },
+  icon: { type: 'string', required: true },
+  fields: { type: 'templateFields', required: true },
+  tags: { type: 'strings', required: true },
+  orderIndex: { type: 'number', required: true },
+  createdAt: { type: 'number' },
+  updatedAt: { type: 'number' }
+};
+
+const QUERY_FIELDS = {
+  id: { type: 'id', required: true },
+  name: { type: 'string', required: true },
+  query: { type: 'string', required: true },
+  sortBy: { type: 'string' },
+  sortDescending: { type: 'boolean' },
+  orderIndex: { type: 'number', required: true },
+  createdAt: { type: 'number' },
+  updatedAt: { type: 'number' }
+};
+
+const SESSION_FIELDS = {
+  id: { type: 'id', required: true },
+  noteId: { type: 'id', required: true },
+  startedAt: { type: 'number', required: true },
+  endedAt: { type: 'number', nullable: true },
+  events: { type: 'sessionEvents', required: true }
+};
+
+const ATTACHMENT_FIELDS = {
+  id: { type: 'id', required: true },
+  noteId: { type: 'id', required: true },
+  name: { type: 'id', required: true },
+  type: { type: 'id', required: true },
+  size: { type: 'number' },
+  width: { type: 'number', nullable: true },
+  height: { type: 'number', nullable: true },
+  createdAt: { type: 'number' },
+  data: { type: 'base64', required: true },
+  thumbnail: { type: 'base64', nullable: true },
+  thumbnailType: { type: 'string', nullable: true }
+};
+
+const SESSION_ACTIONS = ['opened', 'activated'];
+
+const TYPE_NAMES = {
+  id: 'a non-empty string',
+  string: 'a string',
+  number: 'a number',
+  boolean: 'true or false',
+  fields: 'an object of text, number, yes/no or list values',
+  fieldTypes: `an object of { type } entries, where type is one of ${Object.keys(FIELD_TYPES).join(', ')}`,
+  strings: 'a list of strings',
+  templateFields: 'a list of { name, type, value } entries',
+  sessionEvents: `a list of { nodeId, action, at } entries, where action is ${SESSION_ACTIONS.join(' or ')}`,
+  base64: 'a base64 string',
+  map: 'a map of { image, fog, layers, pins, reveals }, with positions between 0 and 1'
+};
+
+// Thrown with every problem found, so the UI can list them
+export class SchemaError extends Error {
+  constructor(problems) {
+    super(problems.length === 1
+      ? problems[0]
+      : `${problems[0]} (and ${problems.length - 1} more problem${problems.length > 2 ? 's' : ''})`);
+    this.name = 'SchemaError';
+    this.problems = problems;
+  }
+}
+
+// Upgrade { version, nodes, contents } to targetVersion. Files without a version are v1.
+export function migrateExport(data, targetVersion) {
+  const version = data.version === undefined ? 1 : data.version;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new SchemaError([`Unknown export version: ${JSON.stringify(data.version)}`]);
+  }
+  if (version > targetVersion) {
+    throw new SchemaError([`This file comes from a newer version of the app (export version ${version}, this app reads up to ${targetVersion})`]);
+  }
+
+  let migrated = data;
+  for (let next = version + 1; next <= targetVersion; next++) {
+    if (MIGRATIONS[next]) {
+      migrated = MIGRATIONS[next](migrated);
+    }
+  }
+  return { ...migrated, version: targetVersion };
+}
+
+function checkValue(value, rule) {
+  if (value === null) return Boolean(rule.nullable);
+
+  switch (rule.type) {
+    case 'id': return typeof value === 'string' && value.length > 0;
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'enum': return rule.values.includes(value);
+    case 'strings': return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'fields':
+      return isPlainObject(value) && Object.values(value).every(isFieldValue);
+    case 'fieldTypes':
+      return isPlainObject(value) && Object.values(value).every(isFieldDef);
+    case 'templateFields':
+      return Array.isArray(value) && value.every(item =>
+        isFieldDef({ type: 'text', ...item }) && typeof item.name === 'string' && isFieldValue(item.value));
+    case 'sessionEvents':
+      return Array.isArray(value) && value.every(item => isPlainObject(item) &&
+        typeof item.nodeId === 'string' && SESSION_ACTIONS.includes(item.action) && Number.isFinite(item.at));
+    case 'map': return isMap(value);
+    case 'base64': return typeof value === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(value) && value.length % 4 === 0;
+    default: return false;
+  }
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isFieldValue(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value) ||
+    (Array.isArray(value) && value.every(item => typeof item === 'string'));
+}
+
+function isFieldDef(def) {
+  return isPlainObject(def) && Boolean(FIELD_TYPES[def.type]) &&
+    (def.options === undefined ||
+      (OPTION_TYPES.includes(def.type) && Array.isArray(def.options) && def.options.every(item => typeof item === 'string')));
+}
+
+function describeRule(rule) {
+  if (rule.type === 'enum') {
+    return rule.values.map(value => `"${value}"`).join(' or ');
+  }
+  return `${TYPE_NAMES[rule.type]}${rule.nullable ? ' or null' : ''}`;
+}
+
+function checkRecord(record, fields, label, problems) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    problems.push(`${label}: must be an object`);
+    return false;
+  }
+
+  let valid = true;
+  for (const [key, rule] of Object.entries(fields)) {
+    if (record[key] === undefined) {
+      if (rule.required) {
+        problems.push(`${label}: "${key}" is missing`);
+        valid = false;
+      }
+    } else if (!checkValue(record[key], rule)) {
+      problems.push(`${label}: "${key}" must be ${describeRule(rule)}`);
+      valid = false;
+    }
+  }
+  return valid;
+}
+
+function nodeLabel(node, index) {
+  const name = node && typeof node.name === 'string' ? ` "${node.name}"` : '';
+  const id = node && typeof node.id === 'string' ? ` (id ${node.id})` : '';
+  return `Node ${index + 1}${name}${id}`;
+}
+
+// Optional lists of named records with unique ids, like templates
+function checkList(records, key, kind, fields, problems) {
+  if (records === undefined) return;
+  if (!Array.isArray(records)) {
+    problems.push(`"${key}" must be a list`);
+    return;
+  }
+
+  const ids = new Set();
+  records.forEach((record, index) => {
+    const name = record && typeof record.name === 'string' ? ` "${record.name}"` : '';
+    const label = `${kind} ${index + 1}${name}`;
+    if (!checkRecord(record, fields, label, problems)) return;
+
+    if (ids.has(record.id)) {
+      problems.push(`${label}: id ${record.id} is used by more than one ${kind.toLowerCase()}`);
+    }
+    ids.add(record.id);
+  });
+}
+
+// Check { nodes, contents, templates, queries, sessions, attachments } after migration. With partial, nodes may hang off parents
+// outside the file (a subtree export). Throws a SchemaError listing the problems.
+export function validateExport(data, { partial = false } = {}) {
+  const problems = [];
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.nodes)) {
+    throw new SchemaError(['The file has no "nodes" list']);
+  }
+  if (data.contents !== undefined && !Array.isArray(data.contents)) {
+    throw new SchemaError(['"contents" must be a list']);
+  }
+
+  const nodes = new Map();
+  const invalidIds = new Set(); // Already reported, so their content isn't flagged again
+  data.nodes.forEach((node, index) => {
+    const label = nodeLabel(node, index);
+    if (!checkRecord(node, NODE_FIELDS, label, problems)) {
+      if (node && typeof node.id === 'string') invalidIds.add(node.id);
+      return;
+    }
+
+    if (nodes.has(node.id)) {
+      problems.push(`${label}: id is used by more than one node`);
+      return;
+    }
+    nodes.set(node.id, { node, label });
+  });
+
+  for (const { node, label } of nodes.values()) {
+    const parent = node.parentId === null ? null : nodes.get(node.parentId);
+
+    if (node.parentId !== null && !parent && !partial) {
+      problems.push(`${label}: parent ${node.parentId} is not in the file`);
+    } else if (parent && parent.node.type !== 'folder') {
+      problems.push(`${label}: parent "${parent.node.name}" is a note, not a folder`);
+    }
+
+    // A parent chain that comes back to the node would hide it forever
+    const seen = new Set();
+    for (let current = parent; current && !seen.has(current.node.id); current = nodes.get(current.node.parentId)) {
+      if (current.node.id === node.id) {
+        problems.push(`${label}: it is inside itself (its folders form a loop)`);
+        break;
+      }
+      seen.add(current.node.id);
+    }
+  }
+
+  const contentIds = new Set();
+  (data.contents || []).forEach((content, index) => {
+    const owner = content && nodes.get(content.nodeId);
+    const label = owner
+      ? `Content of "${owner.node.name}" (id ${content.nodeId})`
+      : `Content ${index + 1}${content && typeof content.nodeId === 'string' ? ` (node ${content.nodeId})` : ''}`;
+    if (!checkRecord(content, CONTENT_FIELDS, label, problems) || invalidIds.has(content.nodeId)) return;
+
+    if (!owner) {
+      problems.push(`${label}: its note is not in the file`);
+    } else if (owner.node.type !== 'leaf') {
+      problems.push(`${label}: belongs to a folder, only notes have content`);
+    } else if (contentIds.has(content.nodeId)) {
+      problems.push(`${label}: the note has more than one content record`);
+    }
+    contentIds.add(content.nodeId);
+  });
+
+  checkList(data.templates, 'templates', 'Template', TEMPLATE_FIELDS, problems);
+  checkList(data.queries, 'queries', 'Saved query', QUERY_FIELDS, problems);
+  checkList(data.sessions, 'sessions', 'Session', SESSION_FIELDS, problems);
+  checkList(data.attachments, 'attachments', 'Attachment', ATTACHMENT_FIELDS, problems);
+
+  // Embeds find attachments by name, so each belongs to a note in the file and has a name of its own
+  const names = new Set();
+  (Array.isArray(data.attachments) ? data.attachments : []).forEach((attachment, index) => {
+    if (!attachment || typeof attachment.name !== 'string' || typeof attachment.noteId !== 'string') return;
+
+    const label = `Attachment ${index + 1} "${attachment.name}"`;
+    const owner = nodes.get(attachment.noteId);
+    if (!owner && !invalidIds.has(attachment.noteId)) {
+      problems.push(`${label}: its note ${attachment.noteId} is not in the file`);
+    } else if (owner && owner.node.type !== 'leaf') {
+      problems.push(`${label}: belongs to a folder, only notes have attachments`);
+    }
+    if (names.has(attachment.name.toLowerCase())) {
+      problems.push(`${label}: the name is used by more than one attachment`);
+    }
+    names.add(attachment.name.toLowerCase());
+  });
+
+  if (problems.length > MAX_PROBLEMS) {
+    const hidden = problems.length - MAX_PROBLEMS;
+    problems.splice(MAX_PROBLEMS, hidden, `…and ${hidden} more`);
+  }
+  if (problems.length > 0) {
+    throw new SchemaError(problems);
+  }
+}
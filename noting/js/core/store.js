@@ -4,6 +4,56 @@
  */
 
 import { db } from './db.js';
+import { markdown } from './markdown.js';
+import { UndoStack } from './undo.js';
+import { FIELD_TYPES, OPTION_TYPES, getFieldDef, isEmptyValue, parseFieldValue, formatFieldValue, fieldTypesOf } from './fields.js';
+import { parseQuery, matchesQuery, findFieldKey } from './query.js';
+import { normalizeTag, isTagWithin, renameTagPrefix } from './tags.js';
+import { readCombatStats, sortCombatants } from './combat.js';
+import { MAX_ATTACHMENT_SIZE, guessType, cleanName, nameForFile, uniqueName, formatSize, createThumbnail } from './attachments.js';
+import { createMap, pinnedNotes } from './maps.js';
+
+// Bump when the entry format or tokenization changes so stale persisted entries get rebuilt
+// (v2: entries also carry the note's outgoing links, for backlinks;
+// v3: and the note's tags as a list, for the tag browser)
+const SEARCH_INDEX_VERSION = 3;
+
+// Ignored in multi-word queries so "the NPC who owes the party" still narrows results
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+  'his', 'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'them',
+  'they', 'to', 'was', 'were', 'who', 'whom', 'with'
+]);
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Saves closer together than this are coalesced into one revision
+const REVISION_INTERVAL = 5 * 60 * 1000;
+// Retention: every revision from the last day, one per hour for a week,
+// then one per day, dropping anything past the cap or older than 90 days
+const MAX_REVISIONS = 100;
+const MAX_REVISION_AGE = 90 * DAY;
+
+// The combat tracker keeps a single encounter
+const ENCOUNTER_ID = 'current';
+
+// Notes tagged with one of these (or a tag under it) join encounters as players
+const PLAYER_TAGS = ['player', 'pc'];
+
+// New session notes go in this root folder
+const SESSIONS_FOLDER = 'Sessions';
+
+// Content properties captured by undo steps for note edits
+const UNDOABLE_CONTENT = ['icon', 'markdown', 'fields', 'fieldTypes', 'tags', 'links', 'map'];
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
 
 // Event emitter for state changes
 class EventEmitter {
@@ -32,22 +82,107 @@ class EventEmitter {
   }
 }
 
+// The live nodes by id, plus an index of each folder's children (null for the top
+// level) kept up to date on set and delete, so listing a folder doesn't scan the
+// whole vault. A folder's sorted children are cached until one of them changes.
+class NodeMap extends Map {
+  constructor() {
+    super();
+    this.parents = new Map(); // Node id -> parent id it's indexed under
+    this.childIds = new Map(); // Parent id -> Set of child ids
+    this.sorted = new Map(); // Parent id -> children ordered by orderIndex
+  }
+
+  set(id, node) {
+    this.unlink(id);
+    super.set(id, node);
+    const parentId = node.parentId ?? null;
+    this.parents.set(id, parentId);
+    if (!this.childIds.has(parentId)) {
+      this.childIds.set(parentId, new Set());
+    }
+    this.childIds.get(parentId).add(id);
+    this.sorted.delete(parentId);
+    return this;
+  }
+
+  delete(id) {
+    this.unlink(id);
+    return super.delete(id);
+  }
+
+  clear() {
+    super.clear();
+    this.parents.clear();
+    this.childIds.clear();
+    this.sorted.clear();
+  }
+
+  // Shared, don't modify: Store.getChildren hands out copies
+  childrenOf(parentId) {
+    let children = this.sorted.get(parentId);
+    if (!children) {
+      children = Array.from(this.childIds.get(parentId) || [], id => this.get(id))
+        .sort((a, b) => a.orderIndex - b.orderIndex);
+      this.sorted.set(parentId, children);
+    }
+    return children;
+  }
+
+  // Indexed by the parent recorded on set, since nodes are sometimes edited in place
+  unlink(id) {
+    if (!this.parents.has(id)) return;
+    const parentId = this.parents.get(id);
+    const siblings = this.childIds.get(parentId);
+    siblings.delete(id);
+    if (siblings.size === 0) {
+      this.childIds.delete(parentId);
+    }
+    this.parents.delete(id);
+    this.sorted.delete(parentId);
+  }
+}
+
 class Store extends EventEmitter {
   constructor() {
     super();
-    this.nodes = new Map(); // Flat map of all nodes by id
+    this.nodes = new NodeMap(); // Flat map of all live nodes by id, indexed by parent
+    this.trash = new Map(); // Soft-deleted nodes by id (whole subtrees, see deleteNode)
     this.rootNodes = []; // Array of root node ids
     this.expandedNodes = new Set(); // Set of expanded folder ids
     this.selectedNodeId = null;
     this.currentContent = null;
     this.searchIndex = new Map(); // In-memory search index
+    this.contentIndex = new Map(); // Full-text entries by node id (mirrors the searchIndex store)
+    this.termIndex = new Map(); // Inverted index: term -> Set of node ids
+    this.backlinks = new Map(); // Target node id -> Set of node ids linking to it
+    this.tagIndex = new Map(); // Tag -> Set of node ids tagged with it
+    this.lastRevisions = new Map(); // Node id -> newest revision (cached to keep saves cheap)
+    this.undoStack = new UndoStack(); // Undo/redo history of tree and content changes
+    this.templates = new Map(); // Note templates by id
+    this.queries = new Map(); // Saved queries by id
+    this.encounter = null; // The combat tracker's encounter
+    this.sessions = new Map(); // Session journal records by id
+    this.attachments = new Map(); // Attachment records (with their Blobs) by id
+    this.attachmentUrls = new Map(); // Object URLs handed out, by attachment id (plus ":thumbnail")
     this.initialized = false;
+    this.closed = false; // Set once another tab has upgraded or deleted the open vault
+
+    db.onClosed = () => {
+      this.closed = true;
+      this.emit('vaultClosed');
+    };
   }
 
-  // Initialize store from database
-  async init() {
-    await db.init();
+  // Initialize store from database (the given vault's, see core/vaults.js)
+  async init(dbName) {
+    await db.init(dbName);
+    await this.loadTemplates();
+    await this.loadQueries();
+    await this.loadEncounter();
+    await this.loadSessions();
     await this.loadNodes();
+    await this.loadAttachments();
     this.initialized = true;
     this.emit('initialized');
   }
@@ -56,9 +191,14 @@ class Store extends EventEmitter {
   async loadNodes() {
     const nodes = await db.getAllNodes();
     this.nodes.clear();
+    this.trash.clear();
     this.rootNodes = [];
 
     for (const node of nodes) {
+      if (node.deletedAt) {
+        this.trash.set(node.id, node);
+        continue;
+      }
       this.nodes.set(node.id, node);
       if (!node.parentId) {
         this.rootNodes.push(node.id);
@@ -73,6 +213,7 @@ class Store extends EventEmitter {
     });
 
     this.buildSearchIndex();
+    await this.loadContentIndex();
     this.emit('nodesChanged');
   }
 
@@ -89,19 +230,267 @@ class Store extends EventEmitter {
     }
   }
 
-  // Search nodes
+  // Load the persisted full-text index, indexing any note whose entry is missing or stale
+  async loadContentIndex() {
+    const entries = await db.getAllSearchEntries();
+    this.contentIndex.clear();
+    this.termIndex.clear();
+    this.backlinks.clear();
+    this.tagIndex.clear();
+
+    for (const entry of entries) {
+      if (entry.version === SEARCH_INDEX_VERSION && this.nodes.has(entry.nodeId)) {
+        this.addToTermIndex(entry);
+      }
+    }
+
+    const missing = Array.from(this.nodes.values())
+      .filter(node => node.type === 'leaf' && !this.contentIndex.has(node.id));
+    if (missing.length === 0) return;
+
+    const contents = new Map((await db.getAllContent()).map(content => [content.nodeId, content]));
+    for (const node of missing) {
+      const content = contents.get(node.id);
+      if (content) {
+        await this.indexContent(content);
+      }
+    }
+  }
+
+  // Update the full-text entry for one note, in memory and in the database
+  async indexContent(content) {
+    const fields = Object.keys(content.fields || {})
+      .filter(key => !isEmptyValue(content.fields[key]))
+      .map(key => [key, this.formatField(content, key)]);
+    const text = {
+      markdown: content.markdown || '',
+      fields: fields.map(([key, value]) => `${key}: ${value}`).join('\n'),
+      tags: (content.tags || []).join(' ')
+    };
+
+    // A map's pins link to the notes they mark, like [[links]] do
+    const links = [...new Set([...(content.links || []), ...pinnedNotes(content.map)])];
+    const tags = content.tags || [];
+
+    const previous = this.contentIndex.get(content.nodeId);
+    if (previous && previous.version === SEARCH_INDEX_VERSION &&
+        previous.text.markdown === text.markdown &&
+        previous.text.fields === text.fields &&
+        previous.tags.join('\n') === tags.join('\n') &&
+        previous.links.join() === links.join()) {
+      return;
+    }
+
+    const terms = new Set([
+      ...tokenize(text.markdown),
+      ...tokenize(fields.map(([, value]) => value).join(' ')),
+      ...tokenize(text.tags)
+    ]);
+
+    const entry = {
+      nodeId: content.nodeId,
+      version: SEARCH_INDEX_VERSION,
+      terms: Array.from(terms),
+      text,
+      links: [...links],
+      tags: [...tags],
+      updatedAt: Date.now()
+    };
+
+    this.removeFromContentIndex(content.nodeId);
+    this.addToTermIndex(entry);
+    await db.saveSearchEntry(entry);
+  }
+
+  addToTermIndex(entry) {
+    this.contentIndex.set(entry.nodeId, entry);
+    for (const term of entry.terms) {
+      if (!this.termIndex.has(term)) {
+        this.termIndex.set(term, new Set());
+      }
+      this.termIndex.get(term).add(entry.nodeId);
+    }
+    for (const targetId of entry.links) {
+      if (!this.backlinks.has(targetId)) {
+        this.backlinks.set(targetId, new Set());
+      }
+      this.backlinks.get(targetId).add(entry.nodeId);
+    }
+    for (const tag of entry.tags) {
+      if (!this.tagIndex.has(tag)) {
+        this.tagIndex.set(tag, new Set());
+      }
+      this.tagIndex.get(tag).add(entry.nodeId);
+    }
+  }
+
+  removeFromContentIndex(nodeId) {
+    const entry = this.contentIndex.get(nodeId);
+    if (!entry) return;
+
+    for (const term of entry.terms) {
+      const nodeIds = this.termIndex.get(term);
+      if (!nodeIds) continue;
+      nodeIds.delete(nodeId);
+      if (nodeIds.size === 0) {
+        this.termIndex.delete(term);
+      }
+    }
+    for (const targetId of entry.links) {
+      this.backlinks.get(targetId)?.delete(nodeId);
+    }
+    for (const tag of entry.tags) {
+      const nodeIds = this.tagIndex.get(tag);
+      if (!nodeIds) continue;
+      nodeIds.delete(nodeId);
+      if (nodeIds.size === 0) {
+        this.tagIndex.delete(tag);
+      }
+    }
+    this.contentIndex.delete(nodeId);
+  }
+
+  // Notes whose links point at the given node
+  getBacklinks(nodeId) {
+    const sourceIds = this.backlinks.get(nodeId) || new Set();
+    return Array.from(sourceIds)
+      .map(id => this.nodes.get(id))
+      .filter(Boolean)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Find the node a [[wiki link]] points at, by name or by a trailing "Folder/Name" path.
+  // Notes win over folders with the same name.
+  resolveLink(target) {
+    const node = this.findLinkTarget(target);
+    if (node || !target.includes('#')) return node;
+
+    // Obsidian-style [[Note#Heading]] points into a note
+    return this.findLinkTarget(target.slice(0, target.indexOf('#')));
+  }
+
+  findLinkTarget(target) {
+    const wanted = target.trim().toLowerCase();
+    const parts = wanted.split('/').map(part => part.trim()).filter(Boolean);
+    let best = null;
+
+    for (const node of this.nodes.values()) {
+      const name = node.name.toLowerCase();
+      let matches = name === wanted;
+
+      if (!matches && parts.length > 1 && name === parts[parts.length - 1]) {
+        const folders = this.getNodePath(node.id).slice(0, -1).map(n => n.name.toLowerCase());
+        const wantedFolders = parts.slice(0, -1);
+        matches = wantedFolders.every((part, i) =>
+          folders[folders.length - wantedFolders.length + i] === part
+        );
+      }
+
+      if (matches && (!best || (best.type === 'folder' && node.type === 'leaf'))) {
+        best = node;
+      }
+    }
+
+    return best;
+  }
+
+  resolveWikiLinks(text) {
+    const ids = new Set();
+    for (const { target } of markdown.extractWikiLinks(text)) {
+      const node = this.resolveLink(target);
+      if (node) ids.add(node.id);
+    }
+    return ids;
+  }
+
+  // Recompute a note's links after its markdown changes: links that came from
+  // [[wiki links]] follow the text, links added by hand are left alone
+  syncWikiLinks(content, newMarkdown) {
+    const previous = this.resolveWikiLinks(content.markdown);
+    const next = this.resolveWikiLinks(newMarkdown);
+
+    const links = (content.links || []).filter(id => !previous.has(id) || next.has(id));
+    for (const id of next) {
+      if (id !== content.nodeId && !links.includes(id)) {
+        links.push(id);
+      }
+    }
+    return links;
+  }
+
+  // Rewrite [[Old Name]] to [[New Name]] in every note that links to a renamed node
+  async renameWikiLinks(nodeId, oldName, newName) {
+    const pattern = new RegExp(`\\[\\[(\\s*(?:[^[\\]|]*/\\s*)?)${escapeRegExp(oldName)}\\s*(\\|[^[\\]]*)?\\]\\]`, 'gi');
+
+    for (const sourceId of Array.from(this.backlinks.get(nodeId) || [])) {
+      const content = sourceId === this.selectedNodeId && this.currentContent
+        ? this.currentContent
+        : await db.getContent(sourceId);
+      const renamed = (content.markdown || '').replace(pattern, (_, folders, alias) =>
+        `[[${folders}${newName}${alias || ''}]]`
+      );
+      if (renamed === content.markdown) continue;
+
+      const before = content.markdown;
+      const updated = { ...content, markdown: renamed, updatedAt: Date.now() };
+      await this.recordRevision(content, updated);
+      await this.saveContent(updated);
+
+      if (sourceId === this.selectedNodeId) {
+        this.currentContent = updated;
+        this.emit('contentReplaced', sourceId);
+      }
+
+      // Part of the rename's undo step (see updateNode)
+      this.undoStack.record({
+        label: `Update links in "${this.nodes.get(sourceId)?.name || 'note'}"`,
+        undo: () => this.replaceContent(sourceId, { markdown: before }),
+        redo: () => this.replaceContent(sourceId, { markdown: renamed })
+      });
+    }
+  }
+
+  getQueryTerms(query) {
+    const terms = Array.from(new Set(tokenize(query)));
+    const meaningful = terms.filter(term => !STOP_WORDS.has(term));
+    return meaningful.length > 0 ? meaningful : terms;
+  }
+
+  // Search nodes by name, path, note body, field values and tags
   search(query, limit = 20) {
     if (!query.trim()) return [];
 
     const lowerQuery = query.toLowerCase();
+    const terms = this.getQueryTerms(query);
+    const contentMatches = this.matchContent(terms);
     const results = [];
 
     for (const [id, indexed] of this.searchIndex) {
-      const score = this.calculateSearchScore(lowerQuery, indexed);
-      if (score > 0) {
-        const node = this.nodes.get(id);
-        results.push({ node, score, path: this.getNodePath(id) });
+      const nameScore = this.calculateSearchScore(lowerQuery, indexed);
+      const contentMatch = contentMatches.get(id);
+
+      // Every query term has to appear somewhere in the note
+      const allTermsMatch = terms.length > 0 && terms.every(term =>
+        indexed.name.includes(term) ||
+        indexed.path.includes(term) ||
+        (contentMatch && contentMatch.has(term))
+      );
+
+      if (nameScore === 0 && !allTermsMatch) continue;
+
+      let score = nameScore;
+      if (allTermsMatch) {
+        score += 5 + this.calculateContentScore(id, contentMatch);
       }
+
+      const node = this.nodes.get(id);
+      results.push({
+        node,
+        score,
+        path: this.getNodePath(id),
+        terms,
+        snippet: contentMatch ? this.getSnippet(id, terms) : null
+      });
     }
 
     // Sort by score (higher is better)
@@ -109,6 +498,73 @@ class Store extends EventEmitter {
     return results.slice(0, limit);
   }
 
+  // Look up query terms (as word prefixes) in the inverted index.
+  // Returns node id -> Map of query term -> weight (exact word beats prefix)
+  matchContent(terms) {
+    const matches = new Map();
+
+    for (const term of terms) {
+      for (const [indexedTerm, nodeIds] of this.termIndex) {
+        if (!indexedTerm.startsWith(term)) continue;
+
+        const weight = indexedTerm === term ? 6 : 3;
+        for (const nodeId of nodeIds) {
+          if (!matches.has(nodeId)) {
+            matches.set(nodeId, new Map());
+          }
+          const termWeights = matches.get(nodeId);
+          termWeights.set(term, Math.max(termWeights.get(term) || 0, weight));
+        }
+      }
+    }
+
+    return matches;
+  }
+
+  calculateContentScore(nodeId, contentMatch) {
+    if (!contentMatch) return 0;
+
+    const tags = tokenize(this.contentIndex.get(nodeId)?.text.tags);
+    let score = 0;
+    for (const [term, weight] of contentMatch) {
+      score += weight;
+      // Tags are deliberate labels, so they outrank a passing mention in the body
+      if (tags.some(tag => tag.startsWith(term))) score += 4;
+    }
+    return score;
+  }
+
+  // Short excerpt around the first hit, preferring the note body over fields and tags
+  getSnippet(nodeId, terms, length = 120) {
+    const entry = this.contentIndex.get(nodeId);
+    if (!entry) return null;
+
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'iu');
+
+    for (const source of ['markdown', 'fields', 'tags']) {
+      const text = entry.text[source];
+      const match = pattern.exec(text);
+      if (!match) continue;
+
+      const hitIndex = match.index + match[1].length;
+      let start = Math.max(0, hitIndex - Math.floor(length / 3));
+      // Don't open the excerpt mid-word
+      const boundary = text.slice(start, hitIndex).search(/\s/);
+      if (start > 0 && boundary !== -1) {
+        start += boundary + 1;
+      }
+      const end = Math.min(text.length, start + length);
+      const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+
+      return {
+        source,
+        text: `${start > 0 ? '…' : ''}${excerpt}${end < text.length ? '…' : ''}`
+      };
+    }
+
+    return null;
+  }
+
   calculateSearchScore(query, indexed) {
     let score = 0;
 
@@ -131,13 +587,7 @@ class Store extends EventEmitter {
 
   // Get children of a node
   getChildren(parentId) {
-    const children = [];
-    for (const node of this.nodes.values()) {
-      if (node.parentId === parentId) {
-        children.push(node);
-      }
-    }
-    return children.sort((a, b) => a.orderIndex - b.orderIndex);
+    return this.nodes.childrenOf(parentId ?? null).slice();
   }
 
   // Get path from root to node
@@ -154,7 +604,7 @@ class Store extends EventEmitter {
   }
 
   // Create a new node
-  async createNode({ name, type, parentId = null, template = null, icon = null, active = false }) {
+  async createNode({ name, type, parentId = null, template = null, icon = null, active = false, map = false }) {
     const siblings = this.getChildren(parentId);
     const orderIndex = siblings.length;
 
@@ -179,17 +629,33 @@ class Store extends EventEmitter {
     // Create default content for leaf nodes
     if (type === 'leaf') {
       const content = db.getDefaultContent(node.id);
-      content.icon = icon || this.getDefaultIcon(template);
+      content.icon = icon || (map && !template ? '🗺️' : this.getDefaultIcon(template));
+      if (map) {
+        content.map = createMap();
+      }
       if (template) {
         content.fields = this.getTemplateFields(template);
+        content.fieldTypes = this.getTemplateFieldTypes(template);
+        content.tags = [...(this.getTemplate(template)?.tags || [])];
       }
-      await db.saveContent(content);
+      await this.saveContent(content);
     }
 
     this.buildSearchIndex();
     this.emit('nodeCreated', node);
     this.emit('nodesChanged');
 
+    // Undoing a creation erases the node; the snapshot taken then lets redo bring it back
+    let snapshot = null;
+    this.undoStack.record({
+      label: `Create "${name}"`,
+      undo: async () => {
+        snapshot = await this.getSnapshot(node.id);
+        await this.removeNode(node.id);
+      },
+      redo: () => this.insertNodes(snapshot.nodes, snapshot.contents)
+    });
+
     return node;
   }
 
@@ -204,41 +670,354 @@ class Store extends EventEmitter {
 
     if (updates.name !== undefined) {
       this.buildSearchIndex();
+      if (updates.name !== node.name) {
+        // One step with the links rewritten in other notes, so undo puts them back too
+        await this.undoStack.batch(`Rename "${node.name}"`, async () => {
+          this.undoStack.record({
+            label: `Rename "${node.name}"`,
+            undo: () => this.updateNode(id, { name: node.name }),
+            redo: () => this.updateNode(id, { name: updates.name })
+          });
+          await this.renameWikiLinks(id, node.name, updates.name);
+        }, `rename:${id}`);
+      }
     }
 
     this.emit('nodeUpdated', updated);
     return updated;
   }
 
-  // Delete a node and all its children
+  // Get a node and all of its live descendants, parents before children
+  getSubtree(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return [];
+
+    const subtree = [node];
+    for (const child of this.getChildren(nodeId)) {
+      subtree.push(...this.getSubtree(child.id));
+    }
+    return subtree;
+  }
+
+  // Move a node and all its children to the trash. Every node in the subtree is
+  // stamped with deletedAt and the id of the node the user deleted (trashRootId);
+  // parentId and orderIndex are kept so restoreNode() can put it back in place.
   async deleteNode(id) {
     const node = this.nodes.get(id);
     if (!node) return;
 
-    // Recursively delete children
-    const children = this.getChildren(id);
-    for (const child of children) {
-      await this.deleteNode(child.id);
+    const deletedAt = Date.now();
+    const trashed = this.getSubtree(id).map(item => ({ ...item, deletedAt, trashRootId: id }));
+    await db.saveNodes(trashed);
+
+    // Trashed notes leave search, backlinks and tags until they are restored
+    for (const item of trashed) {
+      this.nodes.delete(item.id);
+      this.trash.set(item.id, item);
+      this.removeFromContentIndex(item.id);
     }
 
-    await db.deleteNode(id);
-    this.nodes.delete(id);
+    // Close the gap left among the siblings
+    await this.renumberChildren(node.parentId);
 
-    if (!node.parentId) {
-      this.rootNodes = this.rootNodes.filter(nodeId => nodeId !== id);
+    this.deselect(trashed);
+
+    this.buildSearchIndex();
+    this.emit('nodeDeleted', id);
+    this.emit('trashChanged');
+    this.emit('nodesChanged');
+
+    this.undoStack.record({
+      label: `Delete "${node.name}"`,
+      undo: async () => {
+        if (!await this.restoreNode(id)) {
+          throw new Error(`"${node.name}" was permanently deleted`);
+        }
+      },
+      redo: () => this.deleteNode(id)
+    });
+  }
+
+  // Replace an existing node's name and note content with imported versions.
+  // The old content is kept as a revision, so it can also be restored from history.
+  async overwriteNode(id, name, content) {
+    const node = this.nodes.get(id);
+    if (!node) {
+      throw new Error('That item no longer exists');
+    }
+
+    const previousContent = node.type === 'leaf' ? await db.getContent(id) : null;
+    const updated = { ...node, name, updatedAt: Date.now() };
+    await db.saveNode(updated);
+    this.nodes.set(id, updated);
+
+    if (content) {
+      const next = { ...content, nodeId: id };
+      await this.recordRevision(previousContent, next, true);
+      await this.saveContent(next);
+
+      if (id === this.selectedNodeId) {
+        this.currentContent = next;
+        this.emit('contentReplaced', id);
+      }
     }
 
-    if (this.selectedNodeId === id) {
+    this.buildSearchIndex();
+    this.emit('nodeUpdated', updated);
+
+    this.undoStack.record({
+      label: `Overwrite "${node.name}"`,
+      undo: () => this.overwriteNode(id, node.name, previousContent),
+      redo: () => this.overwriteNode(id, name, content)
+    });
+  }
+
+  // Apply a merge import (see core/merge.js) as one undo step
+  async mergeNodes(label, { nodes, contents, updates, attachments = [] }) {
+    return await this.undoStack.batch(label, async () => {
+      // Named first, as renaming one rewrites embeds in the updated notes too
+      const named = this.nameAttachments(attachments, [...contents, ...updates.map(update => update.content)]);
+      for (const update of updates) {
+        await this.overwriteNode(update.id, update.name, update.content);
+      }
+
+      const roots = nodes.length > 0 || named.length > 0 ? await this.importNodes(label, nodes, contents, named) : [];
+      this.emit('nodesChanged');
+      return roots;
+    });
+  }
+
+  // Clear the selection if the selected node is among the given nodes
+  deselect(nodes) {
+    if (nodes.some(item => item.id === this.selectedNodeId)) {
       this.selectedNodeId = null;
       this.currentContent = null;
       this.emit('selectionChanged', null);
     }
+  }
+
+  // Give a folder's children consecutive orderIndex values in their current order
+  async renumberChildren(parentId, ordered = this.getChildren(parentId)) {
+    const changed = [];
+    ordered.forEach((child, index) => {
+      if (child.orderIndex !== index) {
+        const updated = { ...child, orderIndex: index, updatedAt: Date.now() };
+        this.nodes.set(child.id, updated);
+        changed.push(updated);
+      }
+    });
+
+    if (changed.length > 0) {
+      await db.saveNodes(changed);
+    }
+
+    if (!parentId) {
+      this.rootNodes = this.getChildren(null).map(child => child.id);
+    }
+  }
+
+  // Trash entries the user can restore or purge, most recently deleted first
+  getTrashedRoots() {
+    return Array.from(this.trash.values())
+      .filter(node => node.trashRootId === node.id)
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  getTrashedSubtree(rootId) {
+    return Array.from(this.trash.values()).filter(node => node.trashRootId === rootId);
+  }
+
+  // Bring a trashed subtree back to its original folder and position. If that
+  // folder is gone (purged or itself in the trash) it is restored at the root.
+  async restoreNode(rootId) {
+    const root = this.trash.get(rootId);
+    if (!root || root.trashRootId !== rootId) return null;
+
+    const parentId = root.parentId && this.nodes.has(root.parentId) ? root.parentId : null;
+
+    const restored = this.getTrashedSubtree(rootId).map(item => {
+      const { deletedAt, trashRootId, ...node } = item;
+      return item.id === rootId ? { ...node, parentId, updatedAt: Date.now() } : node;
+    });
+    await db.saveNodes(restored);
+
+    for (const node of restored) {
+      this.trash.delete(node.id);
+      this.nodes.set(node.id, node);
+    }
+
+    await this.insertAt(this.nodes.get(rootId), root.orderIndex);
+
+    // Back into search, backlinks and tags (see deleteNode)
+    for (const node of restored) {
+      if (node.type === 'leaf' && !this.contentIndex.has(node.id)) {
+        await this.indexContent(await db.getContent(node.id));
+      }
+    }
 
     this.buildSearchIndex();
-    this.emit('nodeDeleted', id);
+    this.emit('nodeRestored', this.nodes.get(rootId));
+    this.emit('trashChanged');
+    this.emit('nodesChanged');
+
+    this.undoStack.record({
+      label: `Restore "${root.name}"`,
+      undo: () => this.deleteNode(rootId),
+      redo: () => this.restoreNode(rootId)
+    });
+
+    return this.nodes.get(rootId);
+  }
+
+  // Slot a node in at an index among its current siblings
+  async insertAt(node, index) {
+    const siblings = this.getChildren(node.parentId).filter(n => n.id !== node.id);
+    siblings.splice(Math.min(index, siblings.length), 0, node);
+    await this.renumberChildren(node.parentId, siblings);
+  }
+
+  // Copy of a live subtree with its notes' content, for putting it back later
+  async getSnapshot(nodeId) {
+    const nodes = this.getSubtree(nodeId);
+    if (nodes.length === 0) {
+      throw new Error('That item no longer exists');
+    }
+
+    const contents = [];
+    for (const node of nodes) {
+      if (node.type === 'leaf') {
+        contents.push(await db.getContent(node.id));
+      }
+    }
+    return { nodes, contents };
+  }
+
+  // Add complete nodes (ids, parents, order) and their notes' content in one go.
+  // Nodes whose parent isn't in the batch are slotted in at their orderIndex;
+  // those parents must already exist. Returns those top-level nodes.
+  async insertNodes(nodes, contents) {
+    const ids = new Set(nodes.map(node => node.id));
+    const roots = nodes.filter(node => !ids.has(node.parentId));
+
+    for (const root of roots) {
+      if (root.parentId && !this.nodes.has(root.parentId)) {
+        throw new Error(`Can't add "${root.name}": its folder no longer exists`);
+      }
+    }
+
+    await db.saveNodes(nodes);
+    for (const node of nodes) {
+      this.nodes.set(node.id, node);
+    }
+    for (const content of contents) {
+      await this.saveContent(content);
+    }
+    for (const root of roots) {
+      await this.insertAt(this.nodes.get(root.id), root.orderIndex);
+    }
+
+    this.buildSearchIndex();
+    for (const root of roots) {
+      this.emit('nodeCreated', root);
+    }
+    this.emit('nodesChanged');
+    return roots;
+  }
+
+  // Add imported nodes after the existing children of their parents, as one undo step,
+  // with the attachments that came with them (see nameAttachments())
+  async importNodes(label, nodes, contents, attachments = []) {
+    const added = await this.prepareAttachments(this.nameAttachments(attachments, contents));
+    const ids = new Set(nodes.map(node => node.id));
+    const offsets = new Map();
+    const placed = nodes.map(node => {
+      if (ids.has(node.parentId)) return node;
+      if (!offsets.has(node.parentId)) {
+        offsets.set(node.parentId, this.getChildren(node.parentId).length);
+      }
+      return { ...node, orderIndex: offsets.get(node.parentId) + node.orderIndex };
+    });
+
+    const roots = await this.insertNodes(placed, contents);
+    await this.insertAttachments(added);
+
+    let snapshots = [];
+    this.undoStack.record({
+      label,
+      undo: async () => {
+        snapshots = [];
+        for (const root of [...roots].reverse()) {
+          snapshots.unshift(await this.getSnapshot(root.id));
+          await this.removeNode(root.id);
+        }
+        await this.removeAttachments(added.map(attachment => attachment.id));
+      },
+      redo: async () => {
+        for (const snapshot of snapshots) {
+          await this.insertNodes(snapshot.nodes, snapshot.contents);
+        }
+        await this.insertAttachments(added);
+      }
+    });
+
+    return roots;
+  }
+
+  // Erase a live subtree without going through the trash (undoing a creation)
+  async removeNode(nodeId) {
+    const node = this.nodes.get(nodeId);
+    if (!node) return;
+
+    const subtree = this.getSubtree(nodeId);
+    for (const item of subtree) {
+      await db.deleteNode(item.id);
+      this.nodes.delete(item.id);
+      this.removeFromContentIndex(item.id);
+      this.lastRevisions.delete(item.id);
+    }
+    await this.renumberChildren(node.parentId);
+
+    this.deselect(subtree);
+
+    this.buildSearchIndex();
+    this.emit('nodeDeleted', nodeId);
     this.emit('nodesChanged');
   }
 
+  // Permanently delete a trashed subtree
+  async purgeNode(rootId) {
+    const subtree = this.getTrashedSubtree(rootId);
+    if (subtree.length === 0) return;
+
+    for (const node of subtree) {
+      await db.deleteNode(node.id);
+      this.trash.delete(node.id);
+      this.removeFromContentIndex(node.id);
+      this.lastRevisions.delete(node.id);
+    }
+    await this.releaseAttachments(new Set(subtree.map(node => node.id)));
+
+    this.emit('trashChanged');
+  }
+
+  async emptyTrash() {
+    for (const root of this.getTrashedRoots()) {
+      await this.purgeNode(root.id);
+    }
+  }
+
+  // Auto-purge: drop trash entries deleted more than `days` days ago
+  async purgeExpiredTrash(days) {
+    if (!days) return;
+
+    const cutoff = Date.now() - days * DAY;
+    for (const root of this.getTrashedRoots()) {
+      if (root.deletedAt < cutoff) {
+        await this.purgeNode(root.id);
+      }
+    }
+  }
+
   // Move a node to a new parent
   async moveNode(nodeId, newParentId) {
     const node = this.nodes.get(nodeId);
@@ -249,6 +1028,7 @@ class Store extends EventEmitter {
       throw new Error('Cannot move a node into its own descendant');
     }
 
+    const oldIndex = this.getChildren(node.parentId).findIndex(n => n.id === nodeId);
     const siblings = this.getChildren(newParentId);
     const updated = {
       ...node,
@@ -275,6 +1055,23 @@ class Store extends EventEmitter {
     this.buildSearchIndex();
     this.emit('nodeMoved', updated);
     this.emit('nodesChanged');
+
+    this.undoStack.record({
+      label: `Move "${node.name}"`,
+      undo: async () => {
+        if (node.parentId && !this.nodes.has(node.parentId)) {
+          throw new Error(`Can't move "${node.name}" back: its old folder no longer exists`);
+        }
+        await this.moveNode(nodeId, node.parentId);
+        await this.reorderNode(nodeId, oldIndex);
+      },
+      redo: async () => {
+        if (newParentId && !this.nodes.has(newParentId)) {
+          throw new Error(`Can't move "${node.name}": the folder no longer exists`);
+        }
+        await this.moveNode(nodeId, newParentId);
+      }
+    });
   }
 
   // Reorder nodes
@@ -303,6 +1100,12 @@ class Store extends EventEmitter {
     }
 
     this.emit('nodesChanged');
+
+    this.undoStack.record({
+      label: `Reorder "${node.name}"`,
+      undo: () => this.reorderNode(nodeId, oldIndex),
+      redo: () => this.reorderNode(nodeId, newIndex)
+    });
   }
 
   // Toggle active status
@@ -332,29 +1135,32 @@ class Store extends EventEmitter {
     const node = this.nodes.get(nodeId);
     if (!node) return;
 
-    const newName = `${node.name} (Copy)`;
-    const newNode = await this.createNode({
-      name: newName,
-      type: node.type,
-      parentId: node.parentId
-    });
+    // Every node created below belongs to one undo step
+    return await this.undoStack.batch(`Duplicate "${node.name}"`, async () => {
+      const newName = `${node.name} (Copy)`;
+      const newNode = await this.createNode({
+        name: newName,
+        type: node.type,
+        parentId: node.parentId
+      });
 
-    if (node.type === 'leaf') {
-      const content = await db.getContent(nodeId);
-      const newContent = {
-        ...content,
-        nodeId: newNode.id
-      };
-      await db.saveContent(newContent);
-    }
+      if (node.type === 'leaf') {
+        const content = await db.getContent(nodeId);
+        const newContent = {
+          ...content,
+          nodeId: newNode.id
+        };
+        await this.saveContent(newContent);
+      }
 
-    // Duplicate children recursively
-    const children = this.getChildren(nodeId);
-    for (const child of children) {
-      await this.duplicateNodeRecursive(child.id, newNode.id);
-    }
+      // Duplicate children recursively
+      const children = this.getChildren(nodeId);
+      for (const child of children) {
+        await this.duplicateNodeRecursive(child.id, newNode.id);
+      }
 
-    return newNode;
+      return newNode;
+    });
   }
 
   async duplicateNodeRecursive(nodeId, newParentId) {
@@ -368,7 +1174,7 @@ class Store extends EventEmitter {
     if (node.type === 'leaf') {
       const content = await db.getContent(nodeId);
       const newContent = { ...content, nodeId: newNode.id };
-      await db.saveContent(newContent);
+      await this.saveContent(newContent);
     }
 
     const children = this.getChildren(nodeId);
@@ -377,6 +1183,92 @@ class Store extends EventEmitter {
     }
   }
 
+  // Bulk actions, on the nodes selected in the tree (see TreeRenderer)
+
+  // The live nodes among nodeIds that aren't inside another of them, in tree order.
+  // Moving, copying or deleting a folder already takes what's in it along.
+  getTopLevel(nodeIds) {
+    const ids = new Set(nodeIds);
+    const order = (node) => this.getNodePath(node.id).map(item => item.orderIndex);
+    return [...ids]
+      .map(id => this.nodes.get(id))
+      .filter(node => node && !this.getNodePath(node.id).slice(0, -1).some(ancestor => ids.has(ancestor.id)))
+      .map(node => ({ node, order: order(node) }))
+      .sort((a, b) => {
+        for (let i = 0; i < Math.min(a.order.length, b.order.length); i++) {
+          if (a.order[i] !== b.order[i]) return a.order[i] - b.order[i];
+        }
+        return a.order.length - b.order.length;
+      })
+      .map(item => item.node);
+  }
+
+  // The live notes among nodeIds, leaving out folders
+  getNotes(nodeIds) {
+    return nodeIds.map(id => this.nodes.get(id)).filter(node => node?.type === 'leaf');
+  }
+
+  // "Name" for one node, "3 items" for more
+  describeNodes(nodes) {
+    return nodes.length === 1 ? `"${nodes[0].name}"` : `${nodes.length} items`;
+  }
+
+  // Move nodes into a folder (null for the top level), keeping their order.
+  // Returns the number moved; ones already there stay where they are.
+  async moveNodes(nodeIds, newParentId) {
+    const nodes = this.getTopLevel(nodeIds);
+    const inside = nodes.find(node => this.isDescendant(newParentId, node.id));
+    if (inside) {
+      throw new Error(`Can't move "${inside.name}" into itself`);
+    }
+
+    const moving = nodes.filter(node => node.parentId !== newParentId);
+    if (moving.length === 0) return 0;
+
+    await this.undoStack.batch(`Move ${this.describeNodes(moving)}`, async () => {
+      for (const node of moving) {
+        await this.moveNode(node.id, newParentId);
+      }
+    });
+    return moving.length;
+  }
+
+  // Copy nodes next to the originals. Returns the copies.
+  async duplicateNodes(nodeIds) {
+    const nodes = this.getTopLevel(nodeIds);
+    if (nodes.length === 0) return [];
+
+    return await this.undoStack.batch(`Duplicate ${this.describeNodes(nodes)}`, async () => {
+      const copies = [];
+      for (const node of nodes) {
+        copies.push(await this.duplicateNode(node.id));
+      }
+      return copies;
+    });
+  }
+
+  // Move nodes and everything in them to the trash
+  async deleteNodes(nodeIds) {
+    const nodes = this.getTopLevel(nodeIds);
+    if (nodes.length === 0) return;
+
+    await this.undoStack.batch(`Delete ${this.describeNodes(nodes)}`, async () => {
+      for (const node of nodes) {
+        await this.deleteNode(node.id);
+      }
+    });
+  }
+
+  // Mark the notes among nodeIds active or not. Returns the number changed.
+  async setActive(nodeIds, active) {
+    const notes = this.getNotes(nodeIds).filter(node => node.active !== active);
+    for (const node of notes) {
+      await this.updateNode(node.id, { active });
+      this.emit('activeChanged', node.id);
+    }
+    return notes.length;
+  }
+
   // Select a node
   async selectNode(nodeId) {
     this.selectedNodeId = nodeId;
@@ -400,14 +1292,163 @@ class Store extends EventEmitter {
       updatedAt: Date.now()
     };
 
+    // Links written as [[Note Name]] in the text feed the links list automatically
+    if (updates.markdown !== undefined && updates.links === undefined) {
+      updated.links = this.syncWikiLinks(this.currentContent, updates.markdown);
+    }
+
+    this.recordContentEdit(this.currentContent, updated);
+    await this.recordRevision(this.currentContent, updated);
     await db.saveContent(updated);
     this.currentContent = updated;
+    await this.indexContent(updated);
     this.emit('contentChanged', updated);
+  }
 
-    // Update search index if tags changed
-    if (updates.tags !== undefined) {
-      this.buildSearchIndex();
+  // Undo step for a note edit. Autosaves within a few seconds of each other merge,
+  // so one undo reverts a burst of typing rather than a single keystroke.
+  recordContentEdit(previous, next) {
+    const before = {};
+    const after = {};
+    for (const key of UNDOABLE_CONTENT) {
+      before[key] = structuredClone(previous[key]);
+      after[key] = structuredClone(next[key]);
+    }
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    const nodeId = previous.nodeId;
+    this.undoStack.record({
+      label: `Edit "${this.nodes.get(nodeId)?.name || 'note'}"`,
+      mergeKey: `content:${nodeId}`,
+      undo: () => this.replaceContent(nodeId, before),
+      redo: () => this.replaceContent(nodeId, after)
+    });
+  }
+
+  // Overwrite part of any live note's content, telling the editor if it is open
+  async replaceContent(nodeId, values) {
+    if (!this.nodes.has(nodeId)) {
+      throw new Error(`"${this.trash.get(nodeId)?.name || 'That note'}" is no longer in the vault`);
+    }
+
+    if (nodeId === this.selectedNodeId && this.currentContent) {
+      await this.updateContent(structuredClone(values));
+      this.emit('contentReplaced', nodeId);
+      return;
+    }
+
+    const content = await db.getContent(nodeId);
+    const updated = { ...content, ...structuredClone(values), updatedAt: Date.now() };
+    await this.recordRevision(content, updated);
+    await this.saveContent(updated);
+  }
+
+  // Revert the latest recorded change. Returns the undone step, or null if there was none.
+  async undo() {
+    return await this.undoStack.undo();
+  }
+
+  async redo() {
+    return await this.undoStack.redo();
+  }
+
+  // Snapshot a note's content before it changes. Snapshots are taken at most once per
+  // REVISION_INTERVAL, except when forced or when a save throws away most of the text.
+  async recordRevision(previous, next, force = false) {
+    if (!previous) return;
+
+    const nodeId = previous.nodeId;
+    const snapshot = {
+      icon: previous.icon,
+      markdown: previous.markdown || '',
+      fields: structuredClone(previous.fields || {}),
+      fieldTypes: structuredClone(previous.fieldTypes || {}),
+      tags: [...(previous.tags || [])]
+    };
+
+    // Nothing worth keeping in a blank note
+    const isBlank = !snapshot.markdown.trim() &&
+      Object.values(snapshot.fields).every(isEmptyValue) &&
+      snapshot.tags.length === 0;
+    if (isBlank) return;
+
+    if (!this.lastRevisions.has(nodeId)) {
+      const [latest] = await db.getRevisions(nodeId);
+      this.lastRevisions.set(nodeId, latest || null);
+    }
+    const latest = this.lastRevisions.get(nodeId);
+
+    if (latest && JSON.stringify(latest.content) === JSON.stringify(snapshot)) return;
+
+    const now = Date.now();
+    const due = !latest || now - latest.createdAt >= REVISION_INTERVAL;
+    const nextMarkdown = next ? next.markdown || '' : snapshot.markdown;
+    const largeDeletion = snapshot.markdown.length >= 200 && nextMarkdown.length < snapshot.markdown.length / 2;
+
+    if (!force && !due && !largeDeletion) return;
+
+    const revision = {
+      id: this.generateId(),
+      nodeId,
+      name: this.nodes.get(nodeId)?.name || '',
+      createdAt: now,
+      savedAt: previous.updatedAt || now,
+      content: snapshot
+    };
+
+    await db.saveRevision(revision);
+    this.lastRevisions.set(nodeId, revision);
+    await this.pruneRevisions(nodeId);
+  }
+
+  async pruneRevisions(nodeId) {
+    const revisions = await db.getRevisions(nodeId);
+    const now = Date.now();
+    const buckets = new Set();
+    const expired = [];
+
+    for (const revision of revisions) {
+      const age = now - revision.createdAt;
+      const bucketSize = age < DAY ? 0 : age < 7 * DAY ? HOUR : DAY;
+      const bucket = bucketSize ? `${bucketSize}:${Math.floor(revision.createdAt / bucketSize)}` : revision.id;
+
+      // Revisions are newest first, so the newest one in each bucket survives
+      if (age > MAX_REVISION_AGE || buckets.has(bucket) || buckets.size >= MAX_REVISIONS) {
+        expired.push(revision.id);
+      } else {
+        buckets.add(bucket);
+      }
     }
+
+    if (expired.length > 0) {
+      await db.deleteRevisions(expired);
+    }
+  }
+
+  async getRevisions(nodeId) {
+    return await db.getRevisions(nodeId);
+  }
+
+  // Put an old revision back into the selected note. The current state is
+  // snapshotted first, so a restore can itself be undone from the history.
+  async restoreRevision(revision) {
+    if (!revision || revision.nodeId !== this.selectedNodeId || !this.currentContent) return;
+
+    await this.recordRevision(this.currentContent, null, true);
+    await this.updateContent({
+      icon: revision.content.icon,
+      markdown: revision.content.markdown,
+      fields: structuredClone(revision.content.fields),
+      fieldTypes: structuredClone(revision.content.fieldTypes || {}),
+      tags: [...revision.content.tags]
+    });
+    this.emit('contentReplaced', revision.nodeId);
+  }
+
+  // Save content for any note (not just the selected one) and keep it searchable
+  async saveContent(content) {
+    await db.saveContent(content);
+    await this.indexContent(content);
   }
 
   // Toggle folder expansion
@@ -443,10 +1484,85 @@ class Store extends EventEmitter {
   // Import vault
   async importVault(data) {
     await db.importAll(data);
+    await this.loadTemplates();
+    await this.loadQueries();
+    await this.loadSessions();
     await this.loadNodes();
+    await this.loadAttachments();
+    this.resetSelection();
+  }
+
+  // Write notes pulled from the sync server (see core/sync.js) and reload. Undo
+  // history is dropped: its steps may no longer fit the notes.
+  async applySyncEntries(entries) {
+    for (const entry of entries) {
+      if (entry.deleted) {
+        await db.deleteNode(entry.id);
+        this.removeFromContentIndex(entry.id);
+        this.lastRevisions.delete(entry.id);
+        continue;
+      }
+      await db.saveNode(entry.node);
+      if (entry.content) {
+        await db.saveContent(entry.content);
+      }
+    }
+
+    await this.loadNodes();
+
+    // Notes whose folder was deleted here go to the root rather than out of sight
+    const all = [...this.nodes.values(), ...this.trash.values()];
+    const orphans = all.filter(node => node.parentId && !this.nodes.has(node.parentId) && !this.trash.has(node.parentId));
+    if (orphans.length > 0) {
+      await db.saveNodes(orphans.map(node => ({ ...node, parentId: null, updatedAt: Date.now() })));
+      await this.loadNodes();
+    }
+
+    for (const entry of entries) {
+      if (entry.content && this.nodes.has(entry.id)) {
+        await this.indexContent(entry.content);
+      }
+    }
+
+    const selectedId = this.selectedNodeId;
+    if (selectedId && entries.some(entry => entry.id === selectedId)) {
+      if (this.nodes.has(selectedId)) {
+        this.currentContent = await db.getContent(selectedId);
+        this.emit('contentReplaced', selectedId);
+        this.emit('nodeUpdated', this.nodes.get(selectedId));
+      } else {
+        this.selectedNodeId = null;
+        this.currentContent = null;
+        this.emit('selectionChanged', null);
+      }
+    }
+
+    await this.pruneAttachments();
+    this.undoStack.clear();
+    this.emit('trashChanged');
+    this.emit('tagsChanged');
+  }
+
+  // Switch to another vault's database and load it in place of this one
+  async openVault(dbName) {
+    db.close();
+    await db.init(dbName);
+    await this.loadTemplates();
+    await this.loadQueries();
+    await this.loadEncounter();
+    await this.loadSessions();
+    await this.loadNodes();
+    await this.loadAttachments();
+    this.resetSelection();
+  }
+
+  // Forget what belonged to the notes just replaced
+  resetSelection() {
     this.selectedNodeId = null;
     this.currentContent = null;
     this.expandedNodes.clear();
+    this.lastRevisions.clear();
+    this.undoStack.clear();
     this.emit('selectionChanged', null);
   }
 
@@ -455,75 +1571,733 @@ class Store extends EventEmitter {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
-  getDefaultIcon(template) {
-    const icons = {
-      npc: '👤',
-      location: '🏰',
-      item: '🗡️',
-      quest: '📜',
-      monster: '🐉',
-      faction: '⚔️',
-      default: '📄'
+  // Attachments
+  async loadAttachments() {
+    for (const url of this.attachmentUrls.values()) {
+      URL.revokeObjectURL(url);
+    }
+    this.attachmentUrls.clear();
+
+    const attachments = await db.getAllAttachments();
+    this.attachments = new Map(attachments.map(attachment => [attachment.id, attachment]));
+    await this.pruneAttachments();
+    this.emit('attachmentsChanged');
+  }
+
+  getAttachment(id) {
+    return this.attachments.get(id) || null;
+  }
+
+  // A note's attachments, oldest first
+  getAttachments(noteId) {
+    return Array.from(this.attachments.values())
+      .filter(attachment => attachment.noteId === noteId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  // The attachment an ![[embed]] names, ignoring case and any folders in front
+  findAttachment(target) {
+    const wanted = target.split('/').pop().trim().toLowerCase();
+    for (const attachment of this.attachments.values()) {
+      if (attachment.name.toLowerCase() === wanted) return attachment;
+    }
+    return null;
+  }
+
+  // An object URL for the file, or for its thumbnail where it has one. It stays
+  // valid until the attachment is deleted or another vault is opened.
+  getAttachmentUrl(id, thumbnail = false) {
+    const attachment = this.attachments.get(id);
+    if (!attachment) return null;
+
+    const useThumbnail = thumbnail && attachment.thumbnail;
+    const key = useThumbnail ? `${id}:thumbnail` : id;
+    if (!this.attachmentUrls.has(key)) {
+      this.attachmentUrls.set(key, URL.createObjectURL(useThumbnail ? attachment.thumbnail : attachment.blob));
+    }
+    return this.attachmentUrls.get(key);
+  }
+
+  // Add a pasted, dropped or picked file to a note, under a name no other attachment has
+  async addAttachment(noteId, file) {
+    const node = this.nodes.get(noteId);
+    if (!node || node.type !== 'leaf') {
+      throw new Error('Files can only be attached to notes');
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      throw new Error(`"${file.name}" is ${formatSize(file.size)}; attachments can be up to ${formatSize(MAX_ATTACHMENT_SIZE)}`);
+    }
+
+    const type = file.type || guessType(file.name || '');
+    const taken = new Set(Array.from(this.attachments.values(), attachment => attachment.name.toLowerCase()));
+    const [attachment] = await this.prepareAttachments([{
+      id: this.generateId(),
+      noteId,
+      name: uniqueName(nameForFile(file, type), taken),
+      type,
+      size: file.size,
+      blob: new Blob([file], { type }),
+      thumbnail: null,
+      width: null,
+      height: null,
+      createdAt: Date.now()
+    }]);
+
+    await this.insertAttachments([attachment]);
+    return attachment;
+  }
+
+  async deleteAttachment(id) {
+    const attachment = this.attachments.get(id);
+    if (!attachment) return;
+
+    await this.removeAttachments([id]);
+  }
+
+  // Give imported attachments names that are free here, rewriting the ![[embeds]] in
+  // the imported contents to match. Ones already in the vault (same id) are left out.
+  nameAttachments(attachments, contents) {
+    const taken = new Set(Array.from(this.attachments.values(), attachment => attachment.name.toLowerCase()));
+    const renamed = new Map(); // Old name (lowercase) -> new name
+    const named = [];
+
+    for (const attachment of attachments) {
+      if (this.attachments.has(attachment.id)) continue;
+
+      const name = uniqueName(cleanName(attachment.name, attachment.type), taken);
+      taken.add(name.toLowerCase());
+      if (name !== attachment.name) {
+        renamed.set(attachment.name.toLowerCase(), name);
+      }
+      named.push({ ...attachment, name });
+    }
+
+    if (renamed.size > 0) {
+      for (const content of contents) {
+        content.markdown = (content.markdown || '').replace(/!\[\[([^[\]|]+)(?=[|\]])/g, (embed, target) => {
+          const name = renamed.get(target.trim().split('/').pop().toLowerCase());
+          return name ? `![[${name}` : embed;
+        });
+        if (content.map?.image && renamed.has(content.map.image.toLowerCase())) {
+          content.map = { ...content.map, image: renamed.get(content.map.image.toLowerCase()) };
+        }
+      }
+    }
+    return named;
+  }
+
+  // Fill in what imported records may lack: thumbnails and image sizes
+  async prepareAttachments(attachments) {
+    const prepared = [];
+    for (const attachment of attachments) {
+      const needsThumbnail = !attachment.thumbnail && attachment.type.startsWith('image/');
+      prepared.push({
+        thumbnail: null,
+        width: null,
+        height: null,
+        createdAt: Date.now(),
+        ...attachment,
+        size: attachment.blob.size,
+        ...(needsThumbnail ? await createThumbnail(attachment.blob) : null)
+      });
+    }
+    return prepared;
+  }
+
+  async insertAttachments(attachments) {
+    if (attachments.length === 0) return;
+
+    await db.saveAttachments(attachments);
+    for (const attachment of attachments) {
+      this.attachments.set(attachment.id, attachment);
+    }
+    this.emit('attachmentsChanged');
+  }
+
+  async removeAttachments(ids) {
+    if (ids.length === 0) return;
+
+    await db.deleteAttachments(ids);
+    for (const id of ids) {
+      this.attachments.delete(id);
+      for (const key of [id, `${id}:thumbnail`]) {
+        if (this.attachmentUrls.has(key)) {
+          URL.revokeObjectURL(this.attachmentUrls.get(key));
+          this.attachmentUrls.delete(key);
+        }
+      }
+    }
+    this.emit('attachmentsChanged');
+  }
+
+  // Attachments of notes gone for good are deleted, unless a live note still embeds
+  // them or shows them as its map (a duplicate, say), which then takes them over
+  async releaseAttachments(nodeIds) {
+    const released = Array.from(this.attachments.values()).filter(attachment => nodeIds.has(attachment.noteId));
+    if (released.length === 0) return;
+
+    const embeddedIn = new Map(); // Embedded name (lowercase) -> first note embedding it
+    for (const content of await db.getAllContent()) {
+      if (nodeIds.has(content.nodeId) || !this.nodes.has(content.nodeId)) continue;
+      const targets = markdown.extractEmbeds(content.markdown || '');
+      if (content.map?.image) {
+        targets.push(content.map.image);
+      }
+      for (const target of targets) {
+        const name = target.split('/').pop().toLowerCase();
+        if (!embeddedIn.has(name)) {
+          embeddedIn.set(name, content.nodeId);
+        }
+      }
+    }
+
+    const moved = [];
+    const deleted = [];
+    for (const attachment of released) {
+      const noteId = embeddedIn.get(attachment.name.toLowerCase());
+      if (noteId) {
+        moved.push({ ...attachment, noteId });
+      } else {
+        deleted.push(attachment.id);
+      }
+    }
+
+    await this.insertAttachments(moved);
+    await this.removeAttachments(deleted);
+  }
+
+  // Release the attachments of notes no longer in the vault or its trash (deleted by a sync)
+  async pruneAttachments() {
+    const missing = new Set();
+    for (const attachment of this.attachments.values()) {
+      if (!this.nodes.has(attachment.noteId) && !this.trash.has(attachment.noteId)) {
+        missing.add(attachment.noteId);
+      }
+    }
+    if (missing.size > 0) {
+      await this.releaseAttachments(missing);
+    }
+  }
+
+  // Templates
+  async loadTemplates() {
+    const templates = await db.getAllTemplates();
+    this.templates = new Map(templates.map(template => [template.id, template]));
+    this.emit('templatesChanged');
+  }
+
+  getTemplates() {
+    return [...this.templates.values()].sort((a, b) => a.orderIndex - b.orderIndex);
+  }
+
+  getTemplate(id) {
+    return this.templates.get(id) || null;
+  }
+
+  // Create a template, or update the one with the given id
+  async saveTemplate({ id = null, name, icon, fields = [], tags = [] }) {
+    const existing = id ? this.templates.get(id) : null;
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      throw new Error('A template needs a name');
+    }
+
+    const duplicate = this.getTemplates().find(template =>
+      template.id !== id && template.name.toLowerCase() === trimmedName.toLowerCase()
+    );
+    if (duplicate) {
+      throw new Error(`A template called "${duplicate.name}" already exists`);
+    }
+
+    // Blank and repeated field names are dropped; the first one wins. Defaults are
+    // checked against their field's type.
+    const fieldNames = new Set();
+    const cleanFields = [];
+    for (const field of fields) {
+      const fieldName = field.name.trim();
+      if (!fieldName || fieldNames.has(fieldName.toLowerCase())) continue;
+      fieldNames.add(fieldName.toLowerCase());
+
+      const def = { type: FIELD_TYPES[field.type] ? field.type : 'text' };
+      if (OPTION_TYPES.includes(def.type)) {
+        def.options = [...new Set((field.options || []).map(option => option.trim()).filter(Boolean))];
+      }
+      const parsed = parseFieldValue(def, field.value, { resolveLink: (target) => this.resolveLink(target) });
+      if (parsed.error) {
+        throw new Error(`${fieldName}: ${parsed.error}`);
+      }
+      cleanFields.push({ name: fieldName, ...def, value: parsed.value });
+    }
+
+    const now = Date.now();
+    const template = {
+      id: existing ? existing.id : this.generateId(),
+      name: trimmedName,
+      icon: icon || '📄',
+      fields: cleanFields,
+      tags: [...new Set(tags.map(normalizeTag).filter(Boolean))],
+      orderIndex: existing ? existing.orderIndex : this.getTemplates().reduce((max, t) => Math.max(max, t.orderIndex + 1), 0),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
     };
-    return icons[template] || icons.default;
+
+    await db.saveTemplate(template);
+    this.templates.set(template.id, template);
+    this.emit('templatesChanged');
+    return template;
+  }
+
+  // Notes made from the template keep their fields
+  async deleteTemplate(id) {
+    await db.deleteTemplate(id);
+    this.templates.delete(id);
+    this.emit('templatesChanged');
+  }
+
+  async reorderTemplate(id, newIndex) {
+    const templates = this.getTemplates();
+    const template = this.templates.get(id);
+    if (!template) return;
+
+    templates.splice(templates.indexOf(template), 1);
+    templates.splice(Math.max(0, Math.min(newIndex, templates.length)), 0, template);
+    templates.forEach((t, index) => { t.orderIndex = index; });
+
+    await db.saveTemplates(templates);
+    this.emit('templatesChanged');
+  }
+
+  getDefaultIcon(template) {
+    return this.templates.get(template)?.icon || '📄';
   }
 
   getTemplateFields(template) {
-    const templates = {
-      npc: {
-        'Role': '',
-        'Species': '',
-        'Alignment': '',
-        'Age': '',
-        'Personality': '',
-        'Appearance': '',
-        'Motivations': '',
-        'Secrets': ''
-      },
-      location: {
-        'Type': '',
-        'Region': '',
-        'Climate': '',
-        'Population': '',
-        'Ruler': '',
-        'Notable Features': ''
-      },
-      item: {
-        'Type': '',
-        'Rarity': '',
-        'Attunement': '',
-        'Value': '',
-        'Weight': '',
-        'Properties': ''
-      },
-      quest: {
-        'Status': 'Active',
-        'Level': '',
-        'Giver': '',
-        'Reward': '',
-        'Location': '',
-        'Objective': ''
-      },
-      monster: {
-        'CR': '',
-        'AC': '',
-        'HP': '',
-        'Speed': '',
-        'Abilities': '',
-        'Weaknesses': '',
-        'Resistances': ''
-      },
-      faction: {
-        'Type': '',
-        'Alignment': '',
-        'Leader': '',
-        'Headquarters': '',
-        'Goals': '',
-        'Notable Members': ''
+    const fields = {};
+    for (const field of this.templates.get(template)?.fields || []) {
+      fields[field.name] = structuredClone(field.value);
+    }
+    return fields;
+  }
+
+  getTemplateFieldTypes(template) {
+    const defs = {};
+    for (const field of this.templates.get(template)?.fields || []) {
+      defs[field.name] = field;
+    }
+    return fieldTypesOf(defs);
+  }
+
+  // A note's field value as text, with note links shown by name
+  formatField(content, key) {
+    return formatFieldValue(getFieldDef(content, key), content.fields?.[key], {
+      getNodeName: (id) => this.nodes.get(id)?.name
+    });
+  }
+
+  // The template whose fields a note has the most of (at least two, or all of a
+  // one-field template), or '' if none fits
+  detectTemplate(fields) {
+    if (!fields || Object.keys(fields).length === 0) return '';
+
+    const fieldKeys = new Set(Object.keys(fields).map(key => key.toLowerCase()));
+    let best = '';
+    let bestMatches = 0;
+
+    for (const template of this.getTemplates()) {
+      const matches = template.fields.filter(field => fieldKeys.has(field.name.toLowerCase())).length;
+      if (matches >= Math.min(2, template.fields.length) && matches > bestMatches) {
+        best = template.id;
+        bestMatches = matches;
+      }
+    }
+
+    return best;
+  }
+
+  // Tags
+  // Every tag on a live note, with the number of notes using it directly
+  getTagCounts() {
+    const counts = new Map();
+    for (const [tag, nodeIds] of this.tagIndex) {
+      const count = [...nodeIds].filter(id => this.nodes.has(id)).length;
+      if (count > 0) {
+        counts.set(tag, count);
+      }
+    }
+    return counts;
+  }
+
+  // Live notes tagged with a tag or one nested under it, by name
+  getTaggedNotes(tag) {
+    const nodeIds = new Set();
+    for (const [name, ids] of this.tagIndex) {
+      if (!isTagWithin(name, tag)) continue;
+      for (const id of ids) {
+        if (this.nodes.has(id)) nodeIds.add(id);
+      }
+    }
+    return [...nodeIds]
+      .map(id => this.nodes.get(id))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // Rename a tag and the tags nested under it on every note. Renaming to a tag
+  // that's already in use merges the two. Returns the number of notes changed.
+  async renameTag(from, to) {
+    const target = normalizeTag(to);
+    if (!target) {
+      throw new Error('A tag needs a name');
+    }
+    return await this.rewriteTags(`Rename tag "${from}" to "${target}"`, from,
+      tags => tags.map(tag => renameTagPrefix(tag, from, target)));
+  }
+
+  // Remove a tag and the tags nested under it from every note
+  async deleteTag(tag) {
+    return await this.rewriteTags(`Delete tag "${tag}"`, tag,
+      tags => tags.filter(name => !isTagWithin(name, tag)));
+  }
+
+  // Change the tags of every note using tag (or one under it) as one undo step
+  async rewriteTags(label, tag, change) {
+    return await this.changeTags(label, this.getTaggedNotes(tag), change);
+  }
+
+  // Add a tag to the notes among nodeIds. Returns the number of notes changed.
+  async addTagToNodes(nodeIds, tag) {
+    const name = normalizeTag(tag);
+    if (!name) {
+      throw new Error('A tag needs a name');
+    }
+    const notes = this.getNotes(nodeIds);
+    return await this.changeTags(`Tag ${this.describeNodes(notes)} #${name}`, notes, tags => [...tags, name]);
+  }
+
+  // Remove a tag, and the tags nested under it, from the notes among nodeIds
+  async removeTagFromNodes(nodeIds, tag) {
+    const name = normalizeTag(tag);
+    const notes = this.getNotes(nodeIds);
+    return await this.changeTags(`Untag ${this.describeNodes(notes)} #${name}`, notes,
+      tags => tags.filter(existing => !isTagWithin(existing, name)));
+  }
+
+  // Apply change(tags) to each note's tags as one undo step. Returns the number changed.
+  async changeTags(label, nodes, change) {
+    const changes = [];
+    for (const node of nodes) {
+      const content = node.id === this.selectedNodeId && this.currentContent
+        ? this.currentContent
+        : await db.getContent(node.id);
+      const before = content.tags || [];
+      const after = [...new Set(change(before))];
+      if (after.join('\n') !== before.join('\n')) {
+        changes.push({ nodeId: node.id, before, after });
+      }
+    }
+    if (changes.length === 0) return 0;
+
+    const apply = async (key) => {
+      for (const item of changes) {
+        if (this.nodes.has(item.nodeId)) {
+          await this.replaceContent(item.nodeId, { tags: item[key] });
+        }
+      }
+      this.emit('tagsChanged');
+    };
+
+    // One step for every note; the open note's own edit record joins it
+    await this.undoStack.batch(label, async () => {
+      await apply('after');
+      this.undoStack.record({
+        label,
+        undo: () => apply('before'),
+        redo: () => apply('after')
+      });
+    });
+    return changes.length;
+  }
+
+  // Saved queries
+  async loadQueries() {
+    const queries = await db.getAllQueries();
+    this.queries = new Map(queries.map(query => [query.id, query]));
+    this.emit('queriesChanged');
+  }
+
+  getQueries() {
+    return [...this.queries.values()].sort((a, b) => a.orderIndex - b.orderIndex);
+  }
+
+  getQuery(id) {
+    return this.queries.get(id) || null;
+  }
+
+  // Create a saved query, or update the one with the given id. The query text is
+  // checked first, so only queries that run get saved.
+  async saveQuery({ id = null, name, query, sortBy = 'name', sortDescending = false }) {
+    const existing = id ? this.queries.get(id) : null;
+    const trimmedName = name.trim();
+    if (!trimmedName) {
+      throw new Error('A saved query needs a name');
+    }
+    parseQuery(query);
+
+    const now = Date.now();
+    const saved = {
+      id: existing ? existing.id : this.generateId(),
+      name: trimmedName,
+      query: query.trim(),
+      sortBy,
+      sortDescending,
+      orderIndex: existing ? existing.orderIndex : this.getQueries().reduce((max, q) => Math.max(max, q.orderIndex + 1), 0),
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+
+    await db.saveQuery(saved);
+    this.queries.set(saved.id, saved);
+    this.emit('queriesChanged');
+    return saved;
+  }
+
+  async deleteQuery(id) {
+    await db.deleteQuery(id);
+    this.queries.delete(id);
+    this.emit('queriesChanged');
+  }
+
+  // Every live node as the relationship graph needs it (see core/graph.js). Links
+  // come from the search index, so they include map pins.
+  async getGraphItems() {
+    const contents = new Map((await db.getAllContent()).map(content => [content.nodeId, content]));
+    if (this.currentContent) {
+      contents.set(this.currentContent.nodeId, this.currentContent);
+    }
+
+    return Array.from(this.nodes.values(), node => {
+      const content = node.type === 'leaf' ? contents.get(node.id) : null;
+      const entry = this.contentIndex.get(node.id);
+      return {
+        id: node.id,
+        name: node.name,
+        type: node.type,
+        parentId: node.parentId,
+        icon: content?.icon || (node.type === 'folder' ? '📁' : '📄'),
+        template: content ? this.detectTemplate(content.fields) : '',
+        tags: entry?.tags || [],
+        links: (entry?.links || []).filter(id => this.nodes.has(id))
+      };
+    });
+  }
+
+  // Notes matching a query, as { node, content, template, path } in tree order.
+  // Throws a QueryError if the text doesn't parse.
+  async runQuery(text) {
+    const query = parseQuery(text);
+    const contents = new Map((await db.getAllContent()).map(content => [content.nodeId, content]));
+    if (this.currentContent) {
+      contents.set(this.currentContent.nodeId, this.currentContent);
+    }
+
+    const results = [];
+    const visit = (ids) => {
+      for (const id of ids) {
+        const node = this.nodes.get(id);
+        if (node.type === 'folder') {
+          visit(this.getChildren(id).map(child => child.id));
+          continue;
+        }
+
+        const content = contents.get(id) || db.getDefaultContent(id);
+        const note = {
+          node,
+          content,
+          template: this.getTemplate(this.detectTemplate(content.fields)),
+          path: this.getNodePath(id).slice(0, -1)
+        };
+        if (matchesQuery(query, note, { getNodeName: (nodeId) => this.nodes.get(nodeId)?.name })) {
+          results.push(note);
+        }
       }
     };
+    visit(this.rootNodes);
+
+    return results;
+  }
+
+  // Combat encounter
+  async loadEncounter() {
+    this.encounter = await db.getEncounter(ENCOUNTER_ID) || {
+      id: ENCOUNTER_ID,
+      round: 0, // 0 until combat starts
+      turnId: null, // Combatant whose turn it is
+      combatants: [],
+      updatedAt: Date.now()
+    };
+    this.emit('encounterChanged');
+  }
+
+  // Combatants in initiative order
+  getCombatants() {
+    return sortCombatants(this.encounter.combatants);
+  }
+
+  // Change the encounter through change(encounter) and save it
+  async updateEncounter(change) {
+    const encounter = structuredClone(this.encounter);
+    change(encounter);
+    encounter.updatedAt = Date.now();
+    await db.saveEncounter(encounter);
+    this.encounter = encounter;
+    this.emit('encounterChanged');
+    return encounter;
+  }
+
+  createCombatant({ name, kind = 'monster', noteId = null, hp = null, ac = null, initiativeBonus = 0 }) {
+    return {
+      id: this.generateId(),
+      noteId,
+      name,
+      kind,
+      initiative: null,
+      initiativeBonus,
+      hp,
+      maxHp: hp,
+      tempHp: 0,
+      ac,
+      conditions: [],
+      concentrating: false
+    };
+  }
+
+  // Add combatants, numbering repeated names: a second "Goblin" joins as "Goblin 2"
+  async addCombatants(combatants) {
+    return await this.updateEncounter(encounter => {
+      const names = new Set(encounter.combatants.map(combatant => combatant.name.toLowerCase()));
+      for (const combatant of combatants) {
+        let name = combatant.name;
+        for (let number = 2; names.has(name.toLowerCase()); number++) {
+          name = `${combatant.name} ${number}`;
+        }
+        names.add(name.toLowerCase());
+        encounter.combatants.push({ ...combatant, name });
+      }
+    });
+  }
+
+  // Bring active monster, NPC and player notes that aren't fighting yet into the
+  // encounter. Returns the number added.
+  async addActiveNotesToEncounter() {
+    const present = new Set(this.encounter.combatants.map(combatant => combatant.noteId));
+    const combatants = [];
+
+    for (const node of this.getActiveNotes()) {
+      if (present.has(node.id)) continue;
+
+      const content = node.id === this.selectedNodeId && this.currentContent
+        ? this.currentContent
+        : await db.getContent(node.id) || db.getDefaultContent(node.id);
+      const stats = readCombatStats(content.fields);
+      const template = this.detectTemplate(content.fields);
+
+      let kind = null;
+      if ((content.tags || []).some(tag => PLAYER_TAGS.some(playerTag => isTagWithin(tag, playerTag)))) {
+        kind = 'player';
+      } else if (template === 'npc') {
+        kind = 'npc';
+      } else if (template === 'monster' || stats.hp !== null) {
+        kind = 'monster';
+      }
+
+      if (kind) {
+        combatants.push(this.createCombatant({ name: node.name, kind, noteId: node.id, ...stats }));
+      }
+    }
+
+    if (combatants.length > 0) {
+      await this.addCombatants(combatants);
+    }
+    return combatants.length;
+  }
+
+  // Session journal
+  async loadSessions() {
+    const sessions = await db.getAllSessions();
+    this.sessions = new Map(sessions.map(session => [session.id, session]));
+    this.emit('sessionsChanged');
+  }
+
+  // Sessions whose notes are still in the vault, oldest first
+  getSessions() {
+    return [...this.sessions.values()]
+      .filter(session => this.nodes.has(session.noteId))
+      .sort((a, b) => a.startedAt - b.startedAt);
+  }
+
+  // The session being recorded, or null
+  getCurrentSession() {
+    return this.getSessions().find(session => session.endedAt === null) || null;
+  }
+
+  // Start recording a new session, with a dated note for it in the Sessions folder.
+  // The in-world date carries over from the last session. Returns the note.
+  async startSession() {
+    await this.endSession();
+
+    const sessions = this.getSessions();
+    const number = sessions.length + 1;
+    const previous = sessions.length > 0 ? await db.getContent(sessions[sessions.length - 1].noteId) : null;
+    const previousDateKey = previous && findFieldKey(previous.fields || {}, 'In-World Date');
+    const today = new Date();
+    const fields = {
+      Session: number,
+      Date: `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`,
+      'In-World Date': previousDateKey ? previous.fields[previousDateKey] : ''
+    };
+
+    const node = await this.undoStack.batch(`New session ${number}`, async () => {
+      const folder = this.rootNodes.map(id => this.nodes.get(id))
+        .find(root => root.type === 'folder' && root.name === SESSIONS_FOLDER) ||
+        await this.createNode({ name: SESSIONS_FOLDER, type: 'folder' });
+      const note = await this.createNode({ name: `Session ${number}`, type: 'leaf', parentId: folder.id, template: 'session' });
+
+      const content = await db.getContent(note.id);
+      await this.saveContent({
+        ...content,
+        fields: { ...content.fields, ...fields },
+        fieldTypes: { ...content.fieldTypes, Session: { type: 'number' }, Date: { type: 'date' } },
+        markdown: '## Recap\n\n'
+      });
+      return note;
+    });
+
+    const session = { id: this.generateId(), noteId: node.id, startedAt: Date.now(), endedAt: null, events: [] };
+    await db.saveSession(session);
+    this.sessions.set(session.id, session);
+    this.emit('sessionsChanged');
+    return node;
+  }
+
+  async endSession() {
+    const session = this.getCurrentSession();
+    if (!session) return;
+
+    session.endedAt = Date.now();
+    await db.saveSession(session);
+    this.emit('sessionsChanged');
+  }
+
+  // Note that a note was opened or marked active during the running session.
+  // Each note is listed once per action, at the first time it happened.
+  async recordSessionEvent(nodeId, action) {
+    const session = this.getCurrentSession();
+    const node = this.nodes.get(nodeId);
+    if (!session || !node || node.type !== 'leaf' || nodeId === session.noteId) return;
+    if (session.events.some(event => event.nodeId === nodeId && event.action === action)) return;
 
-    return templates[template] || {};
+    session.events.push({ nodeId, action, at: Date.now() });
+    await db.saveSession(session);
+    this.emit('sessionsChanged');
   }
 }
 
@@ -0,0 +1,280 @@
+/**
+ * Sync
+ * Shares a vault's notes with other devices through the sync server
+ * (server.js --sync). Each note travels as one entry, its node and content,
+ * versioned by their updatedAt times. A device pushes the notes it changed
+ * since the version it last exchanged and pulls what others pushed; a note
+ * changed on both sides is a conflict for the user to settle.
+ */
+
+import { db } from './db.js';
+import { store } from './store.js';
+import { collab } from './collab.js';
+
+const SETTINGS_KEY = 'syncSettings'; // Settings per vault database, on this device
+const DELETED = 'deleted'; // Version of a permanently deleted note
+const REQUEST_TIMEOUT = 20000;
+
+// When the node and content last changed, and whether the note is in the trash
+export function entryVersion(node, content) {
+  return `${node.updatedAt}:${node.deletedAt || 0}:${content?.updatedAt || 0}`;
+}
+
+function tombstone(id) {
+  return { id, version: DELETED, deleted: true };
+}
+
+// JSON with object keys sorted, so equal values give equal text
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Two copies of a note that differ only in when they were saved, like the ones
+// devices editing it live together each save
+function sameNote(a, b) {
+  if (!a || !b || a.deleted || b.deleted) return false;
+  const strip = ({ updatedAt, ...rest } = {}) => rest;
+  return stableJson(strip(a.node)) === stableJson(strip(b.node))
+    && stableJson(strip(a.content || undefined)) === stableJson(strip(b.content || undefined));
+}
+
+class SyncClient {
+  constructor() {
+    this.running = null; // The sync in progress
+    this.conflicts = []; // { id, local, remote } entries from the last sync
+    this.lastSync = null;
+    this.lastError = null;
+  }
+
+  readAllSettings() {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+  }
+
+  // { serverUrl, vault, token, auto } for the open vault, or null when it isn't synced
+  getSettings() {
+    return this.readAllSettings()[db.name] || null;
+  }
+
+  // Pointing the vault at another server or remote vault starts its bookkeeping over
+  async saveSettings(settings) {
+    const previous = this.getSettings();
+    const all = this.readAllSettings();
+    if (settings) {
+      all[db.name] = settings;
+    } else {
+      delete all[db.name];
+    }
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(all));
+
+    if (previous?.serverUrl !== settings?.serverUrl || previous?.vault !== settings?.vault) {
+      await db.clearSyncState();
+      this.conflicts = [];
+      this.lastSync = null;
+      this.lastError = null;
+    }
+  }
+
+  // Drop the settings of a deleted vault's database
+  forget(dbName) {
+    const all = this.readAllSettings();
+    delete all[dbName];
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(all));
+  }
+
+  async request(settings, method, path, body) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+    const url = `${settings.serverUrl.replace(/\/+$/, '')}/api/${path}`;
+
+    let response;
+    try {
+      response = await fetch(url, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {})
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal
+      });
+    } catch (error) {
+      throw new Error(`Can't reach ${settings.serverUrl}`);
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new Error(data?.error || `The server answered ${response.status}`);
+    }
+    return data;
+  }
+
+  // Check that a server is there and speaks sync
+  async test(settings) {
+    const status = await this.request(settings, 'GET', 'status');
+    if (status?.service !== 'dnd-notes-vault-sync') {
+      throw new Error(`${settings.serverUrl} is not a sync server`);
+    }
+  }
+
+  // Every note in the vault, live or in the trash, as entries by id
+  async getLocalEntries() {
+    const contents = new Map((await db.getAllContent()).map(content => [content.nodeId, content]));
+    const entries = new Map();
+    for (const node of [...store.nodes.values(), ...store.trash.values()]) {
+      const content = contents.get(node.id) || null;
+      entries.set(node.id, { id: node.id, version: entryVersion(node, content), node, content });
+    }
+    return entries;
+  }
+
+  async sync() {
+    if (!this.running) {
+      this.running = this.run().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  // Resolves when no sync is in progress
+  async idle() {
+    await this.running?.catch(() => {});
+  }
+
+  async run() {
+    const settings = this.getSettings();
+    if (!settings) {
+      throw new Error('This vault is not set up to sync');
+    }
+
+    try {
+      const result = await this.exchange(settings);
+      this.lastSync = Date.now();
+      this.lastError = null;
+      store.emit('syncChanged');
+      return result;
+    } catch (error) {
+      this.lastError = error.message;
+      store.emit('syncChanged');
+      throw error;
+    }
+  }
+
+  // Stop before writing anything if the vault was switched mid-sync
+  checkVault(dbName) {
+    if (db.name !== dbName) {
+      throw new Error('The vault was switched during the sync');
+    }
+  }
+
+  async exchange(settings) {
+    const dbName = db.name;
+    const path = `vaults/${encodeURIComponent(settings.vault)}/changes`;
+    const state = await db.getSyncState();
+    let local = await this.getLocalEntries();
+    const conflicts = new Map();
+
+    // A note missing here that was exchanged before was permanently deleted here
+    const localVersion = (id) => {
+      if (local.has(id)) return local.get(id).version;
+      return state.versions.has(id) ? DELETED : undefined;
+    };
+
+    // Pull what other devices pushed since last time
+    const pulled = await this.request(settings, 'GET', `${path}?since=${state.cursor}`);
+    const incoming = [];
+    for (const remote of pulled.entries) {
+      const base = state.versions.get(remote.id);
+      const mine = localVersion(remote.id);
+      if (remote.version === base) continue; // Our own push coming back
+
+      // Open here and live with others: the live copy is newer and goes over it
+      if (collab.isShared(remote.id)) {
+        state.versions.set(remote.id, remote.version);
+        continue;
+      }
+
+      if (mine === base || mine === remote.version || sameNote(local.get(remote.id), remote)) {
+        if (mine !== remote.version) {
+          incoming.push(remote);
+        }
+        state.versions.set(remote.id, remote.version);
+      } else {
+        conflicts.set(remote.id, { id: remote.id, local: local.get(remote.id) || tombstone(remote.id), remote });
+      }
+    }
+
+    if (incoming.length > 0) {
+      this.checkVault(dbName);
+      await store.applySyncEntries(incoming);
+      local = await this.getLocalEntries();
+    }
+
+    // Push what changed here
+    const changes = [];
+    for (const [id, entry] of local) {
+      if (entry.version !== state.versions.get(id) && !conflicts.has(id)) {
+        changes.push({ base: state.versions.get(id) ?? null, entry });
+      }
+    }
+    for (const [id, base] of state.versions) {
+      if (!local.has(id) && base !== DELETED && !conflicts.has(id)) {
+        changes.push({ base, entry: tombstone(id) });
+      }
+    }
+
+    let pushed = 0;
+    if (changes.length > 0) {
+      const result = await this.request(settings, 'POST', path, { changes });
+      this.checkVault(dbName);
+      for (const { id, version } of result.accepted) {
+        state.versions.set(id, version);
+      }
+      const same = [];
+      for (const remote of result.conflicts) {
+        if (sameNote(local.get(remote.id), remote)) {
+          same.push(remote);
+          state.versions.set(remote.id, remote.version);
+        } else {
+          conflicts.set(remote.id, { id: remote.id, local: local.get(remote.id) || tombstone(remote.id), remote });
+        }
+      }
+      if (same.length > 0) {
+        await store.applySyncEntries(same);
+      }
+      pushed = result.accepted.length;
+    }
+
+    state.cursor = pulled.seq;
+    this.checkVault(dbName);
+    await db.saveSyncState(state);
+    this.conflicts = [...conflicts.values()];
+    return { pulled: incoming.length, pushed, conflicts: this.conflicts.length };
+  }
+
+  // Settle a conflict by keeping this device's note ('local') or the server's
+  // ('remote'). Either way the server's version becomes the one this device last
+  // saw, so keeping ours pushes it over the server's on the next sync.
+  async resolve(conflict, keep) {
+    await this.idle();
+    if (keep === 'remote') {
+      await store.applySyncEntries([conflict.remote]);
+    }
+
+    const state = await db.getSyncState();
+    state.versions.set(conflict.id, conflict.remote.version);
+    await db.saveSyncState(state);
+
+    this.conflicts = this.conflicts.filter(item => item.id !== conflict.id);
+    store.emit('syncChanged');
+  }
+}
+
+// Export singleton
+export const sync = new SyncClient();
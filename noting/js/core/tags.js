@@ -0,0 +1,31 @@
+/**
+ * Tags
+ * Helpers for tags, which nest with slashes: "faction/harpers" sits under "faction"
+ */
+
+// Tidy a tag as typed: no leading #, no blank levels, no spaces around slashes
+export function normalizeTag(text) {
+  return String(text ?? '')
+    .trim()
+    .replace(/^#/, '')
+    .split('/')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+// True for the tag itself and any tag nested under it
+export function isTagWithin(tag, parent) {
+  return tag === parent || tag.startsWith(`${parent}/`);
+}
+
+// The tags a nested tag sits under, outermost first: "a/b/c" -> ["a", "a/b"]
+export function tagAncestors(tag) {
+  const parts = tag.split('/');
+  return parts.slice(1).map((_, index) => parts.slice(0, index + 1).join('/'));
+}
+
+// Move a tag within from to the same place under to, leaving other tags alone
+export function renameTagPrefix(tag, from, to) {
+  return isTagWithin(tag, from) ? to + tag.slice(from.length) : tag;
+}
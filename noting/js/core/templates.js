@@ -0,0 +1,95 @@
+/**
+ * Built-in Templates
+ * The templates a new vault starts with. They live in the templates store afterwards
+ * and can be edited or deleted like any other.
+ */
+
+const ALIGNMENTS = [
+  'Lawful Good', 'Neutral Good', 'Chaotic Good',
+  'Lawful Neutral', 'Neutral', 'Chaotic Neutral',
+  'Lawful Evil', 'Neutral Evil', 'Chaotic Evil', 'Unaligned'
+];
+
+const RARITIES = ['Common', 'Uncommon', 'Rare', 'Very Rare', 'Legendary', 'Artifact'];
+
+const QUEST_STATUSES = ['Active', 'On Hold', 'Completed', 'Failed'];
+
+const text = (name) => ({ name, type: 'text', value: '' });
+const longtext = (name) => ({ name, type: 'longtext', value: '' });
+const number = (name) => ({ name, type: 'number', value: null });
+const checkbox = (name) => ({ name, type: 'checkbox', value: false });
+const link = (name) => ({ name, type: 'link', value: '' });
+const select = (name, options, value = '') => ({ name, type: 'select', options, value });
+const date = (name) => ({ name, type: 'date', value: '' });
+
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'npc',
+    name: 'NPC',
+    icon: '👤',
+    fields: [
+      text('Role'), text('Species'), select('Alignment', ALIGNMENTS), text('Age'),
+      longtext('Personality'), longtext('Appearance'), longtext('Motivations'), longtext('Secrets')
+    ],
+    tags: []
+  },
+  {
+    id: 'location',
+    name: 'Location',
+    icon: '🏰',
+    fields: [
+      text('Type'), text('Region'), text('Climate'), text('Population'), link('Ruler'),
+      longtext('Notable Features')
+    ],
+    tags: []
+  },
+  {
+    id: 'item',
+    name: 'Item',
+    icon: '🗡️',
+    fields: [
+      text('Type'), select('Rarity', RARITIES), checkbox('Attunement'), text('Value'), text('Weight'),
+      longtext('Properties')
+    ],
+    tags: []
+  },
+  {
+    id: 'quest',
+    name: 'Quest',
+    icon: '📜',
+    fields: [
+      select('Status', QUEST_STATUSES, 'Active'), text('Level'), link('Giver'), text('Reward'),
+      link('Location'), longtext('Objective')
+    ],
+    tags: []
+  },
+  {
+    id: 'monster',
+    name: 'Monster',
+    icon: '🐉',
+    fields: [
+      number('CR'), number('AC'), number('HP'), text('Speed'),
+      longtext('Abilities'), text('Weaknesses'), text('Resistances')
+    ],
+    tags: []
+  },
+  {
+    id: 'faction',
+    name: 'Faction',
+    icon: '⚔️',
+    fields: [
+      text('Type'), select('Alignment', ALIGNMENTS), link('Leader'), link('Headquarters'),
+      longtext('Goals'), longtext('Notable Members')
+    ],
+    tags: []
+  },
+  {
+    id: 'session',
+    name: 'Session',
+    icon: '📅',
+    fields: [
+      number('Session'), date('Date'), text('In-World Date')
+    ],
+    tags: []
+  }
+];
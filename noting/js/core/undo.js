@@ -0,0 +1,121 @@
+/**
+ * Undo Stack
+ * Command history used by the store to revert and replay operations
+ */
+
+// Commands sharing a mergeKey recorded this close together collapse into one step
+const MERGE_WINDOW = 3000;
+const MAX_COMMANDS = 100;
+
+export class UndoStack {
+  constructor() {
+    this.done = [];
+    this.undone = [];
+    this.replaying = false; // True while a command runs, so its own changes aren't recorded
+    this.group = null; // Commands collected by batch()
+    this.queue = Promise.resolve(); // Undo/redo calls run one at a time, e.g. a held Ctrl+Z
+  }
+
+  // command: { label, undo: async fn, redo: async fn, mergeKey? }
+  // undo/redo throw when the change can no longer be applied.
+  record(command) {
+    if (this.replaying) return;
+
+    if (this.group) {
+      this.group.push(command);
+      return;
+    }
+
+    const now = Date.now();
+    const last = this.done[this.done.length - 1];
+
+    if (command.mergeKey && last && last.mergeKey === command.mergeKey && now - last.time < MERGE_WINDOW) {
+      // Keep the oldest undo and the newest redo, e.g. one step per burst of typing
+      last.redo = command.redo;
+      last.time = now;
+    } else {
+      this.done.push({ ...command, time: now });
+      if (this.done.length > MAX_COMMANDS) {
+        this.done.shift();
+      }
+    }
+
+    this.undone = [];
+  }
+
+  // Run fn and record everything it does as a single step, merging like a
+  // command with the same mergeKey would
+  async batch(label, fn, mergeKey = null) {
+    if (this.replaying || this.group) {
+      return await fn();
+    }
+
+    const commands = this.group = [];
+    try {
+      return await fn();
+    } finally {
+      this.group = null;
+      if (commands.length > 0) {
+        this.record({
+          label,
+          mergeKey,
+          undo: async () => {
+            for (const command of [...commands].reverse()) {
+              await command.undo();
+            }
+          },
+          redo: async () => {
+            for (const command of commands) {
+              await command.redo();
+            }
+          }
+        });
+      }
+    }
+  }
+
+  // Revert the latest step. Returns it, or null when there is nothing to undo.
+  undo() {
+    return this.enqueue(async () => {
+      const command = this.done.pop();
+      if (!command) return null;
+
+      await this.replay(() => command.undo());
+      this.undone.push(command);
+      return command;
+    });
+  }
+
+  // Re-apply the latest undone step. Returns it, or null when there is nothing to redo.
+  redo() {
+    return this.enqueue(async () => {
+      const command = this.undone.pop();
+      if (!command) return null;
+
+      await this.replay(() => command.redo());
+      command.time = 0; // Never merge new edits into a replayed step
+      this.done.push(command);
+      return command;
+    });
+  }
+
+  enqueue(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async replay(fn) {
+    this.replaying = true;
+    try {
+      await fn();
+    } finally {
+      this.replaying = false;
+    }
+  }
+
+  clear() {
+    this.done = [];
+    this.undone = [];
+  }
+}
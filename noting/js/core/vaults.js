@@ -0,0 +1,123 @@
+/**
+ * Vaults
+ * The named vaults kept in this browser, each its own IndexedDB database,
+ * and which one was open last
+ */
+
+import { Database, DB_NAME, deleteDatabase } from './db.js';
+
+const REGISTRY_KEY = 'vaults';
+const LAST_VAULT_KEY = 'lastVaultId';
+
+// The vault from before there were several keeps the original database
+export const DEFAULT_VAULT_ID = 'default';
+
+class VaultRegistry {
+  constructor() {
+    this.vaults = this.load();
+    this.currentId = null; // The vault open in this tab
+  }
+
+  load() {
+    try {
+      const vaults = JSON.parse(localStorage.getItem(REGISTRY_KEY));
+      if (Array.isArray(vaults) && vaults.length > 0) return vaults;
+    } catch (error) {
+      console.warn('Vault list unreadable, starting over:', error);
+    }
+    return [{ id: DEFAULT_VAULT_ID, name: 'My Campaign', createdAt: Date.now() }];
+  }
+
+  save() {
+    localStorage.setItem(REGISTRY_KEY, JSON.stringify(this.vaults));
+  }
+
+  list() {
+    return [...this.vaults].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  get(id) {
+    return this.vaults.find(vault => vault.id === id) || null;
+  }
+
+  // The vault to open on startup
+  getLastId() {
+    const id = localStorage.getItem(LAST_VAULT_KEY);
+    return this.get(id) ? id : this.vaults[0].id;
+  }
+
+  setCurrent(id) {
+    this.currentId = id;
+    localStorage.setItem(LAST_VAULT_KEY, id);
+  }
+
+  databaseName(id) {
+    return id === DEFAULT_VAULT_ID ? DB_NAME : `${DB_NAME}-${id}`;
+  }
+
+  checkName(name, exceptId = null) {
+    const trimmed = name.trim();
+    if (!trimmed) {
+      throw new Error('Vault name cannot be empty');
+    }
+    if (this.vaults.some(vault => vault.id !== exceptId && vault.name.toLowerCase() === trimmed.toLowerCase())) {
+      throw new Error(`There is already a vault called "${trimmed}"`);
+    }
+    return trimmed;
+  }
+
+  create(name) {
+    const vault = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      name: this.checkName(name),
+      createdAt: Date.now()
+    };
+    this.vaults.push(vault);
+    this.save();
+    return vault;
+  }
+
+  rename(id, name) {
+    const vault = this.get(id);
+    vault.name = this.checkName(name, id);
+    this.save();
+    return vault;
+  }
+
+  // A new vault holding a copy of another's notes, templates, queries and
+  // sessions. Note history and the combat encounter stay behind.
+  async duplicate(id, name) {
+    const checked = this.checkName(name);
+    const source = new Database();
+    await source.init(this.databaseName(id));
+    const data = await source.exportAll();
+    source.close();
+
+    const vault = this.create(checked);
+    const target = new Database();
+    try {
+      await target.init(this.databaseName(vault.id));
+      await target.importAll(data);
+    } catch (error) {
+      target.close();
+      await this.remove(vault.id);
+      throw error;
+    }
+    target.close();
+    return vault;
+  }
+
+  // Delete a vault and everything in it. The vault stays listed until its database
+  // is gone; onBlocked() is called while other tabs hold it up.
+  async remove(id, onBlocked) {
+    if (id === this.currentId) {
+      throw new Error('Switch to another vault before deleting this one');
+    }
+    await deleteDatabase(this.databaseName(id), onBlocked);
+    this.vaults = this.vaults.filter(vault => vault.id !== id);
+    this.save();
+  }
+}
+
+// Export singleton
+export const vaults = new VaultRegistry();
@@ -0,0 +1,186 @@
+/**
+ * ZIP Archives
+ * Minimal ZIP writer and reader for Markdown export/import (no ZIP64, no encryption)
+ */
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+async function transform(data, stream) {
+  const response = new Response(new Blob([data]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// MS-DOS date/time fields, in local time like other zip tools
+function toDosDateTime(timestamp) {
+  const date = new Date(timestamp);
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+function fromDosDateTime(date, time) {
+  return new Date(
+    (date >> 9) + 1980, ((date >> 5) & 0x0f) - 1, date & 0x1f,
+    time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2
+  ).getTime();
+}
+
+// entries: [{ path, data?: string | Uint8Array, modifiedAt? }]. Paths ending in "/" are folders.
+export async function createZip(entries) {
+  const encoder = new TextEncoder();
+  const canDeflate = typeof CompressionStream !== 'undefined';
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.path);
+    const isFolder = entry.path.endsWith('/');
+    const raw = typeof entry.data === 'string' ? encoder.encode(entry.data) : (entry.data || new Uint8Array(0));
+
+    let method = METHOD_STORE;
+    let stored = raw;
+    if (canDeflate && raw.length > 0) {
+      const deflated = await transform(raw, new CompressionStream('deflate-raw'));
+      if (deflated.length < raw.length) {
+        method = METHOD_DEFLATE;
+        stored = deflated;
+      }
+    }
+
+    const crc = crc32(raw);
+    const { time, date } = toDosDateTime(entry.modifiedAt || Date.now());
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, LOCAL_HEADER, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, FLAG_UTF8, true);
+    local.setUint16(8, method, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, stored.length, true);
+    local.setUint32(22, raw.length, true);
+    local.setUint16(26, name.length, true);
+
+    const header = new DataView(new ArrayBuffer(46));
+    header.setUint32(0, CENTRAL_HEADER, true);
+    header.setUint16(4, 20, true);
+    header.setUint16(6, 20, true);
+    header.setUint16(8, FLAG_UTF8, true);
+    header.setUint16(10, method, true);
+    header.setUint16(12, time, true);
+    header.setUint16(14, date, true);
+    header.setUint32(16, crc, true);
+    header.setUint32(20, stored.length, true);
+    header.setUint32(24, raw.length, true);
+    header.setUint16(28, name.length, true);
+    header.setUint32(38, isFolder ? 0x10 : 0, true); // MS-DOS directory attribute
+    header.setUint32(42, offset, true);
+
+    parts.push(local, name, stored);
+    central.push(header, name);
+    offset += 30 + name.length + stored.length;
+  }
+
+  const centralSize = central.reduce((size, part) => size + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, END_OF_CENTRAL_DIRECTORY, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Returns [{ path, data: Uint8Array, modifiedAt }] for every file (folders are skipped)
+export async function readZip(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const decoder = new TextDecoder();
+
+  // The end record sits in the last 22 bytes plus an optional comment of up to 64 KB
+  let endOffset = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset === -1) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const count = view.getUint16(endOffset + 10, true);
+  let pointer = view.getUint32(endOffset + 16, true);
+  if (count === 0xffff || pointer === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(pointer, true) !== CENTRAL_HEADER) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+
+    const flags = view.getUint16(pointer + 8, true);
+    const method = view.getUint16(pointer + 10, true);
+    const time = view.getUint16(pointer + 12, true);
+    const date = view.getUint16(pointer + 14, true);
+    const compressedSize = view.getUint32(pointer + 20, true);
+    const nameLength = view.getUint16(pointer + 28, true);
+    const extraLength = view.getUint16(pointer + 30, true);
+    const commentLength = view.getUint16(pointer + 32, true);
+    const localOffset = view.getUint32(pointer + 42, true);
+    const path = decoder.decode(bytes.subarray(pointer + 46, pointer + 46 + nameLength));
+    pointer += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 1) {
+      throw new Error(`"${path}" is encrypted`);
+    }
+
+    // Local headers can carry a different extra field than the central one
+    const dataStart = localOffset + 30 +
+      view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const stored = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    let data;
+    if (method === METHOD_STORE) {
+      data = stored;
+    } else if (method === METHOD_DEFLATE) {
+      data = await transform(stored, new DecompressionStream('deflate-raw'));
+    } else {
+      throw new Error(`"${path}" uses an unsupported compression method`);
+    }
+
+    files.push({ path, data, modifiedAt: fromDosDateTime(date, time) });
+  }
+
+  return files;
+}
@@ -1,26 +1,63 @@
 // Simple static server for DnD Notes Vault
+// Run with --sync (or SYNC=1) to also share vaults between devices, see sync-server.js,
+// and edit notes together live, see collab-server.js
 const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { createSyncHandler } = require('./sync-server');
+const { createCollabServer } = require('./collab-server');
 
-const PORT = 8080;
+const PORT = process.env.PORT || 8080;
+const ROOT = __dirname;
+const SYNC_ENABLED = process.argv.includes('--sync') || process.env.SYNC === '1';
+const DATA_DIR = path.resolve(process.env.SYNC_DATA_DIR || path.join(ROOT, 'data'));
 
 const MIME_TYPES = {
   '.html': 'text/html',
   '.js': 'text/javascript',
   '.css': 'text/css',
   '.json': 'application/json',
+  '.webmanifest': 'application/manifest+json',
   '.png': 'image/png',
   '.jpg': 'image/jpeg',
   '.gif': 'image/gif',
   '.svg': 'image/svg+xml',
-  '.ico': 'image/x-icon'
+  '.ico': 'image/x-icon',
+  '.woff2': 'font/woff2'
 };
 
+const handleSync = SYNC_ENABLED
+  ? createSyncHandler({ dataDir: DATA_DIR, token: process.env.SYNC_TOKEN })
+  : null;
+const handleUpgrade = SYNC_ENABLED
+  ? createCollabServer({ token: process.env.SYNC_TOKEN })
+  : null;
+
 const server = http.createServer((req, res) => {
-  let filePath = '.' + req.url;
-  if (filePath === './') {
-    filePath = './index.html';
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname.startsWith('/api/')) {
+    if (handleSync) {
+      handleSync(req, res);
+    } else {
+      res.writeHead(404, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+      res.end(JSON.stringify({ error: 'Sync is off on this server. Start it with: node server.js --sync' }));
+    }
+    return;
+  }
+
+  let filePath = null;
+  try {
+    filePath = path.join(ROOT, pathname === '/' ? 'index.html' : decodeURIComponent(pathname));
+  } catch (error) {
+    // Malformed escapes in the URL
+  }
+
+  // Only files of the app itself; synced vaults stay private
+  if (!filePath || !filePath.startsWith(ROOT + path.sep) || filePath.startsWith(DATA_DIR + path.sep)) {
+    res.writeHead(404, { 'Content-Type': 'text/html' });
+    res.end('<h1>404 Not Found</h1>', 'utf-8');
+    return;
   }
 
   const extname = String(path.extname(filePath)).toLowerCase();
@@ -28,7 +65,7 @@ const server = http.createServer((req, res) => {
 
   fs.readFile(filePath, (error, content) => {
     if (error) {
-      if (error.code === 'ENOENT') {
+      if (error.code === 'ENOENT' || error.code === 'EISDIR') {
         res.writeHead(404, { 'Content-Type': 'text/html' });
         res.end('<h1>404 Not Found</h1>', 'utf-8');
       } else {
@@ -42,6 +79,13 @@ const server = http.createServer((req, res) => {
   });
 });
 
+// Live editing connections
+server.on('upgrade', (req, socket, head) => {
+  if (!handleUpgrade || !handleUpgrade(req, socket, head)) {
+    socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+  }
+});
+
 server.listen(PORT, () => {
   console.log(`
 ╔════════════════════════════════════════════════╗
@@ -52,4 +96,8 @@ server.listen(PORT, () => {
 ║  Press Ctrl+C to stop                          ║
 ╚════════════════════════════════════════════════╝
   `);
+  if (SYNC_ENABLED) {
+    console.log(`  Sync is on. Vaults are stored in ${DATA_DIR}`);
+    console.log('  Other devices on your network can use this computer\'s address instead of localhost.\n');
+  }
 });
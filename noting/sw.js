@@ -0,0 +1,143 @@
+/**
+ * Service Worker
+ * Precaches the app shell and icons so the vault starts with no connection,
+ * and keeps a copy of Font Awesome from the CDN
+ */
+
+// Bump on every change to the files below. The changed worker installs the new
+// shell next to the old one and the page offers to reload into it.
+const CACHE_VERSION = 'v18';
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const CDN_CACHE = 'cdn'; // CDN URLs carry their own version
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'css/styles.css',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png',
+  'js/app.js',
+  'js/core/attachments.js',
+  'js/core/collab.js',
+  'js/core/combat.js',
+  'js/core/db.js',
+  'js/core/dice.js',
+  'js/core/diff.js',
+  'js/core/fields.js',
+  'js/core/frontmatter.js',
+  'js/core/graph.js',
+  'js/core/graph-layout.js',
+  'js/core/graph-worker.js',
+  'js/core/maps.js',
+  'js/core/markdown.js',
+  'js/core/markdown-files.js',
+  'js/core/merge.js',
+  'js/core/ot.js',
+  'js/core/query.js',
+  'js/core/schema.js',
+  'js/core/store.js',
+  'js/core/sync.js',
+  'js/core/tags.js',
+  'js/core/templates.js',
+  'js/core/undo.js',
+  'js/core/vaults.js',
+  'js/core/zip.js',
+  'js/components/combat-tracker.js',
+  'js/components/dice-roller.js',
+  'js/components/editor.js',
+  'js/components/graph-view.js',
+  'js/components/history.js',
+  'js/components/import-preview.js',
+  'js/components/journal.js',
+  'js/components/map-view.js',
+  'js/components/query-view.js',
+  'js/components/search.js',
+  'js/components/sync-panel.js',
+  'js/components/tag-browser.js',
+  'js/components/template-editor.js',
+  'js/components/toast.js',
+  'js/components/trash.js',
+  'js/components/tree.js',
+  'js/components/update-banner.js',
+  'js/components/vault-switcher.js'
+];
+
+const FONT_AWESOME = 'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0';
+const CDN_FILES = [
+  `${FONT_AWESOME}/css/all.min.css`,
+  `${FONT_AWESOME}/webfonts/fa-solid-900.woff2`,
+  `${FONT_AWESOME}/webfonts/fa-regular-400.woff2`,
+  `${FONT_AWESOME}/webfonts/fa-brands-400.woff2`
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    // Skip the HTTP cache so a new version never precaches stale files
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' })));
+
+    // Without a connection to the CDN the app still works, just without icons
+    const cdn = await caches.open(CDN_CACHE);
+    await Promise.all(CDN_FILES.map(async (url) => {
+      if (await cdn.match(url)) return;
+      try {
+        await cdn.add(url);
+      } catch (error) {
+        console.warn(`Couldn't cache ${url}:`, error);
+      }
+    }));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('shell-') && name !== SHELL_CACHE)
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks for this once the user chooses to reload into the new version
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(fromShell(request));
+  } else if (request.url.startsWith(FONT_AWESOME)) {
+    event.respondWith(fromCdn(request));
+  }
+});
+
+// Cache first: the shell only changes with a new worker. Every page is the app.
+async function fromShell(request) {
+  const cached = request.mode === 'navigate'
+    ? await caches.match('index.html', { cacheName: SHELL_CACHE })
+    : await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true });
+  return cached || fetch(request);
+}
+
+async function fromCdn(request) {
+  const cache = await caches.open(CDN_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
@@ -0,0 +1,193 @@
+// Sync backend for DnD Notes Vault (node server.js --sync)
+//
+// Each shared vault is a JSON file of note entries: a note's node and content,
+// the version the pushing device gave it, and a sequence number that grows with
+// every accepted change. Devices pull the entries past the last number they saw
+// and push the notes they changed, naming the version they started from. A push
+// whose starting version is no longer the stored one is a conflict and is
+// answered with the stored entry (see js/core/sync.js).
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const VAULT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_BODY = 50 * 1024 * 1024;
+
+// Compare a secret in constant time, so response times don't give the token away
+function matchesSecret(given, secret) {
+  const a = Buffer.from(String(given || ''));
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function createSyncHandler({ dataDir, token = '' }) {
+  const vaults = new Map(); // Loaded vaults by name
+
+  function load(name) {
+    if (!vaults.has(name)) {
+      const file = path.join(dataDir, `${name}.json`);
+      const data = fs.existsSync(file)
+        ? JSON.parse(fs.readFileSync(file, 'utf8'))
+        : { seq: 0, entries: {} };
+      vaults.set(name, { ...data, writing: Promise.resolve() });
+    }
+    return vaults.get(name);
+  }
+
+  // Pushes are taken one at a time. Each is checked against the vault as saved and
+  // the result written to a temporary file and swapped in; only then do pulls see
+  // it. A push whose write fails changes nothing and doesn't stop the ones after it.
+  function commit(name, vault, changes) {
+    const file = path.join(dataDir, `${name}.json`);
+    vault.writing = vault.writing.catch(() => {}).then(async () => {
+      const saved = { seq: vault.seq, entries: { ...vault.entries } };
+      const result = push(saved, changes);
+      if (result.accepted.length > 0) {
+        await fs.promises.mkdir(dataDir, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(saved));
+        await fs.promises.rename(`${file}.tmp`, file);
+        vault.seq = saved.seq;
+        vault.entries = saved.entries;
+      }
+      return result;
+    });
+    return vault.writing;
+  }
+
+  function pull(vault, since) {
+    const entries = Object.values(vault.entries)
+      .filter(entry => entry.seq > since)
+      .sort((a, b) => a.seq - b.seq);
+    return { seq: vault.seq, entries };
+  }
+
+  // Take the changes that don't conflict into state ({ seq, entries })
+  function push(state, changes) {
+    const accepted = [];
+    const conflicts = [];
+
+    for (const { base, entry } of changes) {
+      const current = state.entries[entry.id];
+      if (current && current.version !== base) {
+        conflicts.push(current);
+        continue;
+      }
+
+      state.seq++;
+      state.entries[entry.id] = { ...entry, seq: state.seq };
+      accepted.push({ id: entry.id, version: entry.version });
+    }
+
+    return { seq: state.seq, accepted, conflicts };
+  }
+
+  function checkChanges(body) {
+    if (!body || !Array.isArray(body.changes)) {
+      throw new HttpError(400, 'Expected { changes: [...] }');
+    }
+    for (const change of body.changes) {
+      const entry = change && change.entry;
+      if (!entry || typeof entry.id !== 'string' || typeof entry.version !== 'string') {
+        throw new HttpError(400, 'Every change needs an entry with an id and a version');
+      }
+      if (!entry.deleted && (!entry.node || entry.node.id !== entry.id)) {
+        throw new HttpError(400, `Entry ${entry.id} has no matching node`);
+      }
+    }
+    return body.changes;
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+      req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+          reject(new HttpError(413, 'Request too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => {
+        try {
+          resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+        } catch (error) {
+          reject(new HttpError(400, 'Request body is not valid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  function send(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+
+  async function route(req, url) {
+    if (req.method === 'GET' && url.pathname === '/api/status') {
+      return { service: 'dnd-notes-vault-sync', version: 1 };
+    }
+
+    const match = url.pathname.match(/^\/api\/vaults\/([^/]+)\/changes$/);
+    if (!match) {
+      throw new HttpError(404, 'Not found');
+    }
+
+    const name = decodeURIComponent(match[1]);
+    if (!VAULT_NAME.test(name)) {
+      throw new HttpError(400, 'Vault names use letters, numbers, - and _ (up to 64)');
+    }
+
+    if (req.method === 'GET') {
+      const since = parseInt(url.searchParams.get('since') || '0', 10) || 0;
+      return pull(load(name), since);
+    }
+
+    if (req.method === 'POST') {
+      const changes = checkChanges(await readBody(req));
+      return await commit(name, load(name), changes);
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  return async function handleSync(req, res) {
+    // The app may be served from elsewhere (or from its offline copy)
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (token && !matchesSecret(req.headers.authorization, `Bearer ${token}`)) {
+      send(res, 401, { error: 'Wrong or missing access token' });
+      return;
+    }
+
+    try {
+      send(res, 200, await route(req, new URL(req.url, 'http://localhost')));
+    } catch (error) {
+      if (!(error instanceof HttpError)) {
+        console.error('Sync error:', error);
+      }
+      send(res, error.status || 500, { error: error.status ? error.message : 'Server error' });
+    }
+  };
+}
+
+module.exports = { createSyncHandler };